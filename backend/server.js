@@ -6,6 +6,13 @@ const app = require('./src/app');
 
 // Import the database connection function
 const connectDB = require('./src/config/db');
+const { startLowStockAlertJob } = require('./src/jobs/lowStockAlertJob'); // Scheduled low-stock alerts to admins
+const { startSubscriptionJob } = require('./src/jobs/subscriptionJob'); // Scheduled refill subscription orders and reminders
+const { startAppointmentReminderJob } = require('./src/jobs/appointmentReminderJob'); // Scheduled appointment reminder emails
+const inventoryService = require('./src/services/inventoryService'); // One-off backfill of opening stock batches
+const appointmentService = require('./src/services/appointmentService'); // One-off backfill of slot reservations
+const appointmentReminderService = require('./src/services/appointmentReminderService'); // One-off backfill of appointment reminders
+const couponService = require('./src/services/couponService'); // One-off backfills of coupon usage counters and shipping discounts
 const path = require('path');
 const fs = require('fs');
 const cloudinary = require('cloudinary').v2;
@@ -17,8 +24,43 @@ process.on('uncaughtException', (err) => {
   process.exit(1); 
 });
 
-// Connect to the database
-connectDB();
+// Define the port the server will listen on
+const PORT = process.env.PORT || 5000;
+let server;
+
+// Connect to the database, backfill data written before the current schema,
+// then start the scheduled jobs and the Express server
+connectDB().then(async () => {
+  const openingBatches = await inventoryService.backfillOpeningBatches();
+  if (openingBatches.migrated > 0 || openingBatches.skipped > 0) {
+    console.log(`Backfill: Moved the stock of ${openingBatches.migrated} medicine(s) into opening batches, skipped ${openingBatches.skipped}`);
+  }
+  const slotReservations = await appointmentService.backfillSlotReservations();
+  if (slotReservations > 0) {
+    console.log(`Backfill: Reserved the slots of ${slotReservations} earlier appointment(s)`);
+  }
+  const reminders = await appointmentReminderService.backfillReminders();
+  if (reminders > 0) {
+    console.log(`Backfill: Scheduled the reminders of ${reminders} earlier appointment(s)`);
+  }
+  const couponUsages = await couponService.backfillCouponUsage();
+  if (couponUsages > 0) {
+    console.log(`Backfill: Counted the coupon uses of ${couponUsages} user/coupon pair(s)`);
+  }
+  const shippingDiscounts = await couponService.backfillShippingDiscounts();
+  if (shippingDiscounts > 0) {
+    console.log(`Backfill: Moved the waived shipping of ${shippingDiscounts} free-shipping order(s) out of their discount`);
+  }
+
+  startLowStockAlertJob();
+  startSubscriptionJob();
+  startAppointmentReminderJob();
+
+  // Start the Express server
+  server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
+  });
+});
 // Configure Cloudinary
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -36,20 +78,12 @@ console.log('Cloudinary configured successfully.');
 //   console.log(`Ensured uploads directory exists at: ${uploadsDir}`);
 // });
 
-// Define the port the server will listen on
-const PORT = process.env.PORT || 5000;
-
-
-// Start the Express server
-const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
-});
-
 // Handle unhandled promise rejections (asynchronous errors)
 process.on('unhandledRejection', (err) => {
   console.error(`ERROR: ${err.message}`);
   console.error('Shutting down the server due to unhandled promise rejection...');
-  // Close server and exit process
+  // Close server (if it is already listening) and exit process
+  if (!server) process.exit(1);
   server.close(() => {
     process.exit(1); // Exit with a failure code
   });
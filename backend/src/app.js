@@ -16,6 +16,16 @@ const appointmentRoutes = require('./routes/appointmentRoutes'); // Import appoi
 const labRoutes = require('./routes/labRoutes'); // Import lab routes
 const orderRoutes = require('./routes/orderRoutes'); // Import order routes
 const globalSearchRoutes = require('./routes/globalSearchRoutes'); // Import global search routes
+const inventoryRoutes = require('./routes/inventoryRoutes'); // Import inventory routes
+const paymentRoutes = require('./routes/paymentRoutes'); // Import payment routes
+const couponRoutes = require('./routes/couponRoutes'); // Import coupon routes
+const prescriptionRoutes = require('./routes/prescriptionRoutes'); // Import prescription routes
+const returnRoutes = require('./routes/returnRoutes'); // Import return routes
+const cartRoutes = require('./routes/cartRoutes'); // Import cart routes
+const deliveryRoutes = require('./routes/deliveryRoutes'); // Import delivery zone routes
+const subscriptionRoutes = require('./routes/subscriptionRoutes'); // Import refill subscription routes
+const reviewRoutes = require('./routes/reviewRoutes'); // Import medicine review routes
+const labTestRoutes = require('./routes/labTestRoutes'); // Import lab test catalogue routes
 const errorHandler = require('./middlewares/errorMiddleware'); // Import centralized error handler
 
 // Create an Express application instance
@@ -24,10 +34,16 @@ const app = express();
  app.use(cors({
       origin: 'http://localhost:3000', // Allow requests from your frontend development server
       credentials: true, // Allow cookies to be sent with requests
+      exposedHeaders: ['Content-Disposition'], // Lets the browser read download file names (e.g., invoices)
     }));
 
 // Middleware to parse JSON requests
-app.use(express.json());
+// The raw body is kept as well because payment webhooks verify their signature against it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // Middleware to parse cookies
 app.use(cookieParser());
@@ -68,6 +84,48 @@ app.use('/api/v1/orders', orderRoutes);
 // All routes defined in globalSearchRoutes will be prefixed with /api/v1/search
 app.use('/api/v1/search', globalSearchRoutes);
 
+// Mount the inventory routes
+// All routes defined in inventoryRoutes will be prefixed with /api/v1/inventory
+app.use('/api/v1/inventory', inventoryRoutes);
+
+// Mount the payment routes
+// All routes defined in paymentRoutes will be prefixed with /api/v1/payments
+app.use('/api/v1/payments', paymentRoutes);
+
+// Mount the coupon routes
+// All routes defined in couponRoutes will be prefixed with /api/v1/coupons
+app.use('/api/v1/coupons', couponRoutes);
+
+// Mount the prescription routes
+// All routes defined in prescriptionRoutes will be prefixed with /api/v1/prescriptions
+app.use('/api/v1/prescriptions', prescriptionRoutes);
+
+// Mount the return routes
+// All routes defined in returnRoutes will be prefixed with /api/v1/returns
+app.use('/api/v1/returns', returnRoutes);
+
+// Mount the cart routes
+// All routes defined in cartRoutes will be prefixed with /api/v1/cart
+app.use('/api/v1/cart', cartRoutes);
+
+// Mount the delivery routes
+// All routes defined in deliveryRoutes will be prefixed with /api/v1/delivery
+app.use('/api/v1/delivery', deliveryRoutes);
+
+// Mount the subscription routes
+// All routes defined in subscriptionRoutes will be prefixed with /api/v1/subscriptions
+app.use('/api/v1/subscriptions', subscriptionRoutes);
+
+// Mount the review routes
+// All routes defined in reviewRoutes will be prefixed with /api/v1/reviews
+// (the reviews of one medicine are also available at /api/v1/medicines/:medicineId/reviews)
+app.use('/api/v1/reviews', reviewRoutes);
+
+// Mount the lab test routes
+// All routes defined in labTestRoutes will be prefixed with /api/v1/lab-tests
+// (the tests of one lab are also available at /api/v1/labs/:labId/tests)
+app.use('/api/v1/lab-tests', labTestRoutes);
+
 // A simple root route to confirm the server is running
 app.get('/', (req, res) => {
   res.send('Kashmir Wellness Backend API is running!');
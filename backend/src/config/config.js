@@ -0,0 +1,72 @@
+// src/config/config.js
+// This file centralizes business configuration read from environment variables,
+// with sensible defaults so the application runs without extra setup.
+
+module.exports = {
+  // Order pricing rules used by the PricingService
+  pricing: {
+    taxRate: parseFloat(process.env.ORDER_TAX_RATE || '0.18'), // 18% tax on items price
+    shippingFee: parseFloat(process.env.ORDER_SHIPPING_FEE || '40'), // Flat shipping fee in ₹
+    freeShippingThreshold: parseFloat(process.env.ORDER_FREE_SHIPPING_THRESHOLD || '500'), // Free shipping above this items price
+    totalTolerance: 0.01, // Maximum allowed difference between client and server totals
+  },
+  // Payment provider settings used by the PaymentService
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || 'mock', // Name of the active provider (see services/paymentProviders)
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    mock: {
+      webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET, // HMAC secret for signing mock webhooks (required, no default)
+    },
+  },
+  // Stock monitoring rules used by the ReorderService and the low-stock alert job
+  inventory: {
+    defaultReorderLevel: parseInt(process.env.DEFAULT_REORDER_LEVEL || '10', 10), // Reorder threshold for medicines without their own
+    lowStockCheckMinutes: parseInt(process.env.LOW_STOCK_CHECK_MINUTES || '60', 10), // How often the low-stock alert job runs
+    expiryWarningDays: parseInt(process.env.EXPIRY_WARNING_DAYS || '30', 10), // Batches expiring within this many days are reported
+    salesWindowDays: parseInt(process.env.REORDER_SALES_WINDOW_DAYS || '30', 10), // Recent sales used to estimate demand
+    reorderCoverDays: parseInt(process.env.REORDER_COVER_DAYS || '30', 10), // Suggested reorders cover this many days of demand
+  },
+  // Medicine catalogue rules used by the MedicineService and MedicineCatalogueService
+  catalogue: {
+    importMaxRows: parseInt(process.env.CATALOGUE_IMPORT_MAX_ROWS || '5000', 10), // Larger CSV imports must be split
+    maxImages: parseInt(process.env.MEDICINE_MAX_IMAGES || '10', 10), // Most gallery images per medicine
+  },
+  // Return rules used by the ReturnService
+  returns: {
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10), // Days after delivery during which items can be returned
+    nonRestockableReasons: ['damaged', 'expired'], // Returned items with these reasons are not put back on the shelf by default
+  },
+  // Refill subscription rules used by the SubscriptionService and the subscription job
+  subscriptions: {
+    checkMinutes: parseInt(process.env.SUBSCRIPTION_CHECK_MINUTES || '15', 10), // How often due refills and reminders are processed
+    reminderDaysBefore: parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS || '2', 10), // Reminder email this many days before each refill
+    minIntervalDays: 7, // Shortest allowed refill interval
+    maxIntervalDays: 90, // Longest allowed refill interval
+    maxItems: 20, // Most medicines in one subscription
+    maxConsecutiveFailures: 3, // Subscriptions are paused after this many refills in a row could not be placed
+  },
+  // Doctor appointment rules used by the DoctorService and AppointmentService
+  appointments: {
+    timeZone: process.env.APPOINTMENT_TIME_ZONE || 'Asia/Kolkata', // Doctors' schedules and slots are in this local time
+    defaultSlotMinutes: parseInt(process.env.APPOINTMENT_SLOT_MINUTES || '30', 10), // Slot length of schedules without their own
+    minSlotMinutes: 5, // Shortest allowed slot
+    maxSlotMinutes: 240, // Longest allowed slot
+    bookingWindowDays: parseInt(process.env.APPOINTMENT_BOOKING_WINDOW_DAYS || '60', 10), // Slots can be booked this many days ahead
+    labSlotCapacity: parseInt(process.env.LAB_SLOT_CAPACITY || '3', 10), // Patients per lab slot for labs without their own (a doctor slot takes one)
+    rescheduleCutoffHours: parseFloat(process.env.APPOINTMENT_RESCHEDULE_CUTOFF_HOURS || '2'), // No rescheduling this close to the appointment
+    reminderHoursBefore: (process.env.APPOINTMENT_REMINDER_HOURS || '24,2') // Reminder emails this many hours before each appointment
+      .split(',')
+      .map((hours) => parseFloat(hours))
+      .filter((hours) => hours > 0),
+    reminderCheckMinutes: parseInt(process.env.APPOINTMENT_REMINDER_CHECK_MINUTES || '5', 10), // How often due reminders are sent
+    reminderMaxAttempts: 3, // A reminder that could not be sent is retried on later runs up to this many times
+    appUrl: process.env.FRONTEND_URL || 'http://localhost:3000', // Website links in appointment emails
+  },
+  // Seller details printed on PDF invoices by the InvoiceService
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'KW-INV', // Invoice numbers look like KW-INV-000001
+    sellerName: process.env.INVOICE_SELLER_NAME || 'Kashmir Wellness Pharmacy',
+    sellerAddress: process.env.INVOICE_SELLER_ADDRESS || 'Srinagar, Jammu & Kashmir, India',
+    gstin: process.env.INVOICE_GSTIN || '', // Seller GSTIN (printed when set)
+  },
+};
@@ -76,6 +76,23 @@ exports.updateAppointment = async (req, res, next) => {
   }
 };
 
+// @desc    Move an appointment to another free slot
+// @route   PUT /api/v1/appointments/:id/reschedule
+// @access  Private (The patient or Admin)
+exports.rescheduleAppointment = async (req, res, next) => {
+  try {
+    // Delegate to AppointmentService, passing ID, the new slot and authenticated user
+    const appointment = await appointmentService.rescheduleAppointment(req.params.id, req.body || {}, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Delete appointment
 // @route   DELETE /api/v1/appointments/:id
 // @access  Private (Admin only)
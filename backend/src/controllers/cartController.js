@@ -0,0 +1,107 @@
+// src/controllers/cartController.js
+// This file contains controller functions for the server-side shopping cart.
+// It uses the CartService to abstract business logic.
+
+const cartService = require('../services/cartService'); // Import the CartService
+
+// @desc    Get the cart of the logged-in user (with live prices, stock and change flags)
+// @route   GET /api/v1/cart
+// @access  Private
+exports.getCart = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID
+    const cart = await cartService.getCart(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add a medicine to the cart (sets the quantity if it is already in the cart)
+// @route   POST /api/v1/cart/items
+// @access  Private
+exports.addItem = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID and { medicine, quantity }
+    const cart = await cartService.addItem(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change the quantity of a cart line (0 removes it)
+// @route   PUT /api/v1/cart/items/:medicineId
+// @access  Private
+exports.updateItem = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID, medicine ID and new quantity
+    const cart = await cartService.updateItemQuantity(req.user.id, req.params.medicineId, req.body.quantity);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/v1/cart/items/:medicineId
+// @access  Private
+exports.removeItem = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID and medicine ID
+    const cart = await cartService.removeItem(req.user.id, req.params.medicineId);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Clear the cart
+// @route   DELETE /api/v1/cart
+// @access  Private
+exports.clearCart = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID
+    const cart = await cartService.clearCart(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Merge the guest (browser) cart into the user's cart after login
+// @route   POST /api/v1/cart/merge
+// @access  Private
+exports.mergeCart = async (req, res, next) => {
+  try {
+    // Delegate to CartService, passing the user ID and the guest cart items
+    const cart = await cartService.mergeCart(req.user.id, req.body.items);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,112 @@
+// src/controllers/couponController.js
+// This file contains controller functions for managing coupons and validating them at checkout.
+// It uses the CouponService and PricingService to abstract business logic.
+
+const couponService = require('../services/couponService'); // Import the CouponService
+const pricingService = require('../services/pricingService'); // Import the PricingService to quote discounted totals
+
+// @desc    Validate a coupon against the user's cart and return the discounted quote
+// @route   POST /api/v1/coupons/validate
+// @access  Private
+exports.validateCoupon = async (req, res, next) => {
+  try {
+    // Delegate to PricingService, which checks the coupon and applies it to the server-side total
+    const quote = await pricingService.quoteOrder(req.body.orderItems, {
+      couponCode: req.body.code,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: quote,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/v1/coupons
+// @access  Private (Admin only)
+exports.getCoupons = async (req, res, next) => {
+  try {
+    // Delegate to CouponService, passing query parameters
+    const { count, data } = await couponService.getCoupons(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/v1/coupons/:id
+// @access  Private (Admin only)
+exports.getCoupon = async (req, res, next) => {
+  try {
+    // Delegate to CouponService
+    const coupon = await couponService.getCoupon(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create new coupon
+// @route   POST /api/v1/coupons
+// @access  Private (Admin only)
+exports.createCoupon = async (req, res, next) => {
+  try {
+    // Delegate to CouponService, passing request body and admin user ID
+    const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/v1/coupons/:id
+// @access  Private (Admin only)
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    // Delegate to CouponService
+    const coupon = await couponService.updateCoupon(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/v1/coupons/:id
+// @access  Private (Admin only)
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    // Delegate to CouponService
+    await couponService.deleteCoupon(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}, // Return empty object for successful deletion
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,108 @@
+// src/controllers/deliveryController.js
+// This file contains controller functions for delivery zones and the PIN code serviceability check.
+// It uses the DeliveryService to abstract business logic.
+
+const deliveryService = require('../services/deliveryService'); // Import the DeliveryService
+
+// @desc    Check whether we deliver to a PIN code
+// @route   GET /api/v1/delivery/check?pin=190001
+// @access  Public
+exports.checkPinCode = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService
+    const result = await deliveryService.checkPinCode(req.query.pin);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get all delivery zones
+// @route   GET /api/v1/delivery/zones
+// @access  Private (Admin only)
+exports.getZones = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService, passing query parameters
+    const { count, data } = await deliveryService.getZones(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single delivery zone
+// @route   GET /api/v1/delivery/zones/:id
+// @access  Private (Admin only)
+exports.getZone = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService
+    const zone = await deliveryService.getZone(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create new delivery zone
+// @route   POST /api/v1/delivery/zones
+// @access  Private (Admin only)
+exports.createZone = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService
+    const zone = await deliveryService.createZone(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update delivery zone
+// @route   PUT /api/v1/delivery/zones/:id
+// @access  Private (Admin only)
+exports.updateZone = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService
+    const zone = await deliveryService.updateZone(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/v1/delivery/zones/:id
+// @access  Private (Admin only)
+exports.deleteZone = async (req, res, next) => {
+  try {
+    // Delegate to DeliveryService
+    await deliveryService.deleteZone(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}, // Return empty object for successful deletion
+    });
+  } catch (err) {
+    next(err);
+  }
+};
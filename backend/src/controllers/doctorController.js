@@ -42,6 +42,42 @@ exports.getDoctor = async (req, res, next) => {
   }
 };
 
+// @desc    Get the free appointment slots of a doctor on a day
+// @route   GET /api/v1/doctors/:id/slots?date=YYYY-MM-DD
+// @access  Public
+exports.getDoctorSlots = async (req, res, next) => {
+  try {
+    // Delegate to DoctorService, passing ID and the requested day
+    const { date, data } = await doctorService.getAvailableSlots(req.params.id, req.query.date);
+
+    res.status(200).json({
+      success: true,
+      date: date,
+      count: data.length,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace a doctor's weekly schedule
+// @route   PUT /api/v1/doctors/:id/schedule
+// @access  Private (Admin or the specific Doctor user)
+exports.updateDoctorSchedule = async (req, res, next) => {
+  try {
+    // Delegate to DoctorService, passing ID, the new schedule and authenticated user
+    const doctor = await doctorService.updateSchedule(req.params.id, req.body && req.body.schedule, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: doctor,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Add new doctor
 // @route   POST /api/v1/doctors
 // @access  Private (Admin only)
@@ -49,6 +85,15 @@ exports.addDoctor = async (req, res, next) => {
   try {
     const doctorData = { ...req.body };
 
+    // The weekly schedule arrives as a JSON string when the doctor is sent as multipart form data
+    if (typeof doctorData.schedule === 'string') {
+      try {
+        doctorData.schedule = JSON.parse(doctorData.schedule);
+      } catch (parseErr) {
+        return next(new ErrorResponse('Schedule must be a valid JSON array', 400));
+      }
+    }
+
     // If a file was uploaded, handle Cloudinary upload
     if (req.file) {
       if (!req.file.buffer || req.file.buffer.length === 0) {
@@ -90,6 +135,15 @@ exports.updateDoctor = async (req, res, next) => {
   try {
     const updateData = { ...req.body };
 
+    // The weekly schedule arrives as a JSON string when the doctor is sent as multipart form data
+    if (typeof updateData.schedule === 'string') {
+      try {
+        updateData.schedule = JSON.parse(updateData.schedule);
+      } catch (parseErr) {
+        return next(new ErrorResponse('Schedule must be a valid JSON array', 400));
+      }
+    }
+
     // If a new file was uploaded, handle Cloudinary upload and old image deletion
     if (req.file) {
       if (!req.file.buffer || req.file.buffer.length === 0) {
@@ -0,0 +1,92 @@
+// src/controllers/inventoryController.js
+// This file contains controller functions for inventory auditing, batches and reorder reporting.
+// It uses the InventoryService to abstract business logic.
+
+const inventoryService = require('../services/inventoryService'); // Import the InventoryService
+const reorderService = require('../services/reorderService'); // Import the ReorderService for stock reports
+
+// @desc    Get stock ledger entries (filter by medicine, order or reason)
+// @route   GET /api/v1/inventory/movements
+// @access  Private (Admin only)
+exports.getStockMovements = async (req, res, next) => {
+  try {
+    // Delegate to InventoryService, passing query parameters
+    const { count, data } = await inventoryService.getStockMovements(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the batches of a medicine (earliest expiry first)
+// @route   GET /api/v1/inventory/medicines/:medicineId/batches
+// @access  Private (Admin only)
+exports.getBatches = async (req, res, next) => {
+  try {
+    // Delegate to InventoryService, passing the medicine ID
+    const medicine = await inventoryService.getBatches(req.params.medicineId);
+
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Receive a new batch of a medicine
+// @route   POST /api/v1/inventory/medicines/:medicineId/batches
+// @access  Private (Admin only)
+exports.receiveBatch = async (req, res, next) => {
+  try {
+    // Delegate to InventoryService, passing the medicine ID, batch data and admin ID
+    const medicine = await inventoryService.receiveBatch(req.params.medicineId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Correct the quantity, expiry or cost price of a batch
+// @route   PUT /api/v1/inventory/medicines/:medicineId/batches/:batchId
+// @access  Private (Admin only)
+exports.adjustBatch = async (req, res, next) => {
+  try {
+    // Delegate to InventoryService, passing the medicine and batch IDs, update data and admin ID
+    const medicine = await inventoryService.adjustBatch(req.params.medicineId, req.params.batchId, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the reorder report (low-stock, out-of-stock and soon-to-expire medicines)
+// @route   GET /api/v1/inventory/reorder-report
+// @access  Private (Admin only)
+exports.getReorderReport = async (req, res, next) => {
+  try {
+    // Delegate to ReorderService
+    const report = await reorderService.getReorderReport();
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,97 @@
+// src/controllers/labTestController.js
+// This file contains controller functions for the test catalogues of labs.
+// It uses the LabTestService to abstract business logic.
+
+const labTestService = require('../services/labTestService'); // Import the LabTestService
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+
+// @desc    Get lab tests (of a lab, or of all labs)
+// @route   GET /api/v1/labs/:labId/tests
+// @route   GET /api/v1/lab-tests
+// @access  Public
+exports.getLabTests = async (req, res, next) => {
+  try {
+    // Delegate to LabTestService, passing query parameters and the lab ID (if any)
+    const { count, data } = await labTestService.getLabTests(req.query, req.params.labId);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single lab test
+// @route   GET /api/v1/lab-tests/:id
+// @access  Public
+exports.getLabTest = async (req, res, next) => {
+  try {
+    // Delegate to LabTestService
+    const labTest = await labTestService.getLabTest(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: labTest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add a test to a lab's catalogue
+// @route   POST /api/v1/labs/:labId/tests
+// @access  Private (Admin or the lab's own Lab Staff user)
+exports.addLabTest = async (req, res, next) => {
+  try {
+    if (!req.params.labId) {
+      return next(new ErrorResponse('Please specify the lab', 400));
+    }
+
+    // Delegate to LabTestService, passing lab ID, request body and authenticated user
+    const labTest = await labTestService.addLabTest(req.params.labId, req.body || {}, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: labTest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update lab test
+// @route   PUT /api/v1/lab-tests/:id
+// @access  Private (Admin or the lab's own Lab Staff user)
+exports.updateLabTest = async (req, res, next) => {
+  try {
+    // Delegate to LabTestService, passing ID, update data and authenticated user
+    const labTest = await labTestService.updateLabTest(req.params.id, req.body || {}, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: labTest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete lab test
+// @route   DELETE /api/v1/lab-tests/:id
+// @access  Private (Admin or the lab's own Lab Staff user)
+exports.deleteLabTest = async (req, res, next) => {
+  try {
+    // Delegate to LabTestService, passing ID and authenticated user
+    await labTestService.deleteLabTest(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -3,6 +3,7 @@
 // It now uses the MedicineService to abstract business logic and handles multiple image uploads to Cloudinary.
 
 const medicineService = require('../services/medicineService'); // Import the MedicineService
+const medicineCatalogueService = require('../services/medicineCatalogueService'); // CSV import and export of the catalogue
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
 const cloudinary = require('cloudinary').v2; // Import Cloudinary v2
 
@@ -20,6 +21,63 @@ const getPublicIdFromCloudinaryUrl = (url) => {
   return folderPath ? `${folderPath}/${publicId}` : publicId;
 };
 
+// Helper function to upload medicine images to Cloudinary, returning their URLs in upload order.
+// If one upload fails, the images already uploaded are deleted again.
+const uploadMedicineImages = async (files) => {
+  const imageUrls = [];
+  try {
+    for (const file of files) {
+      if (!file.buffer || file.buffer.length === 0) {
+        throw new ErrorResponse('Uploaded file buffer is empty or invalid.', 400);
+      }
+
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          { folder: 'kashmir-wellness/medicines', resource_type: 'image' }, // Specify folder for medicines
+          (error, result) => {
+            if (error) {
+              console.error('Cloudinary upload_stream callback error:', error);
+              return reject(new ErrorResponse('Image upload to Cloudinary failed', 500));
+            }
+            resolve(result);
+          }
+        ).end(file.buffer); // Pass the image buffer
+      });
+      imageUrls.push(result.secure_url);
+    }
+  } catch (err) {
+    await destroyMedicineImages(imageUrls);
+    throw err;
+  }
+  return imageUrls;
+};
+
+// Helper function to upload images and add them to a medicine's gallery (deleting them again if that fails)
+const addUploadedImages = async (medicineId, files, authUser) => {
+  const imageUrls = await uploadMedicineImages(files);
+  try {
+    return await medicineService.addImages(medicineId, imageUrls, authUser);
+  } catch (err) {
+    await destroyMedicineImages(imageUrls);
+    throw err;
+  }
+};
+
+// Helper function to delete medicine images from Cloudinary (placeholders and other hosts are skipped).
+// Failures are logged rather than thrown, as the medicine has already been updated.
+const destroyMedicineImages = async (imageUrls) => {
+  for (const imageUrl of imageUrls) {
+    const publicId = getPublicIdFromCloudinaryUrl(imageUrl);
+    if (!publicId) continue;
+    try {
+      const result = await cloudinary.uploader.destroy(publicId);
+      console.log(`Medicine image ${publicId} deleted from Cloudinary:`, result);
+    } catch (error) {
+      console.error(`Error deleting medicine image ${publicId} from Cloudinary:`, error);
+    }
+  }
+};
+
 
 // @desc    Get all medicines
 // @route   GET /api/v1/medicines
@@ -56,44 +114,96 @@ exports.getMedicine = async (req, res, next) => {
   }
 };
 
+// @desc    Get in-stock substitutes with the same composition
+// @route   GET /api/v1/medicines/:id/substitutes
+// @access  Public
+exports.getSubstitutes = async (req, res, next) => {
+  try {
+    // Delegate to MedicineService
+    const { count, data } = await medicineService.getSubstitutes(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Import medicines from a CSV file (creates new ones, updates existing ones by SKU or name)
+// @route   POST /api/v1/medicines/import
+// @access  Private (Admin only)
+exports.importMedicines = async (req, res, next) => {
+  try {
+    // A dry run validates every row without saving (?dryRun=true or a dryRun form field)
+    const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun)) === 'true';
+
+    // Delegate to MedicineCatalogueService, passing the uploaded file and authenticated user ID
+    const result = await medicineCatalogueService.importMedicines(req.file && req.file.buffer, { dryRun }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Export the (filtered) medicine catalogue as CSV
+// @route   GET /api/v1/medicines/export
+// @access  Private (Admin only)
+exports.exportMedicines = async (req, res, next) => {
+  try {
+    // Delegate to MedicineCatalogueService, passing query parameters
+    const { fileName, csv } = await medicineCatalogueService.exportMedicines(req.query);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+    res.status(200).send(csv);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Add new medicine
 // @route   POST /api/v1/medicines
 // @access  Private (Admin/Lab Staff only)
 exports.addMedicine = async (req, res, next) => {
   try {
     const medicineData = { ...req.body };
-    const imageUrls = [];
 
-    // If files were uploaded, handle Cloudinary upload for each
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        if (!file.buffer || file.buffer.length === 0) {
-          return next(new ErrorResponse('Uploaded file buffer is empty or invalid.', 400));
-        }
-
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload_stream(
-            { folder: 'kashmir-wellness/medicines', resource_type: 'image' }, // Specify folder for medicines
-            (error, result) => {
-              if (error) {
-                console.error('Cloudinary upload_stream callback error:', error);
-                reject(new ErrorResponse('Image upload to Cloudinary failed', 500));
-              }
-              resolve(result);
-            }
-          ).end(file.buffer); // Pass the image buffer
-        });
-        imageUrls.push(result.secure_url);
+    // Batches and the composition arrive as JSON strings when the medicine is sent as multipart form data
+    if (typeof medicineData.batches === 'string') {
+      try {
+        medicineData.batches = JSON.parse(medicineData.batches);
+      } catch (parseErr) {
+        return next(new ErrorResponse('Batches must be a valid JSON array', 400));
+      }
+    }
+    if (typeof medicineData.composition === 'string') {
+      try {
+        medicineData.composition = JSON.parse(medicineData.composition);
+      } catch (parseErr) {
+        return next(new ErrorResponse('Composition must be a valid JSON object', 400));
       }
-      medicineData.imageUrl = imageUrls; // Assign the array of URLs
-    } else {
-      // If no files are uploaded, ensure imageUrl is an empty array or default
-      medicineData.imageUrl = []; // Or set to default if your schema handles it
     }
 
+    // Upload the gallery images (if any) to Cloudinary; the first one is the primary image
+    medicineData.imageUrl = req.files && req.files.length > 0 ? await uploadMedicineImages(req.files) : [];
 
     // Delegate to MedicineService, passing medicine data and user ID
-    const medicine = await medicineService.addMedicine(medicineData, req.user.id);
+    let medicine;
+    try {
+      medicine = await medicineService.addMedicine(medicineData, req.user.id);
+    } catch (err) {
+      await destroyMedicineImages(medicineData.imageUrl); // Do not keep images of a medicine that was not created
+      throw err;
+    }
 
     res.status(201).json({
       success: true,
@@ -110,67 +220,98 @@ exports.addMedicine = async (req, res, next) => {
 exports.updateMedicine = async (req, res, next) => {
   try {
     const updateData = { ...req.body };
-    const newImageUrls = [];
 
-    // Get the current medicine to compare old images
-    const currentMedicine = await medicineService.getMedicine(req.params.id);
+    // The composition arrives as a JSON string when the medicine is sent as multipart form data
+    if (typeof updateData.composition === 'string') {
+      try {
+        updateData.composition = JSON.parse(updateData.composition);
+      } catch (parseErr) {
+        return next(new ErrorResponse('Composition must be a valid JSON object', 400));
+      }
+    }
+
+    // Delegate to MedicineService, passing ID, update data, and authenticated user
+    let medicine = await medicineService.updateMedicine(req.params.id, updateData, req.user);
 
-    // If new files were uploaded, handle Cloudinary upload for each
+    // Images uploaded with the update are added to the gallery (see the /images routes to remove or reorder them)
     if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        if (!file.buffer || file.buffer.length === 0) {
-          return next(new ErrorResponse('Uploaded file buffer is empty or invalid.', 400));
-        }
-
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload_stream(
-            { folder: 'kashmir-wellness/medicines', resource_type: 'image' },
-            (error, result) => {
-              if (error) {
-                console.error('Cloudinary upload_stream callback error:', error);
-                reject(new ErrorResponse('Image upload to Cloudinary failed', 500));
-              }
-              resolve(result);
-            }
-          ).end(file.buffer);
-        });
-        newImageUrls.push(result.secure_url);
-      }
-      updateData.imageUrl = newImageUrls; // Overwrite with new images
-    } else if (req.body.clearImages === 'true') {
-      // If clearImages flag is sent and no new files, set imageUrl to empty array
-      updateData.imageUrl = [];
-    } else if (req.body.keepExistingImages === 'true' && currentMedicine.imageUrl) {
-      // If keepExistingImages flag is sent and no new files, retain existing images
-      updateData.imageUrl = currentMedicine.imageUrl;
-    } else {
-      // If no new files and no explicit instruction to clear/keep, remove imageUrl from updateData
-      // This prevents accidentally overwriting existing images with an empty array if no files are sent
-      delete updateData.imageUrl;
+      medicine = await addUploadedImages(req.params.id, req.files, req.user);
     }
 
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Optional: Delete old images from Cloudinary if they were replaced or cleared
-    if (updateData.imageUrl && currentMedicine.imageUrl && currentMedicine.imageUrl.length > 0) {
-      const oldImageUrlsToDelete = currentMedicine.imageUrl.filter(oldUrl =>
-        !updateData.imageUrl.includes(oldUrl) // Delete if old URL is not in the new list
-      );
-
-      for (const oldUrl of oldImageUrlsToDelete) {
-        const publicId = getPublicIdFromCloudinaryUrl(oldUrl);
-        if (publicId) {
-          console.log(`Attempting to delete old Cloudinary medicine image with public_id: ${publicId}`);
-          await cloudinary.uploader.destroy(publicId, (error, result) => {
-            if (error) console.error('Error deleting old medicine image from Cloudinary:', error);
-            else console.log('Old medicine image deleted from Cloudinary:', result);
-          });
-        }
-      }
+// @desc    Add images to a medicine's gallery
+// @route   POST /api/v1/medicines/:id/images
+// @access  Private (Admin/Lab Staff only)
+exports.addMedicineImages = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return next(new ErrorResponse('Please upload at least one image', 400));
     }
 
+    // Check the user may edit the medicine before uploading anything
+    await medicineService.getEditableMedicine(req.params.id, req.user);
+    const medicine = await addUploadedImages(req.params.id, req.files, req.user);
 
-    // Delegate to MedicineService, passing ID, update data, and authenticated user
-    const medicine = await medicineService.updateMedicine(req.params.id, updateData, req.user);
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reorder a medicine's gallery (images left out are removed)
+// @route   PUT /api/v1/medicines/:id/images
+// @access  Private (Admin/Lab Staff only)
+exports.reorderMedicineImages = async (req, res, next) => {
+  try {
+    // Delegate to MedicineService, passing ID, the new order and authenticated user
+    const { medicine, removed } = await medicineService.setImages(req.params.id, req.body && req.body.images, req.user);
+    await destroyMedicineImages(removed);
+
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Make an image the primary image of a medicine
+// @route   PUT /api/v1/medicines/:id/images/primary
+// @access  Private (Admin/Lab Staff only)
+exports.setPrimaryMedicineImage = async (req, res, next) => {
+  try {
+    // Delegate to MedicineService
+    const medicine = await medicineService.setPrimaryImage(req.params.id, req.body && req.body.url, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: medicine,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove an image from a medicine's gallery
+// @route   DELETE /api/v1/medicines/:id/images
+// @access  Private (Admin/Lab Staff only)
+exports.deleteMedicineImage = async (req, res, next) => {
+  try {
+    // Delegate to MedicineService, then delete the image from Cloudinary
+    const { medicine, removed } = await medicineService.removeImage(req.params.id, req.body && req.body.url, req.user);
+    await destroyMedicineImages(removed);
 
     res.status(200).json({
       success: true,
@@ -192,21 +333,8 @@ exports.deleteMedicine = async (req, res, next) => {
     // Delegate to MedicineService, passing ID and authenticated user
     await medicineService.deleteMedicine(req.params.id, req.user);
 
-    // Optional: Delete images from Cloudinary after successful medicine deletion
-    if (medicineToDelete.imageUrl && medicineToDelete.imageUrl.length > 0) {
-      for (const imageUrl of medicineToDelete.imageUrl) {
-        if (imageUrl.includes('res.cloudinary.com')) {
-          const publicId = getPublicIdFromCloudinaryUrl(imageUrl);
-          if (publicId) {
-            console.log(`Attempting to delete Cloudinary medicine image on delete: ${publicId}`);
-            await cloudinary.uploader.destroy(publicId, (error, result) => {
-              if (error) console.error('Error deleting medicine image from Cloudinary on delete:', error);
-              else console.log('Medicine image deleted from Cloudinary on delete:', result);
-            });
-          }
-        }
-      }
-    }
+    // Delete the gallery images from Cloudinary after successful medicine deletion
+    await destroyMedicineImages(medicineToDelete.imageUrl || []);
 
     res.status(200).json({
       success: true,
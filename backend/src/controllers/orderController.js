@@ -3,7 +3,9 @@
 // It now uses the OrderService to abstract business logic.
 
 const orderService = require('../services/orderService'); // Import the OrderService
+const invoiceService = require('../services/invoiceService'); // Import the InvoiceService for PDF invoices
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const cloudinary = require('cloudinary').v2; // Import Cloudinary v2 for proof-of-delivery photos
 // APIFeatures is now used within the service, so it's not directly needed here
 // const APIFeatures = require('../utils/apiFeatures');
 
@@ -25,6 +27,23 @@ exports.createOrder = async (req, res, next) => {
   }
 };
 
+// @desc    Get a server-side price quote for the cart
+// @route   POST /api/v1/orders/quote
+// @access  Private (Authenticated users only)
+exports.quoteOrder = async (req, res, next) => {
+  try {
+    // Delegate to OrderService, passing request body with the order items (and optional coupon and PIN code) and user ID
+    const quote = await orderService.quoteOrder(req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: quote,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get all orders
 // @route   GET /api/v1/orders
 // @access  Private (Users can see their own, Admin can see all)
@@ -60,6 +79,25 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+// @desc    Download the PDF invoice of an order
+// @route   GET /api/v1/orders/:id/invoice
+// @access  Private (Order owner or Admin)
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    // Delegate to InvoiceService, passing ID and authenticated user
+    const { invoiceNumber, pdf } = await invoiceService.getInvoice(req.params.id, req.user);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Update order to paid
 // @route   PUT /api/v1/orders/:id/pay
 // @access  Private (Admin only, or payment gateway callback)
@@ -77,13 +115,102 @@ exports.updateOrderToPaid = async (req, res, next) => {
   }
 };
 
-// @desc    Update order to delivered
+// @desc    Mark order payment as failed (cancels the order and restocks its items)
+// @route   PUT /api/v1/orders/:id/payment-failed
+// @access  Private (Admin only, or payment gateway callback)
+exports.updateOrderPaymentFailed = async (req, res, next) => {
+  try {
+    // Delegate to OrderService, passing ID, payment result data, and authenticated user
+    const updatedOrder = await orderService.updateOrderPaymentFailed(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update order to delivered (optionally with a delivery photo and/or the customer's OTP)
 // @route   PUT /api/v1/orders/:id/deliver
-// @access  Private (Admin only)
+// @access  Private (Admin, or the assigned delivery agent)
 exports.updateOrderToDelivered = async (req, res, next) => {
+  let photoPublicId;
+  try {
+    // Check that the caller may deliver the order before anything is uploaded
+    await orderService.getDeliverableOrder(req.params.id, req.user, req.body.otp);
+
+    // Upload the proof-of-delivery photo, if one was sent
+    let photoUrl;
+    if (req.file) {
+      if (!req.file.buffer || req.file.buffer.length === 0) {
+        return next(new ErrorResponse('Uploaded file buffer is empty or invalid.', 400));
+      }
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          { folder: 'kashmir-wellness/deliveries', resource_type: 'image' }, // Specify folder for delivery photos
+          (error, result) => {
+            if (error) {
+              console.error('Cloudinary upload_stream callback error:', error);
+              return reject(new ErrorResponse('Delivery photo upload to Cloudinary failed', 500));
+            }
+            resolve(result);
+          }
+        ).end(req.file.buffer); // Pass the image buffer
+      });
+      photoUrl = result.secure_url;
+      photoPublicId = result.public_id;
+    }
+
+    // Delegate to OrderService, passing ID, authenticated user and the proof of delivery
+    const updatedOrder = await orderService.updateOrderToDelivered(req.params.id, req.user, {
+      photoUrl,
+      otp: req.body.otp,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    });
+  } catch (err) {
+    // The order was not marked as delivered (e.g., it changed after the check), so drop its photo
+    if (photoPublicId) {
+      try {
+        await cloudinary.uploader.destroy(photoPublicId);
+      } catch (error) {
+        console.error(`Error deleting delivery photo ${photoPublicId} from Cloudinary:`, error);
+      }
+    }
+    next(err);
+  }
+};
+
+// @desc    Assign a shipped order to a delivery agent
+// @route   PUT /api/v1/orders/:id/assign
+// @access  Private (Admin only)
+exports.assignDeliveryAgent = async (req, res, next) => {
+  try {
+    // Delegate to OrderService, passing ID, agent ID and authenticated user
+    const updatedOrder = await orderService.assignDeliveryAgent(req.params.id, req.body.agentId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Mark an assigned order as picked up (emails the customer their delivery OTP)
+// @route   PUT /api/v1/orders/:id/pickup
+// @access  Private (Assigned delivery agent)
+exports.markOrderPickedUp = async (req, res, next) => {
   try {
     // Delegate to OrderService, passing ID and authenticated user
-    const updatedOrder = await orderService.updateOrderToDelivered(req.params.id, req.user);
+    const updatedOrder = await orderService.markOrderPickedUp(req.params.id, req.user);
 
     res.status(200).json({
       success: true,
@@ -94,13 +221,49 @@ exports.updateOrderToDelivered = async (req, res, next) => {
   }
 };
 
+// @desc    Get the orders assigned to the logged-in delivery agent
+// @route   GET /api/v1/orders/assigned
+// @access  Private (Delivery agent only)
+exports.getAssignedOrders = async (req, res, next) => {
+  try {
+    // Delegate to OrderService, passing query parameters and authenticated user
+    const { count, data } = await orderService.getAssignedOrders(req.query, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get per-agent delivery stats
+// @route   GET /api/v1/orders/delivery-stats
+// @access  Private (Admin only)
+exports.getDeliveryStats = async (req, res, next) => {
+  try {
+    // Delegate to OrderService, passing query parameters (optional from/to dates)
+    const stats = await orderService.getDeliveryStats(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: stats.length,
+      data: stats,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Update order status (e.g., processing, shipped, cancelled)
 // @route   PUT /api/v1/orders/:id/status
 // @access  Private (Admin or User to cancel)
 exports.updateOrderStatus = async (req, res, next) => {
   try {
     // Delegate to OrderService, passing ID, new status, and authenticated user
-    const updatedOrder = await orderService.updateOrderStatus(req.params.id, req.body.orderStatus, req.user);
+    const updatedOrder = await orderService.updateOrderStatus(req.params.id, req.body.orderStatus, req.user, req.body.note);
 
     res.status(200).json({
       success: true,
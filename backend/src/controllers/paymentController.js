@@ -0,0 +1,81 @@
+// src/controllers/paymentController.js
+// This file contains controller functions for online payments.
+// It uses the PaymentService to abstract business logic.
+
+const paymentService = require('../services/paymentService'); // Import the PaymentService
+
+// @desc    Create a payment intent for an order
+// @route   POST /api/v1/payments/intent
+// @access  Private (Order owner only)
+exports.createPaymentIntent = async (req, res, next) => {
+  try {
+    // Delegate to PaymentService, passing the order ID and authenticated user
+    const { payment, clientSecret, provider } = await paymentService.createPaymentIntent(req.body.orderId, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        providerPaymentId: payment.providerPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        clientSecret,
+        provider,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Receive a signed payment provider webhook
+// @route   POST /api/v1/payments/webhook/:provider
+// @access  Public (verified by the provider's signature)
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    // Delegate to PaymentService, passing the raw body captured by express.json()
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Refund the online payment of an order
+// @route   POST /api/v1/payments/orders/:orderId/refund
+// @access  Private (Admin only)
+exports.refundOrder = async (req, res, next) => {
+  try {
+    // Delegate to PaymentService, passing the order ID
+    const payment = await paymentService.refundOrder(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Simulate the mock provider settling a payment (local testing only)
+// @route   POST /api/v1/payments/:id/mock-complete
+// @access  Private (Payment owner or Admin; disabled in production)
+exports.simulateMockPayment = async (req, res, next) => {
+  try {
+    // Delegate to PaymentService, passing the payment ID, desired outcome and authenticated user
+    const payment = await paymentService.simulateMockPayment(req.params.id, req.body.outcome, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
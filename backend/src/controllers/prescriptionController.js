@@ -0,0 +1,100 @@
+// src/controllers/prescriptionController.js
+// This file contains controller functions for prescription uploads and pharmacist verification.
+// It uses the PrescriptionService to abstract business logic and uploads documents to Cloudinary.
+
+const prescriptionService = require('../services/prescriptionService'); // Import the PrescriptionService
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const cloudinary = require('cloudinary').v2; // Import Cloudinary v2
+
+// @desc    Upload a prescription document (image or PDF)
+// @route   POST /api/v1/prescriptions
+// @access  Private
+exports.uploadPrescription = async (req, res, next) => {
+  try {
+    if (!req.file || !req.file.buffer || req.file.buffer.length === 0) {
+      return next(new ErrorResponse('Please upload a prescription file (image or PDF).', 400));
+    }
+
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        { folder: 'kashmir-wellness/prescriptions', resource_type: 'auto' }, // 'auto' accepts both images and PDFs
+        (error, result) => {
+          if (error) {
+            console.error('Cloudinary upload_stream callback error:', error);
+            return reject(new ErrorResponse('Prescription upload to Cloudinary failed', 500));
+          }
+          resolve(result);
+        }
+      ).end(req.file.buffer); // Pass the document buffer
+    });
+
+    // Delegate to PrescriptionService, passing the stored file details and user ID
+    const prescription = await prescriptionService.createPrescription({
+      fileUrl: result.secure_url,
+      publicId: result.public_id,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: prescription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single prescription
+// @route   GET /api/v1/prescriptions/:id
+// @access  Private (Owner, Pharmacist or Admin)
+exports.getPrescription = async (req, res, next) => {
+  try {
+    // Delegate to PrescriptionService
+    const prescription = await prescriptionService.getPrescription(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: prescription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get orders waiting for prescription verification
+// @route   GET /api/v1/prescriptions/queue
+// @access  Private (Pharmacist/Admin only)
+exports.getVerificationQueue = async (req, res, next) => {
+  try {
+    // Delegate to PrescriptionService, passing query parameters
+    const { count, data } = await prescriptionService.getVerificationQueue(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve or reject the prescription of an order
+// @route   PUT /api/v1/prescriptions/orders/:orderId/review
+// @access  Private (Pharmacist/Admin only)
+exports.reviewOrderPrescription = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+
+    // Delegate to PrescriptionService
+    const order = await prescriptionService.reviewOrderPrescription(req.params.orderId, decision, note, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
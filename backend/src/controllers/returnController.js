@@ -0,0 +1,108 @@
+// src/controllers/returnController.js
+// This file contains controller functions for returns of delivered orders.
+// It uses the ReturnService to abstract business logic.
+
+const returnService = require('../services/returnService'); // Import the ReturnService
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/v1/returns
+// @access  Private (Order owner only)
+exports.createReturnRequest = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService, passing request body and authenticated user
+    const returnRequest = await returnService.createReturnRequest(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get return requests
+// @route   GET /api/v1/returns
+// @access  Private (User can see their own, Admin can see all)
+exports.getReturnRequests = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService, passing query parameters and authenticated user
+    const { count, data } = await returnService.getReturnRequests(req.query, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Check which items of an order can be returned
+// @route   GET /api/v1/returns/orders/:orderId/eligibility
+// @access  Private (Order owner or Admin)
+exports.getReturnEligibility = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService
+    const eligibility = await returnService.getReturnEligibility(req.params.orderId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: eligibility,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single return request
+// @route   GET /api/v1/returns/:id
+// @access  Private (Owner or Admin)
+exports.getReturnRequest = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService
+    const returnRequest = await returnService.getReturnRequest(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve or reject a return request
+// @route   PUT /api/v1/returns/:id/review
+// @access  Private (Admin only)
+exports.reviewReturnRequest = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService, passing the decision and admin user
+    const returnRequest = await returnService.reviewReturnRequest(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Mark a manual (cash on delivery) refund as paid out
+// @route   PUT /api/v1/returns/:id/refund-complete
+// @access  Private (Admin only)
+exports.completeManualRefund = async (req, res, next) => {
+  try {
+    // Delegate to ReturnService, passing the payout reference
+    const returnRequest = await returnService.completeManualRefund(req.params.id, req.body.reference);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
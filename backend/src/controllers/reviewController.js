@@ -0,0 +1,105 @@
+// src/controllers/reviewController.js
+// This file contains controller functions for medicine reviews.
+// It uses the ReviewService to abstract business logic.
+
+const reviewService = require('../services/reviewService'); // Import the ReviewService
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+
+// @desc    Get reviews (of a medicine, or of all medicines)
+// @route   GET /api/v1/medicines/:medicineId/reviews
+// @route   GET /api/v1/reviews
+// @access  Public
+exports.getReviews = async (req, res, next) => {
+  try {
+    // Delegate to ReviewService, passing query parameters and the medicine ID (if any)
+    const { count, data } = await reviewService.getReviews(req.query, req.params.medicineId);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the authenticated user's review of a medicine and whether they may write one
+// @route   GET /api/v1/medicines/:medicineId/reviews/mine
+// @access  Private
+exports.getMyReview = async (req, res, next) => {
+  try {
+    if (!req.params.medicineId) {
+      return next(new ErrorResponse('Please specify the medicine', 400));
+    }
+
+    // Delegate to ReviewService
+    const { review, canReview } = await reviewService.getMyReview(req.params.medicineId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      canReview: canReview,
+      data: review,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Review a medicine the user has received
+// @route   POST /api/v1/medicines/:medicineId/reviews
+// @access  Private
+exports.createReview = async (req, res, next) => {
+  try {
+    if (!req.params.medicineId) {
+      return next(new ErrorResponse('Please specify the medicine', 400));
+    }
+
+    // Delegate to ReviewService, passing the medicine ID, request body and authenticated user ID
+    const { review, rating } = await reviewService.createReview(req.params.medicineId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      rating: rating, // The medicine's new average rating and review count
+      data: review,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Edit a review
+// @route   PUT /api/v1/reviews/:id
+// @access  Private (Author only)
+exports.updateReview = async (req, res, next) => {
+  try {
+    // Delegate to ReviewService, passing ID, request body and authenticated user
+    const { review, rating } = await reviewService.updateReview(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      rating: rating, // The medicine's new average rating and review count
+      data: review,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/v1/reviews/:id
+// @access  Private (Author or Admin)
+exports.deleteReview = async (req, res, next) => {
+  try {
+    // Delegate to ReviewService
+    const rating = await reviewService.deleteReview(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      rating: rating, // The medicine's new average rating and review count
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+};
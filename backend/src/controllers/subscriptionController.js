@@ -0,0 +1,142 @@
+// src/controllers/subscriptionController.js
+// This file contains controller functions for refill subscriptions.
+// It uses the SubscriptionService to abstract business logic.
+
+const subscriptionService = require('../services/subscriptionService'); // Import the SubscriptionService
+
+// @desc    Get refill subscriptions
+// @route   GET /api/v1/subscriptions
+// @access  Private (User can see their own, Admin can see all)
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService, passing query parameters and authenticated user
+    const { count, data } = await subscriptionService.getSubscriptions(req.query, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: count,
+      data: data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single refill subscription
+// @route   GET /api/v1/subscriptions/:id
+// @access  Private (Owner or Admin)
+exports.getSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService
+    const subscription = await subscriptionService.getSubscription(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Subscribe to regular refills of medicines
+// @route   POST /api/v1/subscriptions
+// @access  Private
+exports.createSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService, passing request body and authenticated user ID
+    const subscription = await subscriptionService.createSubscription(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the medicines, interval, address or payment method of a subscription
+// @route   PUT /api/v1/subscriptions/:id
+// @access  Private (Owner or Admin)
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService, passing subscription ID, request body and authenticated user
+    const subscription = await subscriptionService.updateSubscription(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Cancel a refill subscription
+// @route   DELETE /api/v1/subscriptions/:id
+// @access  Private (Owner or Admin)
+exports.cancelSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService
+    const subscription = await subscriptionService.cancelSubscription(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Pause a refill subscription
+// @route   PUT /api/v1/subscriptions/:id/pause
+// @access  Private (Owner or Admin)
+exports.pauseSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService
+    const subscription = await subscriptionService.pauseSubscription(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Resume a paused refill subscription
+// @route   PUT /api/v1/subscriptions/:id/resume
+// @access  Private (Owner or Admin)
+exports.resumeSubscription = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService
+    const subscription = await subscriptionService.resumeSubscription(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Skip the next refill of a subscription
+// @route   PUT /api/v1/subscriptions/:id/skip
+// @access  Private (Owner or Admin)
+exports.skipNextRefill = async (req, res, next) => {
+  try {
+    // Delegate to SubscriptionService
+    const subscription = await subscriptionService.skipNextRefill(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
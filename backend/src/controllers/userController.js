@@ -92,3 +92,72 @@ exports.updateDetails = async (req, res, next) => {
     next(err); // Pass error to the error handling middleware
   }
 };
+
+// @desc    Get the saved addresses of the logged in user
+// @route   GET /api/v1/users/me/addresses
+// @access  Private
+exports.getAddresses = async (req, res, next) => {
+  try {
+    // Delegate to UserService
+    const addresses = await userService.getAddresses(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: addresses.length,
+      data: addresses,
+    });
+  } catch (err) {
+    next(err); // Pass error to the error handling middleware
+  }
+};
+
+// @desc    Save a new address
+// @route   POST /api/v1/users/me/addresses
+// @access  Private
+exports.addAddress = async (req, res, next) => {
+  try {
+    // Delegate to UserService, passing the user ID and address data
+    const address = await userService.addAddress(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: address,
+    });
+  } catch (err) {
+    next(err); // Pass error to the error handling middleware
+  }
+};
+
+// @desc    Update a saved address
+// @route   PUT /api/v1/users/me/addresses/:addressId
+// @access  Private
+exports.updateAddress = async (req, res, next) => {
+  try {
+    // Delegate to UserService, passing the user ID, address ID and update data
+    const address = await userService.updateAddress(req.user.id, req.params.addressId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: address,
+    });
+  } catch (err) {
+    next(err); // Pass error to the error handling middleware
+  }
+};
+
+// @desc    Delete a saved address
+// @route   DELETE /api/v1/users/me/addresses/:addressId
+// @access  Private
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    // Delegate to UserService, passing the user ID and address ID
+    await userService.deleteAddress(req.user.id, req.params.addressId);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (err) {
+    next(err); // Pass error to the error handling middleware
+  }
+};
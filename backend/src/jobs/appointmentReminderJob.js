@@ -0,0 +1,45 @@
+// src/jobs/appointmentReminderJob.js
+// This file schedules appointment reminders: every few minutes (see config.appointments.reminderCheckMinutes)
+// the reminder emails that are due are sent. Reminders are stored in the database, so those that fell
+// due while the server was down are sent on the first run after it starts.
+
+const appointmentReminderService = require('../services/appointmentReminderService'); // Import the AppointmentReminderService
+const config = require('../config/config'); // Appointment reminder rules
+
+let timer = null;
+let running = false;
+
+/**
+ * @desc Run one reminder check, skipping it if the previous run is still busy
+ * @returns {Promise<void>}
+ */
+const runAppointmentReminderCheck = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { sent, failed } = await appointmentReminderService.sendDueReminders();
+    if (sent > 0 || failed > 0) {
+      console.log(`AppointmentReminderJob: Sent ${sent} reminder(s), ${failed} failed`);
+    }
+  } catch (err) {
+    // A failed run is retried on the next tick
+    console.error('AppointmentReminderJob: Reminder check failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * @desc Start the appointment reminder schedule (no-op if it is already running).
+ *       The first check runs right away to catch up on reminders missed during downtime.
+ */
+const startAppointmentReminderJob = () => {
+  if (timer) return;
+  const intervalMs = config.appointments.reminderCheckMinutes * 60 * 1000;
+  timer = setInterval(runAppointmentReminderCheck, intervalMs);
+  timer.unref(); // Do not keep the process alive just for this job
+  runAppointmentReminderCheck();
+  console.log(`AppointmentReminderJob: Checking appointment reminders every ${config.appointments.reminderCheckMinutes} minute(s)`);
+};
+
+module.exports = { startAppointmentReminderJob, runAppointmentReminderCheck };
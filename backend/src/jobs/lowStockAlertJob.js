@@ -0,0 +1,42 @@
+// src/jobs/lowStockAlertJob.js
+// This file schedules the low-stock alert: every few minutes (see config.inventory.lowStockCheckMinutes)
+// medicines at or below their reorder level are reported to the admins by email.
+
+const reorderService = require('../services/reorderService'); // Import the ReorderService
+const config = require('../config/config'); // Stock monitoring rules
+
+let timer = null;
+let running = false;
+
+/**
+ * @desc Run one low-stock check, skipping it if the previous run is still busy
+ * @returns {Promise<void>}
+ */
+const runLowStockCheck = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const count = await reorderService.sendLowStockAlerts();
+    if (count > 0) {
+      console.log(`LowStockAlertJob: Reported ${count} low-stock medicine(s) to admins`);
+    }
+  } catch (err) {
+    // A failed run is retried on the next tick
+    console.error('LowStockAlertJob: Low-stock check failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * @desc Start the low-stock alert schedule (no-op if it is already running)
+ */
+const startLowStockAlertJob = () => {
+  if (timer) return;
+  const intervalMs = config.inventory.lowStockCheckMinutes * 60 * 1000;
+  timer = setInterval(runLowStockCheck, intervalMs);
+  timer.unref(); // Do not keep the process alive just for this job
+  console.log(`LowStockAlertJob: Checking stock levels every ${config.inventory.lowStockCheckMinutes} minute(s)`);
+};
+
+module.exports = { startLowStockAlertJob, runLowStockCheck };
@@ -0,0 +1,43 @@
+// src/jobs/subscriptionJob.js
+// This file schedules refill subscriptions: every few minutes (see config.subscriptions.checkMinutes)
+// subscribers are reminded of upcoming refills and the refills that are due are placed as orders.
+
+const subscriptionService = require('../services/subscriptionService'); // Import the SubscriptionService
+const config = require('../config/config'); // Refill subscription rules
+
+let timer = null;
+let running = false;
+
+/**
+ * @desc Run one subscription check, skipping it if the previous run is still busy
+ * @returns {Promise<void>}
+ */
+const runSubscriptionCheck = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const reminders = await subscriptionService.sendRefillReminders();
+    const { placed, failed } = await subscriptionService.placeDueRefills();
+    if (reminders > 0 || placed > 0 || failed > 0) {
+      console.log(`SubscriptionJob: Sent ${reminders} reminder(s), placed ${placed} refill(s), ${failed} failed`);
+    }
+  } catch (err) {
+    // A failed run is retried on the next tick
+    console.error('SubscriptionJob: Subscription check failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * @desc Start the refill subscription schedule (no-op if it is already running)
+ */
+const startSubscriptionJob = () => {
+  if (timer) return;
+  const intervalMs = config.subscriptions.checkMinutes * 60 * 1000;
+  timer = setInterval(runSubscriptionCheck, intervalMs);
+  timer.unref(); // Do not keep the process alive just for this job
+  console.log(`SubscriptionJob: Checking refill subscriptions every ${config.subscriptions.checkMinutes} minute(s)`);
+};
+
+module.exports = { startSubscriptionJob, runSubscriptionCheck };
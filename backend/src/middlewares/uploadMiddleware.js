@@ -2,6 +2,8 @@
 // This file defines a middleware for handling file uploads using Multer.
 // It now configures memory storage and file filtering, and EXPORTS THE MULTER INSTANCE.
 // The actual .single() or .array() method will be called in the route files.
+// The default export accepts images only; `upload.documents` also accepts PDFs (e.g., prescriptions)
+// and `upload.csv` accepts CSV files (e.g., the medicine catalogue import).
 
 const multer = require('multer');
 const path = require('path'); // Node.js built-in module for path manipulation
@@ -12,12 +14,30 @@ const ErrorResponse = require('../utils/errorHandler'); // Custom error handler
 // which is suitable for direct upload to services like Cloudinary.
 const storage = multer.memoryStorage();
 
+// Accepted file types for each kind of upload
+const IMAGE_FILE_TYPES = {
+  mimeTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'],
+  extensions: ['.jpeg', '.jpg', '.png', '.gif'],
+  errorMessage: 'Only images (JPEG, JPG, PNG, GIF) are allowed!',
+};
+const DOCUMENT_FILE_TYPES = {
+  mimeTypes: [...IMAGE_FILE_TYPES.mimeTypes, 'application/pdf'],
+  extensions: [...IMAGE_FILE_TYPES.extensions, '.pdf'],
+  errorMessage: 'Only images (JPEG, JPG, PNG, GIF) and PDF documents are allowed!',
+};
+
+const CSV_FILE_TYPES = {
+  mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'], // Browsers report CSV files differently
+  extensions: ['.csv'],
+  errorMessage: 'Only CSV files are allowed!',
+};
+
 // Check file type
-function checkFileType(file, cb) {
+function checkFileType(file, cb, fileTypes) {
   // Allowed MIME types (exact match)
-  const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+  const allowedMimeTypes = fileTypes.mimeTypes;
   // Allowed extensions (exact match, lowercased)
-  const allowedExts = ['.jpeg', '.jpg', '.png', '.gif'];
+  const allowedExts = fileTypes.extensions;
 
   // Get the file's extension and MIME type
   const fileExt = path.extname(file.originalname).toLowerCase();
@@ -46,19 +66,28 @@ function checkFileType(file, cb) {
     console.log('--- ERROR PATH TAKEN: checkFileType rejected file ---');
     // --- END NEW DEBUGGING LOG ---
     // Pass an error if file type is not allowed
-    cb(new ErrorResponse('Only images (JPEG, JPG, PNG, GIF) are allowed!', 400));
+    cb(new ErrorResponse(fileTypes.errorMessage, 400));
   }
 }
 
-// Initialize Multer instance
-// This 'upload' variable will now be the Multer instance itself,
-// allowing you to call .single(), .array(), etc., on it in your route files.
-const upload = multer({
+// Create a Multer instance that accepts the given file types
+const createUpload = (fileTypes) => multer({
   storage: storage,
   limits: { fileSize: 1000000 * 5 }, // Max file size 5MB per file
   fileFilter: function(req, file, cb) {
-    checkFileType(file, cb);
+    checkFileType(file, cb, fileTypes);
   }
 });
 
+// Initialize Multer instance
+// This 'upload' variable will now be the Multer instance itself,
+// allowing you to call .single(), .array(), etc., on it in your route files.
+const upload = createUpload(IMAGE_FILE_TYPES);
+
+// Multer instance for documents (images or PDFs), e.g., upload.documents.single('prescription')
+upload.documents = createUpload(DOCUMENT_FILE_TYPES);
+
+// Multer instance for CSV files, e.g., upload.csv.single('file')
+upload.csv = createUpload(CSV_FILE_TYPES);
+
 module.exports = upload; // Export the configured multer instance
@@ -8,6 +8,32 @@
 
 const mongoose = require('mongoose');
 
+// A test booked with a lab appointment (a copy of the catalogue entry at booking time)
+const BookedTestSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LabTest',
+  },
+  name: { type: String, required: true },
+  code: { type: String, required: true },
+  price: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+// A time the appointment was moved away from
+const RescheduleSchema = new mongoose.Schema({
+  appointmentDate: { type: Date, required: true },
+  appointmentTime: { type: String, required: true },
+  endTime: { type: String },
+  rescheduledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  rescheduledAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const AppointmentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.ObjectId,
@@ -30,6 +56,9 @@ const AppointmentSchema = new mongoose.Schema({
     type: String, // Store as string (e.g., "10:00 AM", "14:30") for simplicity, or use Date for full timestamp
     required: [true, 'Please specify the appointment time'],
   },
+  endTime: {
+    type: String, // "HH:mm" end of the booked doctor's slot (older appointments do not have it)
+  },
   type: {
     type: String,
     enum: ['online', 'offline', 'lab'], // Online doctor, offline doctor, or lab appointment
@@ -52,6 +81,16 @@ const AppointmentSchema = new mongoose.Schema({
     // If lab is not required, it can be null
     default: null
   },
+  tests: [BookedTestSchema], // Tests of a lab appointment
+  totalPrice: {
+    type: Number, // Sum of the test prices of a lab appointment
+    min: 0,
+  },
+  rescheduleHistory: [RescheduleSchema], // Previous times, oldest first
+  slotReserved: {
+    type: Boolean, // Whether the appointment holds a place in its SlotReservation (only then is it given back)
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,52 @@
+// src/models/AppointmentReminder.js
+// This file defines the Mongoose schema for the AppointmentReminder model.
+// Each upcoming appointment gets one reminder email per offset in config.appointments.reminderHoursBefore.
+// Reminders are stored so they survive server restarts; the appointment reminder job sends the due ones,
+// and they are cancelled or replaced whenever the appointment is cancelled or rescheduled.
+
+const mongoose = require('mongoose');
+
+const AppointmentReminderSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment',
+    required: true,
+  },
+  hoursBefore: {
+    type: Number, // Offset of the reminder before the appointment starts
+    required: true,
+  },
+  sendAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number, // Send attempts so far
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date, // A 'sending' reminder whose run crashed can be claimed again after this time
+  },
+  sentAt: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One reminder per appointment, offset and start time (a rescheduled appointment gets new ones)
+AppointmentReminderSchema.index({ appointment: 1, hoursBefore: 1, sendAt: 1 }, { unique: true });
+// Finding the due reminders
+AppointmentReminderSchema.index({ status: 1, sendAt: 1 });
+
+module.exports = mongoose.model('AppointmentReminder', AppointmentReminderSchema);
@@ -0,0 +1,43 @@
+// src/models/Cart.js
+// This file defines the Mongoose schema for the Cart model.
+// Each user has one server-side cart so it follows them across devices and browsers.
+// Every line remembers the price the user last saw, so price changes can be flagged.
+
+const mongoose = require('mongoose');
+
+const CartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Cart must belong to a user'],
+    unique: true, // One cart per user
+  },
+  items: [
+    {
+      medicine: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Medicine',
+        required: true,
+      },
+      name: { type: String }, // Kept so a line can still be named if the medicine is deleted
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+      },
+      price: { type: Number }, // Unit price the user last saw for this line
+    },
+  ],
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Keep updatedAt current on every save
+CartSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Cart', CartSchema);
@@ -0,0 +1,31 @@
+// src/models/Counter.js
+// This file defines the Mongoose schema for the Counter model.
+// A counter is a named, atomically incremented sequence (e.g., 'invoice' for gap-free invoice numbers).
+
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Name of the sequence, e.g., 'invoice'
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * @desc Atomically increment a sequence and return its new value
+ * @param {string} name - Name of the sequence
+ * @returns {Promise<number>} The next value of the sequence
+ */
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
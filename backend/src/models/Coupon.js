@@ -0,0 +1,82 @@
+// src/models/Coupon.js
+// This file defines the Mongoose schema for the Coupon model.
+// Coupons drive promotions such as seasonal wellness campaigns: a percentage, flat or
+// free-shipping discount, optionally limited by order value, medicine category, per-user usage and dates.
+
+const mongoose = require('mongoose');
+const Medicine = require('./Medicine'); // Used to reuse the medicine category list
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true, // Coupon codes are unique (stored uppercase)
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code can not be more than 30 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description can not be more than 200 characters'],
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_shipping'],
+    required: [true, 'Please specify the discount type'],
+  },
+  discountValue: {
+    type: Number, // Percent for 'percentage', ₹ amount for 'flat', ignored for 'free_shipping'
+    default: 0,
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function (value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount can not be more than 100',
+    },
+  },
+  maxDiscount: {
+    type: Number, // Optional cap (₹) for percentage discounts
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null,
+  },
+  minOrderValue: {
+    type: Number, // Minimum items price (₹) required to use the coupon
+    min: [0, 'Minimum order value cannot be negative'],
+    default: 0,
+  },
+  categories: {
+    type: [String], // When set, the discount only applies to medicines in these categories
+    enum: Medicine.schema.path('category').enumValues,
+    default: [],
+  },
+  usageLimitPerUser: {
+    type: Number, // How many (non-cancelled) orders a user may place with this coupon; null = unlimited
+    min: [1, 'Usage limit must be at least 1'],
+    default: 1,
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Reference to the admin who created this coupon
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+});
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,65 @@
+// src/models/CouponUsage.js
+// This file defines the Mongoose schema for the CouponUsage model.
+// A usage counts the (non-cancelled) orders a user has placed with one coupon.
+// The unique index plus a conditional increment keep the count within the coupon's per-user limit
+// even when the same user checks out several orders at the same moment (see claim).
+
+const mongoose = require('mongoose');
+
+const CouponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  count: {
+    type: Number, // Orders placed with the coupon that were not cancelled
+    default: 0,
+    min: 0,
+  },
+});
+
+// One usage counter per user and coupon
+CouponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+/**
+ * @desc Atomically use a coupon once more if the user is still within its limit
+ * @param {string} couponId - The ID of the coupon
+ * @param {string} userId - The ID of the user
+ * @param {number} limit - Most orders the user may place with the coupon
+ * @returns {Promise<boolean>} Whether the use was counted
+ */
+CouponUsageSchema.statics.claim = async function (couponId, userId, limit) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const usage = await this.findOneAndUpdate(
+        { coupon: couponId, user: userId, count: { $lt: limit } },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      return Boolean(usage);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // The insert collided with an existing counter: either the limit is reached, or another request
+      // created the counter at the same moment. Try once more to tell the two apart.
+    }
+  }
+  return false;
+};
+
+/**
+ * @desc Give back one use of a coupon (the count never drops below zero)
+ * @param {string} couponId - The ID of the coupon
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+CouponUsageSchema.statics.release = async function (couponId, userId) {
+  await this.updateOne({ coupon: couponId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+module.exports = mongoose.model('CouponUsage', CouponUsageSchema);
@@ -0,0 +1,61 @@
+// src/models/DeliveryZone.js
+// This file defines the Mongoose schema for the DeliveryZone model.
+// We only deliver to some parts of the valley: a zone lists the PIN codes it serves,
+// along with the shipping fee, free-shipping threshold and estimated delivery time there.
+
+const mongoose = require('mongoose');
+
+const PIN_CODE_PATTERN = /^[1-9][0-9]{5}$/; // 6-digit Indian PIN code
+
+const DeliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a zone name'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Zone name can not be more than 100 characters'],
+  },
+  pinCodes: {
+    type: [String], // A PIN code belongs to at most one zone (checked by the DeliveryService)
+    validate: [
+      {
+        validator: (pinCodes) => pinCodes.length > 0,
+        message: 'Please add at least one PIN code',
+      },
+      {
+        validator: (pinCodes) => pinCodes.every((pin) => PIN_CODE_PATTERN.test(pin)),
+        message: 'PIN codes must be 6 digits',
+      },
+    ],
+  },
+  shippingFee: {
+    type: Number, // ₹ charged for orders below the free-shipping threshold
+    required: [true, 'Please add a shipping fee'],
+    min: [0, 'Shipping fee cannot be negative'],
+  },
+  freeShippingThreshold: {
+    type: Number, // Free shipping above this items price (₹); null = never free
+    min: [0, 'Free-shipping threshold cannot be negative'],
+    default: null,
+  },
+  estimatedDeliveryDays: {
+    type: Number,
+    required: [true, 'Please add the estimated delivery days'],
+    min: [0, 'Estimated delivery days cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// PIN code lookups at checkout
+DeliveryZoneSchema.index({ pinCodes: 1 });
+
+DeliveryZoneSchema.statics.PIN_CODE_PATTERN = PIN_CODE_PATTERN;
+
+module.exports = mongoose.model('DeliveryZone', DeliveryZoneSchema);
@@ -1,8 +1,45 @@
 // src/models/Doctor.js
 // This file defines the Mongoose schema and model for Doctor profiles.
+// The weekly schedule (weekday, start/end time, slot length, online or at the clinic) defines the
+// slots patients can book; see DoctorService.getAvailableSlots.
 
 const mongoose = require('mongoose');
 const validator = require('validator'); // For email validation
+const config = require('../config/config'); // Appointment slot rules
+const { TIME_PATTERN, isValidSchedule } = require('../utils/schedule'); // Weekly schedule helpers
+
+const { defaultSlotMinutes, minSlotMinutes, maxSlotMinutes } = config.appointments;
+
+// One weekly consultation window, e.g., Mondays 09:00-13:00 at the clinic in 30-minute slots
+const ScheduleSchema = new mongoose.Schema({
+  weekday: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: [true, 'Please add the weekday of the schedule'],
+    min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+  },
+  startTime: {
+    type: String, // "HH:mm", local time
+    required: [true, 'Please add the start time of the schedule'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+  },
+  endTime: {
+    type: String, // "HH:mm", local time
+    required: [true, 'Please add the end time of the schedule'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+  },
+  slotMinutes: {
+    type: Number,
+    default: defaultSlotMinutes,
+    min: [minSlotMinutes, `Slots must be at least ${minSlotMinutes} minutes`],
+    max: [maxSlotMinutes, `Slots can not be longer than ${maxSlotMinutes} minutes`],
+  },
+  locationType: {
+    type: String,
+    enum: ['online', 'clinic'], // Online consultation or a visit at the clinic
+    default: 'clinic',
+  },
+}, { _id: false });
 
 const DoctorSchema = new mongoose.Schema({
   user: { // Link to the User model (for authentication and basic user info)
@@ -68,9 +105,17 @@ const DoctorSchema = new mongoose.Schema({
     default: '/uploads/default-doctor.jpg', // Default image path
   },
   availability: {
-    type: [String], // e.g., ['Monday', 'Wednesday', 'Friday'] or ['9 AM - 1 PM', '3 PM - 7 PM']
+    type: [String], // Free-text notes, e.g., ['Closed on public holidays']; bookable times come from the schedule
     required: false,
   },
+  schedule: {
+    type: [ScheduleSchema],
+    default: [],
+    validate: {
+      validator: isValidSchedule,
+      message: 'Each schedule entry must end at least one slot after it starts, and entries on the same weekday must not overlap',
+    },
+  },
   averageRating: {
     type: Number,
     default: 0,
@@ -2,8 +2,10 @@
 // This file defines the Mongoose schema for the Lab model.
 // It includes fields for lab details, services offered, and contact information.
 // NEW: Added location field for precise coordinates.
+// slotCapacity limits how many patients can book the same lab slot (day and time).
 
 const mongoose = require('mongoose');
+const config = require('../config/config'); // Appointment slot rules
 
 const LabSchema = new mongoose.Schema({
   name: {
@@ -38,6 +40,11 @@ const LabSchema = new mongoose.Schema({
     type: String, // e.g., "Mon-Sat: 9 AM - 6 PM"
     maxlength: [100, 'Operating hours can not be more than 100 characters'],
   },
+  slotCapacity: {
+    type: Number, // Patients who can book the same slot (e.g., several sample collection counters)
+    min: [1, 'Slot capacity must be at least 1'],
+    default: () => config.appointments.labSlotCapacity,
+  },
   // NEW: Add location field for precise coordinates
   location: {
     type: {
@@ -0,0 +1,58 @@
+// src/models/LabTest.js
+// This file defines the Mongoose schema for the LabTest model.
+// Each lab keeps its own catalogue of tests with prices; patients pick tests from it when booking
+// a lab appointment, and the appointment keeps a copy of each test's name, code and price.
+
+const mongoose = require('mongoose');
+
+const LabTestSchema = new mongoose.Schema({
+  lab: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab test must belong to a lab'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a test name'],
+    trim: true,
+    maxlength: [100, 'Test name can not be more than 100 characters'],
+  },
+  code: {
+    type: String, // Short code of the test, e.g., "CBC"
+    required: [true, 'Please add a test code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Test code can not be more than 20 characters'],
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add a test price'],
+    min: [0, 'Test price cannot be negative'],
+  },
+  sampleType: {
+    type: String, // e.g., "Blood", "Urine", "None" for imaging
+    trim: true,
+    maxlength: [50, 'Sample type can not be more than 50 characters'],
+  },
+  turnaroundHours: {
+    type: Number, // Hours until the report is ready
+    min: [0, 'Turnaround time cannot be negative'],
+  },
+  preparation: {
+    type: String, // Instructions for the patient, e.g., "Fast for 10-12 hours"
+    trim: true,
+    maxlength: [500, 'Preparation instructions can not be more than 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+  },
+});
+
+// Test codes are unique within a lab
+LabTestSchema.index({ lab: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('LabTest', LabTestSchema);
@@ -2,8 +2,84 @@
 // This file defines the Mongoose schema for the Medicine model.
 // It includes fields for medicine details, stock, price, and category,
 // and now an array of imageUrls for their profile pictures, ready for Cloudinary.
+// Stock is tracked per batch (each with its own expiry date); the medicine's stock
+// and expirationDate are derived from the batches that have not expired yet.
+// The composition (active ingredients, strengths, dosage form, pack size) is used to
+// suggest generic substitutes: medicines with the same compositionKey.
+// averageRating and numOfReviews summarise the customer reviews (see the Review model).
 
 const mongoose = require('mongoose');
+const config = require('../config/config'); // Inventory defaults (reorder level)
+
+// Shown until a medicine has images of its own
+const PLACEHOLDER_IMAGE = 'https://placehold.co/400x300/E0F2F7/000000?text=Medicine';
+
+// Categories that can only be sold against a prescription unless an admin explicitly says otherwise
+const PRESCRIPTION_CATEGORIES = ['Antibiotics'];
+
+// Dosage forms and strength units of the structured composition
+const DOSAGE_FORMS = [
+  'Tablet',
+  'Capsule',
+  'Syrup',
+  'Suspension',
+  'Injection',
+  'Cream',
+  'Ointment',
+  'Gel',
+  'Drops',
+  'Inhaler',
+  'Powder',
+  'Other',
+];
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'ml', 'IU', '%'];
+
+// An active ingredient (salt) and its strength per unit, e.g., Metformin 500 mg
+const IngredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add the active ingredient name'],
+    trim: true,
+    maxlength: [100, 'Active ingredient name can not be more than 100 characters'],
+  },
+  strength: {
+    type: Number,
+    required: [true, 'Please add the active ingredient strength'],
+    min: [0, 'Strength cannot be negative'],
+  },
+  unit: {
+    type: String,
+    enum: STRENGTH_UNITS,
+    default: 'mg',
+  },
+}, { _id: false });
+
+// A delivery of a medicine with a single batch number and expiry date
+const BatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: [true, 'Please add a batch number'],
+    trim: true,
+    maxlength: [50, 'Batch number can not be more than 50 characters'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please add the batch quantity'],
+    min: [0, 'Batch quantity cannot be negative'],
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Please add the batch expiry date'],
+  },
+  costPrice: {
+    type: Number, // Purchase price per unit (for margin reporting)
+    min: [0, 'Cost price cannot be negative'],
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const MedicineSchema = new mongoose.Schema({
   name: {
@@ -13,6 +89,14 @@ const MedicineSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Medicine name can not be more than 100 characters'],
   },
+  sku: {
+    type: String, // Stock keeping unit, e.g., from the supplier's catalogue (optional; used to match CSV imports)
+    unique: true,
+    sparse: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU can not be more than 50 characters'],
+  },
   description: {
     type: String,
     required: [true, 'Please add a description'],
@@ -24,11 +108,15 @@ const MedicineSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative'],
   },
   stock: {
-    type: Number,
-    required: [true, 'Please add stock quantity'],
+    type: Number, // Derived: total quantity of the batches that have not expired (see syncStockFromBatches)
     min: [0, 'Stock cannot be negative'],
     default: 0,
   },
+  batches: {
+    type: [BatchSchema],
+    default: [],
+    select: false, // Batch details (incl. cost prices) are only loaded by the inventory code
+  },
   category: {
     type: String,
     required: [true, 'Please add a category'],
@@ -44,17 +132,57 @@ const MedicineSchema = new mongoose.Schema({
     ],
     default: 'Other',
   },
+  reorderLevel: {
+    type: Number, // Admins are alerted when stock falls to or below this level
+    min: [0, 'Reorder level cannot be negative'],
+    default: () => config.inventory.defaultReorderLevel,
+  },
+  lowStockAlertedAt: {
+    type: Date, // When admins were last alerted about low stock; cleared once stock is above the reorder level again
+    select: false,
+  },
+  requiresPrescription: {
+    type: Boolean, // Prescription-only (Rx) medicines need a verified prescription before the order is processed
+    default: function () {
+      return PRESCRIPTION_CATEGORIES.includes(this.category);
+    },
+  },
   imageUrl: {
-    type: [String], // Changed to an array of Strings for multiple images
-    default: ['https://placehold.co/400x300/E0F2F7/000000?text=Medicine'], // Default now an array with one placeholder
+    type: [String], // Gallery images in display order; the first is the primary image shown in listings
+    default: [PLACEHOLDER_IMAGE], // Default now an array with one placeholder
   },
   manufacturer: {
     type: String,
     maxlength: [100, 'Manufacturer name can not be more than 100 characters'],
   },
+  composition: {
+    activeIngredients: {
+      type: [IngredientSchema],
+      default: [],
+    },
+    dosageForm: {
+      type: String,
+      enum: DOSAGE_FORMS,
+    },
+    packSize: {
+      type: Number, // Units per pack (tablets, capsules, ml, ...); substitutes are compared per unit
+      min: [1, 'Pack size must be at least 1'],
+    },
+  },
+  compositionKey: {
+    type: String, // Derived from the composition (see getCompositionKey); null if it is not filled in
+    default: null,
+  },
   expirationDate: {
-    type: Date,
-    // You might want to add validation here to ensure it's a future date
+    type: Date, // Derived: earliest expiry date of the sellable batches
+  },
+  averageRating: {
+    type: Number, // Derived: average review rating (0 until the first review)
+    default: 0,
+  },
+  numOfReviews: {
+    type: Number, // Derived: number of reviews
+    default: 0,
   },
   createdAt: {
     type: Date,
@@ -68,4 +196,61 @@ const MedicineSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * @desc Batches that can still be sold, in first-expiry-first-out order
+ * @param {Date} [now] - Reference time; batches expiring at or before it are excluded
+ * @returns {Array<Object>} Unexpired batches with stock left, earliest expiry first
+ */
+MedicineSchema.methods.getSellableBatches = function (now = new Date()) {
+  return (this.batches || [])
+    .filter((batch) => batch.quantity > 0 && batch.expiryDate > now)
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+/**
+ * @desc Recalculate stock and expirationDate from the sellable batches
+ * @param {Date} [now] - Reference time
+ */
+MedicineSchema.methods.syncStockFromBatches = function (now = new Date()) {
+  const sellable = this.getSellableBatches(now);
+  this.stock = sellable.reduce((acc, batch) => acc + batch.quantity, 0);
+  this.expirationDate = sellable.length > 0 ? sellable[0].expiryDate : undefined;
+};
+
+/**
+ * @desc Key shared by medicines with identical composition: the same active ingredients at the
+ *       same strengths, in the same dosage form (pack sizes may differ)
+ * @param {Object} [composition] - { activeIngredients, dosageForm }
+ * @returns {string|null} The key, or null if the ingredients or dosage form are missing
+ */
+MedicineSchema.statics.getCompositionKey = function (composition) {
+  if (!composition || !composition.dosageForm || !composition.activeIngredients || composition.activeIngredients.length === 0) {
+    return null;
+  }
+  const ingredients = composition.activeIngredients
+    .map((ingredient) => `${String(ingredient.name).trim().toLowerCase()}:${Number(ingredient.strength)}${ingredient.unit || 'mg'}`)
+    .sort();
+  return `${ingredients.join('+')}|${composition.dosageForm.toLowerCase()}`;
+};
+
+// Keep the derived fields in sync whenever the batches or composition are saved with the document
+MedicineSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('batches')) {
+    this.syncStockFromBatches();
+  }
+  if (this.isNew || this.isModified('composition')) {
+    this.compositionKey = this.constructor.getCompositionKey(this.composition);
+  }
+  next();
+});
+
+// Substitute lookups
+MedicineSchema.index({ compositionKey: 1, stock: 1 });
+// Listings sorted by rating
+MedicineSchema.index({ averageRating: -1, numOfReviews: -1 });
+
+MedicineSchema.statics.PLACEHOLDER_IMAGE = PLACEHOLDER_IMAGE;
+MedicineSchema.statics.DOSAGE_FORMS = DOSAGE_FORMS;
+MedicineSchema.statics.STRENGTH_UNITS = STRENGTH_UNITS;
+
 module.exports = mongoose.model('Medicine', MedicineSchema);
@@ -21,13 +21,61 @@ const OrderSchema = new mongoose.Schema({
         ref: 'Medicine',
         required: true,
       },
+      requiresPrescription: { type: Boolean, default: false }, // Rx item at the time of ordering
+      // Batches the quantity was allocated from (first-expiry-first-out)
+      batches: [
+        {
+          batch: { type: mongoose.Schema.ObjectId }, // ID of the batch within the medicine
+          batchNumber: { type: String },
+          expiryDate: { type: Date },
+          quantity: { type: Number },
+        },
+      ],
     },
   ],
+  // Prescription uploaded for orders that contain Rx items
+  prescription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Prescription',
+  },
+  prescriptionStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'approved', 'rejected'], // 'pending' orders wait in the pharmacist verification queue
+    default: 'not_required',
+  },
+  prescriptionReview: {
+    reviewedBy: { type: mongoose.Schema.ObjectId, ref: 'User' }, // Pharmacist who reviewed the prescription
+    reviewedAt: { type: Date },
+    note: { type: String, maxlength: [500, 'Review note can not be more than 500 characters'] },
+  },
+  // Snapshot of the delivery address at the time of ordering (later address book edits do not change it)
   shippingAddress: {
     address: { type: String, required: true },
     city: { type: String, required: true },
     postalCode: { type: String, required: true },
     country: { type: String, required: true },
+    label: { type: String },
+    recipient: { type: String },
+    phone: { type: String },
+    district: { type: String },
+    state: { type: String },
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+    savedAddress: { type: mongoose.Schema.ObjectId }, // Address book entry the snapshot was taken from
+  },
+  // Refill subscription that placed this order automatically (null for regular orders)
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription',
+    default: null,
+  },
+  // Delivery zone that serves the shipping address (a snapshot, like the coupon below)
+  delivery: {
+    zone: { type: mongoose.Schema.ObjectId, ref: 'DeliveryZone' },
+    name: { type: String },
+    estimatedDeliveryDays: { type: Number },
   },
   paymentMethod: {
     type: String,
@@ -41,11 +89,35 @@ const OrderSchema = new mongoose.Schema({
     update_time: { type: String },
     email_address: { type: String },
   },
+  itemsPrice: {
+    type: Number,
+    required: true,
+    default: 0.0,
+  },
+  // Coupon applied to this order (a snapshot, so later coupon edits do not change past orders)
+  coupon: {
+    coupon: { type: mongoose.Schema.ObjectId, ref: 'Coupon' },
+    code: { type: String },
+    discountType: { type: String },
+    discountValue: { type: Number },
+  },
+  discountPrice: {
+    type: Number, // Coupon discount on the items (the tax is charged on the items price less this)
+    required: true,
+    default: 0.0,
+  },
+  shippingDiscount: {
+    type: Number, // Shipping fee waived by a free-shipping coupon (shippingPrice is what was charged)
+    default: 0.0,
+  },
   taxPrice: {
     type: Number,
     required: true,
     default: 0.0,
   },
+  taxRate: {
+    type: Number, // Tax rate the order was priced at (e.g., 0.18), printed on the invoice
+  },
   shippingPrice: {
     type: Number,
     required: true,
@@ -64,6 +136,13 @@ const OrderSchema = new mongoose.Schema({
   paidAt: {
     type: Date,
   },
+  isRefunded: {
+    type: Boolean,
+    default: false,
+  },
+  refundedAt: {
+    type: Date,
+  },
   isDelivered: {
     type: Boolean,
     required: true,
@@ -72,15 +151,83 @@ const OrderSchema = new mongoose.Schema({
   deliveredAt: {
     type: Date,
   },
+  // Dispatch: the delivery agent an admin assigned the shipped order to, and the proof of delivery
+  dispatch: {
+    agent: { type: mongoose.Schema.ObjectId, ref: 'User', default: null },
+    assignedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    assignedAt: { type: Date },
+    pickedUpAt: { type: Date, default: null },
+    deliveredBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    // One-time code the customer gives the agent at the door (shown only to the customer)
+    deliveryOtp: { type: String, select: false },
+    proofOfDelivery: {
+      photoUrl: { type: String },
+      otpVerified: { type: Boolean, default: false },
+      note: {
+        type: String,
+        maxlength: [200, 'Delivery note can not be more than 200 characters'],
+      },
+    },
+  },
+  // Set once the order's items have been returned to inventory (cancellation, deletion or failed payment)
+  // Guards against restocking the same order more than once
+  stockRestored: {
+    type: Boolean,
+    default: false,
+  },
+  stockRestoredAt: {
+    type: Date,
+  },
+  // Set once the order's coupon use has been given back to the user (cancellation or deletion)
+  // Guards against giving it back more than once
+  couponReleased: {
+    type: Boolean,
+    default: false,
+  },
+  // State of the latest return request for this order (used to filter orders by return state)
+  returnStatus: {
+    type: String,
+    enum: ['none', 'requested', 'approved', 'rejected'],
+    default: 'none',
+  },
+  // Sequential invoice number, assigned the first time the invoice is downloaded
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true, // Orders without an invoice have no number
+  },
+  invoicedAt: {
+    type: Date,
+  },
   orderStatus: {
     type: String,
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending',
   },
+  // Timeline of every status change (see utils/orderStateMachine.js for allowed transitions)
+  statusHistory: [
+    {
+      status: { type: String, required: true }, // Status the order moved to
+      fromStatus: { type: String, default: null }, // Status the order moved from (null for the initial entry)
+      changedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        default: null, // Null when the change was made by the system (e.g., a payment webhook)
+      },
+      note: {
+        type: String,
+        maxlength: [200, 'Status note can not be more than 200 characters'],
+      },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Agents' assigned orders and per-agent delivery stats
+OrderSchema.index({ 'dispatch.agent': 1, orderStatus: 1 });
+
 module.exports = mongoose.model('Order', OrderSchema);
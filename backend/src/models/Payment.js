@@ -0,0 +1,79 @@
+// src/models/Payment.js
+// This file defines the Mongoose schema for the Payment model.
+// A payment tracks one payment intent created with a payment provider for an order,
+// and its lifecycle through success, failure and refund.
+
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Payment must belong to an order'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Payment must belong to a user'],
+  },
+  provider: {
+    type: String,
+    required: [true, 'Please specify the payment provider'],
+  },
+  providerPaymentId: {
+    type: String, // Payment intent ID at the provider
+    required: [true, 'Please specify the provider payment ID'],
+  },
+  clientSecret: {
+    type: String, // Secret the browser uses to confirm the intent with the provider
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please specify the payment amount'],
+    min: [0, 'Amount cannot be negative'],
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment', 'succeeded', 'failed', 'refunded'],
+    default: 'requires_payment',
+  },
+  failureReason: {
+    type: String,
+  },
+  refundId: {
+    type: String, // Refund ID at the provider
+  },
+  refundedAmount: {
+    type: Number, // Total refunded so far (partial and full refunds)
+    default: 0,
+  },
+  // Partial refunds (e.g., for returned items); the payment stays 'succeeded' until it is fully refunded
+  partialRefunds: [
+    {
+      refundId: { type: String }, // Refund ID at the provider
+      amount: { type: Number },
+      refundedAt: { type: Date, default: Date.now },
+    },
+  ],
+  refundedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A provider payment ID identifies exactly one payment
+PaymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+PaymentSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,34 @@
+// src/models/Prescription.js
+// This file defines the Mongoose schema for the Prescription model.
+// A prescription is a document (image or PDF) uploaded by a patient at checkout;
+// orders containing prescription-only medicines reference it for pharmacist verification.
+
+const mongoose = require('mongoose');
+
+const PrescriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Prescription must belong to a user'],
+  },
+  fileUrl: {
+    type: String, // Cloudinary URL of the uploaded document
+    required: [true, 'Please upload a prescription document'],
+  },
+  publicId: {
+    type: String, // Cloudinary public ID (used to delete the file)
+  },
+  fileName: {
+    type: String, // Original file name as uploaded
+    maxlength: [200, 'File name can not be more than 200 characters'],
+  },
+  mimeType: {
+    type: String, // e.g., 'application/pdf' or 'image/jpeg'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('Prescription', PrescriptionSchema);
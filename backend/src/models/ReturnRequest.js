@@ -0,0 +1,75 @@
+// src/models/ReturnRequest.js
+// This file defines the Mongoose schema for the ReturnRequest model.
+// A return request lists the delivered items (and quantities) a customer wants to send back.
+// An admin approves or rejects it; approved returns restock the restockable items and record
+// a refund linked to the order's original payment (paymentResult).
+
+const mongoose = require('mongoose');
+
+const ReturnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Return request must belong to an order'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Return request must belong to a user'],
+  },
+  items: [
+    {
+      orderItem: { type: mongoose.Schema.ObjectId, required: true }, // _id of the line in order.orderItems
+      medicine: { type: mongoose.Schema.ObjectId, ref: 'Medicine', required: true },
+      name: { type: String, required: true },
+      quantity: { type: Number, required: true, min: [1, 'Return quantity must be at least 1'] },
+      price: { type: Number, required: true }, // Unit price paid
+      restock: { type: Boolean, default: false }, // Whether the item went back into inventory (set on approval)
+    },
+  ],
+  reason: {
+    type: String,
+    enum: ['damaged', 'wrong_item', 'expired', 'not_needed', 'other'],
+    required: [true, 'Please select a reason for the return'],
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Comment can not be more than 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected'],
+    default: 'requested',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  adminNote: {
+    type: String,
+    maxlength: [500, 'Note can not be more than 500 characters'],
+  },
+  // Refund issued for an approved return
+  refund: {
+    amount: { type: Number },
+    method: { type: String, enum: ['original_payment', 'manual'] }, // Online payments are refunded to the original payment; COD is paid back manually
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'] },
+    refundId: { type: String }, // Refund ID at the provider, or a manual reference
+    paymentResultId: { type: String }, // order.paymentResult.id of the original payment
+    refundedAt: { type: Date },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ReturnRequestSchema.index({ order: 1 });
+// At most one request per order is being reviewed at a time, even if two are submitted at the same moment
+ReturnRequestSchema.index({ order: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'requested' } });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,76 @@
+// src/models/Review.js
+// This file defines the Mongoose schema for the Review model.
+// Customers rate and review a medicine once they have received it (a delivered order containing it);
+// each user can review a medicine once. The medicine's averageRating and numOfReviews are kept
+// in sync by updateMedicineRating whenever a review is added, edited or deleted.
+
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Medicine',
+    required: [true, 'Review must belong to a medicine'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must belong to a user'],
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order', // Delivered order the medicine was received with (verified purchase)
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a rating between 1 and 5'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating can not be more than 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number',
+    },
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title can not be more than 100 characters'],
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review can not be more than 1000 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+  },
+});
+
+// One review per user and medicine
+ReviewSchema.index({ medicine: 1, user: 1 }, { unique: true });
+
+/**
+ * @desc Recalculate a medicine's averageRating (rounded to one decimal) and numOfReviews from its reviews
+ * @param {string} medicineId - The ID of the medicine
+ * @returns {Promise<Object>} The new { averageRating, numOfReviews }
+ */
+ReviewSchema.statics.updateMedicineRating = async function (medicineId) {
+  const [stats] = await this.aggregate([
+    { $match: { medicine: new mongoose.Types.ObjectId(String(medicineId)) } },
+    { $group: { _id: '$medicine', averageRating: { $avg: '$rating' }, numOfReviews: { $sum: 1 } } },
+  ]);
+
+  const rating = {
+    averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+    numOfReviews: stats ? stats.numOfReviews : 0,
+  };
+  await mongoose.model('Medicine').updateOne({ _id: medicineId }, rating);
+  return rating;
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,70 @@
+// src/models/SlotReservation.js
+// This file defines the Mongoose schema for the SlotReservation model.
+// A reservation counts the active appointments in one slot of a doctor or lab (a day and start time).
+// The unique index plus a conditional increment keep the count within the slot's capacity even when
+// several patients book the same slot at the same moment (see reserve).
+
+const mongoose = require('mongoose');
+
+const SlotReservationSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['doctor', 'lab'],
+    required: true,
+  },
+  resource: {
+    type: mongoose.Schema.ObjectId, // The doctor or lab
+    required: true,
+  },
+  date: {
+    type: Date, // Day of the slot (midnight UTC)
+    required: true,
+  },
+  time: {
+    type: String, // Start time of the slot ("HH:mm")
+    required: true,
+  },
+  count: {
+    type: Number, // Active appointments in the slot
+    default: 0,
+    min: 0,
+  },
+});
+
+// One reservation per slot
+SlotReservationSchema.index({ resourceType: 1, resource: 1, date: 1, time: 1 }, { unique: true });
+
+/**
+ * @desc Atomically take a place in a slot if it is not full
+ * @param {Object} slot - { resourceType, resource, date, time }
+ * @param {number} capacity - Most appointments the slot can hold
+ * @returns {Promise<boolean>} Whether a place was taken
+ */
+SlotReservationSchema.statics.reserve = async function (slot, capacity) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const reservation = await this.findOneAndUpdate(
+        { ...slot, count: { $lt: capacity } },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      return Boolean(reservation);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // The insert collided with an existing reservation: either the slot is full, or another request
+      // created the reservation at the same moment. Try once more to tell the two apart.
+    }
+  }
+  return false;
+};
+
+/**
+ * @desc Give back a place in a slot (the count never drops below zero)
+ * @param {Object} slot - { resourceType, resource, date, time }
+ * @returns {Promise<void>}
+ */
+SlotReservationSchema.statics.release = async function (slot) {
+  await this.updateOne({ ...slot, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+module.exports = mongoose.model('SlotReservation', SlotReservationSchema);
@@ -0,0 +1,60 @@
+// src/models/StockMovement.js
+// This file defines the Mongoose schema for the StockMovement model (the stock ledger).
+// Every change to a medicine's stock is recorded here with its reason, the related order,
+// the batch it affected, the signed quantity delta and the resulting stock level,
+// so stock levels can be audited.
+
+const mongoose = require('mongoose');
+
+const StockMovementSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Medicine',
+    required: [true, 'Stock movement must belong to a medicine'],
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    default: null, // Not every movement is caused by an order (e.g., manual adjustments)
+  },
+  batchNumber: {
+    type: String, // Batch whose quantity changed
+  },
+  delta: {
+    type: Number, // Change of the batch quantity: negative when stock leaves the shelf, positive when it comes back
+    required: [true, 'Please specify the stock delta'],
+  },
+  stockAfter: {
+    type: Number, // Sellable stock of the medicine right after this movement
+  },
+  reason: {
+    type: String,
+    enum: [
+      'order_placed', // Stock reserved for a new order
+      'order_failed', // Reservation released because the order could not be created
+      'order_cancelled', // Stock returned because the order was cancelled
+      'order_deleted', // Stock returned because an admin deleted the order
+      'payment_failed', // Stock returned because the order's payment was rejected
+      'prescription_rejected', // Stock returned because a pharmacist rejected the order's prescription
+      'order_returned', // Stock returned because the customer returned delivered items
+      'batch_received', // A new batch was received into inventory
+      'batch_adjusted', // An admin corrected the quantity of a batch (e.g., after a stock count)
+    ],
+    required: [true, 'Please specify the reason for the stock movement'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User', // The user whose action caused the movement (if known)
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for looking up the ledger of a medicine or an order
+StockMovementSchema.index({ medicine: 1, createdAt: -1 });
+StockMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
@@ -0,0 +1,97 @@
+// src/models/Subscription.js
+// This file defines the Mongoose schema for the Subscription model.
+// A refill subscription repeats an order of the same medicines every few days (e.g., monthly
+// diabetes or blood pressure medicines). The subscription job places the order through the
+// normal order flow (pricing, stock reservation, prescription check) when nextRunAt is due.
+
+const mongoose = require('mongoose');
+const config = require('../config/config'); // Refill subscription rules
+
+const { minIntervalDays, maxIntervalDays, maxItems } = config.subscriptions;
+
+const SubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Subscription must belong to a user'],
+  },
+  items: {
+    type: [
+      {
+        medicine: { type: mongoose.Schema.ObjectId, ref: 'Medicine', required: true },
+        name: { type: String, required: true }, // Medicine name when it was added (for display)
+        quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+      },
+    ],
+    validate: {
+      validator: (items) => items.length > 0 && items.length <= maxItems,
+      message: `A subscription must have between 1 and ${maxItems} medicines`,
+    },
+  },
+  intervalDays: {
+    type: Number,
+    required: [true, 'Please choose how often to refill'],
+    min: [minIntervalDays, `Refill interval must be at least ${minIntervalDays} days`],
+    max: [maxIntervalDays, `Refill interval can not be more than ${maxIntervalDays} days`],
+  },
+  // Saved address (from the user's address book) each refill is shipped to
+  address: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Please choose a delivery address'],
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['COD', 'Online Payment'], // Online refills are paid from the order page once placed
+    default: 'COD',
+  },
+  // Prescription used for prescription-only medicines (each refill is still verified by a pharmacist)
+  prescription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Prescription',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active',
+  },
+  nextRunAt: {
+    type: Date,
+    required: true,
+  },
+  // nextRunAt the last reminder email was sent for (one reminder per refill)
+  reminderSentFor: {
+    type: Date,
+    default: null,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  lastOrder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+  },
+  lastError: {
+    type: String, // Why the last refill could not be placed (e.g., out of stock)
+    default: null,
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  pausedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Due refills for the subscription job, and each user's subscriptions
+SubscriptionSchema.index({ status: 1, nextRunAt: 1 });
+SubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Subscription', SubscriptionSchema);
@@ -1,12 +1,75 @@
 // src/models/User.js
 // This file defines the Mongoose schema for the User model.
-// It includes fields for user authentication and profile information.
+// It includes fields for user authentication and profile information,
+// and an address book of saved delivery addresses used at checkout.
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
 const jwt = require('jsonwebtoken'); // For generating JWT tokens
 const crypto = require('crypto'); // For generating password reset tokens
 
+// A saved delivery address (the address book)
+const AddressSchema = new mongoose.Schema({
+  label: {
+    type: String, // e.g., 'Home', 'Work', 'Parents'
+    trim: true,
+    default: 'Home',
+    maxlength: [30, 'Address label can not be more than 30 characters'],
+  },
+  recipient: {
+    type: String,
+    required: [true, 'Please add the recipient name'],
+    trim: true,
+    maxlength: [50, 'Recipient name can not be more than 50 characters'],
+  },
+  phone: {
+    type: String,
+    required: [true, 'Please add a phone number for the delivery'],
+    match: [/^\+?[0-9\s-]{7,20}$/, 'Please add a valid phone number'],
+  },
+  addressLine: {
+    type: String, // House, street and locality
+    required: [true, 'Please add the address'],
+    trim: true,
+    maxlength: [200, 'Address can not be more than 200 characters'],
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'City can not be more than 50 characters'],
+  },
+  district: {
+    type: String,
+    required: [true, 'Please add the district'],
+    trim: true,
+    maxlength: [50, 'District can not be more than 50 characters'],
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: 'Jammu and Kashmir',
+    maxlength: [50, 'State can not be more than 50 characters'],
+  },
+  pinCode: {
+    type: String,
+    required: [true, 'Please add the PIN code'],
+    match: [/^[1-9][0-9]{5}$/, 'Please add a valid 6-digit PIN code'],
+  },
+  country: {
+    type: String,
+    default: 'India',
+  },
+  location: {
+    // Optional coordinates (e.g., picked on a map) to help the delivery agent
+    lat: { type: Number, min: [-90, 'Invalid latitude'], max: [90, 'Invalid latitude'] },
+    lng: { type: Number, min: [-180, 'Invalid longitude'], max: [180, 'Invalid longitude'] },
+  },
+  isDefault: {
+    type: Boolean, // The address pre-selected at checkout (only one per user)
+    default: false,
+  },
+});
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -31,7 +94,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'doctor', 'admin', 'lab_staff'], // Define possible roles
+    enum: ['user', 'doctor', 'admin', 'lab_staff', 'pharmacist', 'delivery_agent'], // Define possible roles
     default: 'user', // Default role for new users
   },
   phone: {
@@ -42,6 +105,10 @@ const UserSchema = new mongoose.Schema({
     type: String,
     maxlength: [100, 'Address can not be longer than 100 characters'],
   },
+  addresses: {
+    type: [AddressSchema],
+    default: [],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
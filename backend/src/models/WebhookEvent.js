@@ -0,0 +1,35 @@
+// src/models/WebhookEvent.js
+// This file defines the Mongoose schema for the WebhookEvent model.
+// Each processed payment webhook is stored once; the unique index makes webhook
+// handling idempotent when a provider delivers the same event more than once.
+
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  payment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The same provider event can only be recorded (and therefore processed) once
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -9,6 +9,7 @@ const {
   getAppointment,
   createAppointment,
   updateAppointment,
+  rescheduleAppointment,
   deleteAppointment,
 } = require('../controllers/appointmentController'); // Import controller functions
 
@@ -47,4 +48,7 @@ router
   .put(updateAppointment) // Authorization handled within controller based on role
   .delete(authorize('admin'), deleteAppointment); // Only admin can delete
 
+// Move an appointment to another free slot (the patient or admin; checked in the service)
+router.route('/:id/reschedule').put(rescheduleAppointment);
+
 module.exports = router;
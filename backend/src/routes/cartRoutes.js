@@ -0,0 +1,27 @@
+// src/routes/cartRoutes.js
+// This file defines the API routes for the server-side shopping cart.
+// All routes work on the cart of the logged-in user.
+
+const express = require('express');
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeCart,
+} = require('../controllers/cartController'); // Import controller functions
+
+const { protect } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// All cart routes require an authenticated user
+router.use(protect);
+
+router.route('/').get(getCart).delete(clearCart);
+router.route('/merge').post(mergeCart);
+router.route('/items').post(addItem);
+router.route('/items/:medicineId').put(updateItem).delete(removeItem);
+
+module.exports = router;
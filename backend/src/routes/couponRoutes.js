@@ -0,0 +1,34 @@
+// src/routes/couponRoutes.js
+// This file defines the API routes for coupons.
+// Any logged-in user can validate a coupon for their cart; only admins can manage coupons.
+
+const express = require('express');
+const {
+  validateCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/couponController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// Private route: Validate a coupon against the cart (must come before '/:id')
+router.route('/validate').post(protect, validateCoupon);
+
+// Admin routes: Coupon management
+router
+  .route('/')
+  .get(protect, authorize('admin'), getCoupons)
+  .post(protect, authorize('admin'), createCoupon);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin'), getCoupon)
+  .put(protect, authorize('admin'), updateCoupon)
+  .delete(protect, authorize('admin'), deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// src/routes/deliveryRoutes.js
+// This file defines the API routes for delivery zones.
+// Anyone can check whether we deliver to a PIN code; only admins can manage zones.
+
+const express = require('express');
+const {
+  checkPinCode,
+  getZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+} = require('../controllers/deliveryController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// Public route: PIN code serviceability check (medicine page and checkout)
+router.route('/check').get(checkPinCode);
+
+// Admin routes: Delivery zone management
+router
+  .route('/zones')
+  .get(protect, authorize('admin'), getZones)
+  .post(protect, authorize('admin'), createZone);
+
+router
+  .route('/zones/:id')
+  .get(protect, authorize('admin'), getZone)
+  .put(protect, authorize('admin'), updateZone)
+  .delete(protect, authorize('admin'), deleteZone);
+
+module.exports = router;
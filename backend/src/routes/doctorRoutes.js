@@ -10,6 +10,8 @@ const {
   addDoctor,
   updateDoctor,
   deleteDoctor,
+  getDoctorSlots,
+  updateDoctorSchedule,
 } = require('../controllers/doctorController'); // Import controller functions
 
 const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
@@ -20,6 +22,7 @@ const router = express.Router(); // Create a new router instance
 // Public routes: Anyone can view doctors
 router.route('/').get(getDoctors);
 router.route('/:id').get(getDoctor);
+router.route('/:id/slots').get(getDoctorSlots); // Free appointment slots on a day (?date=YYYY-MM-DD)
 
 // Private routes: Only users with 'admin' role can add, update, delete doctors
 // The 'protect' middleware ensures only authenticated users can access these.
@@ -31,4 +34,7 @@ router
   .put(protect, authorize('admin', 'doctor'), upload.single('image'), updateDoctor) // Admin can update any, doctor can update their own
   .delete(protect, authorize('admin'), deleteDoctor);
 
+// Weekly schedule: Admin can change any, doctor can change their own
+router.route('/:id/schedule').put(protect, authorize('admin', 'doctor'), updateDoctorSchedule);
+
 module.exports = router;
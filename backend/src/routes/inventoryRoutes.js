@@ -0,0 +1,31 @@
+// src/routes/inventoryRoutes.js
+// This file defines the API routes for inventory auditing, batch management and reorder reporting.
+// All routes are restricted to admins.
+
+const express = require('express');
+const {
+  getStockMovements,
+  getBatches,
+  receiveBatch,
+  adjustBatch,
+  getReorderReport,
+} = require('../controllers/inventoryController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// All inventory routes require an authenticated admin
+router.use(protect, authorize('admin'));
+
+// GET /api/v1/inventory/movements - Stock ledger (e.g., ?medicine=<id>&reason=order_cancelled)
+router.route('/movements').get(getStockMovements);
+
+// GET /api/v1/inventory/reorder-report - Low-stock, out-of-stock and soon-to-expire medicines with reorder suggestions
+router.route('/reorder-report').get(getReorderReport);
+
+// Batches of a medicine; the medicine's stock is derived from them
+router.route('/medicines/:medicineId/batches').get(getBatches).post(receiveBatch);
+router.route('/medicines/:medicineId/batches/:batchId').put(adjustBatch);
+
+module.exports = router;
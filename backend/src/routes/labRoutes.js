@@ -12,9 +12,13 @@ const {
 } = require('../controllers/labController'); // Import controller functions
 
 const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+const labTestRouter = require('./labTestRoutes'); // Test catalogue of a lab
 
 const router = express.Router(); // Create a new router instance
 
+// Re-route to the lab test router: /api/v1/labs/:labId/tests
+router.use('/:labId/tests', labTestRouter);
+
 // Public routes: Anyone can view labs
 router.route('/').get(getLabs);
 router.route('/:id').get(getLab);
@@ -0,0 +1,29 @@
+// src/routes/labTestRoutes.js
+// This file defines the API routes for the test catalogues of labs.
+// It is mounted at /api/v1/lab-tests and, for the tests of one lab, at
+// /api/v1/labs/:labId/tests (mergeParams gives access to :labId).
+
+const express = require('express');
+const {
+  getLabTests,
+  getLabTest,
+  addLabTest,
+  updateLabTest,
+  deleteLabTest,
+} = require('../controllers/labTestController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router({ mergeParams: true }); // Create a new router instance
+
+// Public: Anyone can browse lab tests. addLabTest: Admin or the lab's own staff (checked in the service).
+router.route('/').get(getLabTests).post(protect, authorize('admin', 'lab_staff'), addLabTest);
+
+// updateLabTest/deleteLabTest: Admin or the lab's own staff (checked in the service)
+router
+  .route('/:id')
+  .get(getLabTest)
+  .put(protect, authorize('admin', 'lab_staff'), updateLabTest)
+  .delete(protect, authorize('admin', 'lab_staff'), deleteLabTest);
+
+module.exports = router;
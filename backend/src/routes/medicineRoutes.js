@@ -1,37 +1,64 @@
 // src/routes/medicineRoutes.js
 // This file defines the API routes for medicine management (CRUD operations).
 // It utilizes the authentication and authorization middleware to protect certain routes.
-// It also integrates the upload middleware for single image handling.
+// It also integrates the upload middleware for the medicine image gallery (multiple images per medicine).
 
 const express = require('express');
 const {
   getMedicines,
   getMedicine,
+  getSubstitutes,
+  importMedicines,
+  exportMedicines,
   addMedicine,
   updateMedicine,
   deleteMedicine,
+  addMedicineImages,
+  reorderMedicineImages,
+  setPrimaryMedicineImage,
+  deleteMedicineImage,
 } = require('../controllers/medicineController'); // Import controller functions
 
 const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
 const upload = require('../middlewares/uploadMiddleware'); // Import the upload middleware
+const config = require('../config/config'); // Gallery size limit
+const reviewRouter = require('./reviewRoutes'); // Reviews of a medicine
 
 const router = express.Router(); // Create a new router instance
 
+// Admin routes: Bulk CSV import and export of the catalogue (must come before '/:id')
+router.route('/import').post(protect, authorize('admin'), upload.csv.single('file'), importMedicines);
+router.route('/export').get(protect, authorize('admin'), exportMedicines);
+
 // Public routes: Anyone can view medicines
 router.route('/').get(getMedicines);
 router.route('/:id').get(getMedicine);
+router.route('/:id/substitutes').get(getSubstitutes);
+
+// Re-route to the review router: /api/v1/medicines/:medicineId/reviews
+router.use('/:medicineId/reviews', reviewRouter);
 
 // Private routes: Only users with 'admin' or 'lab_staff' roles can add, update, delete medicines
 // The 'protect' middleware ensures only authenticated users can access these.
 // The 'authorize' middleware further restricts access based on roles.
-// The 'upload.single('image')' middleware handles the file upload for a single image field named 'image'.
+// The 'upload.array('images', ...)' middleware handles the file uploads for the image field named 'images'.
+const uploadImages = upload.array('images', config.catalogue.maxImages);
+
 router
   .route('/')
-  .post(protect, authorize('admin', 'lab_staff'), upload.single('image'), addMedicine);
+  .post(protect, authorize('admin', 'lab_staff'), uploadImages, addMedicine);
 
 router
   .route('/:id')
-  .put(protect, authorize('admin', 'lab_staff'), upload.single('image'), updateMedicine)
+  .put(protect, authorize('admin', 'lab_staff'), uploadImages, updateMedicine)
   .delete(protect, authorize('admin', 'lab_staff'), deleteMedicine);
 
+// Image gallery: add, reorder (or remove several), pick the primary image, remove one image
+router
+  .route('/:id/images')
+  .post(protect, authorize('admin', 'lab_staff'), uploadImages, addMedicineImages)
+  .put(protect, authorize('admin', 'lab_staff'), reorderMedicineImages)
+  .delete(protect, authorize('admin', 'lab_staff'), deleteMedicineImage);
+router.route('/:id/images/primary').put(protect, authorize('admin', 'lab_staff'), setPrimaryMedicineImage);
+
 module.exports = router;
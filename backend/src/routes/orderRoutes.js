@@ -5,15 +5,23 @@
 const express = require('express');
 const {
   createOrder,
+  quoteOrder,
   getOrders,
   getOrder,
+  getOrderInvoice,
   updateOrderToPaid,
+  updateOrderPaymentFailed,
   updateOrderToDelivered,
   updateOrderStatus,
   deleteOrder,
+  assignDeliveryAgent,
+  markOrderPickedUp,
+  getAssignedOrders,
+  getDeliveryStats,
 } = require('../controllers/orderController'); // Import controller functions
 
 const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+const upload = require('../middlewares/uploadMiddleware'); // Import the upload middleware for delivery photos
 
 const router = express.Router(); // Create a new router instance
 
@@ -25,17 +33,37 @@ router.use(protect);
 // getOrders: Users can see their own, Admins can see all.
 router.route('/').post(createOrder).get(getOrders);
 
+// Route for pricing a cart before checkout
+// quoteOrder: Any authenticated user can request a quote (prices, tax and shipping are calculated server-side).
+router.route('/quote').post(quoteOrder);
+
+// Dispatch routes (must come before '/:id')
+// getAssignedOrders: Delivery agents list the orders assigned to them (?status=active|delivered).
+// getDeliveryStats: Admin only; per-agent delivery stats (?from=&to= limit the assignment dates).
+router.route('/assigned').get(authorize('delivery_agent'), getAssignedOrders);
+router.route('/delivery-stats').get(authorize('admin'), getDeliveryStats);
+
 // Routes for specific order by ID
 // getOrder: User can see their own, Admin can see any.
-// deleteOrder: Only Admin can delete.
+// deleteOrder: Only Admin can delete (items not yet shipped are returned to stock).
 router.route('/:id').get(getOrder).delete(authorize('admin'), deleteOrder);
 
+// Route for downloading the PDF invoice
+// getOrderInvoice: Order owner or Admin (checked in the service).
+router.route('/:id/invoice').get(getOrderInvoice);
+
 // Routes for updating order status (paid, delivered, general status)
 // updateOrderToPaid: Admin only (or payment gateway callback).
-// updateOrderToDelivered: Admin only.
+// updateOrderPaymentFailed: Admin only (or payment gateway callback); cancels the order and restocks it.
+// updateOrderToDelivered: Admin, or the assigned delivery agent (optional 'photo' upload and customer 'otp' as proof).
 // updateOrderStatus: Admin can update any, User can cancel their own.
 router.route('/:id/pay').put(authorize('admin'), updateOrderToPaid);
-router.route('/:id/deliver').put(authorize('admin'), updateOrderToDelivered);
+router.route('/:id/payment-failed').put(authorize('admin'), updateOrderPaymentFailed);
+router.route('/:id/deliver').put(authorize('admin', 'delivery_agent'), upload.single('photo'), updateOrderToDelivered);
 router.route('/:id/status').put(updateOrderStatus); // Authorization handled within controller based on role
 
+// Dispatch: Admins assign shipped orders to delivery agents; the assigned agent marks the pickup
+router.route('/:id/assign').put(authorize('admin'), assignDeliveryAgent);
+router.route('/:id/pickup').put(authorize('delivery_agent'), markOrderPickedUp);
+
 module.exports = router;
@@ -0,0 +1,43 @@
+// src/routes/paymentRoutes.js
+// This file defines the API routes for online payments.
+// The webhook route is public and authenticated by the provider's signature instead of a JWT.
+
+const express = require('express');
+const {
+  createPaymentIntent,
+  handleWebhook,
+  refundOrder,
+  simulateMockPayment,
+} = require('../controllers/paymentController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+const ErrorResponse = require('../utils/errorHandler'); // Import ErrorResponse for specific error handling
+
+const router = express.Router(); // Create a new router instance
+
+// Reject mock payment requests in production
+const blockMockInProduction = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return next(new ErrorResponse('Mock payments are disabled in production', 404));
+  }
+  next();
+};
+
+// Public route: Payment provider webhooks (signature verified in the service)
+// Mock webhooks are never accepted in production.
+router.route('/webhook/:provider').post(
+  (req, res, next) => (req.params.provider === 'mock' ? blockMockInProduction(req, res, next) : next()),
+  handleWebhook
+);
+
+// Private routes
+// createPaymentIntent: The order owner starts an online payment.
+// refundOrder: Admin only.
+router.route('/intent').post(protect, createPaymentIntent);
+router.route('/orders/:orderId/refund').post(protect, authorize('admin'), refundOrder);
+
+// Local testing: settle a mock payment as if the gateway had called the webhook.
+// Never available in production.
+router.route('/:id/mock-complete').post(protect, blockMockInProduction, simulateMockPayment);
+
+module.exports = router;
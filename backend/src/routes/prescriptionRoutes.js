@@ -0,0 +1,33 @@
+// src/routes/prescriptionRoutes.js
+// This file defines the API routes for prescriptions and pharmacist verification.
+// Patients upload prescription documents (images or PDFs) at checkout;
+// pharmacists review the orders that contain prescription-only medicines.
+
+const express = require('express');
+const {
+  uploadPrescription,
+  getPrescription,
+  getVerificationQueue,
+  reviewOrderPrescription,
+} = require('../controllers/prescriptionController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+const upload = require('../middlewares/uploadMiddleware'); // Import the upload middleware
+
+const router = express.Router(); // Create a new router instance
+
+// All prescription routes require authentication
+router.use(protect);
+
+// Private route: Any authenticated user can upload a prescription
+// The 'upload.documents.single('prescription')' middleware accepts one image or PDF in the field 'prescription'.
+router.route('/').post(upload.documents.single('prescription'), uploadPrescription);
+
+// Pharmacist routes: Verification queue and review (must come before '/:id')
+router.route('/queue').get(authorize('pharmacist', 'admin'), getVerificationQueue);
+router.route('/orders/:orderId/review').put(authorize('pharmacist', 'admin'), reviewOrderPrescription);
+
+// Private route: Owner, pharmacists and admins can view a prescription
+router.route('/:id').get(getPrescription);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// src/routes/returnRoutes.js
+// This file defines the API routes for returns of delivered orders.
+// Customers request returns of their own orders; admins review them.
+
+const express = require('express');
+const {
+  createReturnRequest,
+  getReturnRequests,
+  getReturnEligibility,
+  getReturnRequest,
+  reviewReturnRequest,
+  completeManualRefund,
+} = require('../controllers/returnController'); // Import controller functions
+
+const { protect, authorize } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// All return routes require authentication
+router.use(protect);
+
+// createReturnRequest: The order owner requests a return.
+// getReturnRequests: Users can see their own, Admins can see all.
+router.route('/').post(createReturnRequest).get(getReturnRequests);
+
+// getReturnEligibility: Which items of an order can still be returned (must come before '/:id').
+router.route('/orders/:orderId/eligibility').get(getReturnEligibility);
+
+router.route('/:id').get(getReturnRequest);
+
+// Admin routes: Review returns and settle manual refunds
+router.route('/:id/review').put(authorize('admin'), reviewReturnRequest);
+router.route('/:id/refund-complete').put(authorize('admin'), completeManualRefund);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// src/routes/reviewRoutes.js
+// This file defines the API routes for medicine reviews.
+// It is mounted at /api/v1/reviews and, for the reviews of one medicine, at
+// /api/v1/medicines/:medicineId/reviews (mergeParams gives access to :medicineId).
+
+const express = require('express');
+const {
+  getReviews,
+  getMyReview,
+  createReview,
+  updateReview,
+  deleteReview,
+} = require('../controllers/reviewController'); // Import controller functions
+
+const { protect } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router({ mergeParams: true }); // Create a new router instance
+
+// Public: Anyone can read reviews. createReview: Only customers who received the medicine.
+router.route('/').get(getReviews).post(protect, createReview);
+
+// getMyReview: Shows the user's own review, or whether they can write one
+router.route('/mine').get(protect, getMyReview);
+
+// updateReview: Author only. deleteReview: Author or Admin.
+router.route('/:id').put(protect, updateReview).delete(protect, deleteReview);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// src/routes/subscriptionRoutes.js
+// This file defines the API routes for refill subscriptions.
+// Users manage their own subscriptions; admins can see and manage all of them.
+
+const express = require('express');
+const {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRefill,
+} = require('../controllers/subscriptionController'); // Import controller functions
+
+const { protect } = require('../middlewares/authMiddleware'); // Import authentication middleware
+
+const router = express.Router(); // Create a new router instance
+
+// All subscription routes require authentication
+router.use(protect);
+
+// getSubscriptions: Users can see their own, Admins can see all.
+router.route('/').get(getSubscriptions).post(createSubscription);
+
+// cancelSubscription: Cancelled subscriptions are kept for the user's history.
+router.route('/:id').get(getSubscription).put(updateSubscription).delete(cancelSubscription);
+
+router.route('/:id/pause').put(pauseSubscription);
+router.route('/:id/resume').put(resumeSubscription);
+router.route('/:id/skip').put(skipNextRefill);
+
+module.exports = router;
@@ -1,12 +1,16 @@
 // src/routes/userRoutes.js
 // This file defines the API routes for user profile management.
-// It includes routes to get the current user's profile and update it.
+// It includes routes to get the current user's profile, update it, and manage saved addresses.
 // These routes are protected by the authentication middleware and now include image upload.
 
 const express = require('express');
 const {
   getMe,
   updateDetails,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
 } = require('../controllers/userController'); // Import controller functions
 
 const { protect } = require('../middlewares/authMiddleware'); // Import authentication middleware
@@ -21,6 +25,10 @@ router.use(protect);
 // GET /api/v1/users/me - Get current logged-in user's profile
 router.route('/me').get(getMe);
 
+// Address book of the current user (used at checkout)
+router.route('/me/addresses').get(getAddresses).post(addAddress);
+router.route('/me/addresses/:addressId').put(updateAddress).delete(deleteAddress);
+
 // PUT /api/v1/users/updatedetails - Update current logged-in user's details
 // The 'upload.single('image')' middleware handles the file upload for a single image field named 'image'.
 router.route('/updatedetails').put(upload.single('image'), updateDetails);
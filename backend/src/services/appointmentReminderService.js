@@ -0,0 +1,173 @@
+// src/services/appointmentReminderService.js
+// This file contains the reminder emails sent to patients before their appointments.
+// Reminders are stored as AppointmentReminder documents when an appointment is booked or rescheduled,
+// cancelled with the appointment, and sent by the appointment reminder job once they are due.
+// Scheduling is best-effort: a failure is logged but never fails the booking that triggered it.
+// Appointments booked before reminders existed are scheduled once, at startup (see backfillReminders).
+
+const AppointmentReminder = require('../models/AppointmentReminder'); // Import the AppointmentReminder model
+const Appointment = require('../models/Appointment'); // Import the Appointment model
+const notificationService = require('./notificationService'); // Reminder emails
+const config = require('../config/config'); // Appointment reminder rules
+const { parseDate, parseTime, getLocalNow, toInstant } = require('../utils/schedule'); // Appointment times are local to config.appointments.timeZone
+
+const DUE_BATCH_SIZE = 50; // Most reminders sent in one run
+const LOCK_MS = 10 * 60 * 1000; // How long a run may take to send one reminder
+
+class AppointmentReminderService {
+  /**
+   * @desc When an appointment starts
+   * @param {Object} appointment - The appointment (needs appointmentDate and appointmentTime)
+   * @returns {Date|null} The start, or null if the time can not be read
+   */
+  getStart(appointment) {
+    const day = parseDate(appointment.appointmentDate);
+    const minutes = parseTime(appointment.appointmentTime);
+    if (!day || minutes === null) return null;
+    return toInstant(day, minutes, config.appointments.timeZone);
+  }
+
+  /**
+   * @desc Schedule the reminders of an appointment for its current time, cancelling those of
+   *       earlier times. Reminders that would already be due are not created.
+   * @param {Object} appointment - The booked or rescheduled appointment
+   * @param {Date} [now] - Current time (for testing)
+   * @returns {Promise<void>}
+   */
+  async scheduleReminders(appointment, now = new Date()) {
+    try {
+      const start = ['pending', 'confirmed'].includes(appointment.status) ? this.getStart(appointment) : null;
+      const reminders = start
+        ? config.appointments.reminderHoursBefore
+          .map((hoursBefore) => ({ hoursBefore, sendAt: new Date(start.getTime() - hoursBefore * 60 * 60 * 1000) }))
+          .filter((reminder) => reminder.sendAt > now)
+        : [];
+
+      await AppointmentReminder.updateMany(
+        { appointment: appointment._id, status: 'pending', sendAt: { $nin: reminders.map((reminder) => reminder.sendAt) } },
+        { $set: { status: 'cancelled' } }
+      );
+
+      for (const { hoursBefore, sendAt } of reminders) {
+        const key = { appointment: appointment._id, hoursBefore, sendAt };
+        // Moved back to a time it had before: revive the cancelled reminder
+        await AppointmentReminder.updateOne({ ...key, status: 'cancelled' }, { $set: { status: 'pending', attempts: 0 } });
+        await AppointmentReminder.updateOne(key, { $setOnInsert: { status: 'pending' } }, { upsert: true });
+      }
+    } catch (err) {
+      console.error(`AppointmentReminderService: Could not schedule reminders for appointment ${appointment._id}:`, err.message);
+    }
+  }
+
+  /**
+   * @desc One-off backfill for appointments booked before reminders existed: upcoming pending or
+   *       confirmed appointments without any reminder get theirs scheduled. Safe to run again.
+   * @param {Date} [now] - Current time (for testing)
+   * @returns {Promise<number>} Number of appointments whose reminders were scheduled
+   */
+  async backfillReminders(now = new Date()) {
+    const upcoming = await Appointment.find({
+      status: { $in: ['pending', 'confirmed'] },
+      appointmentDate: { $gte: getLocalNow(config.appointments.timeZone, now).date },
+    }).select('status appointmentDate appointmentTime');
+
+    const scheduled = await AppointmentReminder.distinct('appointment', {
+      appointment: { $in: upcoming.map((appointment) => appointment._id) },
+    });
+    const hasReminders = new Set(scheduled.map((id) => id.toString()));
+
+    let count = 0;
+    for (const appointment of upcoming) {
+      if (hasReminders.has(appointment._id.toString())) continue;
+      await this.scheduleReminders(appointment, now);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @desc Cancel the reminders of an appointment that have not been sent yet
+   * @param {string} appointmentId - The ID of the appointment
+   * @returns {Promise<void>}
+   */
+  async cancelReminders(appointmentId) {
+    try {
+      await AppointmentReminder.updateMany(
+        { appointment: appointmentId, status: 'pending' },
+        { $set: { status: 'cancelled' } }
+      );
+    } catch (err) {
+      console.error(`AppointmentReminderService: Could not cancel reminders for appointment ${appointmentId}:`, err.message);
+    }
+  }
+
+  /**
+   * @desc Send the reminders that are due (including those of runs that crashed mid-send).
+   *       Each reminder is claimed before it is sent, so concurrent runs never email twice.
+   * @param {Date} [now] - Current time (for testing)
+   * @returns {Promise<Object>} { sent, failed } counts
+   */
+  async sendDueReminders(now = new Date()) {
+    const due = await AppointmentReminder.find({
+      $or: [
+        { status: 'pending', sendAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    })
+      .sort('sendAt')
+      .limit(DUE_BATCH_SIZE);
+
+    const result = { sent: 0, failed: 0 };
+    for (const candidate of due) {
+      const reminder = await AppointmentReminder.findOneAndUpdate(
+        { _id: candidate._id, status: candidate.status, attempts: candidate.attempts },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (!reminder) continue; // Cancelled or claimed by another run in the meantime
+
+      const sent = await this.sendReminder(reminder, now);
+      if (sent === true) result.sent++;
+      if (sent === false) result.failed++;
+    }
+    return result;
+  }
+
+  /**
+   * @desc Send one claimed reminder and record the outcome. Reminders of appointments that were
+   *       cancelled, deleted or have already started are dropped instead.
+   * @param {Object} reminder - The claimed reminder
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean|null>} True if sent, false if sending failed, null if dropped
+   */
+  async sendReminder(reminder, now) {
+    const appointment = await Appointment.findById(reminder.appointment)
+      .populate({ path: 'user', select: 'name email' })
+      .populate({ path: 'doctor', select: 'name' })
+      .populate({ path: 'lab', select: 'name' });
+
+    const start = appointment && this.getStart(appointment);
+    if (!appointment || !['pending', 'confirmed'].includes(appointment.status) || !start || start <= now) {
+      await AppointmentReminder.updateOne({ _id: reminder._id }, { $set: { status: 'cancelled' }, $unset: { lockedUntil: 1 } });
+      return null;
+    }
+
+    if (await notificationService.notifyAppointmentReminder(appointment, appointment.user)) {
+      await AppointmentReminder.updateOne(
+        { _id: reminder._id },
+        { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1 } }
+      );
+      return true;
+    }
+
+    // Retry on a later run until the attempts run out
+    const failed = reminder.attempts >= config.appointments.reminderMaxAttempts;
+    await AppointmentReminder.updateOne(
+      { _id: reminder._id },
+      { $set: { status: failed ? 'failed' : 'pending', lastError: 'Email could not be sent' }, $unset: { lockedUntil: 1 } }
+    );
+    return false;
+  }
+}
+
+module.exports = new AppointmentReminderService(); // Export an instance of the service
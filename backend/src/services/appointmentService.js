@@ -2,15 +2,36 @@
 // This file contains business logic related to appointment operations.
 // It abstracts database interactions and other complex logic away from the controllers.
 // UPDATED: Handles populating doctor/lab location and setting appointment's own location.
+// Every active appointment holds a place in its doctor or lab slot (see SlotReservation), so a slot
+// is never booked beyond its capacity, even by simultaneous requests. Appointments booked before
+// reservations existed are given their place once, at startup (see backfillSlotReservations).
+// Patients can reschedule to another free slot up to a cut-off before the appointment.
+// Reminder emails are scheduled on booking and follow every cancellation or reschedule.
 
 const Appointment = require('../models/Appointment'); // Import the Appointment model
 const Doctor = require('../models/Doctor'); // Import Doctor model for validation/population
 const Lab = require('../models/Lab'); // NEW: Import Lab model for validation/population
+const LabTest = require('../models/LabTest'); // Tests booked with lab appointments
 const User = require('../models/User'); // Import User model for validation/population
+const SlotReservation = require('../models/SlotReservation'); // Places taken in doctor/lab slots
+const doctorService = require('./doctorService'); // Free slots of a doctor's schedule
+const notificationService = require('./notificationService'); // Rescheduling emails
+const appointmentReminderService = require('./appointmentReminderService'); // Reminder emails before appointments
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const config = require('../config/config'); // Appointment slot rules
+const { parseDate, parseTime, formatTime, getLocalNow } = require('../utils/schedule'); // Appointment days are stored as midnight UTC
 const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
 const mongoose = require('mongoose'); // Import mongoose to use ObjectId for robust comparison
 
+// Fields that decide which slot an appointment holds
+const SLOT_FIELDS = ['doctor', 'lab', 'appointmentDate', 'appointmentTime', 'endTime', 'type', 'rescheduleHistory', 'slotReserved'];
+
+// Fields priced from a lab's test catalogue when booking
+const PRICED_FIELDS = ['tests', 'totalPrice'];
+
+// Location of appointments with no place to go to, e.g., online consultations (the schema defaults)
+const NO_LOCATION = { type: 'Point', coordinates: [0, 0], address: 'N/A' };
+
 class AppointmentService {
   /**
    * @desc Get all appointments with optional filtering, sorting, and pagination, based on user role
@@ -151,14 +172,21 @@ class AppointmentService {
   }
 
   /**
-   * @desc Create a new appointment
+   * @desc Create a new appointment. Doctor appointments must be booked in a free slot of the doctor's
+   *       schedule (see DoctorService.getAvailableSlots); the slot decides whether it is online or at the clinic.
+   *       Lab appointments book tests from the lab's catalogue (appointmentData.tests: LabTest IDs), priced at
+   *       booking time. A place in the slot is reserved before the appointment is saved, and its reminder
+   *       emails are scheduled afterwards.
    * @param {Object} appointmentData - Data for the new appointment
    * @param {string} userId - ID of the user creating the appointment
    * @returns {Promise<Object>} The newly created appointment object
-   * @throws {ErrorResponse} If doctor/lab is not found or invalid type/data
+   * @throws {ErrorResponse} If doctor/lab is not found, the time is not a free slot, or invalid type/data;
+   *         409 if the slot is full or the user already has an appointment in it
    */
   async createAppointment(appointmentData, userId) {
     appointmentData.user = userId; // Attach the user creating the appointment
+    const testIds = appointmentData.tests;
+    PRICED_FIELDS.forEach((field) => delete appointmentData[field]); // Set from the catalogue below
 
     // Validate that either doctor OR lab is provided, but not both
     if (appointmentData.doctor && appointmentData.lab) {
@@ -170,19 +198,29 @@ class AppointmentService {
 
     // Determine the type based on whether doctor or lab ID is provided
     if (appointmentData.doctor) {
-      appointmentData.type = appointmentData.type || 'offline'; // Default to offline if not specified
       // Validate doctor existence
       const doctor = await Doctor.findById(appointmentData.doctor);
       if (!doctor) {
         throw new ErrorResponse(`Doctor not found with id ${appointmentData.doctor}`, 404);
       }
-      // If doctor is found and has location, set appointment's location
-      if (doctor.location && doctor.location.coordinates && doctor.clinicAddress) {
-        appointmentData.location = {
-          type: 'Point',
-          coordinates: doctor.location.coordinates,
-          address: doctor.clinicAddress
-        };
+
+      // The time must be a free slot of the doctor's schedule
+      const slot = await doctorService.findFreeSlot(doctor._id, appointmentData.appointmentDate, appointmentData.appointmentTime);
+      if (!slot) {
+        throw new ErrorResponse('The selected time is not an available slot for this doctor. Please pick one of the free slots.', 400);
+      }
+      if (appointmentData.type && appointmentData.type !== slot.type) {
+        throw new ErrorResponse(`This slot is for ${slot.type === 'online' ? 'online consultations' : 'visits at the clinic'} only`, 400);
+      }
+      appointmentData.type = slot.type;
+      appointmentData.appointmentDate = parseDate(appointmentData.appointmentDate);
+      appointmentData.appointmentTime = slot.time;
+      appointmentData.endTime = slot.endTime;
+
+      // Visits at the clinic take place at the doctor's location
+      const location = this.getDoctorLocation(doctor, slot.type);
+      if (location) {
+        appointmentData.location = location;
       }
     } else if (appointmentData.lab) {
       appointmentData.type = 'lab'; // Force type to 'lab' if lab ID is provided
@@ -191,6 +229,20 @@ class AppointmentService {
       if (!lab) {
         throw new ErrorResponse(`Lab not found with id ${appointmentData.lab}`, 404);
       }
+      // The time must be readable, or it would get a slot of its own outside the lab's capacity
+      const appointmentDate = parseDate(appointmentData.appointmentDate);
+      if (!appointmentDate || typeof appointmentData.appointmentTime !== 'string' || parseTime(appointmentData.appointmentTime) === null) {
+        throw new ErrorResponse('Please specify a valid appointment date and time', 400);
+      }
+      if (appointmentDate < getLocalNow(config.appointments.timeZone).date) {
+        throw new ErrorResponse('Appointments can not be booked for a past day', 400);
+      }
+      appointmentData.appointmentDate = appointmentDate;
+      appointmentData.appointmentTime = appointmentData.appointmentTime.trim();
+
+      const { tests, totalPrice } = await this.priceLabTests(lab._id, testIds);
+      appointmentData.tests = tests;
+      appointmentData.totalPrice = totalPrice;
       // If lab is found and has location, set appointment's location
       if (lab.location && lab.location.coordinates && lab.address) {
         appointmentData.location = {
@@ -201,32 +253,51 @@ class AppointmentService {
       }
     }
 
-    const appointment = await Appointment.create(appointmentData);
+    await this.reserveSlot(appointmentData);
+    appointmentData.slotReserved = true;
+    let appointment;
+    try {
+      appointment = await Appointment.create(appointmentData);
+    } catch (err) {
+      await this.releaseSlot(appointmentData); // Give the place back if the appointment was not saved
+      if (err.code === 11000) {
+        throw new ErrorResponse('You already have an appointment in this slot', 409);
+      }
+      throw err;
+    }
+
+    await appointmentReminderService.scheduleReminders(appointment);
     return appointment;
   }
 
   /**
-   * @desc Update an existing appointment status/details based on role
+   * @desc Update an existing appointment status/details based on role. Cancelling frees its place in
+   *       the slot; reopening a cancelled appointment takes the place again if the slot is not full.
    * @param {string} id - The ID of the appointment to update
    * @param {Object} updateData - Data to update the appointment with
    * @param {Object} authUser - Authenticated user object (req.user)
    * @returns {Promise<Object>} The updated appointment object
-   * @throws {ErrorResponse} If appointment is not found or user is not authorized
+   * @throws {ErrorResponse} If appointment is not found or user is not authorized, 400 if the slot fields
+   *         are changed, 409 if the slot is full or the appointment was changed at the same time
    */
   async updateAppointment(id, updateData, authUser) {
-    let appointment = await Appointment.findById(id);
+    const appointment = await Appointment.findById(id);
 
     if (!appointment) {
       throw new ErrorResponse(`Appointment not found with id of ${id}`, 404);
     }
 
     // Authorization logic:
+    let changes;
     if (authUser.role === 'admin') {
-      // Admin can update any field
-      appointment = await Appointment.findByIdAndUpdate(id, updateData, {
-        new: true,
-        runValidators: true,
-      });
+      // Admin can update any field except the booked slot (its place is reserved on booking)
+      if (SLOT_FIELDS.some((field) => updateData[field] !== undefined)) {
+        throw new ErrorResponse('The doctor, lab, date, time or type of an appointment can not be changed here. Please reschedule it instead.', 400);
+      }
+      if (PRICED_FIELDS.some((field) => updateData[field] !== undefined)) {
+        throw new ErrorResponse('The booked tests of an appointment can not be changed', 400);
+      }
+      changes = updateData;
     } else if (authUser.role === 'doctor') {
       const doctorProfile = await Doctor.findOne({ user: authUser.id });
       if (!doctorProfile || appointment.doctor?.toString() !== doctorProfile._id.toString()) {
@@ -237,11 +308,7 @@ class AppointmentService {
       }
       // Doctors can only update status and reason
       const { status, reason } = updateData;
-      appointment = await Appointment.findByIdAndUpdate(
-        id,
-        { status, reason },
-        { new: true, runValidators: true }
-      );
+      changes = { status, reason };
     } else if (authUser.role === 'user') {
       // Users can only cancel their own appointments
       if (appointment.user.toString() !== authUser.id || updateData.status !== 'cancelled') {
@@ -250,16 +317,212 @@ class AppointmentService {
           401
         );
       }
-      appointment = await Appointment.findByIdAndUpdate(
-        id,
-        { status: 'cancelled' }, // Force status to cancelled
+      changes = { status: 'cancelled' }; // Force status to cancelled
+    } else {
+      throw new ErrorResponse(`User role ${authUser.role} is not authorized to update appointments`, 403);
+    }
+
+    const wasActive = appointment.status !== 'cancelled';
+    const isActive = (changes.status || appointment.status) !== 'cancelled';
+    if (!wasActive && isActive) {
+      await this.reserveSlot(appointment);
+      changes = { ...changes, slotReserved: true };
+    }
+    if (wasActive && !isActive) {
+      changes = { ...changes, slotReserved: false };
+    }
+
+    // Only apply the change if the status is still the one read above, so two simultaneous
+    // cancellations can not free the same place twice
+    let updated;
+    try {
+      updated = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: appointment.status },
+        changes,
         { new: true, runValidators: true }
       );
+    } catch (err) {
+      if (!wasActive && isActive) await this.releaseSlot(appointment);
+      throw err;
+    }
+    if (!updated) {
+      if (!wasActive && isActive) await this.releaseSlot(appointment);
+      throw new ErrorResponse('This appointment was changed at the same time. Please refresh and try again.', 409);
+    }
+
+    if (wasActive && !isActive && appointment.slotReserved) {
+      await this.releaseSlot(appointment);
+    }
+    if (updated.status !== appointment.status) {
+      await appointmentReminderService.scheduleReminders(updated); // Cancels them unless still pending or confirmed
+    }
+    return updated;
+  }
+
+  /**
+   * @desc Move an appointment to another free slot of the same doctor or lab. The new slot is reserved
+   *       before the appointment is moved and the old one is freed afterwards, so the patient never
+   *       loses their place. The previous time is kept in rescheduleHistory and the doctor or lab is notified.
+   * @param {string} id - The ID of the appointment to reschedule
+   * @param {Object} slotData - { appointmentDate, appointmentTime } of the new slot
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The rescheduled appointment
+   * @throws {ErrorResponse} If the appointment is not found, the user is not the patient or an admin,
+   *         the appointment is not pending/confirmed, it is within the cut-off or the new time is not a
+   *         free slot; 409 if the slot is taken or the appointment was changed at the same time
+   */
+  async rescheduleAppointment(id, slotData, authUser) {
+    const appointment = await Appointment.findById(id);
+    if (!appointment) {
+      throw new ErrorResponse(`Appointment not found with id of ${id}`, 404);
+    }
+
+    const isOwner = appointment.user.toString() === authUser.id;
+    if (!isOwner && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to reschedule this appointment`, 403);
+    }
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      throw new ErrorResponse(`A ${appointment.status} appointment can not be rescheduled`, 400);
+    }
+
+    const { rescheduleCutoffHours } = config.appointments;
+    const cutoffMinutes = rescheduleCutoffHours * 60;
+    if (this.getMinutesUntil(appointment.appointmentDate, appointment.appointmentTime) < cutoffMinutes) {
+      throw new ErrorResponse(`Appointments can not be rescheduled less than ${rescheduleCutoffHours} hours before they start`, 400);
+    }
+
+    // Work out the new slot
+    const { appointmentDate, appointmentTime } = slotData;
+    const changes = {};
+    if (appointment.doctor) {
+      const slot = await doctorService.findFreeSlot(appointment.doctor, appointmentDate, appointmentTime, {
+        excludeAppointment: appointment._id,
+      });
+      if (!slot) {
+        throw new ErrorResponse('The selected time is not an available slot for this doctor. Please pick one of the free slots.', 400);
+      }
+      changes.appointmentDate = parseDate(appointmentDate);
+      changes.appointmentTime = slot.time;
+      changes.endTime = slot.endTime;
+      changes.type = slot.type;
+      // The new slot may be of another type, e.g., an online slot instead of a visit at the clinic
+      const doctor = await Doctor.findById(appointment.doctor).select('location clinicAddress');
+      changes.location = (doctor && this.getDoctorLocation(doctor, slot.type)) || NO_LOCATION;
     } else {
-      throw new ErrorResponse(`User role ${authUser.role} is not authorized to update appointments`, 403);
+      const date = parseDate(appointmentDate);
+      if (!date || typeof appointmentTime !== 'string' || parseTime(appointmentTime) === null) {
+        throw new ErrorResponse('Please specify a valid appointment date and time', 400);
+      }
+      changes.appointmentDate = date;
+      changes.appointmentTime = appointmentTime.trim();
     }
 
-    return appointment;
+    const target = { ...changes, doctor: appointment.doctor, lab: appointment.lab };
+    const from = this.getSlot(appointment);
+    const to = this.getSlot(target);
+    if (from.date.getTime() === to.date.getTime() && from.time === to.time) {
+      throw new ErrorResponse('The appointment is already booked in this slot', 400);
+    }
+    if (this.getMinutesUntil(changes.appointmentDate, changes.appointmentTime) < cutoffMinutes) {
+      throw new ErrorResponse(`Please pick a slot at least ${rescheduleCutoffHours} hours from now`, 400);
+    }
+
+    await this.reserveSlot(target);
+    changes.slotReserved = true;
+
+    // Only move the appointment if it has not changed since it was read
+    let updated;
+    try {
+      updated = await Appointment.findOneAndUpdate(
+        {
+          _id: appointment._id,
+          status: appointment.status,
+          appointmentDate: appointment.appointmentDate,
+          appointmentTime: appointment.appointmentTime,
+        },
+        {
+          $set: changes,
+          $push: {
+            rescheduleHistory: {
+              appointmentDate: appointment.appointmentDate,
+              appointmentTime: appointment.appointmentTime,
+              endTime: appointment.endTime,
+              rescheduledBy: authUser.id,
+            },
+          },
+        },
+        { new: true, runValidators: true }
+      );
+    } catch (err) {
+      await this.releaseSlot(target);
+      if (err.code === 11000) {
+        throw new ErrorResponse('You already have an appointment in this slot', 409);
+      }
+      throw err;
+    }
+    if (!updated) {
+      await this.releaseSlot(target);
+      throw new ErrorResponse('This appointment was changed at the same time. Please refresh and try again.', 409);
+    }
+
+    if (appointment.slotReserved) {
+      await this.releaseSlot(appointment);
+    }
+    await appointmentReminderService.scheduleReminders(updated); // Replaces the reminders of the old time
+
+    // Let the doctor or lab know
+    const [provider, patient] = await Promise.all([
+      appointment.doctor ? Doctor.findById(appointment.doctor).select('name email') : Lab.findById(appointment.lab).select('name email'),
+      User.findById(appointment.user).select('name'),
+    ]);
+    if (provider) {
+      await notificationService.notifyAppointmentRescheduled(updated, appointment, provider, patient);
+    }
+
+    return updated;
+  }
+
+  /**
+   * @desc Look up the tests booked with a lab appointment in the lab's catalogue and price them
+   * @param {string} labId - The ID of the lab
+   * @param {Array<string>} testIds - IDs of the lab's tests
+   * @returns {Promise<Object>} { tests: [{ test, name, code, price }], totalPrice }
+   * @throws {ErrorResponse} If no tests are given or some are not in the lab's catalogue
+   */
+  async priceLabTests(labId, testIds) {
+    const ids = Array.isArray(testIds) ? [...new Set(testIds.map(String))] : [];
+    if (ids.length === 0) {
+      throw new ErrorResponse('Please select at least one test', 400);
+    }
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Some of the selected tests are not offered by this lab', 400);
+    }
+
+    const labTests = await LabTest.find({ _id: { $in: ids }, lab: labId });
+    if (labTests.length !== ids.length) {
+      throw new ErrorResponse('Some of the selected tests are not offered by this lab', 400);
+    }
+
+    const tests = labTests.map((labTest) => ({
+      test: labTest._id,
+      name: labTest.name,
+      code: labTest.code,
+      price: labTest.price,
+    }));
+    const totalPrice = Math.round(tests.reduce((sum, test) => sum + test.price, 0) * 100) / 100;
+    return { tests, totalPrice };
+  }
+
+  /**
+   * @desc Minutes from now (in the appointments' time zone) until an appointment time
+   * @param {Date|string} date - Day of the appointment
+   * @param {string} time - Start time of the appointment (unreadable times count as the start of the day)
+   * @returns {number} Minutes until the appointment (negative once it has started)
+   */
+  getMinutesUntil(date, time) {
+    const now = getLocalNow(config.appointments.timeZone);
+    const day = parseDate(date);
+    return (day.getTime() - now.date.getTime()) / 60000 + (parseTime(time) || 0) - now.minutes;
   }
 
   /**
@@ -284,7 +547,107 @@ class AppointmentService {
       );
     }
 
-    await appointment.deleteOne();
+    // Only free the place if this request deleted the appointment
+    const { deletedCount } = await Appointment.deleteOne({ _id: appointment._id });
+    if (deletedCount && appointment.slotReserved) {
+      await this.releaseSlot(appointment);
+    }
+    if (deletedCount) {
+      await appointmentReminderService.cancelReminders(appointment._id);
+    }
+  }
+
+  /**
+   * @desc Where an appointment with a doctor takes place
+   * @param {Object} doctor - The doctor (needs location and clinicAddress)
+   * @param {string} type - Type of the appointment's slot ('online' or 'offline')
+   * @returns {Object|null} GeoJSON location of the clinic, or null for online slots and doctors without one
+   */
+  getDoctorLocation(doctor, type) {
+    if (type === 'online' || !doctor.location || !doctor.location.coordinates || !doctor.clinicAddress) {
+      return null;
+    }
+    return {
+      type: 'Point',
+      coordinates: doctor.location.coordinates,
+      address: doctor.clinicAddress,
+    };
+  }
+
+  /**
+   * @desc Get the slot an appointment holds a place in
+   * @param {Object} appointment - Appointment (or appointment data) with doctor or lab, date and time
+   * @returns {Object} { resourceType, resource, date, time }
+   */
+  getSlot(appointment) {
+    const minutes = parseTime(appointment.appointmentTime);
+    return {
+      resourceType: appointment.doctor ? 'doctor' : 'lab',
+      resource: appointment.doctor || appointment.lab,
+      date: parseDate(appointment.appointmentDate),
+      // Times like "10:00 AM" and "10:00" are the same slot
+      time: minutes === null ? String(appointment.appointmentTime).trim() : formatTime(minutes),
+    };
+  }
+
+  /**
+   * @desc Take a place in the slot of an appointment. A doctor sees one patient per slot; a lab
+   *       takes as many as its slot capacity.
+   * @param {Object} appointment - Appointment (or appointment data) with doctor or lab, date and time
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} 409 if the slot is already full
+   */
+  async reserveSlot(appointment) {
+    let capacity = 1;
+    if (!appointment.doctor) {
+      const lab = await Lab.findById(appointment.lab).select('slotCapacity');
+      capacity = lab?.slotCapacity || config.appointments.labSlotCapacity;
+    }
+
+    const reserved = await SlotReservation.reserve(this.getSlot(appointment), capacity);
+    if (!reserved) {
+      throw new ErrorResponse(
+        appointment.doctor
+          ? 'This slot has just been booked by someone else. Please pick another time.'
+          : 'This lab slot is fully booked. Please pick another time.',
+        409
+      );
+    }
+  }
+
+  /**
+   * @desc Give back the place an appointment holds in its slot
+   * @param {Object} appointment - Appointment (or appointment data) with doctor or lab, date and time
+   * @returns {Promise<void>}
+   */
+  async releaseSlot(appointment) {
+    await SlotReservation.release(this.getSlot(appointment));
+  }
+
+  /**
+   * @desc One-off backfill for appointments booked before slot reservations existed: each active
+   *       appointment takes its place in its slot, so it counts toward the slot's capacity and is given
+   *       back when cancelled. Safe to run again; appointments that already hold a place are skipped.
+   * @returns {Promise<number>} Number of appointments given a place
+   */
+  async backfillSlotReservations() {
+    const legacy = await Appointment.find({ status: { $ne: 'cancelled' }, slotReserved: { $ne: true } })
+      .select('doctor lab appointmentDate appointmentTime');
+
+    let count = 0;
+    for (const appointment of legacy) {
+      // Claim the appointment first, so the place is never counted twice
+      const { modifiedCount } = await Appointment.updateOne(
+        { _id: appointment._id, status: { $ne: 'cancelled' }, slotReserved: { $ne: true } },
+        { $set: { slotReserved: true } }
+      );
+      if (!modifiedCount) continue;
+
+      // Already booked: counted even if that puts the slot over its capacity
+      await SlotReservation.updateOne(this.getSlot(appointment), { $inc: { count: 1 } }, { upsert: true });
+      count++;
+    }
+    return count;
   }
 }
 
@@ -0,0 +1,225 @@
+// src/services/cartService.js
+// This file contains business logic for the server-side shopping cart.
+// Every read re-checks the live price and stock of each line and flags the lines that changed
+// since the user last saw them; a guest cart can be merged into the cart when the user logs in.
+
+const Cart = require('../models/Cart'); // Import the Cart model
+const Medicine = require('../models/Medicine'); // Import the Medicine model for live prices and stock
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+
+class CartService {
+  /**
+   * @desc Get the user's cart with live prices and stock. Lines whose price changed since the
+   *       user last saw it are flagged once (the new price is then remembered); lines of deleted
+   *       medicines are removed and reported.
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} { items, itemsPrice, hasChanges, removedItems }
+   *          items: [{ medicine, name, imageUrl, price, previousPrice, priceChanged, quantity, stock, stockIssue, requiresPrescription }]
+   *          stockIssue is null, 'out_of_stock' or 'insufficient_stock'
+   */
+  async getCart(userId) {
+    const cart = await this.getOrCreateCart(userId);
+    const medicines = await Medicine.find({ _id: { $in: cart.items.map((item) => item.medicine) } })
+      .select('name price stock imageUrl requiresPrescription');
+    const medicineMap = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+    const items = [];
+    const removedItems = [];
+    let changed = false;
+
+    cart.items.forEach((item) => {
+      const medicine = medicineMap.get(item.medicine.toString());
+      if (!medicine) {
+        removedItems.push({ medicine: item.medicine, name: item.name });
+        return;
+      }
+
+      const priceChanged = item.price !== undefined && item.price !== medicine.price;
+      let stockIssue = null;
+      if (medicine.stock === 0) {
+        stockIssue = 'out_of_stock';
+      } else if (item.quantity > medicine.stock) {
+        stockIssue = 'insufficient_stock';
+      }
+
+      items.push({
+        medicine: medicine._id,
+        name: medicine.name,
+        imageUrl: medicine.imageUrl,
+        price: medicine.price,
+        previousPrice: priceChanged ? item.price : undefined,
+        priceChanged,
+        quantity: item.quantity,
+        stock: medicine.stock,
+        stockIssue,
+        requiresPrescription: medicine.requiresPrescription,
+      });
+
+      // Remember the live price and name so the change is only reported once
+      if (item.price !== medicine.price || item.name !== medicine.name) {
+        item.price = medicine.price;
+        item.name = medicine.name;
+        changed = true;
+      }
+    });
+
+    if (removedItems.length > 0) {
+      const removedIds = removedItems.map((item) => item.medicine.toString());
+      cart.items = cart.items.filter((item) => !removedIds.includes(item.medicine.toString()));
+      changed = true;
+    }
+    if (changed) {
+      await cart.save();
+    }
+
+    const itemsPrice = Math.round(items.reduce((acc, item) => acc + item.price * item.quantity, 0) * 100) / 100;
+    const hasChanges = removedItems.length > 0 || items.some((item) => item.priceChanged || item.stockIssue);
+
+    return { items, itemsPrice, hasChanges, removedItems };
+  }
+
+  /**
+   * @desc Add a medicine to the cart, or set the quantity if it is already in the cart
+   * @param {string} userId - ID of the user
+   * @param {Object} itemData - { medicine, quantity }
+   * @returns {Promise<Object>} The cart (see getCart)
+   * @throws {ErrorResponse} If the medicine is not found, the quantity is invalid, or there is not enough stock
+   */
+  async addItem(userId, itemData) {
+    const medicine = await this.getMedicineForQuantity(itemData.medicine, itemData.quantity);
+    const cart = await this.getOrCreateCart(userId);
+
+    const existing = cart.items.find((item) => item.medicine.toString() === medicine._id.toString());
+    if (existing) {
+      existing.quantity = Number(itemData.quantity);
+      existing.price = medicine.price;
+    } else {
+      cart.items.push({ medicine: medicine._id, name: medicine.name, quantity: Number(itemData.quantity), price: medicine.price });
+    }
+    await cart.save();
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * @desc Change the quantity of a cart line (a quantity of 0 removes it)
+   * @param {string} userId - ID of the user
+   * @param {string} medicineId - ID of the medicine of the line
+   * @param {number} quantity - The new quantity
+   * @returns {Promise<Object>} The cart (see getCart)
+   * @throws {ErrorResponse} If the line is not in the cart, the quantity is invalid, or there is not enough stock
+   */
+  async updateItemQuantity(userId, medicineId, quantity) {
+    if (Number(quantity) === 0) {
+      return this.removeItem(userId, medicineId);
+    }
+
+    const cart = await this.getOrCreateCart(userId);
+    const existing = cart.items.find((item) => item.medicine.toString() === medicineId);
+    if (!existing) {
+      throw new ErrorResponse(`Medicine ${medicineId} is not in your cart`, 404);
+    }
+
+    const medicine = await this.getMedicineForQuantity(medicineId, quantity);
+    existing.quantity = Number(quantity);
+    existing.price = medicine.price;
+    await cart.save();
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * @desc Remove a line from the cart
+   * @param {string} userId - ID of the user
+   * @param {string} medicineId - ID of the medicine of the line
+   * @returns {Promise<Object>} The cart (see getCart)
+   */
+  async removeItem(userId, medicineId) {
+    await Cart.updateOne({ user: userId }, { $pull: { items: { medicine: medicineId } }, $set: { updatedAt: Date.now() } });
+    return this.getCart(userId);
+  }
+
+  /**
+   * @desc Remove all lines from the cart
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} The (empty) cart (see getCart)
+   */
+  async clearCart(userId) {
+    await Cart.updateOne({ user: userId }, { $set: { items: [], updatedAt: Date.now() } });
+    return this.getCart(userId);
+  }
+
+  /**
+   * @desc Merge a guest (browser) cart into the user's cart after login. For medicines in both
+   *       carts the larger quantity wins; quantities are capped at the available stock and lines
+   *       of unknown or out-of-stock medicines are skipped.
+   * @param {string} userId - ID of the user
+   * @param {Array<Object>} guestItems - Guest cart lines ({ medicine, quantity })
+   * @returns {Promise<Object>} The merged cart (see getCart)
+   */
+  async mergeCart(userId, guestItems) {
+    const validItems = (Array.isArray(guestItems) ? guestItems : [])
+      .filter((item) => item && item.medicine && Number.isInteger(Number(item.quantity)) && Number(item.quantity) > 0);
+
+    if (validItems.length > 0) {
+      const medicines = await Medicine.find({ _id: { $in: validItems.map((item) => String(item.medicine)) } })
+        .select('name price stock');
+      const medicineMap = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+      const cart = await this.getOrCreateCart(userId);
+
+      validItems.forEach((guestItem) => {
+        const medicine = medicineMap.get(String(guestItem.medicine));
+        if (!medicine || medicine.stock === 0) return;
+
+        const existing = cart.items.find((item) => item.medicine.toString() === medicine._id.toString());
+        const quantity = Math.min(Math.max(Number(guestItem.quantity), existing ? existing.quantity : 0), medicine.stock);
+        if (existing) {
+          existing.quantity = quantity;
+        } else {
+          cart.items.push({ medicine: medicine._id, name: medicine.name, quantity, price: medicine.price });
+        }
+      });
+      await cart.save();
+    }
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * @desc Get the user's cart document, creating an empty one if needed
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} The cart document
+   */
+  async getOrCreateCart(userId) {
+    return Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, items: [] } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * @desc Load a medicine and check that a quantity of it can be put in the cart
+   * @param {string} medicineId - ID of the medicine
+   * @param {number} quantity - Requested quantity
+   * @returns {Promise<Object>} The medicine
+   * @throws {ErrorResponse} If the quantity is invalid, the medicine is not found, or there is not enough stock
+   */
+  async getMedicineForQuantity(medicineId, quantity) {
+    const requested = Number(quantity);
+    if (!Number.isInteger(requested) || requested <= 0) {
+      throw new ErrorResponse('Quantity must be a positive whole number', 400);
+    }
+
+    const medicine = await Medicine.findById(medicineId).select('name price stock');
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${medicineId}`, 404);
+    }
+    if (requested > medicine.stock) {
+      throw new ErrorResponse(`Not enough stock for ${medicine.name}. Available: ${medicine.stock}`, 400);
+    }
+    return medicine;
+  }
+}
+
+module.exports = new CartService(); // Export an instance of the service
@@ -0,0 +1,257 @@
+// src/services/couponService.js
+// This file contains business logic related to coupons and promotions.
+// It covers admin CRUD, checking whether a coupon can be used for a cart,
+// calculating the discount a coupon gives, and counting each user's uses of a coupon.
+
+const Coupon = require('../models/Coupon'); // Import the Coupon model
+const CouponUsage = require('../models/CouponUsage'); // Per-user usage counters
+const Order = require('../models/Order'); // Import the Order model to give back the uses of cancelled orders and backfill orders
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+class CouponService {
+  /**
+   * @desc Get all coupons with optional filtering, sorting, and pagination
+   * @param {Object} queryParams - Query parameters from the request (req.query)
+   * @returns {Promise<Object>} An object containing count and an array of coupons
+   */
+  async getCoupons(queryParams) {
+    const features = new APIFeatures(Coupon.find(), queryParams)
+      .filter()
+      .applyFind()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const coupons = await features.query;
+    return { count: coupons.length, data: coupons };
+  }
+
+  /**
+   * @desc Get a single coupon by ID
+   * @param {string} id - The ID of the coupon to retrieve
+   * @returns {Promise<Object>} The coupon object
+   * @throws {ErrorResponse} If coupon is not found
+   */
+  async getCoupon(id) {
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      throw new ErrorResponse(`Coupon not found with id of ${id}`, 404);
+    }
+    return coupon;
+  }
+
+  /**
+   * @desc Create a new coupon
+   * @param {Object} couponData - Data for the new coupon
+   * @param {string} userId - ID of the admin creating the coupon
+   * @returns {Promise<Object>} The newly created coupon
+   */
+  async createCoupon(couponData, userId) {
+    couponData.user = userId; // Attach the admin who is creating the coupon
+    const coupon = await Coupon.create(couponData);
+    return coupon;
+  }
+
+  /**
+   * @desc Update an existing coupon
+   * @param {string} id - The ID of the coupon to update
+   * @param {Object} updateData - Data to update the coupon with
+   * @returns {Promise<Object>} The updated coupon
+   * @throws {ErrorResponse} If coupon is not found
+   */
+  async updateCoupon(id, updateData) {
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      throw new ErrorResponse(`Coupon not found with id of ${id}`, 404);
+    }
+
+    // Use save() so validators that depend on other fields (e.g., percentage <= 100) see the whole document
+    coupon.set(updateData);
+    return coupon.save();
+  }
+
+  /**
+   * @desc Delete a coupon
+   * @param {string} id - The ID of the coupon to delete
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If coupon is not found
+   */
+  async deleteCoupon(id) {
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      throw new ErrorResponse(`Coupon not found with id of ${id}`, 404);
+    }
+    await coupon.deleteOne();
+  }
+
+  /**
+   * @desc Find a coupon by code and check that the user may apply it to this cart
+   * @param {string} code - The coupon code entered by the user
+   * @param {string} userId - ID of the user applying the coupon
+   * @param {Array<Object>} pricedItems - Repriced order lines ({ price, quantity, category })
+   * @param {number} itemsPrice - Sum of all order lines
+   * @returns {Promise<Object>} The applicable coupon
+   * @throws {ErrorResponse} If the coupon does not exist or any of its conditions is not met
+   */
+  async getApplicableCoupon(code, userId, pricedItems, itemsPrice) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    const now = new Date();
+
+    if (!coupon || !coupon.isActive) {
+      throw new ErrorResponse('Invalid coupon code', 400);
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new ErrorResponse('This coupon is not active yet', 400);
+    }
+    if (coupon.expiresAt <= now) {
+      throw new ErrorResponse('This coupon has expired', 400);
+    }
+    if (itemsPrice < coupon.minOrderValue) {
+      throw new ErrorResponse(`This coupon requires a minimum order value of ₹${coupon.minOrderValue.toFixed(2)}`, 400);
+    }
+    if (this.getEligibleSubtotal(coupon, pricedItems) === 0) {
+      throw new ErrorResponse(`This coupon only applies to: ${coupon.categories.join(', ')}`, 400);
+    }
+
+    if (coupon.usageLimitPerUser) {
+      // Checked again atomically when the order is placed (see claimCouponUsage)
+      const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId });
+      if (usage && usage.count >= coupon.usageLimitPerUser) {
+        throw new ErrorResponse('You have already used this coupon the maximum number of times', 400);
+      }
+    }
+
+    return coupon;
+  }
+
+  /**
+   * @desc Count one more use of a coupon by a user, atomically, so simultaneous checkouts can not
+   *       use it more often than its per-user limit allows
+   * @param {string} couponId - The ID of the coupon
+   * @param {string} userId - The ID of the user placing the order
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If the coupon no longer exists or the user has reached its limit
+   */
+  async claimCouponUsage(couponId, userId) {
+    const coupon = await Coupon.findById(couponId).select('usageLimitPerUser');
+    if (!coupon) {
+      throw new ErrorResponse('Invalid coupon code', 400);
+    }
+
+    const claimed = await CouponUsage.claim(coupon._id, userId, coupon.usageLimitPerUser || Infinity);
+    if (!claimed) {
+      throw new ErrorResponse('You have already used this coupon the maximum number of times', 400);
+    }
+  }
+
+  /**
+   * @desc Give back a use of a coupon (e.g., when the order it was claimed for could not be saved)
+   * @param {string} couponId - The ID of the coupon
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<void>}
+   */
+  async releaseCouponUsage(couponId, userId) {
+    await CouponUsage.release(couponId, userId);
+  }
+
+  /**
+   * @desc Give back the coupon use of a cancelled or deleted order, exactly once per order.
+   *       The order is atomically flagged first, so repeated calls (e.g., cancel followed by delete)
+   *       never give the same use back twice.
+   * @param {Object} order - The order document
+   * @returns {Promise<void>}
+   */
+  async releaseOrderCoupon(order) {
+    if (!order.coupon || !order.coupon.coupon) return;
+
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, couponReleased: { $ne: true } },
+      { $set: { couponReleased: true } }
+    );
+    if (!claimed) return; // Already given back by an earlier action
+
+    await CouponUsage.release(order.coupon.coupon, claimed.user);
+    // Keep the in-memory document in sync so a later save() does not clear the flag
+    order.couponReleased = true;
+  }
+
+  /**
+   * @desc One-off backfill for orders placed before usage counters existed: each user's counter is
+   *       raised to the number of their orders with the coupon that were not cancelled. Safe to run again.
+   * @returns {Promise<number>} Number of usage counters written
+   */
+  async backfillCouponUsage() {
+    // Cancelled orders never used up their coupon, so there is nothing to give back for them
+    await Order.updateMany(
+      { 'coupon.coupon': { $ne: null }, orderStatus: 'cancelled', couponReleased: { $ne: true } },
+      { $set: { couponReleased: true } }
+    );
+
+    const usages = await Order.aggregate([
+      { $match: { 'coupon.coupon': { $ne: null }, orderStatus: { $ne: 'cancelled' } } },
+      { $group: { _id: { coupon: '$coupon.coupon', user: '$user' }, count: { $sum: 1 } } },
+    ]);
+
+    for (const usage of usages) {
+      await CouponUsage.updateOne(
+        { coupon: usage._id.coupon, user: usage._id.user },
+        { $max: { count: usage.count } },
+        { upsert: true }
+      );
+    }
+    return usages.length;
+  }
+
+  /**
+   * @desc One-off backfill for free-shipping orders placed while the waived shipping was added to
+   *       discountPrice: it is moved to shippingDiscount, so discountPrice is the discount on items
+   *       again (free-shipping coupons give none). Safe to run again.
+   * @returns {Promise<number>} Number of orders corrected
+   */
+  async backfillShippingDiscounts() {
+    const { modifiedCount } = await Order.updateMany(
+      { 'coupon.discountType': 'free_shipping', shippingDiscount: { $exists: false } },
+      [{ $set: { shippingDiscount: '$discountPrice', discountPrice: 0 } }]
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * @desc Sum of the order lines the coupon applies to (all lines if it has no category restriction)
+   * @param {Object} coupon - The coupon
+   * @param {Array<Object>} pricedItems - Repriced order lines ({ price, quantity, category })
+   * @returns {number} The eligible subtotal
+   */
+  getEligibleSubtotal(coupon, pricedItems) {
+    const eligibleItems = coupon.categories && coupon.categories.length > 0
+      ? pricedItems.filter((item) => coupon.categories.includes(item.category))
+      : pricedItems;
+    return roundPrice(eligibleItems.reduce((acc, item) => acc + item.price * item.quantity, 0));
+  }
+
+  /**
+   * @desc Calculate the item discount of a coupon. Free-shipping coupons give no item discount;
+   *       their effect is applied to the shipping price by the PricingService.
+   * @param {Object} coupon - The coupon
+   * @param {Array<Object>} pricedItems - Repriced order lines ({ price, quantity, category })
+   * @returns {number} The discount on items (₹)
+   */
+  calculateItemsDiscount(coupon, pricedItems) {
+    const eligibleSubtotal = this.getEligibleSubtotal(coupon, pricedItems);
+
+    if (coupon.discountType === 'percentage') {
+      const discount = eligibleSubtotal * (coupon.discountValue / 100);
+      return roundPrice(coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount);
+    }
+    if (coupon.discountType === 'flat') {
+      return roundPrice(Math.min(coupon.discountValue, eligibleSubtotal));
+    }
+    return 0;
+  }
+}
+
+module.exports = new CouponService(); // Export an instance of the service
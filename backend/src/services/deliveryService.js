@@ -0,0 +1,190 @@
+// src/services/deliveryService.js
+// This file contains business logic related to delivery zones.
+// It covers admin CRUD for zones, the PIN code serviceability check used by the
+// medicine page and checkout, and the zone-based shipping fee used by the PricingService.
+
+const DeliveryZone = require('../models/DeliveryZone'); // Import the DeliveryZone model
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+class DeliveryService {
+  /**
+   * @desc Get all delivery zones with optional filtering, sorting, and pagination
+   * @param {Object} queryParams - Query parameters from the request (req.query)
+   * @returns {Promise<Object>} An object containing count and an array of zones
+   */
+  async getZones(queryParams) {
+    const features = new APIFeatures(DeliveryZone.find(), queryParams)
+      .filter()
+      .applyFind()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const zones = await features.query;
+    return { count: zones.length, data: zones };
+  }
+
+  /**
+   * @desc Get a single delivery zone by ID
+   * @param {string} id - The ID of the zone to retrieve
+   * @returns {Promise<Object>} The zone object
+   * @throws {ErrorResponse} If zone is not found
+   */
+  async getZone(id) {
+    const zone = await DeliveryZone.findById(id);
+    if (!zone) {
+      throw new ErrorResponse(`Delivery zone not found with id of ${id}`, 404);
+    }
+    return zone;
+  }
+
+  /**
+   * @desc Create a new delivery zone
+   * @param {Object} zoneData - Data for the new zone
+   * @returns {Promise<Object>} The newly created zone
+   * @throws {ErrorResponse} If any of its PIN codes already belongs to another zone
+   */
+  async createZone(zoneData) {
+    if (zoneData.pinCodes) {
+      zoneData.pinCodes = this.normalizePinCodes(zoneData.pinCodes);
+      await this.assertPinCodesAvailable(zoneData.pinCodes);
+    }
+    return DeliveryZone.create(zoneData);
+  }
+
+  /**
+   * @desc Update an existing delivery zone
+   * @param {string} id - The ID of the zone to update
+   * @param {Object} updateData - Data to update the zone with
+   * @returns {Promise<Object>} The updated zone
+   * @throws {ErrorResponse} If zone is not found or any of its PIN codes already belongs to another zone
+   */
+  async updateZone(id, updateData) {
+    const zone = await DeliveryZone.findById(id);
+    if (!zone) {
+      throw new ErrorResponse(`Delivery zone not found with id of ${id}`, 404);
+    }
+
+    if (updateData.pinCodes) {
+      updateData.pinCodes = this.normalizePinCodes(updateData.pinCodes);
+      await this.assertPinCodesAvailable(updateData.pinCodes, zone._id);
+    }
+
+    zone.set(updateData);
+    return zone.save();
+  }
+
+  /**
+   * @desc Delete a delivery zone
+   * @param {string} id - The ID of the zone to delete
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If zone is not found
+   */
+  async deleteZone(id) {
+    const zone = await DeliveryZone.findById(id);
+    if (!zone) {
+      throw new ErrorResponse(`Delivery zone not found with id of ${id}`, 404);
+    }
+    await zone.deleteOne();
+  }
+
+  /**
+   * @desc Check whether we deliver to a PIN code, and on what terms
+   * @param {string} pinCode - The PIN code to check
+   * @returns {Promise<Object>} { pinCode, serviceable, zone } where zone holds the shipping terms (null if not serviceable)
+   * @throws {ErrorResponse} If the PIN code is not a valid 6-digit PIN code
+   */
+  async checkPinCode(pinCode) {
+    const pin = this.parsePinCode(pinCode);
+    const zone = await DeliveryZone.findOne({ pinCodes: pin, isActive: true });
+
+    return {
+      pinCode: pin,
+      serviceable: Boolean(zone),
+      zone: zone
+        ? {
+          name: zone.name,
+          shippingFee: zone.shippingFee,
+          freeShippingThreshold: zone.freeShippingThreshold,
+          estimatedDeliveryDays: zone.estimatedDeliveryDays,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * @desc Get the active zone that delivers to a PIN code
+   * @param {string} pinCode - The shipping address PIN code
+   * @returns {Promise<Object>} The delivery zone
+   * @throws {ErrorResponse} If the PIN code is invalid or outside every delivery zone
+   */
+  async getZoneForPinCode(pinCode) {
+    const pin = this.parsePinCode(pinCode);
+    const zone = await DeliveryZone.findOne({ pinCodes: pin, isActive: true });
+    if (!zone) {
+      throw new ErrorResponse(`Sorry, we do not deliver to PIN code ${pin} yet`, 400);
+    }
+    return zone;
+  }
+
+  /**
+   * @desc Shipping price in a zone for a given items price
+   * @param {Object} zone - The delivery zone
+   * @param {number} itemsPrice - Items price after discounts
+   * @returns {number} The shipping price
+   */
+  calculateShipping(zone, itemsPrice) {
+    const isFree = zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+      && itemsPrice > zone.freeShippingThreshold;
+    return isFree ? 0 : zone.shippingFee;
+  }
+
+  /**
+   * @desc Validate and trim a PIN code
+   * @param {string} pinCode - The PIN code from the request
+   * @returns {string} The trimmed PIN code
+   * @throws {ErrorResponse} If the PIN code is missing or not 6 digits
+   */
+  parsePinCode(pinCode) {
+    const pin = String(pinCode || '').trim();
+    if (!DeliveryZone.PIN_CODE_PATTERN.test(pin)) {
+      throw new ErrorResponse('Please provide a valid 6-digit PIN code', 400);
+    }
+    return pin;
+  }
+
+  /**
+   * @desc Trim PIN codes and drop duplicates (accepts an array or a comma-separated string)
+   * @param {Array<string>|string} pinCodes - PIN codes from the request
+   * @returns {Array<string>} The cleaned PIN codes
+   */
+  normalizePinCodes(pinCodes) {
+    const list = Array.isArray(pinCodes) ? pinCodes : String(pinCodes).split(',');
+    return [...new Set(list.map((pin) => String(pin).trim()).filter(Boolean))];
+  }
+
+  /**
+   * @desc Make sure none of the PIN codes belongs to another zone, so every address maps to one fee
+   * @param {Array<string>} pinCodes - PIN codes of the zone being saved
+   * @param {string} [excludeZoneId] - ID of the zone being updated
+   * @throws {ErrorResponse} If a PIN code is already served by another zone
+   */
+  async assertPinCodesAvailable(pinCodes, excludeZoneId) {
+    const conditions = { pinCodes: { $in: pinCodes } };
+    if (excludeZoneId) {
+      conditions._id = { $ne: excludeZoneId };
+    }
+
+    const overlapping = await DeliveryZone.find(conditions).select('name pinCodes');
+    if (overlapping.length > 0) {
+      const taken = overlapping.map((zone) => {
+        const pins = zone.pinCodes.filter((pin) => pinCodes.includes(pin));
+        return `${pins.join(', ')} (${zone.name})`;
+      });
+      throw new ErrorResponse(`PIN codes already belong to another zone: ${taken.join('; ')}`, 400);
+    }
+  }
+}
+
+module.exports = new DeliveryService(); // Export an instance of the service
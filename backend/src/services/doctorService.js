@@ -1,11 +1,15 @@
 // src/services/doctorService.js
 // This file contains business logic related to doctor operations.
 // It abstracts database interactions and other complex logic away from the controllers.
+// Bookable slots are generated from the doctor's weekly schedule minus the appointments already booked.
 
 const Doctor = require('../models/Doctor');
 const User = require('../models/User'); // To update user role
+const Appointment = require('../models/Appointment'); // Booked appointments occupy slots
 const ErrorResponse = require('../utils/errorHandler');
 const APIFeatures = require('../utils/apiFeatures');
+const config = require('../config/config'); // Appointment slot rules
+const { DAY_MS, parseTime, parseDate, getLocalNow, getScheduleSlots } = require('../utils/schedule'); // Weekly schedule helpers
 
 class DoctorService {
   /**
@@ -118,6 +122,111 @@ class DoctorService {
     return doctor;
   }
 
+  /**
+   * @desc Replace a doctor's weekly schedule
+   * @param {string} id - The ID of the doctor profile
+   * @param {Array<Object>} schedule - [{ weekday, startTime, endTime, slotMinutes, locationType }]
+   * @param {Object} authUser - Authenticated user object (admin, or the doctor themselves)
+   * @returns {Promise<Object>} The updated doctor profile
+   * @throws {ErrorResponse} If the schedule is missing or invalid, the doctor is not found, or user is not authorized
+   */
+  async updateSchedule(id, schedule, authUser) {
+    if (!Array.isArray(schedule)) {
+      throw new ErrorResponse('Please provide the schedule as a list of weekly time windows', 400);
+    }
+
+    const doctor = await this.getDoctor(id);
+    if (authUser.role !== 'admin' && doctor.user.toString() !== authUser.id) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to change this doctor's schedule`, 403);
+    }
+
+    // Use save() so the schedule validators run on the whole list
+    doctor.schedule = schedule;
+    return doctor.save();
+  }
+
+  /**
+   * @desc Get the free slots of a doctor on a day: the weekly schedule's slots minus booked appointments
+   *       (and, today, minus the slots that have already started)
+   * @param {string} id - The ID of the doctor profile
+   * @param {string} date - The day ("YYYY-MM-DD")
+   * @param {Object} [options] - { excludeAppointment } ID of an appointment whose slot counts as free (e.g., when rescheduling it)
+   * @returns {Promise<Object>} { date, data } where data lists the free slots [{ time, endTime, locationType, type }]
+   * @throws {ErrorResponse} If the date is invalid or the doctor is not found
+   */
+  async getAvailableSlots(id, date, options = {}) {
+    const day = parseDate(date);
+    if (!day) {
+      throw new ErrorResponse('Please provide a valid date (YYYY-MM-DD)', 400);
+    }
+    const doctor = await this.getDoctor(id);
+
+    const { timeZone, bookingWindowDays } = config.appointments;
+    const today = getLocalNow(timeZone);
+    const dateKey = day.toISOString().slice(0, 10);
+    if (day < today.date || day.getTime() > today.date.getTime() + bookingWindowDays * DAY_MS) {
+      return { date: dateKey, data: [] }; // Past days and days beyond the booking window have no bookable slots
+    }
+
+    const booked = await this.getBookedRanges(doctor._id, day, options.excludeAppointment);
+    const isToday = day.getTime() === today.date.getTime();
+
+    const data = getScheduleSlots(doctor.schedule, day.getUTCDay())
+      .filter((slot) => !isToday || slot.start > today.minutes)
+      .filter((slot) => !booked.some((range) => slot.start < range.end && range.start < slot.end))
+      .map((slot) => ({
+        time: slot.time,
+        endTime: slot.endTime,
+        locationType: slot.locationType,
+        type: slot.locationType === 'online' ? 'online' : 'offline', // Appointment type of the slot
+      }));
+
+    return { date: dateKey, data };
+  }
+
+  /**
+   * @desc Find a free slot of a doctor starting at the given time
+   * @param {string} id - The ID of the doctor profile
+   * @param {string} date - The day ("YYYY-MM-DD")
+   * @param {string} time - Start time of the slot ("HH:mm")
+   * @param {Object} [options] - See getAvailableSlots
+   * @returns {Promise<Object|null>} The slot, or null if there is no free slot at that time
+   * @throws {ErrorResponse} If the date is invalid or the doctor is not found
+   */
+  async findFreeSlot(id, date, time, options = {}) {
+    const start = parseTime(time);
+    const { data } = await this.getAvailableSlots(id, date, options);
+    return data.find((slot) => parseTime(slot.time) === start) || null;
+  }
+
+  /**
+   * @desc Time ranges of a day taken by a doctor's active (not cancelled) appointments
+   * @param {string} doctorId - The ID of the doctor profile
+   * @param {Date} day - Midnight UTC of the day
+   * @param {string} [excludeAppointment] - ID of an appointment to leave out
+   * @returns {Promise<Array<Object>>} [{ start, end }] in minutes after midnight
+   */
+  async getBookedRanges(doctorId, day, excludeAppointment) {
+    const conditions = {
+      doctor: doctorId,
+      status: { $ne: 'cancelled' },
+      appointmentDate: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+    };
+    if (excludeAppointment) conditions._id = { $ne: excludeAppointment };
+
+    const appointments = await Appointment.find(conditions).select('appointmentTime endTime');
+    return appointments
+      .map((appointment) => {
+        const start = parseTime(appointment.appointmentTime);
+        // Older appointments have no end time; assume the default slot length.
+        // An end at or before the start (e.g., "00:00") is midnight at the end of the day.
+        const end = parseTime(appointment.endTime);
+        if (end === null) return { start, end: start + config.appointments.defaultSlotMinutes };
+        return { start, end: end <= start ? 24 * 60 : end };
+      })
+      .filter((range) => range.start !== null);
+  }
+
   /**
    * @desc Delete a doctor profile
    * @param {string} id - The ID of the doctor profile to delete
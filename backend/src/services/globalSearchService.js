@@ -33,6 +33,7 @@ class GlobalSearchService {
         { description: searchRegex },
         { manufacturer: searchRegex },
         { category: searchRegex },
+        { 'composition.activeIngredients.name': searchRegex }, // Find every brand of a salt
       ],
     }).limit(10).lean(); // Limit results to avoid overwhelming response
 
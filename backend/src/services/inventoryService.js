@@ -0,0 +1,477 @@
+// src/services/inventoryService.js
+// This file contains business logic for medicine stock movements.
+// Stock is held in batches and allocated first-expiry-first-out (FEFO). Every batch is
+// changed with an atomic conditional update so that concurrent orders can never drive a
+// batch below zero or sell an expired batch, and every movement is written to the stock
+// ledger (StockMovement) for auditing. A medicine's stock is derived from its batches.
+
+const Medicine = require('../models/Medicine'); // Import the Medicine model
+const Order = require('../models/Order'); // Import the Order model to claim restocks
+const StockMovement = require('../models/StockMovement'); // Import the stock ledger model
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// How often an allocation is retried when a batch changed between reading and updating it
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+class InventoryService {
+  /**
+   * @desc Atomically reserve stock for a list of order items, taking it from the batches
+   *       that expire first. Expired batches are never used. Each batch decrement only
+   *       succeeds if the batch still holds enough unexpired stock at that moment.
+   *       If any item fails, every reservation already made is released again.
+   * @param {Array<Object>} items - Items to reserve, each with { medicine, quantity, name }
+   * @param {Object} [context] - Ledger context
+   * @param {string} [context.order] - ID of the order the stock is reserved for
+   * @param {string} [context.user] - ID of the user placing the order
+   * @returns {Promise<Array<Object>>} The reservations made, each with { medicine, quantity, batches }
+   *          where batches lists { batch, batchNumber, expiryDate, quantity } in allocation order
+   * @throws {ErrorResponse} If a medicine is not found or there is not enough unexpired stock
+   */
+  async reserveStock(items, context = {}) {
+    const reservations = [];
+
+    try {
+      for (const item of items) {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw new ErrorResponse(`Invalid quantity for ${item.name || item.medicine}`, 400);
+        }
+
+        // Track the reservation before allocating so a failure half-way is compensated too
+        const reservation = { medicine: item.medicine, quantity: 0, batches: [] };
+        reservations.push(reservation);
+        await this.allocateFromBatches(item, quantity, reservation);
+
+        const stockAfter = await this.syncStock(item.medicine);
+        for (const allocation of reservation.batches) {
+          await this.recordMovement({
+            medicine: item.medicine,
+            order: context.order,
+            batchNumber: allocation.batchNumber,
+            delta: -allocation.quantity,
+            stockAfter,
+            reason: 'order_placed',
+            user: context.user,
+          });
+        }
+      }
+    } catch (err) {
+      // Compensate: give back whatever was already taken before the failure
+      await this.releaseStock(reservations, { ...context, reason: 'order_failed' });
+      throw err;
+    }
+
+    return reservations;
+  }
+
+  /**
+   * @desc Take a quantity of one medicine from its sellable batches, earliest expiry first.
+   *       Allocated batches are appended to the reservation as they are taken.
+   * @param {Object} item - The order item ({ medicine, name })
+   * @param {number} quantity - Quantity to allocate
+   * @param {Object} reservation - Reservation being built ({ medicine, quantity, batches })
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If the medicine is not found or its unexpired stock is too low
+   */
+  async allocateFromBatches(item, quantity, reservation) {
+    let remaining = quantity;
+
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS && remaining > 0; attempt++) {
+      const now = new Date();
+      const medicine = await Medicine.findById(item.medicine).select('name +batches');
+      if (!medicine) {
+        throw new ErrorResponse(`Medicine not found: ${item.name || item.medicine}`, 404);
+      }
+
+      const batches = medicine.getSellableBatches(now);
+      const available = batches.reduce((acc, batch) => acc + batch.quantity, 0);
+      if (available < remaining) {
+        throw new ErrorResponse(`Not enough stock for ${medicine.name}. Available: ${available + reservation.quantity}`, 400);
+      }
+
+      for (const batch of batches) {
+        if (remaining === 0) break;
+        const take = Math.min(batch.quantity, remaining);
+
+        // Only decrement while the batch is unexpired and still holds the quantity
+        const updated = await Medicine.findOneAndUpdate(
+          {
+            _id: medicine._id,
+            batches: { $elemMatch: { _id: batch._id, quantity: { $gte: take }, expiryDate: { $gt: now } } },
+          },
+          { $inc: { 'batches.$.quantity': -take } }
+        );
+
+        // Another order changed this batch in the meantime; re-read the batches and retry
+        if (!updated) break;
+
+        reservation.quantity += take;
+        reservation.batches.push({
+          batch: batch._id,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          quantity: take,
+        });
+        remaining -= take;
+      }
+    }
+
+    if (remaining > 0) {
+      throw new ErrorResponse(`Stock of ${item.name || item.medicine} is changing quickly, please try again`, 409);
+    }
+  }
+
+  /**
+   * @desc Release previously reserved stock back into the batches it was taken from.
+   *       Stock without batch details (orders placed before batch tracking) goes back into
+   *       the sellable batch that expires last.
+   * @param {Array<Object>} reservations - Reservations to release, each with { medicine, quantity, batches }
+   * @param {Object} context - Ledger context
+   * @param {string} context.reason - Ledger reason (e.g., 'order_failed', 'order_cancelled')
+   * @param {string} [context.order] - ID of the related order
+   * @param {string} [context.user] - ID of the user causing the release
+   * @returns {Promise<void>}
+   */
+  async releaseStock(reservations, context) {
+    for (const reservation of reservations) {
+      try {
+        let allocations = reservation.batches && reservation.batches.length > 0 ? reservation.batches : null;
+        if (!allocations && reservation.quantity > 0) {
+          const medicine = await Medicine.findById(reservation.medicine).select('+batches');
+          const latest = medicine ? medicine.getSellableBatches().pop() : null;
+          if (!latest) {
+            // The medicine was deleted or has no sellable batch; log so the drift can be corrected manually
+            console.error(`InventoryService: No batch to release ${reservation.quantity} of medicine ${reservation.medicine} into`);
+            continue;
+          }
+          allocations = [{ batch: latest._id, batchNumber: latest.batchNumber, quantity: reservation.quantity }];
+        }
+
+        const released = [];
+        for (const allocation of allocations || []) {
+          const updated = await Medicine.findOneAndUpdate(
+            { _id: reservation.medicine, 'batches._id': allocation.batch },
+            { $inc: { 'batches.$.quantity': allocation.quantity } }
+          );
+
+          // The medicine or batch may have been deleted in the meantime; there is nothing to put back then
+          if (!updated) {
+            console.error(`InventoryService: Batch ${allocation.batchNumber} of medicine ${reservation.medicine} no longer exists`);
+            continue;
+          }
+          released.push(allocation);
+        }
+
+        if (released.length === 0) continue;
+
+        // Stock put back into an expired batch is kept for auditing but does not become sellable
+        const stockAfter = await this.syncStock(reservation.medicine);
+        for (const allocation of released) {
+          await this.recordMovement({
+            medicine: reservation.medicine,
+            order: context.order,
+            batchNumber: allocation.batchNumber,
+            delta: allocation.quantity,
+            stockAfter,
+            reason: context.reason,
+            user: context.user,
+          });
+        }
+      } catch (err) {
+        // Keep releasing the remaining items; log so the drift can be corrected manually
+        console.error(`InventoryService: Failed to release ${reservation.quantity} of medicine ${reservation.medicine}:`, err);
+      }
+    }
+  }
+
+  /**
+   * @desc Pick the part of an order item's batch allocations that covers a quantity,
+   *       skipping the units handled before (e.g., returned by an earlier return request)
+   * @param {Array<Object>} allocations - The order item's batches ({ batch, batchNumber, quantity })
+   * @param {number} offset - Units of the allocation already handled
+   * @param {number} quantity - Units to pick
+   * @returns {Array<Object>} Allocations covering the quantity (empty if the item has no batch details)
+   */
+  sliceBatchAllocations(allocations, offset, quantity) {
+    const slice = [];
+    let skip = offset;
+    let remaining = quantity;
+
+    for (const allocation of allocations || []) {
+      if (remaining === 0) break;
+      const usable = allocation.quantity - Math.min(skip, allocation.quantity);
+      skip = Math.max(skip - allocation.quantity, 0);
+      if (usable <= 0) continue;
+
+      const take = Math.min(usable, remaining);
+      slice.push({ batch: allocation.batch, batchNumber: allocation.batchNumber, quantity: take });
+      remaining -= take;
+    }
+    return slice;
+  }
+
+  /**
+   * @desc Return the stock of an order's items to inventory, exactly once per order.
+   *       The order is atomically flagged as restocked first, so concurrent or repeated
+   *       calls (e.g., cancel followed by delete) never restock the same order twice.
+   * @param {Object} order - The order document whose items should be restocked
+   * @param {string} reason - Ledger reason ('order_cancelled', 'order_deleted', 'payment_failed' or 'prescription_rejected')
+   * @param {string} [userId] - ID of the user causing the restock
+   * @returns {Promise<boolean>} True if the stock was restored by this call, false if it already had been
+   */
+  async restockOrder(order, reason, userId) {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, stockRestored: { $ne: true } },
+      { $set: { stockRestored: true, stockRestoredAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false; // Already restocked by an earlier action
+    }
+
+    const reservations = claimed.orderItems.map((item) => ({
+      medicine: item.medicine,
+      quantity: item.quantity,
+      batches: item.batches,
+    }));
+    await this.releaseStock(reservations, { order: claimed._id, reason, user: userId });
+
+    // Keep the in-memory document in sync so a later save() does not clear the flag
+    order.stockRestored = true;
+    order.stockRestoredAt = claimed.stockRestoredAt;
+    return true;
+  }
+
+  /**
+   * @desc Recalculate a medicine's stock and expirationDate from its unexpired batches.
+   *       Runs as a single update on the stored batches, so it is safe under concurrency.
+   * @param {string} medicineId - The ID of the medicine
+   * @returns {Promise<number|null>} The new stock, or null if the medicine does not exist
+   */
+  async syncStock(medicineId) {
+    const now = new Date();
+    const sellable = {
+      $filter: {
+        input: '$batches',
+        cond: { $and: [{ $gt: ['$$this.expiryDate', now] }, { $gt: ['$$this.quantity', 0] }] },
+      },
+    };
+
+    const updated = await Medicine.findOneAndUpdate(
+      { _id: medicineId },
+      [{
+        $set: {
+          stock: { $sum: { $map: { input: sellable, in: '$$this.quantity' } } },
+          expirationDate: { $min: { $map: { input: sellable, in: '$$this.expiryDate' } } },
+        },
+      }],
+      { new: true }
+    );
+    return updated ? updated.stock : null;
+  }
+
+  /**
+   * @desc One-off backfill for medicines created before stock was tracked in batches: their plain
+   *       stock and expirationDate become one opening batch, as addMedicine does for new medicines.
+   *       Must run before orders are taken, since allocation only sees batches. Safe to run again.
+   * @returns {Promise<Object>} { migrated, skipped } counts; skipped medicines have no expiry date
+   */
+  async backfillOpeningBatches() {
+    const legacy = await Medicine.find({ stock: { $gt: 0 }, 'batches.0': { $exists: false } })
+      .select('name stock expirationDate');
+
+    const result = { migrated: 0, skipped: 0 };
+    for (const medicine of legacy) {
+      if (!medicine.expirationDate) {
+        console.warn(`InventoryService: Medicine ${medicine._id} (${medicine.name}) has stock but no expiry date; receive a batch for it manually`);
+        result.skipped++;
+        continue;
+      }
+
+      // Only while it still has no batches, so a batch received in the meantime is kept
+      const updated = await Medicine.findOneAndUpdate(
+        { _id: medicine._id, 'batches.0': { $exists: false } },
+        { $set: { batches: [{ batchNumber: 'OPENING', quantity: medicine.stock, expiryDate: medicine.expirationDate }] } },
+        { runValidators: true }
+      );
+      if (!updated) continue;
+
+      await this.syncStock(medicine._id); // Drops the stock if the opening batch has already expired
+      result.migrated++;
+    }
+    return result;
+  }
+
+  /**
+   * @desc Get the batches of a medicine, earliest expiry first
+   * @param {string} medicineId - The ID of the medicine
+   * @returns {Promise<Object>} The medicine with its batches
+   * @throws {ErrorResponse} If medicine is not found
+   */
+  async getBatches(medicineId) {
+    const medicine = await Medicine.findById(medicineId).select('name stock expirationDate +batches');
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${medicineId}`, 404);
+    }
+    medicine.batches.sort((a, b) => a.expiryDate - b.expiryDate);
+    return medicine;
+  }
+
+  /**
+   * @desc Receive a new batch of a medicine into inventory
+   * @param {string} medicineId - The ID of the medicine
+   * @param {Object} batchData - { batchNumber, quantity, expiryDate, costPrice }
+   * @param {string} userId - ID of the admin receiving the batch
+   * @returns {Promise<Object>} The medicine with its batches
+   * @throws {ErrorResponse} If medicine is not found, the batch number exists, or the batch has already expired
+   */
+  async receiveBatch(medicineId, batchData, userId) {
+    const { batchNumber, quantity, expiryDate, costPrice } = batchData;
+    const medicine = await Medicine.findById(medicineId).select('+batches');
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${medicineId}`, 404);
+    }
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+      throw new ErrorResponse('Batch quantity must be a positive whole number', 400);
+    }
+    if (expiryDate && new Date(expiryDate) <= new Date()) {
+      throw new ErrorResponse('Cannot receive a batch that has already expired', 400);
+    }
+
+    // Push atomically so a concurrent order on the same medicine is not overwritten;
+    // the batch number condition keeps batch numbers unique per medicine
+    medicine.batches.push({ batchNumber, quantity: Number(quantity), expiryDate, costPrice });
+    await medicine.validate(['batches']);
+    const batch = medicine.batches[medicine.batches.length - 1];
+    const updated = await Medicine.findOneAndUpdate(
+      { _id: medicineId, 'batches.batchNumber': { $ne: batch.batchNumber } },
+      { $push: { batches: batch } }
+    );
+    if (!updated) {
+      throw new ErrorResponse(`Batch ${batch.batchNumber} already exists for ${medicine.name}`, 400);
+    }
+
+    const stockAfter = await this.syncStock(medicineId);
+    await this.recordMovement({
+      medicine: medicineId,
+      batchNumber: batch.batchNumber,
+      delta: batch.quantity,
+      stockAfter,
+      reason: 'batch_received',
+      user: userId,
+    });
+
+    return this.getBatches(medicineId);
+  }
+
+  /**
+   * @desc Correct a batch (e.g., after a stock count). The quantity change is written to the ledger.
+   * @param {string} medicineId - The ID of the medicine
+   * @param {string} batchId - The ID of the batch
+   * @param {Object} updateData - { quantity, expiryDate, costPrice }
+   * @param {string} userId - ID of the admin adjusting the batch
+   * @returns {Promise<Object>} The medicine with its batches
+   * @throws {ErrorResponse} If the medicine or batch is not found, or the new values are invalid
+   */
+  async adjustBatch(medicineId, batchId, updateData, userId) {
+    const medicine = await Medicine.findOne({ _id: medicineId, 'batches._id': batchId }).select('+batches');
+    if (!medicine) {
+      throw new ErrorResponse(`Batch not found with id of ${batchId}`, 404);
+    }
+    const batch = medicine.batches.id(batchId);
+
+    const update = {};
+    let delta = 0;
+    if (updateData.quantity !== undefined) {
+      const quantity = Number(updateData.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw new ErrorResponse('Batch quantity must be a whole number of at least 0', 400);
+      }
+      delta = quantity - batch.quantity;
+      // Adjust by the difference so orders placed in the meantime are not overwritten
+      update.$inc = { 'batches.$.quantity': delta };
+    }
+    if (updateData.expiryDate !== undefined) {
+      if (Number.isNaN(new Date(updateData.expiryDate).getTime())) {
+        throw new ErrorResponse('Please add a valid expiry date', 400);
+      }
+      update.$set = { ...update.$set, 'batches.$.expiryDate': new Date(updateData.expiryDate) };
+    }
+    if (updateData.costPrice !== undefined) {
+      if (Number(updateData.costPrice) < 0) {
+        throw new ErrorResponse('Cost price cannot be negative', 400);
+      }
+      update.$set = { ...update.$set, 'batches.$.costPrice': Number(updateData.costPrice) };
+    }
+    if (Object.keys(update).length === 0) {
+      throw new ErrorResponse('Nothing to update', 400);
+    }
+
+    // A decrease only applies while the batch still holds enough stock
+    const condition = delta < 0
+      ? { _id: medicineId, batches: { $elemMatch: { _id: batchId, quantity: { $gte: -delta } } } }
+      : { _id: medicineId, 'batches._id': batchId };
+    const updated = await Medicine.findOneAndUpdate(condition, update);
+    if (!updated) {
+      throw new ErrorResponse('The batch changed while it was being adjusted, please try again', 409);
+    }
+
+    const stockAfter = await this.syncStock(medicineId);
+    if (delta !== 0) {
+      await this.recordMovement({
+        medicine: medicineId,
+        batchNumber: batch.batchNumber,
+        delta,
+        stockAfter,
+        reason: 'batch_adjusted',
+        user: userId,
+      });
+    }
+
+    return this.getBatches(medicineId);
+  }
+
+  /**
+   * @desc Write a single entry to the stock ledger
+   * @param {Object} movement - Movement data ({ medicine, order, delta, stockAfter, reason, user })
+   * @returns {Promise<void>}
+   */
+  async recordMovement(movement) {
+    try {
+      await StockMovement.create(movement);
+    } catch (err) {
+      // A ledger failure must not undo a stock change that already happened
+      console.error('InventoryService: Failed to record stock movement:', movement, err);
+    }
+  }
+
+  /**
+   * @desc Get stock ledger entries with optional filtering, sorting, and pagination
+   * @param {Object} queryParams - Query parameters from the request (e.g., medicine, order, reason)
+   * @returns {Promise<Object>} An object containing count and an array of stock movements
+   */
+  async getStockMovements(queryParams) {
+    const features = new APIFeatures(StockMovement.find(), queryParams)
+      .filter()
+      .applyFind()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const movements = await features.query
+      .populate({
+        path: 'medicine',
+        select: 'name stock',
+      })
+      .populate({
+        path: 'user',
+        select: 'name email',
+      });
+
+    return { count: movements.length, data: movements };
+  }
+}
+
+module.exports = new InventoryService(); // Export an instance of the service
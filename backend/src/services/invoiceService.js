@@ -0,0 +1,251 @@
+// src/services/invoiceService.js
+// This file contains business logic for order invoices.
+// Invoices are generated as PDFs on demand; each order gets a sequential invoice number the
+// first time its invoice is requested. Tax is shown as a GST split (CGST + SGST) for intra-state supply.
+
+const PDFDocument = require('pdfkit'); // PDF generation
+const Order = require('../models/Order'); // Import the Order model
+const Counter = require('../models/Counter'); // Import the Counter model for invoice numbers
+const config = require('../config/config'); // Invoice seller details
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// The built-in PDF fonts have no ₹ glyph, so amounts are printed as "Rs."
+const formatAmount = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+// How long a request may take to number an invoice before another request may take over
+const INVOICE_CLAIM_MS = 60 * 1000;
+
+class InvoiceService {
+  /**
+   * @desc Generate the PDF invoice of an order
+   * @param {string} orderId - The ID of the order
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} { invoiceNumber, pdf } where pdf is a Buffer
+   * @throws {ErrorResponse} If order not found, user not authorized, or the order was cancelled
+   */
+  async getInvoice(orderId, authUser) {
+    let order = await Order.findById(orderId).populate({ path: 'user', select: 'name email phone' });
+
+    if (!order) {
+      throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+    }
+
+    // Only the order owner and admins may download the invoice
+    if (order.user._id.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to download this invoice`, 403);
+    }
+
+    if (order.orderStatus === 'cancelled') {
+      throw new ErrorResponse('Invoices are not issued for cancelled orders', 400);
+    }
+
+    if (!order.invoiceNumber) {
+      order = await this.assignInvoiceNumber(order);
+    }
+
+    const pdf = await this.buildPdf(order);
+    return { invoiceNumber: order.invoiceNumber, pdf };
+  }
+
+  /**
+   * @desc Give an order the next sequential invoice number (once). The order is claimed before a number
+   *       is taken from the sequence, so concurrent requests can not use up numbers and leave gaps.
+   * @param {Object} order - The order document (with user populated)
+   * @returns {Promise<Object>} The order with its invoiceNumber set
+   * @throws {ErrorResponse} If another request is numbering the invoice at the same time
+   */
+  async assignInvoiceNumber(order) {
+    const populateUser = { path: 'user', select: 'name email phone' };
+
+    // Claim the order (a claim left by a request that crashed expires after INVOICE_CLAIM_MS)
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        invoiceNumber: { $exists: false },
+        $or: [{ invoicedAt: null }, { invoicedAt: { $lte: new Date(Date.now() - INVOICE_CLAIM_MS) } }],
+      },
+      { $set: { invoicedAt: Date.now() } }
+    );
+
+    if (!claimed) {
+      const current = await Order.findById(order._id).populate(populateUser);
+      if (!current.invoiceNumber) {
+        throw new ErrorResponse('The invoice is being generated. Please try again in a moment.', 409);
+      }
+      return current;
+    }
+
+    const seq = await Counter.next('invoice');
+    const invoiceNumber = `${config.invoice.prefix}-${String(seq).padStart(6, '0')}`;
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, invoiceNumber: { $exists: false } },
+      { $set: { invoiceNumber } },
+      { new: true }
+    ).populate(populateUser);
+
+    return updated || Order.findById(order._id).populate(populateUser);
+  }
+
+  /**
+   * @desc Split an order's tax into CGST and SGST (half each)
+   * @param {Object} order - The order
+   * @returns {Object} { taxableValue, cgstRate, sgstRate, cgst, sgst } (rates in percent)
+   */
+  getGstBreakdown(order) {
+    // Tax is charged on the items less their coupon discount, at the rate stored with the order
+    // (orders placed before the rate was stored were taxed at the configured rate)
+    const taxableValue = roundPrice(order.itemsPrice - (order.discountPrice || 0));
+    const taxRate = (order.taxRate ?? config.pricing.taxRate) * 100;
+    const cgst = roundPrice(order.taxPrice / 2);
+
+    return {
+      taxableValue,
+      cgstRate: roundPrice(taxRate / 2),
+      sgstRate: roundPrice(taxRate / 2),
+      cgst,
+      sgst: roundPrice(order.taxPrice - cgst), // Whatever is left, so CGST + SGST always equals the tax charged
+    };
+  }
+
+  /**
+   * @desc Describe the payment status for the invoice
+   * @param {Object} order - The order
+   * @returns {string} Human-readable payment status
+   */
+  getPaymentStatus(order) {
+    if (order.isRefunded) {
+      return `Refunded on ${new Date(order.refundedAt).toLocaleDateString('en-IN')}`;
+    }
+    if (order.isPaid) {
+      return `Paid on ${new Date(order.paidAt).toLocaleDateString('en-IN')}`;
+    }
+    return order.paymentMethod === 'COD' ? 'Payable on delivery' : 'Not paid';
+  }
+
+  /**
+   * @desc Render the invoice PDF
+   * @param {Object} order - The order (with invoiceNumber set and user populated)
+   * @returns {Promise<Buffer>} The PDF file contents
+   */
+  buildPdf(order) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const gst = this.getGstBreakdown(order);
+      const left = 50;
+      const right = 545;
+
+      // Seller header
+      doc.fontSize(18).font('Helvetica-Bold').text(config.invoice.sellerName, left, 50);
+      doc.fontSize(10).font('Helvetica').text(config.invoice.sellerAddress);
+      if (config.invoice.gstin) {
+        doc.text(`GSTIN: ${config.invoice.gstin}`);
+      }
+      doc.fontSize(16).font('Helvetica-Bold').text('TAX INVOICE', left, 50, { align: 'right' });
+
+      // Invoice details
+      doc.moveDown(3).fontSize(10).font('Helvetica');
+      const detailsTop = doc.y;
+      doc.text(`Invoice No: ${order.invoiceNumber}`, left, detailsTop);
+      doc.text(`Invoice Date: ${new Date(order.invoicedAt || Date.now()).toLocaleDateString('en-IN')}`);
+      doc.text(`Order ID: ${order._id}`);
+      doc.text(`Order Date: ${new Date(order.createdAt).toLocaleDateString('en-IN')}`);
+
+      // Billing and shipping details
+      const { shippingAddress } = order;
+      doc.font('Helvetica-Bold').text('Bill To / Ship To', 320, detailsTop);
+      doc.font('Helvetica').text(order.user.name, 320);
+      doc.text(order.user.email, 320);
+      if (order.user.phone) doc.text(order.user.phone, 320);
+      if (shippingAddress.recipient) {
+        doc.text(`Deliver to: ${shippingAddress.recipient}${shippingAddress.phone ? `, ${shippingAddress.phone}` : ''}`, 320);
+      }
+      doc.text(shippingAddress.address, 320);
+      doc.text(`${shippingAddress.city}${shippingAddress.district && shippingAddress.district !== shippingAddress.city ? `, ${shippingAddress.district}` : ''} - ${shippingAddress.postalCode}`, 320);
+      doc.text(shippingAddress.country, 320);
+
+      // Line items table
+      doc.moveDown(2);
+      let y = Math.max(doc.y, detailsTop + 100);
+      const columns = { index: left, name: 80, qty: 330, price: 390, amount: 470 };
+      doc.font('Helvetica-Bold');
+      doc.text('#', columns.index, y);
+      doc.text('Item', columns.name, y);
+      doc.text('Qty', columns.qty, y, { width: 50, align: 'right' });
+      doc.text('Unit Price', columns.price, y, { width: 70, align: 'right' });
+      doc.text('Amount', columns.amount, y, { width: 75, align: 'right' });
+      y += 15;
+      doc.moveTo(left, y).lineTo(right, y).stroke();
+      y += 5;
+
+      doc.font('Helvetica');
+      order.orderItems.forEach((item, idx) => {
+        const nameHeight = doc.heightOfString(item.name, { width: 240 });
+        if (y + nameHeight > 720) {
+          doc.addPage();
+          y = 50;
+        }
+        doc.text(String(idx + 1), columns.index, y);
+        doc.text(item.name, columns.name, y, { width: 240 });
+        doc.text(String(item.quantity), columns.qty, y, { width: 50, align: 'right' });
+        doc.text(formatAmount(item.price), columns.price, y, { width: 70, align: 'right' });
+        doc.text(formatAmount(item.price * item.quantity), columns.amount, y, { width: 75, align: 'right' });
+        y += Math.max(nameHeight, 12) + 6;
+      });
+      doc.moveTo(left, y).lineTo(right, y).stroke();
+      y += 10;
+
+      // Totals with the GST split
+      const totals = [
+        ['Items Total', formatAmount(order.itemsPrice)],
+      ];
+      if (order.discountPrice > 0) {
+        totals.push([`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, `- ${formatAmount(order.discountPrice)}`]);
+      }
+      totals.push(
+        ['Taxable Value', formatAmount(gst.taxableValue)],
+        [`CGST @ ${gst.cgstRate}%`, formatAmount(gst.cgst)],
+        [`SGST @ ${gst.sgstRate}%`, formatAmount(gst.sgst)],
+        [order.shippingDiscount > 0 ? `Shipping (${formatAmount(order.shippingDiscount)} waived)` : 'Shipping', formatAmount(order.shippingPrice)]
+      );
+
+      if (y > 620) {
+        doc.addPage();
+        y = 50;
+      }
+      totals.forEach(([label, value]) => {
+        doc.text(label, 330, y, { width: 135, align: 'right' });
+        doc.text(value, columns.amount, y, { width: 75, align: 'right' });
+        y += 15;
+      });
+      doc.font('Helvetica-Bold');
+      doc.text('Grand Total', 330, y, { width: 135, align: 'right' });
+      doc.text(formatAmount(order.totalPrice), columns.amount, y, { width: 75, align: 'right' });
+      y += 30;
+
+      // Payment details
+      doc.font('Helvetica-Bold').text('Payment', left, y);
+      doc.font('Helvetica');
+      doc.text(`Method: ${order.paymentMethod}`, left);
+      doc.text(`Status: ${this.getPaymentStatus(order)}`, left);
+      if (order.paymentResult && order.paymentResult.id) {
+        doc.text(`Transaction ID: ${order.paymentResult.id}`, left);
+      }
+
+      doc.moveDown(3).fontSize(8).fillColor('gray')
+        .text('This is a computer-generated invoice and does not require a signature.', left, doc.y, { align: 'center', width: right - left });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService(); // Export an instance of the service
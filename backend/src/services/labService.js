@@ -4,6 +4,7 @@
 // UPDATED: Handles location coordinates for adding and updating labs.
 
 const Lab = require('../models/Lab'); // Import the Lab model
+const LabTest = require('../models/LabTest'); // Import the LabTest model to remove a deleted lab's tests
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
 const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
 
@@ -132,6 +133,7 @@ class LabService {
     }
 
     await lab.deleteOne();
+    await LabTest.deleteMany({ lab: lab._id }); // Booked appointments keep their copy of the tests
   }
 }
 
@@ -0,0 +1,165 @@
+// src/services/labTestService.js
+// This file contains business logic related to the test catalogues of labs.
+// Anyone can browse a lab's tests; admins and the lab's own staff (the lab's user) manage them.
+
+const LabTest = require('../models/LabTest'); // Import the LabTest model
+const Lab = require('../models/Lab'); // Import the Lab model to check the lab and its staff
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// Fields lab staff may set on a test
+const EDITABLE_FIELDS = ['name', 'code', 'price', 'sampleType', 'turnaroundHours', 'preparation'];
+
+class LabTestService {
+  /**
+   * @desc Get lab tests, by name by default; of one lab or of all labs
+   * @param {Object} queryParams - Query parameters (supports keyword search on name and code, filters, sort, page, limit)
+   * @param {string} [labId] - The ID of the lab
+   * @returns {Promise<Object>} An object containing count and an array of lab tests
+   * @throws {ErrorResponse} If the lab is not found
+   */
+  async getLabTests(queryParams, labId) {
+    const conditions = {};
+    if (labId) {
+      await this.getLabOrFail(labId);
+      conditions.lab = labId;
+    }
+
+    const features = new APIFeatures(LabTest.find(conditions), { sort: 'name', ...queryParams })
+      .search(['name', 'code'])
+      .filter()
+      .applyFind()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const labTests = await features.query;
+    return { count: labTests.length, data: labTests };
+  }
+
+  /**
+   * @desc Get a single lab test by ID
+   * @param {string} id - The ID of the lab test
+   * @returns {Promise<Object>} The lab test
+   * @throws {ErrorResponse} If the lab test is not found
+   */
+  async getLabTest(id) {
+    const labTest = await LabTest.findById(id).populate({ path: 'lab', select: 'name address' });
+    if (!labTest) {
+      throw new ErrorResponse(`Lab test not found with id of ${id}`, 404);
+    }
+    return labTest;
+  }
+
+  /**
+   * @desc Add a test to a lab's catalogue
+   * @param {string} labId - The ID of the lab
+   * @param {Object} testData - { name, code, price, sampleType, turnaroundHours, preparation }
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The new lab test
+   * @throws {ErrorResponse} If the lab is not found, the user may not manage it, or the code is taken
+   */
+  async addLabTest(labId, testData, authUser) {
+    const lab = await this.getLabOrFail(labId);
+    this.assertCanManage(lab, authUser);
+
+    try {
+      return await LabTest.create({ ...this.pickEditableFields(testData), lab: lab._id });
+    } catch (err) {
+      throw this.toDuplicateCodeError(err);
+    }
+  }
+
+  /**
+   * @desc Update a lab test
+   * @param {string} id - The ID of the lab test
+   * @param {Object} testData - Fields to change (see EDITABLE_FIELDS)
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated lab test
+   * @throws {ErrorResponse} If the lab test is not found, the user may not manage its lab, or the code is taken
+   */
+  async updateLabTest(id, testData, authUser) {
+    const labTest = await LabTest.findById(id);
+    if (!labTest) {
+      throw new ErrorResponse(`Lab test not found with id of ${id}`, 404);
+    }
+    this.assertCanManage(await this.getLabOrFail(labTest.lab), authUser);
+
+    labTest.set({ ...this.pickEditableFields(testData), updatedAt: Date.now() });
+    try {
+      return await labTest.save();
+    } catch (err) {
+      throw this.toDuplicateCodeError(err);
+    }
+  }
+
+  /**
+   * @desc Remove a test from a lab's catalogue (booked appointments keep their copy of the test)
+   * @param {string} id - The ID of the lab test
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If the lab test is not found or the user may not manage its lab
+   */
+  async deleteLabTest(id, authUser) {
+    const labTest = await LabTest.findById(id);
+    if (!labTest) {
+      throw new ErrorResponse(`Lab test not found with id of ${id}`, 404);
+    }
+    this.assertCanManage(await this.getLabOrFail(labTest.lab), authUser);
+
+    await labTest.deleteOne();
+  }
+
+  /**
+   * @desc Find a lab or throw a 404
+   * @param {string} labId - The ID of the lab
+   * @returns {Promise<Object>} The lab
+   * @throws {ErrorResponse} If the lab is not found
+   */
+  async getLabOrFail(labId) {
+    const lab = await Lab.findById(labId);
+    if (!lab) {
+      throw new ErrorResponse(`Lab not found with id of ${labId}`, 404);
+    }
+    return lab;
+  }
+
+  /**
+   * @desc Check that the user is an admin or the lab's own staff
+   * @param {Object} lab - The lab
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @throws {ErrorResponse} If the user may not manage the lab's tests
+   */
+  assertCanManage(lab, authUser) {
+    const isLabStaff = authUser.role === 'lab_staff' && lab.user && lab.user.toString() === authUser.id;
+    if (authUser.role !== 'admin' && !isLabStaff) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to manage the tests of this lab`, 403);
+    }
+  }
+
+  /**
+   * @desc Keep only the fields lab staff may set
+   * @param {Object} testData - Request body
+   * @returns {Object} The editable fields that were given
+   */
+  pickEditableFields(testData) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (testData[field] !== undefined) fields[field] = testData[field];
+    }
+    return fields;
+  }
+
+  /**
+   * @desc Explain a duplicate key error on { lab, code }
+   * @param {Error} err - The error thrown when saving a lab test
+   * @returns {Error} A 400 ErrorResponse for a taken code, otherwise the original error
+   */
+  toDuplicateCodeError(err) {
+    return err.code === 11000
+      ? new ErrorResponse('This lab already has a test with this code', 400)
+      : err;
+  }
+}
+
+module.exports = new LabTestService(); // Export an instance of the service
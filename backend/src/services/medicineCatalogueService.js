@@ -0,0 +1,322 @@
+// src/services/medicineCatalogueService.js
+// This file contains the bulk CSV import and export of the medicine catalogue.
+// Each imported row creates a medicine or updates the one with the same SKU (or, failing that,
+// the same name). Rows are validated against the Medicine schema one by one, so a bad row is
+// reported without aborting the rest of the file; a dry run reports what would happen without saving.
+
+const Medicine = require('../models/Medicine'); // Import the Medicine model
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+const { parseCsv, toCsv } = require('../utils/csv'); // CSV parsing and writing
+const config = require('../config/config'); // Catalogue import limits
+
+// Columns of the catalogue CSV, in export order. The stock columns are only used to record the
+// opening stock of new medicines; existing stock is managed per batch through the inventory endpoints.
+const EXPORT_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'manufacturer',
+  'requiresPrescription',
+  'reorderLevel',
+  'activeIngredients',
+  'dosageForm',
+  'packSize',
+  'stock',
+  'expirationDate',
+];
+const IMPORT_COLUMNS = [...EXPORT_COLUMNS, 'batchNumber', 'costPrice'];
+const NUMBER_COLUMNS = ['price', 'reorderLevel', 'packSize', 'stock', 'costPrice'];
+const STOCK_COLUMNS = ['stock', 'expirationDate', 'batchNumber', 'costPrice'];
+
+// One active ingredient in the activeIngredients column, e.g., "Metformin 500 mg"
+const INGREDIENT_PATTERN = new RegExp(`^(.+?)\\s+(\\d+(?:\\.\\d+)?)\\s*(${Medicine.STRENGTH_UNITS.map((unit) => unit.replace('%', '\\%')).join('|')})$`, 'i');
+
+class MedicineCatalogueService {
+  /**
+   * @desc Import medicines from a CSV file. The header row names the columns (see IMPORT_COLUMNS; only
+   *       name is required). Empty cells leave the existing value unchanged. activeIngredients is written
+   *       as "Metformin 500 mg + Glimepiride 1 mg".
+   * @param {Buffer} fileBuffer - The uploaded CSV file
+   * @param {Object} options - { dryRun } to validate every row without saving
+   * @param {string} userId - ID of the admin importing the file (owner of new medicines)
+   * @returns {Promise<Object>} { dryRun, totalRows, created, updated, unchanged, failed, errors, warnings },
+   *          where errors and warnings list { row, name, messages } by file line number
+   * @throws {ErrorResponse} If the file is missing, not valid CSV, has unknown columns or too many rows
+   */
+  async importMedicines(fileBuffer, options, userId) {
+    if (!fileBuffer || fileBuffer.length === 0) {
+      throw new ErrorResponse('Please upload a CSV file', 400);
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(fileBuffer.toString('utf8'));
+    } catch (err) {
+      throw new ErrorResponse(`The file is not valid CSV: ${err.message}`, 400);
+    }
+    if (rows.length < 2) {
+      throw new ErrorResponse('The file has no medicines (the first row must be the column names)', 400);
+    }
+    if (rows.length - 1 > config.catalogue.importMaxRows) {
+      throw new ErrorResponse(`The file has more than ${config.catalogue.importMaxRows} medicines. Please split it.`, 400);
+    }
+
+    const columns = this.parseHeader(rows[0]);
+    const records = rows.slice(1).map((fields, index) => ({
+      line: index + 2, // Line number in the file (the header is line 1)
+      values: Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])),
+    }));
+
+    // Load the medicines the file refers to in one query
+    const skus = records.map((record) => record.values.sku).filter(Boolean).map((sku) => sku.toUpperCase());
+    const names = records.map((record) => record.values.name).filter(Boolean);
+    const existing = await Medicine.find({ $or: [{ sku: { $in: skus } }, { name: { $in: names } }] });
+    const bySku = new Map(existing.filter((medicine) => medicine.sku).map((medicine) => [medicine.sku, medicine]));
+    const byName = new Map(existing.map((medicine) => [medicine.name, medicine]));
+
+    const result = {
+      dryRun: Boolean(options.dryRun),
+      totalRows: records.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: [],
+      warnings: [],
+    };
+    const seen = new Map(); // Medicine ID, SKU or name -> line that imported it
+
+    for (const record of records) {
+      const { values, line } = record;
+      const name = values.name;
+
+      try {
+        const sku = values.sku ? values.sku.toUpperCase() : null;
+        const medicine = (sku && bySku.get(sku)) || (name && byName.get(name)) || null;
+
+        // The same medicine must not appear twice in one file
+        const keys = [medicine && `id:${medicine._id}`, sku && `sku:${sku}`, name && `name:${name}`].filter(Boolean);
+        const duplicateOf = keys.map((key) => seen.get(key)).find(Boolean);
+        if (duplicateOf) {
+          throw new ErrorResponse(`Duplicate of line ${duplicateOf}`, 400);
+        }
+        keys.forEach((key) => seen.set(key, line));
+
+        const data = this.parseRecord(values);
+        const warnings = [];
+        let action;
+        let doc;
+
+        if (medicine) {
+          // Name and SKU must stay unique when they are changed
+          const otherByName = name && byName.get(name);
+          if (otherByName && !otherByName._id.equals(medicine._id)) {
+            throw new ErrorResponse(`Another medicine is already named ${name}`, 400);
+          }
+          const otherBySku = sku && bySku.get(sku);
+          if (otherBySku && !otherBySku._id.equals(medicine._id)) {
+            throw new ErrorResponse(`SKU ${sku} already belongs to ${otherBySku.name}`, 400);
+          }
+
+          const stockGiven = data.stock !== undefined && data.stock !== medicine.stock;
+          STOCK_COLUMNS.forEach((column) => delete data[column]);
+          if (stockGiven) {
+            warnings.push('Stock is ignored for existing medicines (receive a batch through the inventory instead)');
+          }
+          if (data.composition) {
+            data.composition = { ...(medicine.composition ? medicine.composition.toObject() : {}), ...data.composition };
+          }
+
+          medicine.set(data);
+          action = medicine.isModified() ? 'updated' : 'unchanged';
+          doc = medicine;
+        } else {
+          this.addOpeningStock(data);
+          doc = new Medicine({ ...data, user: userId });
+          action = 'created';
+        }
+
+        await doc.validate();
+        if (!result.dryRun && action !== 'unchanged') {
+          await doc.save({ validateBeforeSave: false }); // Validated above
+        }
+
+        result[action]++;
+        if (warnings.length > 0) {
+          result.warnings.push({ row: line, name, messages: warnings });
+        }
+      } catch (err) {
+        result.failed++;
+        result.errors.push({ row: line, name, messages: this.getErrorMessages(err) });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc Export the medicines matching the query as CSV, in the import format
+   * @param {Object} queryParams - Filters as for the medicine list (e.g., category, price[lte], keyword, sort)
+   * @returns {Promise<Object>} { fileName, csv }
+   */
+  async exportMedicines(queryParams) {
+    const features = new APIFeatures(Medicine.find(), queryParams)
+      .search(['name', 'manufacturer', 'composition.activeIngredients.name'])
+      .filter()
+      .applyFind()
+      .sort();
+
+    const medicines = await features.query.lean();
+
+    const rows = medicines.map((medicine) => {
+      const composition = medicine.composition || {};
+      return [
+        medicine.sku,
+        medicine.name,
+        medicine.description,
+        medicine.price,
+        medicine.category,
+        medicine.manufacturer,
+        medicine.requiresPrescription,
+        medicine.reorderLevel,
+        (composition.activeIngredients || [])
+          .map((ingredient) => `${ingredient.name} ${ingredient.strength} ${ingredient.unit}`)
+          .join(' + '),
+        composition.dosageForm,
+        composition.packSize,
+        medicine.stock,
+        medicine.expirationDate ? medicine.expirationDate.toISOString().slice(0, 10) : null,
+      ];
+    });
+
+    return {
+      fileName: `medicines-${new Date().toISOString().slice(0, 10)}.csv`,
+      csv: toCsv([EXPORT_COLUMNS, ...rows]),
+    };
+  }
+
+  /**
+   * @desc Match the header row to the known columns (case-insensitive)
+   * @param {Array<string>} header - The first row of the file
+   * @returns {Array<string>} The column names in file order
+   * @throws {ErrorResponse} If a column is unknown or repeated, or the name column is missing
+   */
+  parseHeader(header) {
+    const known = new Map(IMPORT_COLUMNS.map((column) => [column.toLowerCase(), column]));
+    const columns = header.map((title) => known.get(title.trim().toLowerCase()));
+
+    const unknown = header.filter((title, i) => !columns[i]);
+    if (unknown.length > 0) {
+      throw new ErrorResponse(`Unknown columns: ${unknown.join(', ')}. Allowed columns: ${IMPORT_COLUMNS.join(', ')}`, 400);
+    }
+    if (new Set(columns).size !== columns.length) {
+      throw new ErrorResponse('Each column may only appear once', 400);
+    }
+    if (!columns.includes('name')) {
+      throw new ErrorResponse('The name column is required', 400);
+    }
+    return columns;
+  }
+
+  /**
+   * @desc Convert the non-empty cells of a row to medicine fields
+   * @param {Object} values - Cell values by column
+   * @returns {Object} Medicine fields (composition fields grouped under composition)
+   * @throws {ErrorResponse} If a number, yes/no value, date or active ingredient cannot be read
+   */
+  parseRecord(values) {
+    const data = {};
+
+    Object.entries(values).forEach(([column, value]) => {
+      if (value === '') return;
+
+      if (NUMBER_COLUMNS.includes(column)) {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          throw new ErrorResponse(`${column} must be a number`, 400);
+        }
+        data[column] = number;
+      } else if (column === 'requiresPrescription') {
+        const flag = value.toLowerCase();
+        if (!['true', 'false', 'yes', 'no', '1', '0'].includes(flag)) {
+          throw new ErrorResponse('requiresPrescription must be yes or no', 400);
+        }
+        data.requiresPrescription = ['true', 'yes', '1'].includes(flag);
+      } else if (column === 'expirationDate') {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new ErrorResponse('expirationDate must be a date (YYYY-MM-DD)', 400);
+        }
+        data.expirationDate = date;
+      } else if (column === 'activeIngredients') {
+        data.composition = { ...data.composition, activeIngredients: value.split('+').map((part) => this.parseIngredient(part)) };
+      } else if (column === 'dosageForm') {
+        data.composition = { ...data.composition, dosageForm: value };
+      } else {
+        data[column] = value;
+      }
+    });
+
+    // packSize is read as a number above; keep it with the other composition fields
+    if (data.packSize !== undefined) {
+      data.composition = { ...data.composition, packSize: data.packSize };
+      delete data.packSize;
+    }
+    return data;
+  }
+
+  /**
+   * @desc Read one active ingredient, e.g., "Metformin 500 mg"
+   * @param {string} text - The ingredient text
+   * @returns {Object} { name, strength, unit }
+   * @throws {ErrorResponse} If the text is not a name followed by a strength and unit
+   */
+  parseIngredient(text) {
+    const match = text.trim().match(INGREDIENT_PATTERN);
+    if (!match) {
+      throw new ErrorResponse(`Could not read active ingredient "${text.trim()}" (expected e.g. "Metformin 500 mg")`, 400);
+    }
+    const unit = Medicine.STRENGTH_UNITS.find((known) => known.toLowerCase() === match[3].toLowerCase());
+    return { name: match[1].trim(), strength: Number(match[2]), unit };
+  }
+
+  /**
+   * @desc Record the stock of a new medicine as one opening batch, as addMedicine does
+   * @param {Object} data - Parsed row of a new medicine (modified in place)
+   * @throws {ErrorResponse} If opening stock is given without an expiry date
+   */
+  addOpeningStock(data) {
+    if (data.stock > 0) {
+      if (!data.expirationDate) {
+        throw new ErrorResponse('Please add an expirationDate for the opening stock', 400);
+      }
+      data.batches = [{
+        batchNumber: data.batchNumber || 'OPENING',
+        quantity: data.stock,
+        expiryDate: data.expirationDate,
+        costPrice: data.costPrice,
+      }];
+    }
+    STOCK_COLUMNS.forEach((column) => delete data[column]);
+  }
+
+  /**
+   * @desc Error messages to report for a row
+   * @param {Error} err - Validation, duplicate key or ErrorResponse error
+   * @returns {Array<string>} One message per problem
+   */
+  getErrorMessages(err) {
+    if (err.name === 'ValidationError') {
+      return Object.values(err.errors).map((error) => error.message);
+    }
+    if (err.code === 11000) {
+      return ['A medicine with this name or SKU already exists'];
+    }
+    return [err.message];
+  }
+}
+
+module.exports = new MedicineCatalogueService(); // Export an instance of the service
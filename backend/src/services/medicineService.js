@@ -3,8 +3,10 @@
 // It abstracts database interactions and other complex logic away from the controllers.
 
 const Medicine = require('../models/Medicine'); // Import the Medicine model
+const Review = require('../models/Review'); // Reviews are deleted with their medicine
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
 const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+const config = require('../config/config'); // Catalogue rules (gallery size)
 
 class MedicineService {
   /**
@@ -38,13 +40,68 @@ class MedicineService {
   }
 
   /**
-   * @desc Add a new medicine
+   * @desc Get in-stock medicines with the same composition (generic substitutes), cheapest per unit first.
+   *       Pack sizes may differ, so medicines are compared by their price per unit when all of them have a pack size.
+   * @param {string} id - The ID of the medicine to find substitutes for
+   * @returns {Promise<Object>} An object containing count and an array of substitutes (each with unitPrice)
+   * @throws {ErrorResponse} If medicine is not found
+   */
+  async getSubstitutes(id) {
+    const medicine = await Medicine.findById(id).select('compositionKey');
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${id}`, 404);
+    }
+    if (!medicine.compositionKey) {
+      return { count: 0, data: [] };
+    }
+
+    const substitutes = await Medicine.find({
+      compositionKey: medicine.compositionKey,
+      _id: { $ne: medicine._id },
+      stock: { $gt: 0 },
+    }).select('name price stock manufacturer imageUrl category requiresPrescription composition');
+
+    const data = substitutes.map((substitute) => ({
+      ...substitute.toObject(),
+      unitPrice: substitute.composition.packSize
+        ? Math.round((substitute.price / substitute.composition.packSize) * 100) / 100
+        : null,
+    }));
+    const comparePerUnit = data.every((substitute) => substitute.unitPrice !== null);
+    data.sort((a, b) => (comparePerUnit ? a.unitPrice - b.unitPrice : 0) || a.price - b.price);
+
+    return { count: data.length, data };
+  }
+
+  /**
+   * @desc Add a new medicine. Its stock is given as batches; a plain stock number with an
+   *       expirationDate is accepted too and recorded as one opening batch.
    * @param {Object} medicineData - Data for the new medicine
    * @param {string} userId - ID of the user (admin/lab_staff) adding the medicine
    * @returns {Promise<Object>} The newly created medicine object
+   * @throws {ErrorResponse} If opening stock is given without an expiry date
    */
   async addMedicine(medicineData, userId) {
     medicineData.user = userId; // Attach the user who is adding the medicine
+
+    const openingStock = Number(medicineData.stock) || 0;
+    if ((!medicineData.batches || medicineData.batches.length === 0) && openingStock > 0) {
+      if (!medicineData.expirationDate) {
+        throw new ErrorResponse('Please add an expiry date for the opening stock', 400);
+      }
+      medicineData.batches = [{
+        batchNumber: medicineData.batchNumber || 'OPENING',
+        quantity: openingStock,
+        expiryDate: medicineData.expirationDate,
+        costPrice: medicineData.costPrice,
+      }];
+    }
+    // Stock and expiry are derived from the batches, the rating from the reviews
+    delete medicineData.stock;
+    delete medicineData.expirationDate;
+    delete medicineData.averageRating;
+    delete medicineData.numOfReviews;
+
     const medicine = await Medicine.create(medicineData);
     return medicine;
   }
@@ -72,6 +129,22 @@ class MedicineService {
       );
     }
 
+    // Stock is derived from the batches, which are managed through the inventory endpoints
+    if (['stock', 'batches', 'expirationDate'].some((field) => updateData[field] !== undefined)) {
+      throw new ErrorResponse('Stock and expiry are managed per batch (see /api/v1/inventory/medicines/:medicineId/batches)', 400);
+    }
+
+    // Images are managed through the gallery methods (addImages, setImages, ...), the rating through reviews
+    delete updateData.imageUrl;
+    delete updateData.averageRating;
+    delete updateData.numOfReviews;
+
+    // The composition is replaced as a whole, so its key can be derived from the new value
+    delete updateData.compositionKey;
+    if (updateData.composition !== undefined) {
+      updateData.compositionKey = Medicine.getCompositionKey(updateData.composition);
+    }
+
     medicine = await Medicine.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -80,7 +153,129 @@ class MedicineService {
   }
 
   /**
-   * @desc Delete a medicine
+   * @desc Add uploaded images to the end of a medicine's gallery (replacing the placeholder)
+   * @param {string} id - The ID of the medicine
+   * @param {Array<string>} imageUrls - URLs of the uploaded images
+   * @param {Object} authUser - Authenticated user object (for authorization)
+   * @returns {Promise<Object>} The updated medicine object
+   * @throws {ErrorResponse} If medicine is not found, user is not authorized, the gallery would be too large, or it was changed at the same time
+   */
+  async addImages(id, imageUrls, authUser) {
+    const medicine = await this.getEditableMedicine(id, authUser);
+
+    const current = medicine.imageUrl.filter((url) => url !== Medicine.PLACEHOLDER_IMAGE);
+    if (current.length + imageUrls.length > config.catalogue.maxImages) {
+      throw new ErrorResponse(`A medicine can have at most ${config.catalogue.maxImages} images`, 400);
+    }
+
+    return this.saveImages(medicine, [...current, ...imageUrls]);
+  }
+
+  /**
+   * @desc Reorder a medicine's gallery; images left out of the new order are removed
+   * @param {string} id - The ID of the medicine
+   * @param {Array<string>} imageUrls - The gallery's image URLs in their new order (the first is the primary image)
+   * @param {Object} authUser - Authenticated user object (for authorization)
+   * @returns {Promise<Object>} { medicine, removed } where removed lists the URLs taken out of the gallery
+   * @throws {ErrorResponse} If the order is invalid, medicine is not found, user is not authorized, or it was changed at the same time
+   */
+  async setImages(id, imageUrls, authUser) {
+    if (!Array.isArray(imageUrls)) {
+      throw new ErrorResponse('Please provide the images in their new order', 400);
+    }
+    const medicine = await this.getEditableMedicine(id, authUser);
+
+    const unknown = imageUrls.filter((url) => !medicine.imageUrl.includes(url));
+    if (unknown.length > 0) {
+      throw new ErrorResponse(`Image not found on this medicine: ${unknown[0]}`, 400);
+    }
+    if (new Set(imageUrls).size !== imageUrls.length) {
+      throw new ErrorResponse('Each image can only be listed once', 400);
+    }
+
+    const removed = medicine.imageUrl.filter((url) => !imageUrls.includes(url));
+    const updated = await this.saveImages(medicine, imageUrls);
+    return { medicine: updated, removed };
+  }
+
+  /**
+   * @desc Make an image the primary one (first in the gallery, shown in listings)
+   * @param {string} id - The ID of the medicine
+   * @param {string} imageUrl - URL of the image
+   * @param {Object} authUser - Authenticated user object (for authorization)
+   * @returns {Promise<Object>} The updated medicine object
+   * @throws {ErrorResponse} If medicine or image is not found, user is not authorized, or it was changed at the same time
+   */
+  async setPrimaryImage(id, imageUrl, authUser) {
+    const medicine = await this.getEditableMedicine(id, authUser);
+    if (!medicine.imageUrl.includes(imageUrl)) {
+      throw new ErrorResponse('Image not found on this medicine', 404);
+    }
+
+    return this.saveImages(medicine, [imageUrl, ...medicine.imageUrl.filter((url) => url !== imageUrl)]);
+  }
+
+  /**
+   * @desc Remove one image from a medicine's gallery
+   * @param {string} id - The ID of the medicine
+   * @param {string} imageUrl - URL of the image
+   * @param {Object} authUser - Authenticated user object (for authorization)
+   * @returns {Promise<Object>} { medicine, removed } where removed is [imageUrl]
+   * @throws {ErrorResponse} If medicine or image is not found, user is not authorized, or it was changed at the same time
+   */
+  async removeImage(id, imageUrl, authUser) {
+    const medicine = await this.getEditableMedicine(id, authUser);
+    if (!medicine.imageUrl.includes(imageUrl)) {
+      throw new ErrorResponse('Image not found on this medicine', 404);
+    }
+
+    const updated = await this.saveImages(medicine, medicine.imageUrl.filter((url) => url !== imageUrl));
+    return { medicine: updated, removed: [imageUrl] };
+  }
+
+  /**
+   * @desc Load a medicine the user may edit (its owner or an admin)
+   * @param {string} id - The ID of the medicine
+   * @param {Object} authUser - Authenticated user object (for authorization)
+   * @returns {Promise<Object>} The medicine
+   * @throws {ErrorResponse} If medicine is not found or user is not authorized
+   */
+  async getEditableMedicine(id, authUser) {
+    const medicine = await Medicine.findById(id);
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${id}`, 404);
+    }
+    if (medicine.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(
+        `User ${authUser.id} is not authorized to update this medicine`,
+        401
+      );
+    }
+    return medicine;
+  }
+
+  /**
+   * @desc Replace the gallery only if nobody changed it since it was loaded, so concurrent edits do not lose images.
+   *       An emptied gallery shows the placeholder again.
+   * @param {Object} medicine - The medicine as loaded
+   * @param {Array<string>} imageUrls - The new gallery
+   * @returns {Promise<Object>} The updated medicine object
+   * @throws {ErrorResponse} If the gallery was changed in the meantime
+   */
+  async saveImages(medicine, imageUrls) {
+    const updated = await Medicine.findOneAndUpdate(
+      { _id: medicine._id, imageUrl: [...medicine.imageUrl] },
+      { $set: { imageUrl: imageUrls.length > 0 ? imageUrls : [Medicine.PLACEHOLDER_IMAGE] } }, // Fall back to the placeholder
+      { new: true }
+    );
+    if (!updated) {
+      throw new ErrorResponse('The images were just changed. Please refresh and try again.', 409);
+    }
+    return updated;
+  }
+
+  /**
+   * @desc Delete a medicine and its reviews
    * @param {string} id - The ID of the medicine to delete
    * @param {Object} authUser - Authenticated user object (for authorization)
    * @returns {Promise<void>}
@@ -102,6 +297,7 @@ class MedicineService {
     }
 
     await medicine.deleteOne();
+    await Review.deleteMany({ medicine: medicine._id });
   }
 }
 
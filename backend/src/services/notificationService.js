@@ -0,0 +1,200 @@
+// src/services/notificationService.js
+// This file contains the notifications sent to patients and staff (currently by email).
+// Notifications are best-effort: a failed email is logged but never fails the action that triggered it.
+
+const sendEmail = require('../utils/sendEmail'); // Import the email utility
+const config = require('../config/config'); // Website links in emails
+
+// Appointment days are stored as midnight UTC, so they are formatted in UTC (not the server's time zone)
+const formatAppointmentDay = (date) => new Date(date).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  weekday: 'short',
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+class NotificationService {
+  /**
+   * @desc Send an email notification, logging (not throwing) on failure
+   * @param {Object} options - Email options ({ email, subject, message })
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notify(options) {
+    if (!options.email) return false;
+
+    try {
+      await sendEmail(options);
+      return true;
+    } catch (err) {
+      console.error(`NotificationService: Could not send "${options.subject}" to ${options.email}:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * @desc Tell the patient the outcome of the pharmacist's prescription review
+   * @param {Object} order - The reviewed order
+   * @param {Object} user - The patient (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyPrescriptionReviewed(order, user) {
+    const orderRef = order._id.toString().slice(-8).toUpperCase();
+    const approved = order.prescriptionStatus === 'approved';
+    const note = order.prescriptionReview && order.prescriptionReview.note;
+
+    const message = approved
+      ? `Hello ${user.name},\n\nYour prescription for order #${orderRef} has been verified by our pharmacist. Your order is now being processed.${note ? `\n\nPharmacist's note: ${note}` : ''}\n\nKashmir Wellness`
+      : `Hello ${user.name},\n\nUnfortunately our pharmacist could not verify the prescription for order #${orderRef}, so the order has been cancelled.${note ? `\n\nReason: ${note}` : ''}\n\nAny online payment for this order will be refunded. You are welcome to place a new order with a valid prescription.\n\nKashmir Wellness`;
+
+    return this.notify({
+      email: user.email,
+      subject: approved
+        ? `Prescription approved for order #${orderRef}`
+        : `Prescription rejected for order #${orderRef}`,
+      message,
+    });
+  }
+
+  /**
+   * @desc Tell the customer their order is out for delivery, with the OTP to give the delivery agent
+   * @param {Object} order - The picked-up order (needs dispatch.deliveryOtp)
+   * @param {Object} user - The customer (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyOutForDelivery(order, user) {
+    const orderRef = order._id.toString().slice(-8).toUpperCase();
+
+    return this.notify({
+      email: user.email,
+      subject: `Order #${orderRef} is out for delivery`,
+      message: `Hello ${user.name},\n\nYour order #${orderRef} has been picked up and is on its way.\n\nYour delivery OTP is ${order.dispatch.deliveryOtp}. Please share it with the delivery agent only when you receive your order.\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Remind the subscriber that a refill will be placed soon, so they can skip or pause it
+   * @param {Object} subscription - The subscription (needs items and nextRunAt)
+   * @param {Object} user - The subscriber (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyRefillReminder(subscription, user) {
+    const lines = subscription.items.map((item) => `- ${item.name} x ${item.quantity}`).join('\n');
+
+    return this.notify({
+      email: user.email,
+      subject: `Your refill will be placed on ${subscription.nextRunAt.toDateString()}`,
+      message: `Hello ${user.name},\n\nYour refill subscription will place an order for the following medicines on ${subscription.nextRunAt.toDateString()}:\n\n${lines}\n\nIf you do not need this refill, you can skip it or pause the subscription from your profile.\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Tell the subscriber their refill order has been placed
+   * @param {Object} subscription - The subscription (needs nextRunAt)
+   * @param {Object} order - The placed order
+   * @param {Object} user - The subscriber (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyRefillPlaced(subscription, order, user) {
+    const orderRef = order._id.toString().slice(-8).toUpperCase();
+    const payment = order.paymentMethod === 'COD'
+      ? `Please keep ₹${order.totalPrice.toFixed(2)} ready for Cash on Delivery.`
+      : `Please pay ₹${order.totalPrice.toFixed(2)} from the order page so we can ship it.`;
+
+    return this.notify({
+      email: user.email,
+      subject: `Refill order #${orderRef} placed`,
+      message: `Hello ${user.name},\n\nYour refill subscription has placed order #${orderRef}. ${payment}${order.prescription ? '\n\nOur pharmacist will verify your prescription before the order is processed.' : ''}\n\nYour next refill is due on ${subscription.nextRunAt.toDateString()}.\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Tell the subscriber their refill could not be placed
+   * @param {Object} subscription - The subscription (needs nextRunAt)
+   * @param {string} reason - Why the order could not be placed
+   * @param {boolean} paused - Whether the subscription has been paused after repeated failures
+   * @param {Object} user - The subscriber (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyRefillFailed(subscription, reason, paused, user) {
+    const next = paused
+      ? 'As this has happened several times in a row, the subscription has been paused. You can update and resume it from your profile.'
+      : `We will try again on ${subscription.nextRunAt.toDateString()}. You can also order these medicines now from our store.`;
+
+    return this.notify({
+      email: user.email,
+      subject: 'We could not place your refill order',
+      message: `Hello ${user.name},\n\nWe could not place your refill order: ${reason}\n\n${next}\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Tell the doctor or lab that a patient's appointment has moved
+   * @param {Object} appointment - The rescheduled appointment
+   * @param {Object} previous - The appointment before it was moved (needs appointmentDate and appointmentTime)
+   * @param {Object} provider - The doctor or lab (needs name and email)
+   * @param {Object} [patient] - The patient (needs name)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyAppointmentRescheduled(appointment, previous, provider, patient) {
+    const formatSlot = (item) => `${formatAppointmentDay(item.appointmentDate)} at ${item.appointmentTime}`;
+
+    return this.notify({
+      email: provider.email,
+      subject: `Appointment moved to ${formatSlot(appointment)}`,
+      message: `Hello ${provider.name},\n\nThe appointment of ${patient ? patient.name : 'a patient'} on ${formatSlot(previous)} has been rescheduled to ${formatSlot(appointment)}.\n\nThe previous slot is free again.\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Remind the patient of an upcoming appointment, with where to go and a link to cancel it
+   * @param {Object} appointment - The appointment (doctor or lab populated with name)
+   * @param {Object} user - The patient (needs name and email)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async notifyAppointmentReminder(appointment, user) {
+    const withWhom = appointment.doctor
+      ? `Dr. ${appointment.doctor.name}`
+      : appointment.lab ? appointment.lab.name : 'us';
+    const when = `${formatAppointmentDay(appointment.appointmentDate)} at ${appointment.appointmentTime}`;
+    const address = appointment.location && appointment.location.address;
+    const where = appointment.type === 'online'
+      ? 'This is an online consultation.'
+      : address && address !== 'N/A' ? `Address: ${address}` : '';
+    const tests = appointment.tests && appointment.tests.length > 0
+      ? `\n\nTests: ${appointment.tests.map((test) => test.name).join(', ')}`
+      : '';
+    const cancelUrl = `${config.appointments.appUrl}/appointments/${appointment._id}?action=cancel`;
+
+    return this.notify({
+      email: user.email,
+      subject: `Reminder: your appointment with ${withWhom} on ${when}`,
+      message: `Hello ${user.name},\n\nThis is a reminder of your appointment with ${withWhom} on ${when}.${where ? `\n\n${where}` : ''}${tests}\n\nIf you can no longer make it, please cancel the appointment so someone else can have the slot:\n${cancelUrl}\n\nKashmir Wellness`,
+    });
+  }
+
+  /**
+   * @desc Alert admins about medicines at or below their reorder level
+   * @param {Array<Object>} admins - Admin users (need name and email)
+   * @param {Array<Object>} medicines - Medicines to report ({ name, stock, reorderLevel })
+   * @returns {Promise<number>} Number of admins the alert was sent to
+   */
+  async notifyLowStock(admins, medicines) {
+    const lines = medicines
+      .map((medicine) => `- ${medicine.name}: ${medicine.stock} left (reorder level ${medicine.reorderLevel})`)
+      .join('\n');
+
+    let sent = 0;
+    for (const admin of admins) {
+      const delivered = await this.notify({
+        email: admin.email,
+        subject: `Low stock: ${medicines.length} medicine${medicines.length === 1 ? '' : 's'} need reordering`,
+        message: `Hello ${admin.name},\n\nThe following medicines are at or below their reorder level:\n\n${lines}\n\nSee the reorder report in the admin panel for suggested quantities.\n\nKashmir Wellness`,
+      });
+      if (delivered) sent++;
+    }
+    return sent;
+  }
+}
+
+module.exports = new NotificationService(); // Export an instance of the service
@@ -3,52 +3,134 @@
 // It abstracts database interactions and other complex logic away from the controllers.
 
 const Order = require('../models/Order');     // Import the Order model
-const Medicine = require('../models/Medicine'); // Import Medicine model to update stock
+const Prescription = require('../models/Prescription'); // Import the Prescription model for Rx orders
+const inventoryService = require('./inventoryService'); // Import the InventoryService for stock reservation
+const pricingService = require('./pricingService'); // Import the PricingService for server-side totals
+const couponService = require('./couponService'); // Per-user coupon usage
+const userService = require('./userService'); // Import the UserService for saved addresses
+const notificationService = require('./notificationService'); // Delivery OTP emails
+const User = require('../models/User'); // Import the User model to look up delivery agents
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const crypto = require('crypto'); // For generating delivery OTPs
 const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
 const mongoose = require('mongoose'); // NEW: Import mongoose to work with ObjectId
+const { assertTransition } = require('../utils/orderStateMachine'); // Order lifecycle rules
 
 class OrderService {
   /**
    * @desc Create a new order
    * @param {Object} orderData - Data for the new order
    * @param {string} userId - ID of the user creating the order
+   * @param {Object} [options] - Server-side options (never taken from the request body)
+   * @param {string} [options.subscription] - ID of the refill subscription placing the order
    * @returns {Promise<Object>} The newly created order object
-   * @throws {ErrorResponse} If no order items, medicine not found, or not enough stock
+   * @throws {ErrorResponse} If no order items, no shipping address, saved address or medicine not found, we do not deliver to the address, totals do not match, a required prescription is missing, or not enough stock
    */
-  async createOrder(orderData, userId) {
-    const { orderItems, shippingAddress, paymentMethod, taxPrice, shippingPrice, totalPrice } = orderData;
+  async createOrder(orderData, userId, options = {}) {
+    const { orderItems, paymentMethod, couponCode, prescription, addressId } = orderData;
 
     if (!orderItems || orderItems.length === 0) {
       throw new ErrorResponse('No order items', 400);
     }
 
-    // Validate and update medicine stock
-    for (const item of orderItems) {
-      const medicine = await Medicine.findById(item.medicine);
-      if (!medicine) {
-        throw new ErrorResponse(`Medicine not found: ${item.name}`, 404);
+    // Ship to a saved address (snapshotted so later address book edits do not change the order) or to the address given
+    const shippingAddress = addressId
+      ? await userService.getShippingAddress(userId, addressId)
+      : orderData.shippingAddress;
+    if (!shippingAddress || !shippingAddress.postalCode) {
+      throw new ErrorResponse('Please provide a shipping address', 400);
+    }
+
+    // Reprice every line from the database and reject tampered client totals.
+    // The shipping PIN code must be in a delivery zone, which sets the shipping price.
+    const quote = await pricingService.quoteOrder(orderItems, { couponCode, userId, pinCode: shippingAddress.postalCode });
+    pricingService.assertTotalsMatch(orderData, quote);
+
+    // Orders with prescription-only items need an uploaded prescription and go to pharmacist verification
+    let prescriptionId;
+    if (quote.requiresPrescription) {
+      const rxItems = quote.orderItems.filter((item) => item.requiresPrescription).map((item) => item.name);
+      if (!prescription) {
+        throw new ErrorResponse(`A prescription is required for: ${rxItems.join(', ')}`, 400);
       }
-      if (medicine.stock < item.quantity) {
-        throw new ErrorResponse(`Not enough stock for ${item.name}. Available: ${medicine.stock}`, 400);
+      const prescriptionDoc = await Prescription.findById(prescription);
+      if (!prescriptionDoc || prescriptionDoc.user.toString() !== userId) {
+        throw new ErrorResponse(`Prescription not found with id of ${prescription}`, 404);
       }
-      // Decrease stock
-      medicine.stock -= item.quantity;
-      await medicine.save();
-    }
-
-    const order = await Order.create({
-      user: userId,
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-    });
+      prescriptionId = prescriptionDoc._id;
+    }
+
+    // Generate the order ID up front so the stock ledger can reference it
+    const orderId = new mongoose.Types.ObjectId();
+
+    // Atomically reserve stock for every item from the batches that expire first (released again if any item fails)
+    const reservations = await inventoryService.reserveStock(quote.orderItems, { order: orderId, user: userId });
+    // Record which batches each line was allocated from
+    const allocatedItems = quote.orderItems.map((item, index) => ({ ...item, batches: reservations[index].batches }));
+
+    let order;
+    let couponClaimed = false;
+    try {
+      // Count the coupon against the user's limit (atomically, so parallel checkouts can not exceed it)
+      if (quote.coupon) {
+        await couponService.claimCouponUsage(quote.coupon.coupon, userId);
+        couponClaimed = true;
+      }
+
+      order = await Order.create({
+        _id: orderId,
+        user: userId,
+        orderItems: allocatedItems,
+        shippingAddress,
+        delivery: {
+          zone: quote.delivery.zone,
+          name: quote.delivery.name,
+          estimatedDeliveryDays: quote.delivery.estimatedDeliveryDays,
+        },
+        paymentMethod,
+        itemsPrice: quote.itemsPrice,
+        coupon: quote.coupon || undefined,
+        discountPrice: quote.discountPrice,
+        shippingDiscount: quote.shippingDiscount,
+        taxPrice: quote.taxPrice,
+        taxRate: quote.taxRate,
+        shippingPrice: quote.shippingPrice,
+        totalPrice: quote.totalPrice,
+        prescription: prescriptionId,
+        subscription: options.subscription || null,
+        prescriptionStatus: prescriptionId ? 'pending' : 'not_required',
+        statusHistory: [{
+          status: 'pending',
+          changedBy: userId,
+          note: `${options.subscription ? 'Refill order placed' : 'Order placed'}${prescriptionId ? ', awaiting prescription verification' : ''}`,
+        }],
+      });
+    } catch (err) {
+      // The order could not be saved, so give the reserved stock and the coupon use back
+      await inventoryService.releaseStock(reservations, { order: orderId, reason: 'order_failed', user: userId });
+      if (couponClaimed) {
+        await couponService.releaseCouponUsage(quote.coupon.coupon, userId);
+      }
+      throw err;
+    }
     return order;
   }
 
+  /**
+   * @desc Get a price quote for a prospective order
+   * @param {Object} orderData - Data with the orderItems to price, an optional couponCode and an optional shipping pinCode
+   * @param {string} userId - ID of the user requesting the quote
+   * @returns {Promise<Object>} The server-calculated quote
+   * @throws {ErrorResponse} If no order items, medicine not found, the coupon cannot be used, or we do not deliver to the PIN code
+   */
+  async quoteOrder(orderData, userId) {
+    return pricingService.quoteOrder(orderData.orderItems, {
+      couponCode: orderData.couponCode,
+      userId,
+      pinCode: orderData.pinCode,
+    });
+  }
+
   /**
    * @desc Get all orders with optional filtering, sorting, and pagination, based on user role
    * @param {Object} queryParams - Query parameters from the request (req.query)
@@ -59,10 +141,13 @@ class OrderService {
   async getOrders(queryParams, authUser) {
     let query;
 
+    // Orders can be filtered by return state, e.g., ?returnStatus=requested
+    const conditions = queryParams.returnStatus ? { returnStatus: String(queryParams.returnStatus) } : {};
+
     if (authUser.role === 'user') {
-      query = Order.find({ user: authUser.id });
+      query = Order.find({ ...conditions, user: authUser.id });
     } else if (authUser.role === 'admin') {
-      query = Order.find();
+      query = Order.find(conditions);
     } else {
       throw new ErrorResponse(`User role ${authUser.role} is not authorized to view orders`, 403);
     }
@@ -97,6 +182,7 @@ class OrderService {
    */
   async getOrder(id, authUser) {
     const order = await Order.findById(id)
+      .select('+dispatch.deliveryOtp')
       .populate({
         path: 'user',
         select: 'name email',
@@ -104,6 +190,22 @@ class OrderService {
       .populate({
         path: 'orderItems.medicine',
         select: 'name price imageUrl',
+      })
+      .populate({
+        path: 'statusHistory.changedBy',
+        select: 'name role',
+      })
+      .populate({
+        path: 'prescription',
+        select: 'fileUrl fileName mimeType createdAt',
+      })
+      .populate({
+        path: 'prescriptionReview.reviewedBy',
+        select: 'name',
+      })
+      .populate({
+        path: 'dispatch.agent',
+        select: 'name phone',
       });
 
     if (!order) {
@@ -139,14 +241,26 @@ class OrderService {
     console.log('--- End OrderService.getOrder Debug ---');
     // --- END DEBUGGING LOGS ---
 
+    // Pharmacists may view orders that contain prescription-only items
+    const isReviewingPharmacist = authUser.role === 'pharmacist' && order.prescriptionStatus !== 'not_required';
+
+    // Delivery agents may view the orders assigned to them
+    const isAssignedAgent = authUser.role === 'delivery_agent'
+      && order.dispatch && order.dispatch.agent && order.dispatch.agent._id.toString() === authUser.id;
+
     // Ensure user is the owner of the order or an admin
     // FIX: Using .equals() for ObjectId comparison for robustness
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !isAdmin && !isReviewingPharmacist && !isAssignedAgent) {
       throw new ErrorResponse(
         `User ${authUser.id} is not authorized to view this order`,
         401
       );
     }
+
+    // Only the customer sees the delivery OTP; they give it to the agent at the door
+    if (!isOwner && order.dispatch) {
+      order.dispatch.deliveryOtp = undefined;
+    }
     return order;
   }
 
@@ -165,13 +279,28 @@ class OrderService {
       throw new ErrorResponse('Order not found', 404);
     }
 
+    // Only Admin can mark as paid directly, or this route would be hit by a payment gateway webhook
+    if (authUser.role !== 'admin') {
+      throw new ErrorResponse('Not authorized to mark order as paid', 403);
+    }
+
+    return this.markOrderPaid(order, paymentResultData);
+  }
+
+  /**
+   * @desc Mark an order as paid. Shared by the admin route and payment provider webhooks.
+   * @param {Object} order - The order document to update
+   * @param {Object} paymentResultData - Payment gateway response data
+   * @returns {Promise<Object>} The updated order object
+   * @throws {ErrorResponse} If the order is already paid or cancelled
+   */
+  async markOrderPaid(order, paymentResultData) {
     if (order.isPaid) {
       throw new ErrorResponse('Order is already paid', 400);
     }
 
-    // Only Admin can mark as paid directly, or this route would be hit by a payment gateway webhook
-    if (authUser.role !== 'admin') {
-      throw new ErrorResponse('Not authorized to mark order as paid', 403);
+    if (order.orderStatus === 'cancelled') {
+      throw new ErrorResponse('Cannot mark a cancelled order as paid', 400);
     }
 
     order.isPaid = true;
@@ -183,14 +312,77 @@ class OrderService {
   }
 
   /**
-   * @desc Update order to delivered
+   * @desc Move an order to a new status following the order state machine.
+   *       Keeps the isDelivered/isPaid flags consistent with the status and appends to statusHistory.
+   *       The caller is responsible for saving the order.
+   * @param {Object} order - The order document to change
+   * @param {string} toStatus - The new status
+   * @param {Object|null} authUser - Authenticated user object (req.user), or null for system actions
+   * @param {string} [note] - Optional note stored in the status history
+   * @throws {ErrorResponse} If the transition is not allowed for this user
+   */
+  applyStatusChange(order, toStatus, authUser, note) {
+    assertTransition(order, toStatus, authUser);
+
+    const fromStatus = order.orderStatus;
+    order.orderStatus = toStatus;
+
+    if (toStatus === 'delivered') {
+      order.isDelivered = true;
+      order.deliveredAt = Date.now();
+      // Cash on Delivery is collected at the door, so a delivered COD order is paid
+      if (order.paymentMethod === 'COD' && !order.isPaid) {
+        order.isPaid = true;
+        order.paidAt = Date.now();
+      }
+    }
+
+    order.statusHistory.push({
+      status: toStatus,
+      fromStatus,
+      changedBy: authUser ? authUser.id : null,
+      note,
+    });
+  }
+
+  /**
+   * @desc Update order to delivered, with optional proof of delivery
    * @param {string} id - The ID of the order to update
    * @param {Object} authUser - Authenticated user object (req.user)
+   * @param {Object} [proof] - Proof of delivery
+   * @param {string} [proof.photoUrl] - URL of the uploaded delivery photo
+   * @param {string} [proof.otp] - Delivery OTP given by the customer
+   * @param {string} [proof.note] - Optional delivery note
    * @returns {Promise<Object>} The updated order object
-   * @throws {ErrorResponse} If order not found, already delivered, or not authorized
+   * @throws {ErrorResponse} If order not found, already delivered, not picked up, the OTP is wrong, or not authorized
    */
-  async updateOrderToDelivered(id, authUser) {
-    const order = await Order.findById(id);
+  async updateOrderToDelivered(id, authUser, proof = {}) {
+    const order = await this.getDeliverableOrder(id, authUser, proof.otp);
+    const otp = proof.otp !== undefined && proof.otp !== null ? String(proof.otp).trim() : '';
+
+    this.applyStatusChange(order, 'delivered', authUser, proof.note);
+    order.dispatch.deliveredBy = authUser.id;
+    order.dispatch.proofOfDelivery = {
+      photoUrl: proof.photoUrl,
+      otpVerified: Boolean(otp),
+      note: proof.note,
+    };
+
+    const updatedOrder = await order.save();
+    updatedOrder.dispatch.deliveryOtp = undefined; // Never echo the OTP back to the agent
+    return updatedOrder;
+  }
+
+  /**
+   * @desc Check that a user may mark an order as delivered now (run before a delivery photo is stored)
+   * @param {string} id - The ID of the order
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @param {string} [otp] - Delivery OTP given by the customer
+   * @returns {Promise<Object>} The order (with its delivery OTP selected)
+   * @throws {ErrorResponse} If order not found, already delivered, not picked up, the OTP is wrong, or not authorized
+   */
+  async getDeliverableOrder(id, authUser, otp) {
+    const order = await Order.findById(id).select('+dispatch.deliveryOtp');
 
     if (!order) {
       throw new ErrorResponse('Order not found', 404);
@@ -200,17 +392,188 @@ class OrderService {
       throw new ErrorResponse('Order is already delivered', 400);
     }
 
-    // Only Admin can mark as delivered
-    if (authUser.role !== 'admin') {
+    // Admins, or the delivery agent the order is assigned to, can mark it as delivered
+    const isAssignedAgent = authUser.role === 'delivery_agent'
+      && order.dispatch && order.dispatch.agent && order.dispatch.agent.toString() === authUser.id;
+    if (authUser.role !== 'admin' && !isAssignedAgent) {
       throw new ErrorResponse('Not authorized to mark order as delivered', 403);
     }
+    if (isAssignedAgent && !order.dispatch.pickedUpAt) {
+      throw new ErrorResponse('Please mark the order as picked up first', 400);
+    }
+
+    const givenOtp = otp !== undefined && otp !== null ? String(otp).trim() : '';
+    if (givenOtp && givenOtp !== order.dispatch.deliveryOtp) {
+      throw new ErrorResponse('Incorrect delivery OTP', 400);
+    }
 
-    order.isDelivered = true;
-    order.deliveredAt = Date.now();
-    order.orderStatus = 'delivered'; // Update overall status
+    // The status change itself is validated too, so a wrong-state order is rejected before any upload
+    assertTransition(order, 'delivered', authUser);
+    return order;
+  }
 
-    const updatedOrder = await order.save();
-    return updatedOrder;
+  /**
+   * @desc Assign a shipped order to a delivery agent (reassigning resets the pickup and the delivery OTP)
+   * @param {string} id - The ID of the order to assign
+   * @param {string} agentId - ID of the delivery agent
+   * @param {Object} authUser - Authenticated admin (req.user)
+   * @returns {Promise<Object>} The updated order object
+   * @throws {ErrorResponse} If the agent or order is not found, or the order is not shipped
+   */
+  async assignDeliveryAgent(id, agentId, authUser) {
+    const agent = agentId && mongoose.isValidObjectId(agentId)
+      ? await User.findOne({ _id: agentId, role: 'delivery_agent' })
+      : null;
+    if (!agent) {
+      throw new ErrorResponse(`Delivery agent not found with id of ${agentId}`, 404);
+    }
+
+    // Only shipped (not yet delivered) orders can be handed to an agent
+    const order = await Order.findOneAndUpdate(
+      { _id: id, orderStatus: 'shipped' },
+      {
+        $set: {
+          'dispatch.agent': agent._id,
+          'dispatch.assignedBy': authUser.id,
+          'dispatch.assignedAt': new Date(),
+          'dispatch.pickedUpAt': null,
+          'dispatch.deliveryOtp': crypto.randomInt(1000, 10000).toString(),
+        },
+      },
+      { new: true }
+    ).populate({ path: 'dispatch.agent', select: 'name phone' });
+
+    if (!order) {
+      const exists = await Order.exists({ _id: id });
+      if (!exists) {
+        throw new ErrorResponse('Order not found', 404);
+      }
+      throw new ErrorResponse('Only shipped orders can be assigned to a delivery agent', 400);
+    }
+    return order;
+  }
+
+  /**
+   * @desc Record that the assigned agent picked up the order, and send the customer their delivery OTP
+   * @param {string} id - The ID of the order
+   * @param {Object} authUser - Authenticated delivery agent (req.user)
+   * @returns {Promise<Object>} The updated order object
+   * @throws {ErrorResponse} If the order is not found, not assigned to this agent, or already picked up
+   */
+  async markOrderPickedUp(id, authUser) {
+    const order = await Order.findOneAndUpdate(
+      { _id: id, 'dispatch.agent': authUser.id, orderStatus: 'shipped', 'dispatch.pickedUpAt': null },
+      { $set: { 'dispatch.pickedUpAt': new Date() } },
+      { new: true }
+    )
+      .select('+dispatch.deliveryOtp')
+      .populate({ path: 'user', select: 'name email' });
+
+    if (!order) {
+      const existing = await Order.findById(id);
+      if (!existing) {
+        throw new ErrorResponse('Order not found', 404);
+      }
+      if (!existing.dispatch || !existing.dispatch.agent || existing.dispatch.agent.toString() !== authUser.id) {
+        throw new ErrorResponse('This order is not assigned to you', 403);
+      }
+      throw new ErrorResponse(existing.orderStatus === 'shipped'
+        ? 'Order is already picked up'
+        : `Order is ${existing.orderStatus} and can not be picked up`, 400);
+    }
+
+    await notificationService.notifyOutForDelivery(order, order.user);
+
+    order.dispatch.deliveryOtp = undefined; // The agent gets the OTP from the customer, not from the API
+    return order;
+  }
+
+  /**
+   * @desc Get the orders assigned to a delivery agent (newest assignment first)
+   * @param {Object} queryParams - Query parameters (status=active|delivered, sort, fields, page, limit)
+   * @param {Object} authUser - Authenticated delivery agent (req.user)
+   * @returns {Promise<Object>} An object containing count and an array of orders
+   */
+  async getAssignedOrders(queryParams, authUser) {
+    const conditions = { 'dispatch.agent': authUser.id };
+    if (queryParams.status === 'active') {
+      conditions.orderStatus = 'shipped';
+    } else if (queryParams.status === 'delivered') {
+      conditions.orderStatus = 'delivered';
+    }
+
+    const features = new APIFeatures(Order.find(conditions), { sort: '-dispatch.assignedAt', ...queryParams })
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const orders = await features.query.populate({ path: 'user', select: 'name phone' });
+    return { count: orders.length, data: orders };
+  }
+
+  /**
+   * @desc Per-agent delivery stats for admins: assigned, active, delivered, proof of delivery and average delivery time
+   * @param {Object} queryParams - Optional from/to dates limiting the assignments counted
+   * @returns {Promise<Array<Object>>} One entry per delivery agent (agents without assignments included)
+   * @throws {ErrorResponse} If a date is invalid
+   */
+  async getDeliveryStats(queryParams) {
+    const match = { 'dispatch.agent': { $ne: null } };
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!queryParams[param]) continue;
+      const date = new Date(queryParams[param]);
+      if (Number.isNaN(date.getTime())) {
+        throw new ErrorResponse(`Invalid ${param} date`, 400);
+      }
+      match['dispatch.assignedAt'] = { ...match['dispatch.assignedAt'], [operator]: date };
+    }
+
+    const [agents, stats] = await Promise.all([
+      User.find({ role: 'delivery_agent' }).select('name email phone'),
+      Order.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$dispatch.agent',
+            assigned: { $sum: 1 },
+            awaitingPickup: {
+              $sum: { $cond: [{ $and: [{ $eq: ['$orderStatus', 'shipped'] }, { $not: ['$dispatch.pickedUpAt'] }] }, 1, 0] },
+            },
+            outForDelivery: {
+              $sum: { $cond: [{ $and: [{ $eq: ['$orderStatus', 'shipped'] }, { $ifNull: ['$dispatch.pickedUpAt', false] }] }, 1, 0] },
+            },
+            delivered: { $sum: { $cond: [{ $eq: ['$orderStatus', 'delivered'] }, 1, 0] } },
+            deliveredWithOtp: { $sum: { $cond: ['$dispatch.proofOfDelivery.otpVerified', 1, 0] } },
+            deliveredWithPhoto: { $sum: { $cond: [{ $ifNull: ['$dispatch.proofOfDelivery.photoUrl', false] }, 1, 0] } },
+            // Time from assignment to delivery, for delivered orders only ($avg ignores nulls)
+            averageDeliveryMs: {
+              $avg: {
+                $cond: [
+                  { $eq: ['$orderStatus', 'delivered'] },
+                  { $subtract: ['$deliveredAt', '$dispatch.assignedAt'] },
+                  null,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    const statsByAgent = new Map(stats.map((entry) => [entry._id.toString(), entry]));
+    return agents.map((agent) => {
+      const entry = statsByAgent.get(agent._id.toString()) || {};
+      return {
+        agent: { _id: agent._id, name: agent.name, email: agent.email, phone: agent.phone },
+        assigned: entry.assigned || 0,
+        awaitingPickup: entry.awaitingPickup || 0,
+        outForDelivery: entry.outForDelivery || 0,
+        delivered: entry.delivered || 0,
+        deliveredWithOtp: entry.deliveredWithOtp || 0,
+        deliveredWithPhoto: entry.deliveredWithPhoto || 0,
+        averageDeliveryHours: entry.averageDeliveryMs ? Math.round(entry.averageDeliveryMs / 360000) / 10 : null,
+      };
+    });
   }
 
   /**
@@ -218,27 +581,94 @@ class OrderService {
    * @param {string} id - The ID of the order to update
    * @param {string} newStatus - The new status for the order
    * @param {Object} authUser - Authenticated user object (req.user)
+   * @param {string} [note] - Optional note stored in the status history
    * @returns {Promise<Object>} The updated order object
-   * @throws {ErrorResponse} If order not found or not authorized
+   * @throws {ErrorResponse} If order not found, transition not allowed, or not authorized
    */
-  async updateOrderStatus(id, newStatus, authUser) {
+  async updateOrderStatus(id, newStatus, authUser, note) {
     const order = await Order.findById(id);
 
     if (!order) {
       throw new ErrorResponse('Order not found', 404);
     }
 
-    // Admin can update to any status
-    if (authUser.role === 'admin') {
-      order.orderStatus = newStatus;
+    // Validates the transition and the user's guard rules, then records it in the history
+    this.applyStatusChange(order, newStatus, authUser, note);
+
+    const updatedOrder = await order.save();
+
+    // Return the items to inventory and the coupon use to the user when the order is cancelled (at most once per order)
+    if (updatedOrder.orderStatus === 'cancelled') {
+      await inventoryService.restockOrder(updatedOrder, 'order_cancelled', authUser.id);
+      await couponService.releaseOrderCoupon(updatedOrder);
     }
-    // User can only cancel their own order
-    else if (order.user.toString() === authUser.id && newStatus === 'cancelled') { // Removed authUser.role === 'user' check here as it's already handled by the outer if/else if
-      order.orderStatus = 'cancelled';
-    } else {
-      throw new ErrorResponse('Not authorized to update this order status', 403);
+
+    return updatedOrder;
+  }
+
+  /**
+   * @desc Mark an order's payment as failed, cancel the order and return its stock
+   * @param {string} id - The ID of the order to update
+   * @param {Object} paymentResultData - Payment gateway response data describing the failure
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated order object
+   * @throws {ErrorResponse} If order not found, already paid, or not authorized
+   */
+  async updateOrderPaymentFailed(id, paymentResultData, authUser) {
+    const order = await Order.findById(id);
+
+    if (!order) {
+      throw new ErrorResponse('Order not found', 404);
+    }
+
+    // Only Admin can record a failed payment directly, or this would be hit by a payment gateway webhook
+    if (authUser.role !== 'admin') {
+      throw new ErrorResponse('Not authorized to update order payment', 403);
+    }
+
+    return this.markOrderPaymentFailed(order, paymentResultData, authUser);
+  }
+
+  /**
+   * @desc Record a failed payment on an order, cancel it and return its stock.
+   *       Shared by the admin route and payment provider webhooks.
+   * @param {Object} order - The order document to update
+   * @param {Object} paymentResultData - Payment gateway response data describing the failure
+   * @param {Object|null} authUser - Authenticated user object, or null for system actions
+   * @returns {Promise<Object>} The updated order object
+   * @throws {ErrorResponse} If the order is already paid
+   */
+  async markOrderPaymentFailed(order, paymentResultData, authUser) {
+    if (order.isPaid) {
+      throw new ErrorResponse('Order is already paid', 400);
+    }
+
+    order.paymentResult = { ...paymentResultData, status: paymentResultData.status || 'failed' };
+    if (order.orderStatus !== 'cancelled') {
+      this.applyStatusChange(order, 'cancelled', authUser, 'Payment failed');
     }
 
+    const updatedOrder = await order.save();
+    await inventoryService.restockOrder(updatedOrder, 'payment_failed', authUser ? authUser.id : null);
+    await couponService.releaseOrderCoupon(updatedOrder);
+    return updatedOrder;
+  }
+
+  /**
+   * @desc Record a completed refund on an order (called once the provider confirms the refund)
+   * @param {Object} order - The order document to update
+   * @param {Object} refundData - Refund details ({ id, amount })
+   * @returns {Promise<Object>} The updated order object
+   */
+  async markOrderRefunded(order, refundData) {
+    order.isRefunded = true;
+    order.refundedAt = Date.now();
+    order.paymentResult = {
+      ...(order.toObject().paymentResult || {}),
+      status: 'refunded',
+      update_time: new Date().toISOString(),
+    };
+
     const updatedOrder = await order.save();
     return updatedOrder;
   }
@@ -265,6 +695,13 @@ class OrderService {
       );
     }
 
+    // Return the items to inventory unless they have already left the pharmacy
+    if (!['shipped', 'delivered'].includes(order.orderStatus)) {
+      await inventoryService.restockOrder(order, 'order_deleted', authUser.id);
+    }
+    // A deleted order no longer counts toward the user's coupon limit
+    await couponService.releaseOrderCoupon(order);
+
     await order.deleteOne();
   }
 }
@@ -0,0 +1,30 @@
+// src/services/paymentProviders/index.js
+// This file is the registry of payment providers.
+// To add a real gateway, implement the provider interface described in mockProvider.js
+// and register it here under the name used in PAYMENT_PROVIDER.
+// The mock provider is never registered in production.
+
+const mockProvider = require('./mockProvider');
+const ErrorResponse = require('../../utils/errorHandler'); // Custom error handler utility
+
+const providers = {};
+
+if (process.env.NODE_ENV !== 'production') {
+  providers[mockProvider.name] = mockProvider;
+}
+
+/**
+ * @desc Look up a payment provider by name
+ * @param {string} name - Provider name (e.g., 'mock')
+ * @returns {Object} The provider implementation
+ * @throws {ErrorResponse} If no provider is registered under that name
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new ErrorResponse(`Unknown payment provider: ${name}`, 400);
+  }
+  return provider;
+};
+
+module.exports = { getProvider };
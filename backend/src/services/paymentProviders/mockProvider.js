@@ -0,0 +1,104 @@
+// src/services/paymentProviders/mockProvider.js
+// This file implements a local mock payment provider.
+// It behaves like a real gateway (payment intents, signed webhooks, refunds) without any
+// network calls, so the full checkout flow can be tested locally.
+//
+// Every provider exposes the same interface:
+//   name
+//   createPaymentIntent({ amount, currency, orderId }) -> { id, clientSecret, status }
+//   verifyWebhook(rawBody, headers) -> normalized event { id, type, paymentIntentId, refundId, amount, failureReason }
+//   refund({ paymentIntentId, amount }) -> { id, status }
+
+const crypto = require('crypto'); // For ids and HMAC signatures
+const config = require('../../config/config'); // Payment settings (webhook secret)
+const ErrorResponse = require('../../utils/errorHandler'); // Custom error handler utility
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Sign a raw webhook payload with the configured secret
+const sign = (payload) => {
+  if (!config.payments.mock.webhookSecret) {
+    throw new ErrorResponse('MOCK_PAYMENT_WEBHOOK_SECRET is not set', 500);
+  }
+  return crypto
+    .createHmac('sha256', config.payments.mock.webhookSecret)
+    .update(payload)
+    .digest('hex');
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  /**
+   * @desc Create a payment intent (no money moves; the intent is settled by a simulated webhook)
+   * @param {Object} params - { amount, currency, orderId }
+   * @returns {Promise<Object>} { id, clientSecret, status }
+   */
+  async createPaymentIntent({ amount, currency, orderId }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    console.log(`MockPaymentProvider: Created intent ${id} for order ${orderId} (${amount} ${currency})`);
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment',
+    };
+  },
+
+  /**
+   * @desc Verify the signature of an incoming webhook and normalize its payload
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} Normalized event
+   * @throws {ErrorResponse} If the signature is missing or invalid
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!signature || !rawBody) {
+      throw new ErrorResponse('Missing webhook signature', 400);
+    }
+
+    const expected = Buffer.from(sign(rawBody), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      id: payload.id,
+      type: payload.type, // 'payment.succeeded' | 'payment.failed' | 'refund.succeeded'
+      paymentIntentId: payload.data.paymentIntentId,
+      refundId: payload.data.refundId,
+      amount: payload.data.amount,
+      failureReason: payload.data.failureReason,
+    };
+  },
+
+  /**
+   * @desc Refund a settled payment (the mock settles refunds immediately)
+   * @param {Object} params - { paymentIntentId, amount }
+   * @returns {Promise<Object>} { id, status }
+   */
+  async refund({ paymentIntentId, amount }) {
+    const id = `mock_re_${crypto.randomBytes(12).toString('hex')}`;
+    console.log(`MockPaymentProvider: Refunded ${amount} on intent ${paymentIntentId} as ${id}`);
+    return { id, status: 'succeeded' };
+  },
+
+  /**
+   * @desc Build a signed webhook request the way the gateway would send it (local testing only)
+   * @param {string} type - Event type ('payment.succeeded', 'payment.failed' or 'refund.succeeded')
+   * @param {Object} data - Event data ({ paymentIntentId, amount, refundId, failureReason })
+   * @returns {Object} { rawBody, headers } ready to pass to verifyWebhook
+   */
+  buildWebhook(type, data) {
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data,
+    });
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+  },
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,359 @@
+// src/services/paymentService.js
+// This file contains business logic for online payments.
+// It talks to the configured payment provider (see services/paymentProviders) to create
+// payment intents and refunds, and processes signed provider webhooks idempotently.
+// Settled payments go through the same OrderService logic as the admin "mark as paid" route.
+
+const Order = require('../models/Order'); // Import the Order model
+const Payment = require('../models/Payment'); // Import the Payment model
+const WebhookEvent = require('../models/WebhookEvent'); // Import the WebhookEvent model for idempotency
+const orderService = require('./orderService'); // Import the OrderService for paid/failed/refunded logic
+const { getProvider } = require('./paymentProviders'); // Payment provider registry
+const config = require('../config/config'); // Payment settings
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+
+// Payment methods that are settled online through a provider (COD is collected on delivery)
+const ONLINE_PAYMENT_METHODS = ['Card', 'Online Payment'];
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+class PaymentService {
+  /**
+   * @desc Create (or reuse) a payment intent for an order
+   * @param {string} orderId - The ID of the order to pay
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} { payment, clientSecret, provider }
+   * @throws {ErrorResponse} If order not found, not owned by the user, or not payable online
+   */
+  async createPaymentIntent(orderId, authUser) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+    }
+
+    if (order.user.toString() !== authUser.id) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to pay for this order`, 403);
+    }
+
+    if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      throw new ErrorResponse(`Orders with payment method ${order.paymentMethod} cannot be paid online`, 400);
+    }
+
+    if (order.isPaid) {
+      throw new ErrorResponse('Order is already paid', 400);
+    }
+
+    if (order.orderStatus === 'cancelled') {
+      throw new ErrorResponse('Cannot pay for a cancelled order', 400);
+    }
+
+    const provider = getProvider(config.payments.provider);
+
+    // Reuse an open intent for the same amount so retries do not create duplicate charges
+    const existing = await Payment.findOne({
+      order: order._id,
+      provider: provider.name,
+      status: 'requires_payment',
+      amount: order.totalPrice,
+    });
+
+    if (existing) {
+      return { payment: existing, clientSecret: existing.clientSecret, provider: provider.name };
+    }
+
+    const intent = await provider.createPaymentIntent({
+      amount: order.totalPrice, // Always charge the server-calculated total
+      currency: config.payments.currency,
+      orderId: order._id.toString(),
+    });
+
+    const payment = await Payment.create({
+      order: order._id,
+      user: order.user,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: order.totalPrice,
+      currency: config.payments.currency,
+    });
+
+    return { payment, clientSecret: payment.clientSecret, provider: provider.name };
+  }
+
+  /**
+   * @desc Verify and process a provider webhook. Each event is processed at most once.
+   * @param {string} providerName - Provider name from the webhook URL
+   * @param {Buffer|string} rawBody - Raw request body used for signature verification
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { received: true, duplicate: boolean }
+   * @throws {ErrorResponse} If the signature is invalid or the payment is unknown
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = getProvider(providerName);
+    const event = provider.verifyWebhook(rawBody, headers);
+
+    // Record the event first; the unique index rejects events that were already processed
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return { received: true, duplicate: true };
+      }
+      throw err;
+    }
+
+    try {
+      const payment = await Payment.findOne({
+        provider: provider.name,
+        providerPaymentId: event.paymentIntentId,
+      });
+
+      if (!payment) {
+        throw new ErrorResponse(`Payment not found for intent ${event.paymentIntentId}`, 404);
+      }
+
+      webhookEvent.payment = payment._id;
+      await webhookEvent.save();
+
+      switch (event.type) {
+        case 'payment.succeeded':
+          await this.applyPaymentSucceeded(payment, event);
+          break;
+        case 'payment.failed':
+          await this.applyPaymentFailed(payment, event);
+          break;
+        case 'refund.succeeded':
+          await this.applyRefundSucceeded(payment, { id: event.refundId, amount: event.amount });
+          break;
+        default:
+          console.log(`PaymentService: Ignoring unhandled webhook event type ${event.type}`);
+      }
+    } catch (err) {
+      // Forget the event so the provider's retry can process it again
+      await WebhookEvent.deleteOne({ _id: webhookEvent._id });
+      throw err;
+    }
+
+    return { received: true, duplicate: false };
+  }
+
+  /**
+   * @desc Settle a payment as succeeded and mark its order as paid
+   * @param {Object} payment - The Payment document
+   * @param {Object} event - Normalized provider event
+   * @returns {Promise<void>}
+   */
+  async applyPaymentSucceeded(payment, event) {
+    // Atomically move the payment out of 'requires_payment' so it is only settled once
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'requires_payment' },
+      { $set: { status: 'succeeded', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!settled) return;
+
+    let order;
+    try {
+      order = await Order.findById(payment.order);
+      if (order && !order.isPaid && order.orderStatus !== 'cancelled') {
+        await orderService.markOrderPaid(order, {
+          id: payment.providerPaymentId,
+          status: 'succeeded',
+          update_time: new Date().toISOString(),
+        });
+        return;
+      }
+    } catch (err) {
+      // Put the payment back so the provider's retry of this webhook settles it and pays the order
+      await Payment.updateOne(
+        { _id: settled._id, status: 'succeeded' },
+        { $set: { status: 'requires_payment', updatedAt: Date.now() } }
+      );
+      throw err;
+    }
+
+    // The money arrived for an order that can no longer take it (deleted, paid twice or cancelled)
+    console.log(`PaymentService: Refunding payment ${settled._id} because its order can no longer be paid`);
+    await this.refundPayment(settled);
+  }
+
+  /**
+   * @desc Settle a payment as failed; the order is cancelled and its stock returned
+   * @param {Object} payment - The Payment document
+   * @param {Object} event - Normalized provider event
+   * @returns {Promise<void>}
+   */
+  async applyPaymentFailed(payment, event) {
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'requires_payment' },
+      { $set: { status: 'failed', failureReason: event.failureReason, updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!settled) return;
+
+    const order = await Order.findById(payment.order);
+    if (!order || order.isPaid) return; // Another intent for this order may have succeeded
+
+    await orderService.markOrderPaymentFailed(order, {
+      id: payment.providerPaymentId,
+      status: 'failed',
+      update_time: new Date().toISOString(),
+    }, null);
+  }
+
+  /**
+   * @desc Record a completed refund on the payment and its order
+   * @param {Object} payment - The Payment document
+   * @param {Object} refund - Refund details ({ id, amount })
+   * @returns {Promise<void>}
+   */
+  async applyRefundSucceeded(payment, refund) {
+    // Partial refunds are recorded when they are issued (see refundOrderAmount); their webhooks change nothing
+    if ((payment.partialRefunds || []).some((partial) => partial.refundId === refund.id)) return;
+
+    const refunded = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'succeeded' },
+      {
+        $set: {
+          status: 'refunded',
+          refundId: refund.id,
+          refundedAmount: payment.amount, // Fully refunded (including any earlier partial refunds)
+          refundedAt: Date.now(),
+          updatedAt: Date.now(),
+        },
+      },
+      { new: true }
+    );
+    if (!refunded) return;
+
+    // Only flag the order when the refunded payment is the one that paid for it
+    const order = await Order.findById(payment.order);
+    if (order && order.isPaid && order.paymentResult && order.paymentResult.id === payment.providerPaymentId) {
+      await orderService.markOrderRefunded(order, refund);
+    }
+  }
+
+  /**
+   * @desc Refund the successful online payment of an order
+   * @param {string} orderId - The ID of the order to refund
+   * @returns {Promise<Object>} The updated Payment document
+   * @throws {ErrorResponse} If there is no successful payment for the order
+   */
+  async refundOrder(orderId) {
+    const payment = await Payment.findOne({ order: orderId, status: 'succeeded' });
+    if (!payment) {
+      throw new ErrorResponse(`No successful online payment found for order ${orderId}`, 400);
+    }
+
+    return this.refundPayment(payment);
+  }
+
+  /**
+   * @desc Ask the provider to refund a successful payment
+   * @param {Object} payment - The Payment document (status 'succeeded')
+   * @returns {Promise<Object>} The updated Payment document
+   */
+  async refundPayment(payment) {
+    const provider = getProvider(payment.provider);
+    const remaining = roundPrice(payment.amount - (payment.refundedAmount || 0)); // Earlier partial refunds are not paid back twice
+    if (remaining <= 0) {
+      throw new ErrorResponse('The payment for this order has already been fully refunded', 400);
+    }
+
+    const refund = await provider.refund({
+      paymentIntentId: payment.providerPaymentId,
+      amount: remaining,
+    });
+
+    // Some providers settle refunds immediately; others confirm later via a 'refund.succeeded' webhook
+    if (refund.status === 'succeeded') {
+      await this.applyRefundSucceeded(payment, { id: refund.id, amount: remaining });
+    }
+
+    return Payment.findById(payment._id);
+  }
+
+  /**
+   * @desc Refund part of an order's successful online payment (e.g., for returned items).
+   *       The payment stays 'succeeded'; the refund is added to its partialRefunds.
+   * @param {string} orderId - The ID of the order
+   * @param {number} amount - Amount to refund (capped at what has not been refunded yet)
+   * @returns {Promise<Object|null>} { refundId, status, amount, paymentId }, or null if the order has no successful online payment
+   * @throws {ErrorResponse} If the payment has already been fully refunded
+   */
+  async refundOrderAmount(orderId, amount) {
+    const payment = await Payment.findOne({ order: orderId, status: 'succeeded' });
+    if (!payment) {
+      return null;
+    }
+
+    const refundAmount = roundPrice(Math.min(amount, payment.amount - (payment.refundedAmount || 0)));
+    if (refundAmount <= 0) {
+      throw new ErrorResponse('The payment for this order has already been fully refunded', 400);
+    }
+
+    const provider = getProvider(payment.provider);
+    const refund = await provider.refund({
+      paymentIntentId: payment.providerPaymentId,
+      amount: refundAmount,
+    });
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $inc: { refundedAmount: refundAmount },
+        $push: { partialRefunds: { refundId: refund.id, amount: refundAmount } },
+        $set: { updatedAt: Date.now() },
+      }
+    );
+
+    return { refundId: refund.id, status: refund.status, amount: refundAmount, paymentId: payment._id };
+  }
+
+  /**
+   * @desc Simulate the provider settling a payment intent (mock provider only, for local testing).
+   *       Builds a signed webhook and runs it through the normal webhook handler.
+   * @param {string} paymentId - The ID of the Payment document
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated Payment document
+   * @throws {ErrorResponse} If the payment is not a mock payment or the user does not own it
+   */
+  async simulateMockPayment(paymentId, outcome, authUser) {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      throw new ErrorResponse(`Payment not found with id of ${paymentId}`, 404);
+    }
+
+    if (payment.provider !== 'mock') {
+      throw new ErrorResponse('Only mock payments can be simulated', 400);
+    }
+
+    if (payment.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to settle this payment`, 403);
+    }
+
+    const provider = getProvider('mock');
+    const { rawBody, headers } = provider.buildWebhook(
+      outcome === 'failed' ? 'payment.failed' : 'payment.succeeded',
+      {
+        paymentIntentId: payment.providerPaymentId,
+        amount: payment.amount,
+        failureReason: outcome === 'failed' ? 'Simulated card decline' : undefined,
+      }
+    );
+    await this.handleWebhook('mock', rawBody, headers);
+
+    return Payment.findById(payment._id);
+  }
+}
+
+module.exports = new PaymentService(); // Export an instance of the service
@@ -0,0 +1,151 @@
+// src/services/prescriptionService.js
+// This file contains business logic for prescriptions and pharmacist verification.
+// Orders with prescription-only (Rx) items wait in a verification queue until a pharmacist
+// approves the prescription (order moves to 'processing') or rejects it (order is cancelled,
+// restocked and refunded). The patient is notified either way.
+
+const Prescription = require('../models/Prescription'); // Import the Prescription model
+const Order = require('../models/Order'); // Import the Order model
+const User = require('../models/User'); // Import the User model to notify the patient
+const orderService = require('./orderService'); // Import the OrderService for status changes
+const inventoryService = require('./inventoryService'); // Import the InventoryService to restock rejected orders
+const couponService = require('./couponService'); // Import the CouponService to give back the coupon of rejected orders
+const paymentService = require('./paymentService'); // Import the PaymentService to refund rejected orders
+const notificationService = require('./notificationService'); // Import the NotificationService
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// Possible pharmacist decisions
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+
+class PrescriptionService {
+  /**
+   * @desc Save an uploaded prescription document
+   * @param {Object} fileData - Uploaded file details ({ fileUrl, publicId, fileName, mimeType })
+   * @param {string} userId - ID of the patient uploading the prescription
+   * @returns {Promise<Object>} The newly created prescription
+   */
+  async createPrescription(fileData, userId) {
+    const prescription = await Prescription.create({ ...fileData, user: userId });
+    return prescription;
+  }
+
+  /**
+   * @desc Get a single prescription by ID
+   * @param {string} id - The ID of the prescription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The prescription object
+   * @throws {ErrorResponse} If prescription is not found or user is not authorized
+   */
+  async getPrescription(id, authUser) {
+    const prescription = await Prescription.findById(id);
+
+    if (!prescription) {
+      throw new ErrorResponse(`Prescription not found with id of ${id}`, 404);
+    }
+
+    // Only the patient, pharmacists and admins may see a prescription
+    if (prescription.user.toString() !== authUser.id && !['pharmacist', 'admin'].includes(authUser.role)) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to view this prescription`, 403);
+    }
+
+    return prescription;
+  }
+
+  /**
+   * @desc Get the orders waiting for prescription verification (oldest first)
+   * @param {Object} queryParams - Query parameters from the request (req.query)
+   * @returns {Promise<Object>} An object containing count and an array of orders
+   */
+  async getVerificationQueue(queryParams) {
+    const query = Order.find({ prescriptionStatus: 'pending', orderStatus: 'pending' });
+
+    // No field filtering here: the queue conditions above must not be overridden by query parameters
+    const features = new APIFeatures(query, { sort: 'createdAt', ...queryParams })
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const orders = await features.query
+      .populate({
+        path: 'user',
+        select: 'name email phone',
+      })
+      .populate({
+        path: 'prescription',
+        select: 'fileUrl fileName mimeType createdAt',
+      })
+      .populate({
+        path: 'orderItems.medicine',
+        select: 'name category requiresPrescription',
+      });
+
+    return { count: orders.length, data: orders };
+  }
+
+  /**
+   * @desc Approve or reject the prescription of an order
+   * @param {string} orderId - The ID of the order under review
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} [note] - Pharmacist's note (required when rejecting)
+   * @param {Object} authUser - Authenticated pharmacist or admin (req.user)
+   * @returns {Promise<Object>} The updated order
+   * @throws {ErrorResponse} If the decision is invalid, the order is not found or is not awaiting verification
+   */
+  async reviewOrderPrescription(orderId, decision, note, authUser) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new ErrorResponse(`Invalid decision: ${decision}. Use 'approved' or 'rejected'`, 400);
+    }
+    if (decision === 'rejected' && !note) {
+      throw new ErrorResponse('Please add a reason for rejecting the prescription', 400);
+    }
+
+    // Atomically claim the review so two pharmacists cannot decide on the same order
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, prescriptionStatus: 'pending', orderStatus: 'pending' },
+      {
+        $set: {
+          prescriptionStatus: decision,
+          prescriptionReview: { reviewedBy: authUser.id, reviewedAt: Date.now(), note },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!order) {
+      const exists = await Order.exists({ _id: orderId });
+      if (!exists) {
+        throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+      }
+      throw new ErrorResponse('This order is not awaiting prescription verification', 400);
+    }
+
+    if (decision === 'approved') {
+      orderService.applyStatusChange(order, 'processing', authUser, note || 'Prescription approved');
+      await order.save();
+    } else {
+      orderService.applyStatusChange(order, 'cancelled', authUser, `Prescription rejected: ${note}`);
+      await order.save();
+      await inventoryService.restockOrder(order, 'prescription_rejected', authUser.id);
+      await couponService.releaseOrderCoupon(order);
+
+      if (order.isPaid && order.paymentMethod !== 'COD') {
+        try {
+          await paymentService.refundOrder(order._id);
+        } catch (err) {
+          // The rejection stands; the refund can be retried from the admin refund route
+          console.error(`PrescriptionService: Refund failed for rejected order ${order._id}:`, err.message);
+        }
+      }
+    }
+
+    const patient = await User.findById(order.user).select('name email');
+    if (patient) {
+      await notificationService.notifyPrescriptionReviewed(order, patient);
+    }
+
+    return Order.findById(order._id);
+  }
+}
+
+module.exports = new PrescriptionService(); // Export an instance of the service
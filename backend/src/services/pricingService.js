@@ -0,0 +1,167 @@
+// src/services/pricingService.js
+// This file contains the server-side pricing engine for orders.
+// Every order line is repriced from the current Medicine.price, and tax and shipping
+// are calculated from the configured pricing rules, so client-sent prices are never trusted.
+// Coupon discounts are applied here too, so the discount is part of the server-side total.
+// Once the shipping PIN code is known, shipping is charged by the delivery zone that serves it.
+
+const Medicine = require('../models/Medicine'); // Import the Medicine model for live prices
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const couponService = require('./couponService'); // Coupon validation and discount calculation
+const deliveryService = require('./deliveryService'); // Delivery zones (serviceability and shipping fees)
+const config = require('../config/config'); // Pricing rules (tax rate, shipping fee, thresholds)
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+  /**
+   * @desc Calculate shipping for a given items price, using the delivery zone's fees when the zone is known
+   *       and the configured default rules otherwise (e.g., for a cart estimate before an address is chosen)
+   * @param {number} itemsPrice - Sum of all order lines
+   * @param {Object} [zone] - The delivery zone of the shipping address
+   * @returns {number} The shipping price
+   */
+  calculateShipping(itemsPrice, zone) {
+    if (zone) {
+      return deliveryService.calculateShipping(zone, itemsPrice);
+    }
+    const { shippingFee, freeShippingThreshold } = config.pricing;
+    return itemsPrice > freeShippingThreshold ? 0 : shippingFee;
+  }
+
+  /**
+   * @desc Calculate tax for a given items price using the configured tax rate
+   * @param {number} itemsPrice - Sum of all order lines
+   * @returns {number} The tax price
+   */
+  calculateTax(itemsPrice) {
+    return roundPrice(itemsPrice * config.pricing.taxRate);
+  }
+
+  /**
+   * @desc Build an authoritative price quote for a list of order items
+   * @param {Array<Object>} orderItems - Items with { medicine, quantity } (client prices are ignored)
+   * @param {Object} [options] - Quote options
+   * @param {string} [options.couponCode] - Coupon code to apply
+   * @param {string} [options.userId] - ID of the user (required when a coupon is applied)
+   * @param {string} [options.pinCode] - Shipping PIN code; shipping is charged by its delivery zone
+   * @returns {Promise<Object>} Quote with repriced orderItems, itemsPrice, discountPrice (on items), shippingDiscount, taxPrice, shippingPrice, totalPrice, taxRate, requiresPrescription, coupon and delivery
+   * @throws {ErrorResponse} If there are no items, a quantity is invalid, a medicine is not found, the coupon cannot be used or we do not deliver to the PIN code
+   */
+  async quoteOrder(orderItems, options = {}) {
+    if (!orderItems || orderItems.length === 0) {
+      throw new ErrorResponse('No order items', 400);
+    }
+
+    // Reject undeliverable addresses before doing any other work
+    const zone = options.pinCode ? await deliveryService.getZoneForPinCode(options.pinCode) : null;
+
+    const medicineIds = orderItems.map((item) => item.medicine);
+    const medicines = await Medicine.find({ _id: { $in: medicineIds } }).select('name price category requiresPrescription');
+    const medicinesById = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+    const pricedItems = orderItems.map((item) => {
+      const medicine = medicinesById.get(String(item.medicine));
+      if (!medicine) {
+        throw new ErrorResponse(`Medicine not found: ${item.name || item.medicine}`, 404);
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ErrorResponse(`Invalid quantity for ${medicine.name}`, 400);
+      }
+
+      return {
+        name: medicine.name,
+        quantity,
+        price: medicine.price,
+        medicine: medicine._id,
+        category: medicine.category, // Used for category-restricted coupons
+        requiresPrescription: medicine.requiresPrescription,
+      };
+    });
+
+    const itemsPrice = roundPrice(pricedItems.reduce((acc, item) => acc + item.price * item.quantity, 0));
+
+    // Apply the coupon (if any) before tax and shipping, so both are based on the discounted amount
+    let coupon = null;
+    let discountPrice = 0;
+    if (options.couponCode) {
+      coupon = await couponService.getApplicableCoupon(options.couponCode, options.userId, pricedItems, itemsPrice);
+      discountPrice = couponService.calculateItemsDiscount(coupon, pricedItems);
+    }
+
+    const discountedItemsPrice = roundPrice(itemsPrice - discountPrice);
+    const taxPrice = this.calculateTax(discountedItemsPrice);
+    let shippingPrice = this.calculateShipping(discountedItemsPrice, zone);
+
+    // Free-shipping coupons waive the shipping fee; the waived amount is reported separately,
+    // so discountPrice always stays the discount on items
+    let shippingDiscount = 0;
+    if (coupon && coupon.discountType === 'free_shipping') {
+      shippingDiscount = shippingPrice;
+      shippingPrice = 0;
+    }
+
+    const totalPrice = roundPrice(discountedItemsPrice + taxPrice + shippingPrice);
+
+    return {
+      orderItems: pricedItems,
+      itemsPrice,
+      discountPrice,
+      shippingDiscount,
+      taxPrice,
+      shippingPrice,
+      totalPrice,
+      taxRate: config.pricing.taxRate,
+      requiresPrescription: pricedItems.some((item) => item.requiresPrescription), // A prescription must be uploaded at checkout
+      coupon: coupon
+        ? {
+          coupon: coupon._id,
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+        }
+        : null,
+      delivery: zone
+        ? {
+          zone: zone._id,
+          name: zone.name,
+          pinCode: String(options.pinCode).trim(),
+          estimatedDeliveryDays: zone.estimatedDeliveryDays,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * @desc Reject client-sent totals that do not match the server quote
+   * @param {Object} clientTotals - Totals sent by the client (itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice)
+   * @param {Object} quote - The server quote from quoteOrder
+   * @throws {ErrorResponse} If totalPrice is missing or any client total that was sent differs from the server total
+   */
+  assertTotalsMatch(clientTotals, quote) {
+    const fields = ['itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice'];
+
+    // The client must confirm the total it showed to the customer
+    if (clientTotals.totalPrice === undefined || clientTotals.totalPrice === null) {
+      throw new ErrorResponse('Order totalPrice is required', 400);
+    }
+
+    for (const field of fields) {
+      const clientValue = clientTotals[field];
+      if (clientValue === undefined || clientValue === null) continue; // Breakdown fields are optional; totalPrice is checked above
+
+      if (Math.abs(Number(clientValue) - quote[field]) > config.pricing.totalTolerance) {
+        throw new ErrorResponse(
+          `Order ${field} does not match the current price (expected ₹${quote[field].toFixed(2)}). Please review your cart and try again.`,
+          400
+        );
+      }
+    }
+  }
+}
+
+module.exports = new PricingService(); // Export an instance of the service
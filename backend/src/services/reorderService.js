@@ -0,0 +1,138 @@
+// src/services/reorderService.js
+// This file contains business logic for stock monitoring and reordering.
+// It builds the admin reorder report (low-stock, out-of-stock and soon-to-expire medicines
+// with suggested reorder quantities based on recent sales) and sends low-stock alerts to admins.
+
+const Medicine = require('../models/Medicine'); // Import the Medicine model
+const Order = require('../models/Order'); // Import the Order model to measure recent sales
+const User = require('../models/User'); // Import the User model to find admins
+const notificationService = require('./notificationService'); // Import the NotificationService for alert emails
+const config = require('../config/config'); // Stock monitoring rules
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReorderService {
+  /**
+   * @desc Build the reorder report
+   * @returns {Promise<Object>} { generatedAt, lowStock, outOfStock, expiringSoon }
+   *          lowStock/outOfStock entries: { medicine, name, category, stock, reorderLevel, soldRecently, suggestedReorderQuantity }
+   *          expiringSoon entries: { medicine, name, batchNumber, quantity, expiryDate, daysLeft }
+   */
+  async getReorderReport() {
+    const now = new Date();
+    const expiryLimit = new Date(now.getTime() + config.inventory.expiryWarningDays * DAY_MS);
+
+    const [medicines, sales] = await Promise.all([
+      Medicine.find().select('name category stock reorderLevel +batches'),
+      this.getRecentSales(),
+    ]);
+
+    const lowStock = [];
+    const outOfStock = [];
+    const expiringSoon = [];
+
+    medicines.forEach((medicine) => {
+      // Work from the batches so stock that expired since the last sync is not counted
+      const sellable = medicine.getSellableBatches(now);
+      const stock = sellable.reduce((acc, batch) => acc + batch.quantity, 0);
+      const reorderLevel = medicine.reorderLevel ?? config.inventory.defaultReorderLevel;
+
+      if (stock <= reorderLevel) {
+        const soldRecently = sales.get(medicine._id.toString()) || 0;
+        const entry = {
+          medicine: medicine._id,
+          name: medicine.name,
+          category: medicine.category,
+          stock,
+          reorderLevel,
+          soldRecently,
+          suggestedReorderQuantity: this.getSuggestedReorderQuantity(stock, reorderLevel, soldRecently),
+        };
+        (stock === 0 ? outOfStock : lowStock).push(entry);
+      }
+
+      sellable
+        .filter((batch) => batch.expiryDate <= expiryLimit)
+        .forEach((batch) => {
+          expiringSoon.push({
+            medicine: medicine._id,
+            name: medicine.name,
+            batchNumber: batch.batchNumber,
+            quantity: batch.quantity,
+            expiryDate: batch.expiryDate,
+            daysLeft: Math.ceil((batch.expiryDate - now) / DAY_MS),
+          });
+        });
+    });
+
+    lowStock.sort((a, b) => a.stock - b.stock);
+    outOfStock.sort((a, b) => b.soldRecently - a.soldRecently);
+    expiringSoon.sort((a, b) => a.expiryDate - b.expiryDate);
+
+    return { generatedAt: now, lowStock, outOfStock, expiringSoon };
+  }
+
+  /**
+   * @desc Units sold per medicine within the configured sales window (cancelled orders excluded)
+   * @returns {Promise<Map<string, number>>} Map of medicine ID -> quantity sold
+   */
+  async getRecentSales() {
+    const since = new Date(Date.now() - config.inventory.salesWindowDays * DAY_MS);
+    const rows = await Order.aggregate([
+      { $match: { createdAt: { $gte: since }, orderStatus: { $ne: 'cancelled' } } },
+      { $unwind: '$orderItems' },
+      { $group: { _id: '$orderItems.medicine', quantity: { $sum: '$orderItems.quantity' } } },
+    ]);
+    return new Map(rows.map((row) => [row._id.toString(), row.quantity]));
+  }
+
+  /**
+   * @desc Suggest how many units to order: enough to cover the expected demand of the
+   *       reorder cover period and still be above the reorder level afterwards
+   * @param {number} stock - Current sellable stock
+   * @param {number} reorderLevel - The medicine's reorder level
+   * @param {number} soldRecently - Units sold within the sales window
+   * @returns {number} Suggested reorder quantity
+   */
+  getSuggestedReorderQuantity(stock, reorderLevel, soldRecently) {
+    const dailyDemand = soldRecently / config.inventory.salesWindowDays;
+    const expectedDemand = Math.ceil(dailyDemand * config.inventory.reorderCoverDays);
+    return Math.max(expectedDemand + reorderLevel - stock, reorderLevel > 0 ? 1 : 0);
+  }
+
+  /**
+   * @desc Email admins about medicines that fell to or below their reorder level.
+   *       Each medicine is reported once until its stock is above the reorder level again.
+   * @returns {Promise<number>} Number of medicines included in the alert
+   */
+  async sendLowStockAlerts() {
+    // Medicines created before reorder levels existed use the default level
+    const reorderLevel = { $ifNull: ['$reorderLevel', config.inventory.defaultReorderLevel] };
+    const belowLevel = { $expr: { $lte: ['$stock', reorderLevel] } };
+
+    // Re-arm alerts for medicines that were restocked since they were last reported
+    await Medicine.updateMany(
+      { lowStockAlertedAt: { $ne: null }, $expr: { $gt: ['$stock', reorderLevel] } },
+      { $unset: { lowStockAlertedAt: 1 } }
+    );
+
+    const medicines = await Medicine.find({ ...belowLevel, lowStockAlertedAt: null })
+      .select('name stock reorderLevel')
+      .sort('stock');
+    if (medicines.length === 0) return 0;
+
+    const admins = await User.find({ role: 'admin' }).select('name email');
+    const sent = await notificationService.notifyLowStock(admins, medicines);
+
+    // Only mark the medicines as reported if at least one admin actually received the alert
+    if (sent > 0) {
+      await Medicine.updateMany(
+        { _id: { $in: medicines.map((medicine) => medicine._id) } },
+        { $set: { lowStockAlertedAt: Date.now() } }
+      );
+    }
+    return medicines.length;
+  }
+}
+
+module.exports = new ReorderService(); // Export an instance of the service
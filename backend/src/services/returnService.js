@@ -0,0 +1,394 @@
+// src/services/returnService.js
+// This file contains business logic for returns of delivered orders.
+// Customers request a return of some items within the configured return window; an admin
+// approves or rejects it. Approved returns put restockable items back into inventory and refund
+// the returned items (to the original online payment, or manually for cash on delivery).
+
+const ReturnRequest = require('../models/ReturnRequest'); // Import the ReturnRequest model
+const Order = require('../models/Order'); // Import the Order model
+const inventoryService = require('./inventoryService'); // Import the InventoryService to restock returned items
+const paymentService = require('./paymentService'); // Import the PaymentService to refund online payments
+const config = require('../config/config'); // Return rules (window, restock defaults)
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// Possible admin decisions
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+class ReturnService {
+  /**
+   * @desc Create a return request for items of a delivered order
+   * @param {Object} returnData - { orderId, items: [{ orderItem, quantity }], reason, comment }
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The newly created return request
+   * @throws {ErrorResponse} If the order is not found, not owned, not delivered, outside the return window, or the items are invalid
+   */
+  async createReturnRequest(returnData, authUser) {
+    const { orderId, items, reason, comment } = returnData;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+    }
+
+    if (order.user.toString() !== authUser.id) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to return items of this order`, 403);
+    }
+
+    if (order.orderStatus !== 'delivered') {
+      throw new ErrorResponse('Only delivered orders can be returned', 400);
+    }
+
+    const windowEndsAt = this.getReturnWindowEnd(order);
+    if (!windowEndsAt || windowEndsAt < new Date()) {
+      throw new ErrorResponse(`Items can only be returned within ${config.returns.windowDays} days of delivery`, 400);
+    }
+
+    const openRequest = await ReturnRequest.exists({ order: order._id, status: 'requested' });
+    if (openRequest) {
+      throw new ErrorResponse('A return request for this order is already being reviewed', 400);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ErrorResponse('Please select at least one item to return', 400);
+    }
+
+    // Quantities that were already returned (or are being reviewed) cannot be returned again
+    const alreadyReturned = await this.getReturnedQuantities(order._id);
+
+    const returnItems = items.map((item) => {
+      const orderItem = order.orderItems.id(item.orderItem);
+      if (!orderItem) {
+        throw new ErrorResponse(`Item ${item.orderItem} is not part of this order`, 400);
+      }
+
+      const quantity = Number(item.quantity);
+      const returnable = orderItem.quantity - (alreadyReturned.get(orderItem._id.toString()) || 0);
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > returnable) {
+        throw new ErrorResponse(`You can return at most ${returnable} of ${orderItem.name}`, 400);
+      }
+
+      return {
+        orderItem: orderItem._id,
+        medicine: orderItem.medicine,
+        name: orderItem.name,
+        quantity,
+        price: orderItem.price,
+      };
+    });
+
+    // The unique index on open requests rejects a request submitted at the same time as this one
+    let returnRequest;
+    try {
+      returnRequest = await ReturnRequest.create({
+        order: order._id,
+        user: authUser.id,
+        items: returnItems,
+        reason,
+        comment,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new ErrorResponse('A return request for this order is already being reviewed', 400);
+      }
+      throw err;
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { returnStatus: 'requested' } });
+
+    return returnRequest;
+  }
+
+  /**
+   * @desc Check which items of an order can still be returned
+   * @param {string} orderId - The ID of the order
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} { eligible, reason, windowEndsAt, items: [{ orderItem, name, returnableQuantity }] }
+   * @throws {ErrorResponse} If the order is not found or user is not authorized
+   */
+  async getReturnEligibility(orderId, authUser) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+    }
+
+    if (order.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to view this order`, 403);
+    }
+
+    const windowEndsAt = this.getReturnWindowEnd(order);
+    const alreadyReturned = await this.getReturnedQuantities(order._id);
+    const items = order.orderItems.map((item) => ({
+      orderItem: item._id,
+      name: item.name,
+      returnableQuantity: item.quantity - (alreadyReturned.get(item._id.toString()) || 0),
+    }));
+
+    let reason = null;
+    if (order.orderStatus !== 'delivered') {
+      reason = 'Only delivered orders can be returned';
+    } else if (windowEndsAt < new Date()) {
+      reason = `The ${config.returns.windowDays}-day return window has passed`;
+    } else if (order.returnStatus === 'requested') {
+      reason = 'A return request for this order is already being reviewed';
+    } else if (items.every((item) => item.returnableQuantity <= 0)) {
+      reason = 'All items of this order have already been returned';
+    }
+
+    return { eligible: !reason, reason, windowEndsAt, items };
+  }
+
+  /**
+   * @desc Get return requests; customers see their own, admins see all
+   * @param {Object} queryParams - Query parameters (supports status and order filters, sort, page, limit)
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} An object containing count and an array of return requests
+   */
+  async getReturnRequests(queryParams, authUser) {
+    const conditions = authUser.role === 'admin' ? {} : { user: authUser.id };
+    if (queryParams.status) conditions.status = String(queryParams.status);
+    if (queryParams.order) conditions.order = String(queryParams.order);
+
+    const features = new APIFeatures(ReturnRequest.find(conditions), queryParams)
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const returnRequests = await features.query
+      .populate({
+        path: 'user',
+        select: 'name email',
+      })
+      .populate({
+        path: 'order',
+        select: 'totalPrice paymentMethod deliveredAt',
+      });
+
+    return { count: returnRequests.length, data: returnRequests };
+  }
+
+  /**
+   * @desc Get a single return request
+   * @param {string} id - The ID of the return request
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The return request
+   * @throws {ErrorResponse} If not found or user is not authorized
+   */
+  async getReturnRequest(id, authUser) {
+    const returnRequest = await ReturnRequest.findById(id)
+      .populate({
+        path: 'user',
+        select: 'name email',
+      })
+      .populate({
+        path: 'reviewedBy',
+        select: 'name',
+      });
+
+    if (!returnRequest) {
+      throw new ErrorResponse(`Return request not found with id of ${id}`, 404);
+    }
+
+    if (returnRequest.user._id.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to view this return request`, 403);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * @desc Approve or reject a return request. Approval restocks restockable items and refunds the returned items.
+   * @param {string} id - The ID of the return request
+   * @param {Object} reviewData - { decision: 'approved'|'rejected', note, restockItemIds }
+   *        restockItemIds (optional) lists the return items that go back into inventory;
+   *        by default items are restocked unless the reason is 'damaged' or 'expired'.
+   * @param {Object} authUser - Authenticated admin (req.user)
+   * @returns {Promise<Object>} The updated return request
+   * @throws {ErrorResponse} If the decision is invalid, or the request is not found or already reviewed
+   */
+  async reviewReturnRequest(id, reviewData, authUser) {
+    const { decision, note, restockItemIds } = reviewData;
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new ErrorResponse(`Invalid decision: ${decision}. Use 'approved' or 'rejected'`, 400);
+    }
+
+    // Atomically claim the review so a return is never approved (and refunded) twice
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: id, status: 'requested' },
+      { $set: { status: decision, reviewedBy: authUser.id, reviewedAt: Date.now(), adminNote: note } },
+      { new: true, runValidators: true }
+    );
+
+    if (!returnRequest) {
+      const exists = await ReturnRequest.exists({ _id: id });
+      if (!exists) {
+        throw new ErrorResponse(`Return request not found with id of ${id}`, 404);
+      }
+      throw new ErrorResponse('This return request has already been reviewed', 400);
+    }
+
+    const order = await Order.findById(returnRequest.order);
+    await Order.updateOne({ _id: returnRequest.order }, { $set: { returnStatus: decision } });
+
+    if (decision === 'rejected' || !order) {
+      return returnRequest;
+    }
+
+    // Put restockable items back into inventory
+    const restockIds = Array.isArray(restockItemIds) ? restockItemIds.map(String) : null;
+    const restockByDefault = !config.returns.nonRestockableReasons.includes(returnRequest.reason);
+    returnRequest.items.forEach((item) => {
+      item.restock = restockIds ? restockIds.includes(item._id.toString()) : restockByDefault;
+    });
+
+    // Returned units go back into the batches the order line was allocated from
+    const alreadyRestocked = await this.getRestockedQuantities(order._id, returnRequest._id);
+    const reservations = returnRequest.items
+      .filter((item) => item.restock)
+      .map((item) => {
+        const orderItem = order.orderItems.id(item.orderItem);
+        return {
+          medicine: item.medicine,
+          quantity: item.quantity,
+          batches: inventoryService.sliceBatchAllocations(
+            orderItem ? orderItem.batches : [],
+            alreadyRestocked.get(item.orderItem.toString()) || 0,
+            item.quantity
+          ),
+        };
+      });
+    if (reservations.length > 0) {
+      await inventoryService.releaseStock(reservations, { order: order._id, reason: 'order_returned', user: authUser.id });
+    }
+
+    // Refund the returned items, linked to the order's original payment
+    if (order.isPaid) {
+      returnRequest.refund = await this.issueRefund(order, this.calculateRefundAmount(order, returnRequest.items));
+    }
+
+    await returnRequest.save();
+    return returnRequest;
+  }
+
+  /**
+   * @desc Mark the manual (cash on delivery) refund of an approved return as paid out
+   * @param {string} id - The ID of the return request
+   * @param {string} reference - Reference of the manual payout (e.g., bank transfer ID)
+   * @returns {Promise<Object>} The updated return request
+   * @throws {ErrorResponse} If not found or there is no pending manual refund
+   */
+  async completeManualRefund(id, reference) {
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: id, status: 'approved', 'refund.method': 'manual', 'refund.status': 'pending' },
+      { $set: { 'refund.status': 'succeeded', 'refund.refundId': reference, 'refund.refundedAt': Date.now() } },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      throw new ErrorResponse(`No pending manual refund found for return request ${id}`, 400);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * @desc Refund an amount for an order: online payments are refunded through the provider,
+   *       other payments (COD) are recorded as a pending manual refund
+   * @param {Object} order - The order
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<Object>} The refund record for the return request
+   */
+  async issueRefund(order, amount) {
+    const refund = {
+      amount,
+      paymentResultId: order.paymentResult && order.paymentResult.id,
+    };
+
+    try {
+      const providerRefund = await paymentService.refundOrderAmount(order._id, amount);
+      if (providerRefund) {
+        return {
+          ...refund,
+          amount: providerRefund.amount,
+          method: 'original_payment',
+          status: providerRefund.status === 'succeeded' ? 'succeeded' : 'pending',
+          refundId: providerRefund.refundId,
+          refundedAt: providerRefund.status === 'succeeded' ? Date.now() : undefined,
+        };
+      }
+    } catch (err) {
+      // The return stays approved; the failed refund is visible on the request and can be handled manually
+      console.error(`ReturnService: Refund failed for order ${order._id}:`, err.message);
+      return { ...refund, method: 'original_payment', status: 'failed' };
+    }
+
+    return { ...refund, method: 'manual', status: 'pending' };
+  }
+
+  /**
+   * @desc Refund for returned items: their share of the discounted items price plus tax. Shipping is not
+   *       refunded, so a waived shipping fee (shippingDiscount) is not deducted either.
+   * @param {Object} order - The order
+   * @param {Array<Object>} items - Returned items ({ price, quantity })
+   * @returns {number} The refund amount
+   */
+  calculateRefundAmount(order, items) {
+    if (!order.itemsPrice) return 0;
+
+    const returnedValue = items.reduce((acc, item) => acc + item.price * item.quantity, 0);
+    const share = returnedValue / order.itemsPrice;
+    const itemsDiscount = order.discountPrice || 0; // Coupon discount on the items only
+    return roundPrice((order.itemsPrice - itemsDiscount + order.taxPrice) * share);
+  }
+
+  /**
+   * @desc Quantities per order line that were returned or are awaiting review
+   * @param {string} orderId - The ID of the order
+   * @returns {Promise<Map<string, number>>} Map of orderItem ID -> quantity
+   */
+  async getReturnedQuantities(orderId) {
+    const requests = await ReturnRequest.find({ order: orderId, status: { $in: ['requested', 'approved'] } });
+    const quantities = new Map();
+    requests.forEach((request) => {
+      request.items.forEach((item) => {
+        const key = item.orderItem.toString();
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+      });
+    });
+    return quantities;
+  }
+
+  /**
+   * @desc Quantities per order line that earlier approved returns put back into inventory
+   * @param {string} orderId - The ID of the order
+   * @param {string} excludeId - ID of the return request being reviewed
+   * @returns {Promise<Map<string, number>>} Map of orderItem ID -> quantity
+   */
+  async getRestockedQuantities(orderId, excludeId) {
+    const requests = await ReturnRequest.find({ order: orderId, status: 'approved', _id: { $ne: excludeId } });
+    const quantities = new Map();
+    requests.forEach((request) => {
+      request.items.filter((item) => item.restock).forEach((item) => {
+        const key = item.orderItem.toString();
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+      });
+    });
+    return quantities;
+  }
+
+  /**
+   * @desc End of the return window for a delivered order
+   * @param {Object} order - The order
+   * @returns {Date|null} The last moment items can be returned, or null if the order was not delivered
+   */
+  getReturnWindowEnd(order) {
+    if (!order.deliveredAt) return null;
+    return new Date(new Date(order.deliveredAt).getTime() + config.returns.windowDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new ReturnService(); // Export an instance of the service
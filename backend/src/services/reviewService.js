@@ -0,0 +1,185 @@
+// src/services/reviewService.js
+// This file contains business logic related to medicine reviews.
+// Only customers who received a medicine (a delivered order containing it) may review it, once each.
+// Every change recalculates the medicine's averageRating and numOfReviews (Review.updateMedicineRating).
+
+const Review = require('../models/Review'); // Import the Review model
+const Medicine = require('../models/Medicine'); // Import the Medicine model to check the reviewed medicine
+const Order = require('../models/Order'); // Import the Order model to check the purchase
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+
+// Fields a user may set when writing or editing a review
+const EDITABLE_FIELDS = ['rating', 'title', 'comment'];
+
+class ReviewService {
+  /**
+   * @desc Get reviews, newest first by default; of one medicine or of all medicines
+   * @param {Object} queryParams - Query parameters (supports sort, e.g., -rating, page, limit)
+   * @param {string} [medicineId] - The ID of the medicine
+   * @returns {Promise<Object>} An object containing count and an array of reviews
+   * @throws {ErrorResponse} If the medicine is not found
+   */
+  async getReviews(queryParams, medicineId) {
+    const conditions = {};
+    if (medicineId) {
+      await this.getMedicineOrFail(medicineId);
+      conditions.medicine = medicineId;
+    }
+
+    const features = new APIFeatures(Review.find(conditions), queryParams)
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const reviews = await features.query
+      .populate({ path: 'user', select: 'name' })
+      .populate({ path: 'medicine', select: 'name' });
+
+    return { count: reviews.length, data: reviews };
+  }
+
+  /**
+   * @desc Get the user's review of a medicine and whether they may write one
+   * @param {string} medicineId - The ID of the medicine
+   * @param {string} userId - ID of the authenticated user
+   * @returns {Promise<Object>} { review, canReview } where review is null if the user has not reviewed the medicine
+   * @throws {ErrorResponse} If the medicine is not found
+   */
+  async getMyReview(medicineId, userId) {
+    await this.getMedicineOrFail(medicineId);
+
+    const review = await Review.findOne({ medicine: medicineId, user: userId });
+    const canReview = !review && Boolean(await this.findDeliveredOrder(medicineId, userId));
+    return { review, canReview };
+  }
+
+  /**
+   * @desc Review a medicine the user has received
+   * @param {string} medicineId - The ID of the medicine
+   * @param {Object} reviewData - { rating, title, comment }
+   * @param {string} userId - ID of the reviewing user
+   * @returns {Promise<Object>} { review, rating } where rating is the medicine's new { averageRating, numOfReviews }
+   * @throws {ErrorResponse} If the medicine is not found, the user has not received it, or has already reviewed it
+   */
+  async createReview(medicineId, reviewData, userId) {
+    await this.getMedicineOrFail(medicineId);
+
+    if (await Review.exists({ medicine: medicineId, user: userId })) {
+      throw new ErrorResponse('You have already reviewed this medicine. You can edit your review instead.', 400);
+    }
+
+    const order = await this.findDeliveredOrder(medicineId, userId);
+    if (!order) {
+      throw new ErrorResponse('You can only review medicines you have received in a delivered order', 403);
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        ...this.pickEditableFields(reviewData),
+        medicine: medicineId,
+        user: userId,
+        order: order._id,
+      });
+    } catch (err) {
+      // The unique index catches a review written at the same time
+      if (err.code === 11000) {
+        throw new ErrorResponse('You have already reviewed this medicine. You can edit your review instead.', 400);
+      }
+      throw err;
+    }
+
+    const rating = await Review.updateMedicineRating(medicineId);
+    return { review, rating };
+  }
+
+  /**
+   * @desc Edit the rating, title or comment of the user's own review
+   * @param {string} id - The ID of the review
+   * @param {Object} updateData - Fields to change (see EDITABLE_FIELDS)
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} { review, rating } where rating is the medicine's new { averageRating, numOfReviews }
+   * @throws {ErrorResponse} If the review is not found or is not the user's own
+   */
+  async updateReview(id, updateData, authUser) {
+    const review = await Review.findById(id);
+    if (!review) {
+      throw new ErrorResponse(`Review not found with id of ${id}`, 404);
+    }
+    if (review.user.toString() !== authUser.id) {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to edit this review`, 403);
+    }
+
+    // Use save() so the rating validators run
+    review.set({ ...this.pickEditableFields(updateData), updatedAt: Date.now() });
+    await review.save();
+
+    const rating = await Review.updateMedicineRating(review.medicine);
+    return { review, rating };
+  }
+
+  /**
+   * @desc Delete a review (the author, or an admin moderating reviews)
+   * @param {string} id - The ID of the review
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The medicine's new { averageRating, numOfReviews }
+   * @throws {ErrorResponse} If the review is not found or user is not authorized
+   */
+  async deleteReview(id, authUser) {
+    const review = await Review.findById(id);
+    if (!review) {
+      throw new ErrorResponse(`Review not found with id of ${id}`, 404);
+    }
+    if (review.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to delete this review`, 403);
+    }
+
+    await review.deleteOne();
+    return Review.updateMedicineRating(review.medicine);
+  }
+
+  /**
+   * @desc Load a medicine to review
+   * @param {string} medicineId - The ID of the medicine
+   * @returns {Promise<Object>} The medicine (name only)
+   * @throws {ErrorResponse} If the medicine is not found
+   */
+  async getMedicineOrFail(medicineId) {
+    const medicine = await Medicine.findById(medicineId).select('name');
+    if (!medicine) {
+      throw new ErrorResponse(`Medicine not found with id of ${medicineId}`, 404);
+    }
+    return medicine;
+  }
+
+  /**
+   * @desc Find the user's latest delivered order containing a medicine (the purchase a review is based on)
+   * @param {string} medicineId - The ID of the medicine
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} The order, or null if the user has not received the medicine
+   */
+  async findDeliveredOrder(medicineId, userId) {
+    return Order.findOne({
+      user: userId,
+      orderStatus: 'delivered',
+      'orderItems.medicine': medicineId,
+    })
+      .sort('-deliveredAt')
+      .select('_id');
+  }
+
+  /**
+   * @desc Keep only the fields a user may set on a review
+   * @param {Object} data - Request body
+   * @returns {Object} The editable fields that were given
+   */
+  pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) picked[field] = data[field];
+      return picked;
+    }, {});
+  }
+}
+
+module.exports = new ReviewService(); // Export an instance of the service
@@ -0,0 +1,459 @@
+// src/services/subscriptionService.js
+// This file contains business logic related to refill subscriptions.
+// Users subscribe to regular refills of the same medicines; the subscription job calls
+// sendRefillReminders and placeDueRefills, which place each refill through OrderService.createOrder
+// so pricing, delivery zones, stock reservation and prescription checks are the same as for any order.
+
+const Subscription = require('../models/Subscription'); // Import the Subscription model
+const Medicine = require('../models/Medicine'); // Import the Medicine model to check the subscribed medicines
+const Prescription = require('../models/Prescription'); // Import the Prescription model for Rx medicines
+const orderService = require('./orderService'); // Places each refill as a regular order
+const pricingService = require('./pricingService'); // Quotes each refill before it is placed
+const userService = require('./userService'); // Saved addresses
+const deliveryService = require('./deliveryService'); // Checks the address is in a delivery zone
+const notificationService = require('./notificationService'); // Reminder and refill emails
+const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
+const APIFeatures = require('../utils/apiFeatures'); // Import the APIFeatures utility
+const config = require('../config/config'); // Refill subscription rules
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_BATCH_SIZE = 50; // Refills placed per job run (the rest are picked up on the next run)
+
+// Fields a user may set when creating or editing a subscription
+const EDITABLE_FIELDS = ['items', 'intervalDays', 'address', 'paymentMethod', 'prescription'];
+
+class SubscriptionService {
+  /**
+   * @desc Get subscriptions; users see their own, admins see all
+   * @param {Object} queryParams - Query parameters (supports a status filter, sort, page, limit)
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} An object containing count and an array of subscriptions
+   */
+  async getSubscriptions(queryParams, authUser) {
+    const conditions = authUser.role === 'admin' ? {} : { user: authUser.id };
+    if (queryParams.status) conditions.status = String(queryParams.status);
+
+    const features = new APIFeatures(Subscription.find(conditions), queryParams)
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const subscriptions = await features.query
+      .populate({
+        path: 'items.medicine',
+        select: 'name price imageUrl requiresPrescription',
+      })
+      .populate({
+        path: 'lastOrder',
+        select: 'orderStatus totalPrice createdAt',
+      });
+
+    return { count: subscriptions.length, data: subscriptions };
+  }
+
+  /**
+   * @desc Get a single subscription
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The subscription
+   * @throws {ErrorResponse} If not found or user is not authorized
+   */
+  async getSubscription(id, authUser) {
+    const subscription = await Subscription.findById(id)
+      .populate({
+        path: 'items.medicine',
+        select: 'name price imageUrl requiresPrescription',
+      })
+      .populate({
+        path: 'lastOrder',
+        select: 'orderStatus totalPrice createdAt',
+      });
+
+    if (!subscription) {
+      throw new ErrorResponse(`Subscription not found with id of ${id}`, 404);
+    }
+    if (subscription.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to view this subscription`, 403);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Create a refill subscription. The first refill is placed on startDate
+   *       (by default one interval from now, as the user usually has just bought the medicines).
+   * @param {Object} subscriptionData - { items: [{ medicine, quantity }], intervalDays, address, paymentMethod, prescription, startDate }
+   * @param {string} userId - ID of the subscribing user
+   * @returns {Promise<Object>} The new subscription
+   * @throws {ErrorResponse} If a medicine, the address or the prescription is not found, the address is not deliverable, or the start date is invalid
+   */
+  async createSubscription(subscriptionData, userId) {
+    const data = this.pickEditableFields(subscriptionData);
+    data.items = await this.resolveItems(data.items);
+    await this.assertAddressUsable(userId, data.address);
+    await this.assertPrescriptionUsable(userId, data.items, data.prescription);
+
+    const intervalDays = Number(data.intervalDays);
+    let nextRunAt = new Date(Date.now() + (intervalDays || 0) * DAY_MS);
+    if (subscriptionData.startDate) {
+      nextRunAt = new Date(subscriptionData.startDate);
+      if (Number.isNaN(nextRunAt.getTime()) || nextRunAt < new Date(Date.now() - DAY_MS)) {
+        throw new ErrorResponse('Start date must be a valid date that is not in the past', 400);
+      }
+    }
+
+    return Subscription.create({ ...data, user: userId, nextRunAt });
+  }
+
+  /**
+   * @desc Update the medicines, interval, address, payment method or prescription of a subscription
+   * @param {string} id - The ID of the subscription
+   * @param {Object} updateData - Fields to change (see EDITABLE_FIELDS)
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated subscription
+   * @throws {ErrorResponse} If not found, not authorized, cancelled, or a new value is not usable
+   */
+  async updateSubscription(id, updateData, authUser) {
+    const subscription = await this.getOwnSubscription(id, authUser);
+    if (subscription.status === 'cancelled') {
+      throw new ErrorResponse('A cancelled subscription can not be changed', 400);
+    }
+
+    const data = this.pickEditableFields(updateData);
+    if (data.items) {
+      data.items = await this.resolveItems(data.items);
+    }
+    if (data.address) {
+      await this.assertAddressUsable(subscription.user, data.address);
+    }
+    if (data.items || data.prescription) {
+      await this.assertPrescriptionUsable(
+        subscription.user,
+        data.items || subscription.items,
+        data.prescription || subscription.prescription
+      );
+    }
+
+    // Use save() so the item and interval validators run on the whole document
+    subscription.set(data);
+    return subscription.save();
+  }
+
+  /**
+   * @desc Pause an active subscription (no refills or reminders until it is resumed)
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated subscription
+   * @throws {ErrorResponse} If not found, not authorized, or not active
+   */
+  async pauseSubscription(id, authUser) {
+    await this.getOwnSubscription(id, authUser);
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: id, status: 'active' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) {
+      throw new ErrorResponse('Only active subscriptions can be paused', 400);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Resume a paused subscription. If its refill date passed while it was paused,
+   *       the next refill is one interval from now, so resuming never places an order straight away.
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated subscription
+   * @throws {ErrorResponse} If not found, not authorized, or not paused
+   */
+  async resumeSubscription(id, authUser) {
+    const current = await this.getOwnSubscription(id, authUser);
+
+    const now = new Date();
+    const nextRunAt = current.nextRunAt > now ? current.nextRunAt : new Date(now.getTime() + current.intervalDays * DAY_MS);
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: id, status: 'paused' },
+      { $set: { status: 'active', nextRunAt, consecutiveFailures: 0 }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+    if (!subscription) {
+      throw new ErrorResponse('Only paused subscriptions can be resumed', 400);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Skip the next refill: move the refill date on by one interval
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated subscription
+   * @throws {ErrorResponse} If not found, not authorized, cancelled, or changed at the same time
+   */
+  async skipNextRefill(id, authUser) {
+    const current = await this.getOwnSubscription(id, authUser);
+    if (current.status === 'cancelled') {
+      throw new ErrorResponse('A cancelled subscription can not be changed', 400);
+    }
+
+    // Only skip the refill the user saw: if the job placed it in the meantime, nextRunAt has moved on
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: id, status: { $ne: 'cancelled' }, nextRunAt: current.nextRunAt },
+      { $set: { nextRunAt: new Date(current.nextRunAt.getTime() + current.intervalDays * DAY_MS) } },
+      { new: true }
+    );
+    if (!subscription) {
+      throw new ErrorResponse('The subscription was just updated. Please refresh and try again.', 409);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Cancel a subscription (kept for the user's history)
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The updated subscription
+   * @throws {ErrorResponse} If not found, not authorized, or already cancelled
+   */
+  async cancelSubscription(id, authUser) {
+    await this.getOwnSubscription(id, authUser);
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: id, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) {
+      throw new ErrorResponse('Subscription is already cancelled', 400);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Email a reminder for refills due within config.subscriptions.reminderDaysBefore days (once per refill)
+   * @param {Date} [now] - Current time (for testing)
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendRefillReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + config.subscriptions.reminderDaysBefore * DAY_MS);
+    const upcoming = await Subscription.find({
+      status: 'active',
+      nextRunAt: { $gt: now, $lte: horizon },
+      $expr: { $ne: ['$reminderSentFor', '$nextRunAt'] },
+    }).limit(DUE_BATCH_SIZE);
+
+    let sent = 0;
+    for (const candidate of upcoming) {
+      // Claim the reminder so concurrent runs do not email twice
+      const subscription = await Subscription.findOneAndUpdate(
+        { _id: candidate._id, status: 'active', nextRunAt: candidate.nextRunAt, reminderSentFor: candidate.reminderSentFor },
+        { $set: { reminderSentFor: candidate.nextRunAt } },
+        { new: true }
+      ).populate({ path: 'user', select: 'name email' });
+      if (!subscription) continue;
+
+      if (await notificationService.notifyRefillReminder(subscription, subscription.user)) {
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * @desc Place the refills that are due. Each subscription is claimed by moving nextRunAt on by one
+   *       interval before its order is placed, so a refill is never placed twice.
+   * @param {Date} [now] - Current time (for testing)
+   * @returns {Promise<Object>} { placed, failed } counts
+   */
+  async placeDueRefills(now = new Date()) {
+    const due = await Subscription.find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort('nextRunAt')
+      .limit(DUE_BATCH_SIZE);
+
+    const result = { placed: 0, failed: 0 };
+    for (const candidate of due) {
+      const subscription = await Subscription.findOneAndUpdate(
+        { _id: candidate._id, status: 'active', nextRunAt: candidate.nextRunAt },
+        { $set: { nextRunAt: this.getNextRunAt(candidate, now), lastRunAt: now } },
+        { new: true }
+      ).populate({ path: 'user', select: 'name email' });
+      if (!subscription) continue; // Paused, skipped or placed by another run in the meantime
+
+      if (await this.placeRefill(subscription)) {
+        result.placed++;
+      } else {
+        result.failed++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @desc Place the order for one claimed refill and record the outcome.
+   *       A refill that cannot be placed (e.g., out of stock) is not retried: the user is told why,
+   *       and the subscription is paused after config.subscriptions.maxConsecutiveFailures failures in a row.
+   * @param {Object} subscription - The claimed subscription (user populated)
+   * @returns {Promise<boolean>} True if the order was placed
+   */
+  async placeRefill(subscription) {
+    const userId = subscription.user._id.toString();
+    const orderItems = subscription.items.map((item) => ({
+      medicine: item.medicine,
+      name: item.name,
+      quantity: item.quantity,
+    }));
+
+    try {
+      // Quote first so the order is placed at the current price (createOrder checks the total)
+      const shippingAddress = await userService.getShippingAddress(userId, subscription.address);
+      const quote = await pricingService.quoteOrder(orderItems, { userId, pinCode: shippingAddress.postalCode });
+
+      const order = await orderService.createOrder({
+        orderItems,
+        addressId: subscription.address,
+        paymentMethod: subscription.paymentMethod,
+        prescription: subscription.prescription,
+        totalPrice: quote.totalPrice,
+      }, userId, { subscription: subscription._id });
+
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastOrder: order._id, lastError: null, consecutiveFailures: 0 } }
+      );
+      await notificationService.notifyRefillPlaced(subscription, order, subscription.user);
+      return true;
+    } catch (err) {
+      const consecutiveFailures = subscription.consecutiveFailures + 1;
+      const pause = consecutiveFailures >= config.subscriptions.maxConsecutiveFailures;
+
+      const update = { lastError: err.message, consecutiveFailures };
+      if (pause) {
+        Object.assign(update, { status: 'paused', pausedAt: new Date() });
+      }
+      await Subscription.updateOne({ _id: subscription._id, status: 'active' }, { $set: update });
+
+      console.error(`SubscriptionService: Refill for subscription ${subscription._id} failed:`, err.message);
+      await notificationService.notifyRefillFailed(subscription, err.message, pause, subscription.user);
+      return false;
+    }
+  }
+
+  /**
+   * @desc The refill date after this one, keeping the cadence (and skipping dates missed while the server was down)
+   * @param {Object} subscription - The subscription being claimed
+   * @param {Date} now - Current time
+   * @returns {Date} The next refill date
+   */
+  getNextRunAt(subscription, now) {
+    const intervalMs = subscription.intervalDays * DAY_MS;
+    let next = subscription.nextRunAt.getTime() + intervalMs;
+    while (next <= now.getTime()) {
+      next += intervalMs;
+    }
+    return new Date(next);
+  }
+
+  /**
+   * @desc Load a subscription the user may change (their own, or any for admins)
+   * @param {string} id - The ID of the subscription
+   * @param {Object} authUser - Authenticated user object (req.user)
+   * @returns {Promise<Object>} The subscription
+   * @throws {ErrorResponse} If not found or user is not authorized
+   */
+  async getOwnSubscription(id, authUser) {
+    const subscription = await Subscription.findById(id);
+    if (!subscription) {
+      throw new ErrorResponse(`Subscription not found with id of ${id}`, 404);
+    }
+    if (subscription.user.toString() !== authUser.id && authUser.role !== 'admin') {
+      throw new ErrorResponse(`User ${authUser.id} is not authorized to change this subscription`, 403);
+    }
+    return subscription;
+  }
+
+  /**
+   * @desc Keep only the fields a user may set
+   * @param {Object} data - Request body
+   * @returns {Object} The editable fields that were sent
+   */
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) picked[field] = data[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * @desc Check the subscribed medicines exist and attach their names
+   * @param {Array<Object>} items - Items with { medicine, quantity }
+   * @returns {Promise<Array<Object>>} Items with { medicine, name, quantity, requiresPrescription }
+   * @throws {ErrorResponse} If there are no items, a medicine is listed twice or not found, or a quantity is invalid
+   */
+  async resolveItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ErrorResponse('Please add at least one medicine to the subscription', 400);
+    }
+
+    const medicineIds = items.map((item) => String(item.medicine));
+    if (new Set(medicineIds).size !== medicineIds.length) {
+      throw new ErrorResponse('Each medicine can only be listed once', 400);
+    }
+
+    const medicines = await Medicine.find({ _id: { $in: medicineIds } }).select('name requiresPrescription');
+    const medicinesById = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+    return items.map((item) => {
+      const medicine = medicinesById.get(String(item.medicine));
+      if (!medicine) {
+        throw new ErrorResponse(`Medicine not found with id of ${item.medicine}`, 404);
+      }
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ErrorResponse(`Invalid quantity for ${medicine.name}`, 400);
+      }
+      return { medicine: medicine._id, name: medicine.name, quantity, requiresPrescription: medicine.requiresPrescription };
+    });
+  }
+
+  /**
+   * @desc Check the address is in the user's address book and inside a delivery zone
+   * @param {string} userId - ID of the subscriber
+   * @param {string} addressId - ID of the saved address
+   * @throws {ErrorResponse} If the address is missing, not found or not deliverable
+   */
+  async assertAddressUsable(userId, addressId) {
+    if (!addressId) {
+      throw new ErrorResponse('Please choose a delivery address', 400);
+    }
+    const shippingAddress = await userService.getShippingAddress(userId, addressId);
+    await deliveryService.getZoneForPinCode(shippingAddress.postalCode);
+  }
+
+  /**
+   * @desc Subscriptions with prescription-only medicines need one of the user's uploaded prescriptions
+   * @param {string} userId - ID of the subscriber
+   * @param {Array<Object>} items - Resolved items (with requiresPrescription), or stored items
+   * @param {string} [prescriptionId] - ID of the prescription to use
+   * @throws {ErrorResponse} If a prescription is needed but missing or not the user's
+   */
+  async assertPrescriptionUsable(userId, items, prescriptionId) {
+    let rxItems = items.filter((item) => item.requiresPrescription);
+    if (items.some((item) => item.requiresPrescription === undefined)) {
+      // Stored items do not carry the flag, so look it up
+      const rxMedicines = await Medicine.find({ _id: { $in: items.map((item) => item.medicine) }, requiresPrescription: true }).select('name');
+      rxItems = rxMedicines;
+    }
+    if (rxItems.length === 0) return;
+
+    if (!prescriptionId) {
+      throw new ErrorResponse(`A prescription is required for: ${rxItems.map((item) => item.name).join(', ')}`, 400);
+    }
+    const prescription = await Prescription.findById(prescriptionId);
+    if (!prescription || prescription.user.toString() !== String(userId)) {
+      throw new ErrorResponse(`Prescription not found with id of ${prescriptionId}`, 404);
+    }
+  }
+}
+
+module.exports = new SubscriptionService(); // Export an instance of the service
@@ -5,6 +5,18 @@
 const User = require('../models/User'); // Import the User model
 const ErrorResponse = require('../utils/errorHandler'); // Custom error handler utility
 
+// Maximum number of saved addresses per user
+const MAX_ADDRESSES = 10;
+
+// Address fields a user may set
+const ADDRESS_FIELDS = ['label', 'recipient', 'phone', 'addressLine', 'city', 'district', 'state', 'pinCode', 'country', 'location', 'isDefault'];
+
+// Keep only the address fields a user may set
+const pickAddressFields = (data) => ADDRESS_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
 class UserService {
   /**
    * @desc Get current logged-in user's profile
@@ -48,6 +60,156 @@ class UserService {
     return user;
   }
 
+  /**
+   * @desc Get the saved addresses of a user (default address first)
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Array<Object>>} The saved addresses
+   * @throws {ErrorResponse} If user is not found
+   */
+  async getAddresses(userId) {
+    const user = await User.findById(userId).select('addresses');
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    return [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  }
+
+  /**
+   * @desc Save a new address. The first address, or one marked isDefault, becomes the default.
+   * @param {string} userId - The ID of the user
+   * @param {Object} addressData - { label, recipient, phone, addressLine, city, district, state, pinCode, country, location, isDefault }
+   * @returns {Promise<Object>} The saved address
+   * @throws {ErrorResponse} If user is not found, the address book is full, or validation fails
+   */
+  async addAddress(userId, addressData) {
+    const user = await User.findById(userId).select('addresses');
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw new ErrorResponse(`You can save at most ${MAX_ADDRESSES} addresses`, 400);
+    }
+
+    user.addresses.push(pickAddressFields(addressData));
+    await user.validate(['addresses']);
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (address.isDefault) {
+      await this.clearDefaultAddress(userId);
+    }
+
+    // Push only while the address book still has room, so concurrent adds can not exceed the limit
+    let updated = null;
+    if (!address.isDefault) {
+      // The first address becomes the default (if the book is still empty when it is added)
+      address.isDefault = true;
+      updated = await User.findOneAndUpdate({ _id: userId, 'addresses.0': { $exists: false } }, { $push: { addresses: address } });
+      address.isDefault = Boolean(updated);
+    }
+    if (!updated) {
+      updated = await User.findOneAndUpdate(
+        { _id: userId, [`addresses.${MAX_ADDRESSES - 1}`]: { $exists: false } },
+        { $push: { addresses: address } }
+      );
+    }
+    if (!updated) {
+      throw new ErrorResponse(`You can save at most ${MAX_ADDRESSES} addresses`, 400);
+    }
+    return address;
+  }
+
+  /**
+   * @desc Update a saved address
+   * @param {string} userId - The ID of the user
+   * @param {string} addressId - The ID of the address
+   * @param {Object} addressData - Fields to update
+   * @returns {Promise<Object>} The updated address
+   * @throws {ErrorResponse} If the address is not found or validation fails
+   */
+  async updateAddress(userId, addressId, addressData) {
+    const user = await User.findOne({ _id: userId, 'addresses._id': addressId }).select('addresses');
+    if (!user) {
+      throw new ErrorResponse(`Address not found with id of ${addressId}`, 404);
+    }
+
+    const address = user.addresses.id(addressId);
+    const wasDefault = address.isDefault;
+    address.set(pickAddressFields(addressData));
+    // The default can be moved to another address, but not simply switched off
+    address.isDefault = wasDefault || address.isDefault;
+    await user.validate(['addresses']);
+
+    if (address.isDefault && !wasDefault) {
+      await this.clearDefaultAddress(userId);
+    }
+    await User.updateOne({ _id: userId, 'addresses._id': addressId }, { $set: { 'addresses.$': address } });
+    return address;
+  }
+
+  /**
+   * @desc Delete a saved address. If it was the default, the oldest remaining address becomes the default.
+   * @param {string} userId - The ID of the user
+   * @param {string} addressId - The ID of the address
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} If the address is not found
+   */
+  async deleteAddress(userId, addressId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'addresses._id': addressId },
+      { $pull: { addresses: { _id: addressId } } }
+    ).select('addresses');
+    if (!user) {
+      throw new ErrorResponse(`Address not found with id of ${addressId}`, 404);
+    }
+
+    if (user.addresses.id(addressId).isDefault) {
+      await User.updateOne(
+        { _id: userId, 'addresses.0': { $exists: true } },
+        { $set: { 'addresses.0.isDefault': true } }
+      );
+    }
+  }
+
+  /**
+   * @desc Build the order shipping address snapshot from a saved address
+   * @param {string} userId - The ID of the user
+   * @param {string} addressId - The ID of the saved address
+   * @returns {Promise<Object>} The shipping address snapshot for the order
+   * @throws {ErrorResponse} If the address is not found
+   */
+  async getShippingAddress(userId, addressId) {
+    const user = await User.findOne({ _id: userId, 'addresses._id': addressId }).select('addresses');
+    if (!user) {
+      throw new ErrorResponse(`Address not found with id of ${addressId}`, 404);
+    }
+
+    const address = user.addresses.id(addressId);
+    return {
+      address: address.addressLine,
+      city: address.city || address.district,
+      postalCode: address.pinCode,
+      country: address.country,
+      label: address.label,
+      recipient: address.recipient,
+      phone: address.phone,
+      district: address.district,
+      state: address.state,
+      location: address.location && address.location.lat !== undefined
+        ? { lat: address.location.lat, lng: address.location.lng }
+        : undefined,
+      savedAddress: address._id,
+    };
+  }
+
+  /**
+   * @desc Unset the default flag of all of a user's addresses
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<void>}
+   */
+  async clearDefaultAddress(userId) {
+    await User.updateOne({ _id: userId }, { $set: { 'addresses.$[].isDefault': false } });
+  }
+
   // You can add more user-related business logic here, e.g.,
   // async changePassword(userId, oldPassword, newPassword) { ... }
   // async deleteUser(userId) { ... }
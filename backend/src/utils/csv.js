@@ -0,0 +1,80 @@
+// src/utils/csv.js
+// This file provides minimal CSV parsing and writing (RFC 4180: comma-separated, double-quoted
+// fields with "" escapes, CRLF or LF line endings) for the medicine catalogue import and export.
+
+/**
+ * @desc Parse CSV text into rows of fields
+ * @param {string} text - CSV content (a leading UTF-8 BOM is ignored)
+ * @returns {Array<Array<string>>} Rows of fields; blank lines are skipped
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * @desc Quote a value for CSV if needed. Text starting with =, +, - or @ is prefixed with a quote
+ *       so spreadsheet apps do not run it as a formula.
+ * @param {*} value - The value (null and undefined become empty)
+ * @returns {string} The CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let field = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * @desc Write rows of values as CSV text
+ * @param {Array<Array<*>>} rows - Rows of values (the first row is usually the header)
+ * @returns {string} CSV content with CRLF line endings
+ */
+const toCsv = (rows) => rows.map((row) => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
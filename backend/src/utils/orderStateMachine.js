@@ -0,0 +1,85 @@
+// src/utils/orderStateMachine.js
+// This file defines the order lifecycle as an explicit state machine.
+// It lists which orderStatus transitions are allowed and who may perform them,
+// so an order can never jump backwards (e.g., from 'delivered' to 'pending').
+
+const ErrorResponse = require('./errorHandler'); // Custom error handler utility
+
+// Allowed transitions: current status -> statuses it may move to
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+// Statuses from which the customer who placed the order may cancel it (i.e., before 'shipped')
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+/**
+ * @desc Check whether a transition between two statuses is allowed at all
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested order status
+ * @returns {boolean} True if the transition is part of the lifecycle
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * @desc Validate a requested status change against the lifecycle and the actor's guard rules
+ * @param {Object} order - The order document being changed
+ * @param {string} toStatus - Requested order status
+ * @param {Object|null} authUser - Authenticated user object (req.user), or null for system actions
+ * @throws {ErrorResponse} If the status is unknown, the transition is not allowed, or the user may not perform it
+ */
+const assertTransition = (order, toStatus, authUser) => {
+  if (!Object.prototype.hasOwnProperty.call(ORDER_TRANSITIONS, toStatus)) {
+    throw new ErrorResponse(`Invalid order status: ${toStatus}`, 400);
+  }
+
+  if (!canTransition(order.orderStatus, toStatus)) {
+    throw new ErrorResponse(`Cannot change order status from '${order.orderStatus}' to '${toStatus}'`, 400);
+  }
+
+  // Orders with prescription-only items are only processed once a pharmacist has approved the prescription
+  if (toStatus === 'processing' && ['pending', 'rejected'].includes(order.prescriptionStatus)) {
+    throw new ErrorResponse('The prescription for this order must be approved by a pharmacist first', 400);
+  }
+
+  // Admins and the system itself (authUser is null, e.g., a payment webhook) may perform any allowed transition
+  if (!authUser || authUser.role === 'admin') {
+    return;
+  }
+
+  // Pharmacists move orders out of prescription verification (approve -> processing, reject -> cancelled)
+  if (authUser.role === 'pharmacist' && order.orderStatus === 'pending' && order.prescriptionStatus !== 'not_required') {
+    return;
+  }
+
+  // Delivery agents deliver the shipped orders assigned to them
+  if (authUser.role === 'delivery_agent') {
+    const isAssignedAgent = order.dispatch && order.dispatch.agent && order.dispatch.agent.toString() === authUser.id;
+    if (isAssignedAgent && toStatus === 'delivered') {
+      return;
+    }
+    throw new ErrorResponse('Not authorized to update this order status', 403);
+  }
+
+  // Customers may only cancel their own orders, and only before they are shipped
+  const isOwner = order.user.toString() === authUser.id;
+  if (!isOwner || toStatus !== 'cancelled') {
+    throw new ErrorResponse('Not authorized to update this order status', 403);
+  }
+  if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+    throw new ErrorResponse(`Order can no longer be cancelled once it is ${order.orderStatus}`, 400);
+  }
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  canTransition,
+  assertTransition,
+};
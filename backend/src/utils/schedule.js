@@ -0,0 +1,143 @@
+// src/utils/schedule.js
+// This file provides helpers for doctors' weekly schedules and bookable slots.
+// Times of day are "HH:mm" strings in the clinics' local time zone (config.appointments.timeZone);
+// appointment dates are calendar days ("YYYY-MM-DD"), stored as midnight UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @desc Convert a time of day to minutes after midnight. Besides "HH:mm" it accepts the
+ *       "hh:mm AM" format of older appointments (the first time in the string is used).
+ * @param {string} time - The time, e.g., "14:30" or "02:30 PM - 03:00 PM"
+ * @returns {number|null} Minutes after midnight, or null if the time can not be read
+ */
+const parseTime = (time) => {
+  const match = /^\s*(\d{1,2}):(\d{2})\s*(AM|PM)?/i.exec(String(time || ''));
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * @desc Format minutes after midnight as "HH:mm"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} The time of day
+ */
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * @desc Read a calendar day
+ * @param {string|Date} value - "YYYY-MM-DD", an ISO date-time string or a Date (its UTC day is used)
+ * @returns {Date|null} Midnight UTC of the day, or null if the value is not a valid date
+ */
+const parseDate = (value) => {
+  const text = value instanceof Date ? (Number.isNaN(value.getTime()) ? '' : value.toISOString()) : String(value || '');
+  const day = text.slice(0, 10);
+  if (!DATE_PATTERN.test(day)) return null;
+  const date = new Date(`${day}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== day ? null : date;
+};
+
+/**
+ * @desc The current calendar day and time of day in a time zone
+ * @param {string} timeZone - IANA time zone, e.g., "Asia/Kolkata"
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { date: Date (midnight UTC of the local day), minutes: minutes after local midnight }
+ */
+const getLocalNow = (timeZone, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    date: new Date(`${parts.year}-${parts.month}-${parts.day}T00:00:00.000Z`),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * @desc The moment a local day and time of day happens in a time zone
+ * @param {Date} date - Midnight UTC of the local day
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone, e.g., "Asia/Kolkata"
+ * @returns {Date} The moment in time
+ */
+const toInstant = (date, minutes, timeZone) => {
+  const wallClock = date.getTime() + minutes * 60 * 1000; // The local time read as if it were UTC
+  const local = getLocalNow(timeZone, new Date(wallClock));
+  const offset = local.date.getTime() + local.minutes * 60 * 1000 - wallClock; // The zone's UTC offset around then
+  return new Date(wallClock - offset);
+};
+
+/**
+ * @desc Check weekly schedule entries: valid times, each ending after it starts with room for one slot,
+ *       and no two entries overlapping on the same weekday
+ * @param {Array<Object>} entries - [{ weekday, startTime, endTime, slotMinutes }]
+ * @returns {boolean} Whether the schedule is valid
+ */
+const isValidSchedule = (entries) => {
+  const ranges = [];
+  for (const entry of entries || []) {
+    const start = parseTime(entry.startTime);
+    const end = parseTime(entry.endTime);
+    if (!TIME_PATTERN.test(entry.startTime) || !TIME_PATTERN.test(entry.endTime) || start + (entry.slotMinutes || 0) > end) {
+      return false;
+    }
+    if (ranges.some((range) => range.weekday === entry.weekday && start < range.end && range.start < end)) {
+      return false;
+    }
+    ranges.push({ weekday: entry.weekday, start, end });
+  }
+  return true;
+};
+
+/**
+ * @desc All slots of a weekday, in time order
+ * @param {Array<Object>} entries - Weekly schedule entries
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @returns {Array<Object>} [{ time, endTime, start, end, locationType }] where start and end are minutes after midnight
+ */
+const getScheduleSlots = (entries, weekday) => {
+  const slots = [];
+  (entries || [])
+    .filter((entry) => entry.weekday === weekday)
+    .forEach((entry) => {
+      const end = parseTime(entry.endTime);
+      for (let start = parseTime(entry.startTime); start + entry.slotMinutes <= end; start += entry.slotMinutes) {
+        slots.push({
+          time: formatTime(start),
+          endTime: formatTime(start + entry.slotMinutes),
+          start,
+          end: start + entry.slotMinutes,
+          locationType: entry.locationType,
+        });
+      }
+    });
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  DAY_MS,
+  TIME_PATTERN,
+  parseTime,
+  formatTime,
+  parseDate,
+  getLocalNow,
+  toInstant,
+  isValidSchedule,
+  getScheduleSlots,
+};
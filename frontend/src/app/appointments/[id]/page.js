@@ -8,15 +8,18 @@
 // FIXED: Corrected Redux state access from 'appointment' to 'singleAppointment'.
 // IMPROVEMENT: Enhanced the styling of the appointment details card for better visual appeal.
 // IMPROVEMENT: Added "Get Directions" button for location.
+// The patient can reschedule a pending or confirmed appointment to another free slot, or cancel it
+// (the cancel link in reminder emails opens this page with ?action=cancel).
 
 'use client'; // This component uses client-side hooks
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useParams, useRouter } from 'next/navigation'; // For Next.js dynamic routes
-import { fetchAppointmentById, clearAppointmentError, clearSingleAppointment } from '../../../features/appointments/appointmentSlice';
+import { useParams, useRouter, useSearchParams } from 'next/navigation'; // For Next.js dynamic routes
+import { fetchAppointmentById, cancelAppointment, clearAppointmentError, clearSingleAppointment } from '../../../features/appointments/appointmentSlice';
 import { toast } from 'react-toastify'; // For notifications
-import { CalendarDays, Clock, MessageSquare, FlaskConical, Stethoscope, MapPin, User as UserIcon } from 'lucide-react'; // Import icons
+import RescheduleAppointment from '../../../components/appointments/RescheduleAppointment';
+import { CalendarDays, Clock, MessageSquare, FlaskConical, Stethoscope, MapPin, TestTube, User as UserIcon } from 'lucide-react'; // Import icons
 
 function AppointmentDetailPage() {
   const dispatch = useDispatch();
@@ -25,6 +28,10 @@ function AppointmentDetailPage() {
 
   // Get appointment states from Redux
   const { singleAppointment, isLoading, error } = useSelector((state) => state.appointments);
+  const { user } = useSelector((state) => state.auth);
+  const searchParams = useSearchParams();
+  const cancelRequested = searchParams.get('action') === 'cancel'; // Opened from the cancel link of a reminder email
+  const [isCancelling, setIsCancelling] = useState(false);
 
   useEffect(() => {
     if (appointmentId) {
@@ -77,6 +84,24 @@ function AppointmentDetailPage() {
     );
   }
 
+  // Only pending or confirmed appointments can be cancelled, by the patient or an admin
+  const canCancel = ['pending', 'confirmed'].includes(singleAppointment.status)
+    && (user?.role === 'admin' || singleAppointment.user?._id === user?.id);
+
+  // Cancel the appointment, freeing its slot
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this appointment?')) return;
+    setIsCancelling(true);
+    try {
+      await dispatch(cancelAppointment(singleAppointment._id)).unwrap();
+      toast.success('Your appointment has been cancelled.');
+    } catch (err) {
+      toast.error(err);
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   // Function to open Google Maps directions
   const handleGetDirections = () => {
     if (singleAppointment.location && singleAppointment.location.address) {
@@ -153,6 +178,28 @@ function AppointmentDetailPage() {
               </p>
             </div>
 
+            {/* Booked Tests (lab appointments) */}
+            {singleAppointment.tests?.length > 0 && (
+              <div className="flex items-start justify-center p-3 bg-white dark:bg-gray-700 rounded-md shadow-sm border border-gray-100 dark:border-gray-600">
+                <TestTube className="w-6 h-6 mr-4 text-kashmir-gold flex-shrink-0" />
+                <div className="flex-grow text-left text-gray-800 dark:text-gray-100">
+                  <p className="text-lg font-medium">Tests:</p>
+                  <ul className="text-sm space-y-1 mt-1">
+                    {singleAppointment.tests.map(test => (
+                      <li key={test.code} className="flex justify-between gap-2">
+                        <span>{test.name} ({test.code})</span>
+                        <span>₹{test.price.toFixed(2)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="flex justify-between gap-2 font-semibold mt-2 pt-2 border-t border-gray-200 dark:border-gray-600">
+                    <span>Total</span>
+                    <span>₹{singleAppointment.totalPrice.toFixed(2)}</span>
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Reason Detail */}
             <div className="flex items-center justify-center p-3 bg-white dark:bg-gray-700 rounded-md shadow-sm border border-gray-100 dark:border-gray-600">
               <MessageSquare className="w-6 h-6 mr-4 text-kashmir-gold flex-shrink-0" />
@@ -195,6 +242,26 @@ function AppointmentDetailPage() {
               </div>
             )}
           </div>
+
+          <RescheduleAppointment appointment={singleAppointment} user={user} />
+
+          {canCancel && (
+            <div className={`w-full max-w-md mt-4 ${cancelRequested ? 'p-4 rounded-lg border border-red-300 bg-red-50 dark:bg-red-900/30 dark:border-red-700' : ''}`}>
+              {cancelRequested && (
+                <p className="mb-3 text-gray-800 dark:text-gray-100">
+                  Can&apos;t make it? Cancel the appointment so someone else can have the slot.
+                </p>
+              )}
+              <button
+                onClick={handleCancel}
+                disabled={isCancelling}
+                className="w-full py-2 px-4 border border-red-500 text-red-600 rounded-md font-semibold disabled:opacity-50
+                           hover:bg-red-600 hover:text-white transition duration-300 dark:text-red-400 dark:border-red-400"
+              >
+                {isCancelling ? 'Cancelling...' : 'Cancel appointment'}
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -10,6 +10,7 @@
 // FIXED: Router.push and toast.success not working by removing premature state clearing in useEffect.
 // IMPROVEMENT: Changed the multi-select dropdown for lab tests to individual checkboxes.
 // IMPROVEMENT: Removed all console.log statements.
+// Tests are picked from the lab's test catalogue, with their prices and a running total.
 
 'use client'; // This component uses client-side hooks
 
@@ -17,7 +18,8 @@ import React, { useEffect, useState, useRef } from 'react'; // Import useRef
 import { useDispatch, useSelector } from 'react-redux';
 import { useRouter, useSearchParams } from 'next/navigation'; // Import useSearchParams
 import { fetchLabById, clearLabErrors, clearSingleLab } from '../../../features/labs/labSlice'; // To fetch lab details
-import { createAppointment, clearAppointmentError, clearAppointmentSuccess } from '../../../features/appointments/appointmentSlice'; // Import appointment actions
+import { LAB_TIME_SLOTS, createAppointment, clearAppointmentError, clearAppointmentSuccess } from '../../../features/appointments/appointmentSlice'; // Import appointment actions
+import { fetchLabTests, clearLabTests } from '../../../features/labTests/labTestSlice'; // The lab's test catalogue
 import { toast } from 'react-toastify'; // For notifications
 import { Calendar, Clock, FlaskConical, Loader2, TestTube } from 'lucide-react'; // Import icons (added TestTube)
 
@@ -29,6 +31,7 @@ function BookLabAppointmentPage() {
 
   // Get lab states from Redux
   const { lab, isLoading: labLoading, error: labError } = useSelector((state) => state.labs);
+  const { labTests, isLoading: labTestsLoading } = useSelector((state) => state.labTests);
   // Get auth state for user info and authentication status, including hydration status
   const { isAuthenticated, user, isHydrated } = useSelector((state) => state.auth); // Destructure isHydrated
   // Get appointment creation states from Redux
@@ -37,8 +40,9 @@ function BookLabAppointmentPage() {
   // Form states
   const [selectedDate, setSelectedDate] = useState('');
   const [selectedTimeSlot, setSelectedTimeSlot] = useState('');
-  // State for selected tests (array of strings)
+  // State for selected tests (array of lab test IDs)
   const [selectedTests, setSelectedTests] = useState([]);
+  const [notes, setNotes] = useState(''); // Optional notes for the lab
 
   // useRef to track the labId for which data has been fetched
   const fetchedLabIdRef = useRef(null);
@@ -67,6 +71,7 @@ function BookLabAppointmentPage() {
     // and we haven't fetched for this specific labId yet.
     if (labId && fetchedLabIdRef.current !== labId) {
       dispatch(fetchLabById(labId));
+      dispatch(fetchLabTests(labId));
       fetchedLabIdRef.current = labId; // Mark this labId as fetched
     }
 
@@ -77,6 +82,7 @@ function BookLabAppointmentPage() {
     return () => {
       dispatch(clearLabErrors());
       dispatch(clearSingleLab()); // Clear previous lab details ONLY on unmount
+      dispatch(clearLabTests());
       dispatch(clearAppointmentError()); // Clear appointment errors on unmount
       dispatch(clearAppointmentSuccess()); // Clear appointment success on unmount
       fetchedLabIdRef.current = null; // Reset ref on unmount
@@ -109,6 +115,11 @@ function BookLabAppointmentPage() {
     });
   };
 
+  // Running total of the selected tests (the backend prices the booking again)
+  const totalPrice = labTests
+    .filter((test) => selectedTests.includes(test._id))
+    .reduce((sum, test) => sum + test.price, 0);
+
   // Handle confirming the appointment booking
   const handleConfirmBooking = async (e) => {
     e.preventDefault();
@@ -131,8 +142,8 @@ function BookLabAppointmentPage() {
       user: user._id, // FIX: Use user._id for the user ID
       appointmentDate: selectedDate,
       appointmentTime: selectedTimeSlot,
-      // Join selected tests into a string for the 'reason' field
-      reason: selectedTests.join(', '), // Send selected tests as a comma-separated string
+      tests: selectedTests, // IDs of the selected tests; the backend prices them
+      reason: notes.trim() || undefined,
       type: 'lab', // Explicitly set type to 'lab'
     };
 
@@ -174,17 +185,6 @@ function BookLabAppointmentPage() {
     );
   }
 
-  // Define some example time slots (replace with actual lab's slots from backend if available)
-  const timeSlots = [
-    '09:00 AM - 09:30 AM',
-    '09:30 AM - 10:00 AM',
-    '10:00 AM - 10:30 AM',
-    '10:30 AM - 11:00 AM',
-    '02:00 PM - 02:30 PM',
-    '02:30 PM - 03:00 PM',
-    '03:00 PM - 03:30 PM',
-  ];
-
   return (
     <div className="min-h-[calc(100vh-120px)] flex flex-col items-center p-8
                      bg-gradient-to-br from-kashmir-light to-blue-100
@@ -232,40 +232,66 @@ function BookLabAppointmentPage() {
               required
             >
               <option value="">-- Select a Time Slot --</option>
-              {timeSlots.map((slot, index) => (
+              {LAB_TIME_SLOTS.map((slot, index) => (
                 <option key={index} value={slot}>{slot}</option>
               ))}
             </select>
           </div>
 
-          {/* Multi-select dropdown with Checkboxes for Lab Tests */}
+          {/* Checkboxes for the tests of the lab's catalogue */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
               <TestTube className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Select Tests (Multiple)
             </label>
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 p-3 border border-gray-300 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600 max-h-48 overflow-y-auto">
-              {lab.services && lab.services.length > 0 ? (
-                lab.services.map((service, index) => (
-                  <label key={index} className="flex items-center text-gray-800 dark:text-gray-100 cursor-pointer">
+            <div className="space-y-2 p-3 border border-gray-300 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600 max-h-64 overflow-y-auto">
+              {labTestsLoading ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading tests...</p>
+              ) : labTests.length > 0 ? (
+                labTests.map((test) => (
+                  <label key={test._id} className="flex items-start text-gray-800 dark:text-gray-100 cursor-pointer">
                     <input
                       type="checkbox"
-                      value={service}
-                      checked={selectedTests.includes(service)}
+                      value={test._id}
+                      checked={selectedTests.includes(test._id)}
                       onChange={handleTestChange}
-                      className="form-checkbox h-4 w-4 text-kashmir-green rounded focus:ring-kashmir-green dark:bg-gray-600 dark:border-gray-500 dark:checked:bg-kashmir-gold"
+                      className="form-checkbox h-4 w-4 mt-0.5 text-kashmir-green rounded focus:ring-kashmir-green dark:bg-gray-600 dark:border-gray-500 dark:checked:bg-kashmir-gold"
                     />
-                    <span className="ml-2 text-sm">{service}</span>
+                    <span className="ml-2 text-sm flex-grow">
+                      {test.name}
+                      {test.preparation && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">{test.preparation}</span>
+                      )}
+                    </span>
+                    <span className="ml-2 text-sm font-semibold whitespace-nowrap">₹{test.price.toFixed(2)}</span>
                   </label>
                 ))
               ) : (
                 <p className="text-sm text-gray-500 dark:text-gray-400">No tests available for this lab.</p>
               )}
             </div>
-            {selectedTests.length === 0 && (
+            {selectedTests.length === 0 ? (
               <p className="text-sm text-red-500 mt-1">Please select at least one test.</p>
+            ) : (
+              <p className="text-right font-semibold text-kashmir-dark-blue dark:text-kashmir-light mt-2">
+                Total ({selectedTests.length} test{selectedTests.length === 1 ? '' : 's'}): ₹{totalPrice.toFixed(2)}
+              </p>
             )}
           </div>
 
+          <div>
+            <label htmlFor="notes" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
+              Notes for the lab (optional)
+            </label>
+            <textarea
+              id="notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={500}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100"
+            />
+          </div>
+
           <div className="flex justify-end space-x-4 mt-6">
             <button
               type="button"
@@ -119,6 +119,11 @@ function AppointmentsPage() {
                       Location: {appointment.location.address || 'N/A'}
                     </p>
                   )}
+                  {appointment.tests?.length > 0 && (
+                    <p className="flex items-center col-span-1 md:col-span-2">
+                      Tests: {appointment.tests.map(test => test.name).join(', ')} (₹{appointment.totalPrice.toFixed(2)})
+                    </p>
+                  )}
                   <p className="flex items-center col-span-1 md:col-span-2">
                     Reason: {appointment.reason || 'Not provided'}
                   </p>
@@ -3,6 +3,7 @@
 // adjust quantities, and remove items.
 // Fix: Corrected image URL handling for next/image and applied global hydration fix.
 // IMPROVEMENT: Enhanced mobile responsiveness for cart item layout.
+// Logged-in users see their server cart, re-checked against live prices and stock on every visit.
 
 'use client'; // This component uses client-side hooks
 
@@ -10,9 +11,11 @@ import React, { useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useRouter } from 'next/navigation'; // For navigation
 import Image from 'next/image'; // For displaying medicine images
-import { removeFromCart, updateCartItemQuantity, initializeCart } from '../../features/cart/cartSlice'; // Import cart actions
+import { fetchCart, removeCartItem, updateCartItem } from '../../features/cart/cartSlice'; // Import cart actions
 import { toast } from 'react-toastify'; // For notifications
-import { Trash2, MinusCircle, PlusCircle } from 'lucide-react'; // Import icons
+import { Trash2, MinusCircle, PlusCircle, AlertTriangle } from 'lucide-react'; // Import icons
+import CouponInput from '../../components/common/CouponInput'; // Coupon code field
+import { validateCoupon } from '../../features/coupons/couponSlice'; // Re-validate the coupon when the cart changes
 
 // Get the backend API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
@@ -23,21 +26,45 @@ function CartPage() {
   const router = useRouter();
 
   // Get cart items from Redux store
-  const { cartItems } = useSelector((state) => state.cart);
+  const { cartItems, removedItems, hasChanges } = useSelector((state) => state.cart);
   const { isAuthenticated, isHydrated } = useSelector((state) => state.auth); // Get global hydration status
+  const { appliedCoupon, couponQuote } = useSelector((state) => state.coupons);
+  const appliedCouponCode = appliedCoupon?.code;
 
   // Calculate subtotal - this will re-calculate when cartItems update
   const subtotal = cartItems.reduce((acc, item) => acc + item.quantity * item.price, 0);
 
+  // Re-validate an applied coupon whenever the cart changes (e.g. the minimum order value may no longer be met)
+  useEffect(() => {
+    if (isAuthenticated && appliedCouponCode && cartItems.length > 0) {
+      dispatch(validateCoupon({
+        code: appliedCouponCode,
+        orderItems: cartItems.map(item => ({ medicine: item.medicine, quantity: item.quantity })),
+      }));
+    }
+  }, [isAuthenticated, appliedCouponCode, cartItems, dispatch]);
+
   useEffect(() => {
     // Optional: Redirect if not authenticated, or allow guest checkout later
     // For now, we'll just let anyone view the cart, but checkout would require login.
   }, [isAuthenticated, router]);
 
+  // Re-check the server cart against live prices and stock whenever the cart page is opened
+  useEffect(() => {
+    if (isHydrated && isAuthenticated) {
+      dispatch(fetchCart());
+    }
+  }, [isHydrated, isAuthenticated, dispatch]);
+
+  // Lines that cannot be ordered as they are
+  const hasStockIssues = cartItems.some(item => item.stockIssue);
+
   // Handle removing an item from the cart
   const handleRemoveFromCart = (medicineId, medicineName) => {
-    dispatch(removeFromCart(medicineId));
-    toast.info(`${medicineName} removed from cart.`);
+    dispatch(removeCartItem(medicineId))
+      .unwrap()
+      .then(() => toast.info(`${medicineName} removed from cart.`))
+      .catch((err) => toast.error(err));
   };
 
   // Handle quantity change for an item
@@ -50,7 +77,9 @@ function CartPage() {
       toast.error(`Cannot add more than available stock (${stock}).`);
       return;
     }
-    dispatch(updateCartItemQuantity({ medicineId, quantity: newQuantity }));
+    dispatch(updateCartItem({ medicineId, quantity: newQuantity }))
+      .unwrap()
+      .catch((err) => toast.error(err));
   };
 
   // Handle proceeding to checkout
@@ -59,6 +88,10 @@ function CartPage() {
       toast.error('Your cart is empty!');
       return;
     }
+    if (hasStockIssues) {
+      toast.error('Some items are no longer available in the requested quantity. Please update your cart.');
+      return;
+    }
     if (!isAuthenticated) {
       toast.info('Please log in to proceed to checkout.');
       router.push('/auth/login'); // Redirect to login if not authenticated
@@ -90,6 +123,20 @@ function CartPage() {
           Your Shopping Cart
         </h2>
 
+        {/* Changes found when the cart was re-checked against live prices and stock */}
+        {(hasChanges || removedItems.length > 0) && (
+          <div className="flex items-start mb-6 p-4 rounded-md bg-yellow-50 text-yellow-800 border border-yellow-200
+                          dark:bg-yellow-900 dark:text-yellow-100 dark:border-yellow-700">
+            <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+            <div className="text-sm">
+              <p className="font-semibold">Some items in your cart have changed since you last saw them.</p>
+              {removedItems.length > 0 && (
+                <p>No longer available and removed: {removedItems.map(item => item.name || 'Unknown item').join(', ')}</p>
+              )}
+            </div>
+          </div>
+        )}
+
         {cartItems.length === 0 ? (
           <p className="text-center text-gray-600 dark:text-gray-300 text-lg">
             Your cart is empty. Start adding some medicines!
@@ -150,8 +197,21 @@ function CartPage() {
                         <h3 className="text-lg font-semibold text-kashmir-dark-blue dark:text-kashmir-light">
                           {item.name}
                         </h3>
-                        <p className="text-gray-700 dark:text-gray-200">₹{item.price.toFixed(2)}</p>
+                        <p className="text-gray-700 dark:text-gray-200">
+                          ₹{item.price.toFixed(2)}
+                          {item.priceChanged && (
+                            <span className="ml-2 text-sm text-yellow-700 dark:text-yellow-300">
+                              (was <span className="line-through">₹{item.previousPrice.toFixed(2)}</span>)
+                            </span>
+                          )}
+                        </p>
                         <p className="text-gray-500 dark:text-gray-400 text-sm">In Stock: {item.stock}</p>
+                        {item.stockIssue === 'out_of_stock' && (
+                          <p className="text-sm font-medium text-red-600 dark:text-red-400">Out of stock – please remove this item.</p>
+                        )}
+                        {item.stockIssue === 'insufficient_stock' && (
+                          <p className="text-sm font-medium text-red-600 dark:text-red-400">Only {item.stock} left – please lower the quantity.</p>
+                        )}
                       </div>
 
                       {/* Wrapper for Quantity Controls and Remove Button */}
@@ -205,6 +265,21 @@ function CartPage() {
                   <span>Subtotal:</span>
                   <span className="font-bold">₹{subtotal.toFixed(2)}</span>
                 </div>
+                {couponQuote?.discountPrice > 0 && (
+                  <div className="flex justify-between text-lg text-green-700 dark:text-green-300 mb-2">
+                    <span>Discount ({appliedCoupon.code}):</span>
+                    <span className="font-bold">-₹{couponQuote.discountPrice.toFixed(2)}</span>
+                  </div>
+                )}
+                {couponQuote?.shippingDiscount > 0 && (
+                  <p className="text-green-700 dark:text-green-300 mb-2">Free shipping with {appliedCoupon.code}</p>
+                )}
+                {/* Coupons are validated on the server, so the user must be logged in */}
+                {isAuthenticated ? (
+                  <CouponInput cartItems={cartItems} />
+                ) : (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Log in to apply a coupon.</p>
+                )}
                 {/* Shipping and Tax will be calculated at checkout */}
                 <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Shipping and taxes calculated at checkout.</p>
               </div>
@@ -9,11 +9,16 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useRouter } from 'next/navigation';
 import Image from 'next/image';
 import { toast } from 'react-toastify';
-import { MapPin, Building, Mail, Phone, CreditCard, Truck, Package } from 'lucide-react'; // Icons for form fields
+import { CreditCard, Truck, Package, FileText } from 'lucide-react'; // Icons for form fields
 
 // NEW: Import createOrder thunk and other order-related states
-import { createOrder, clearOrderError, clearOrderSuccess } from '../../features/orders/orderSlice';
-import { clearCart } from '../../features/cart/cartSlice'; // To clear cart after successful order
+import { createOrder, fetchOrderQuote, clearOrderError, clearOrderSuccess } from '../../features/orders/orderSlice';
+import { emptyCart } from '../../features/cart/cartSlice'; // To clear cart after successful order
+import { removeCoupon } from '../../features/coupons/couponSlice'; // To clear the coupon after successful order
+import { uploadPrescription, clearUploadedPrescription } from '../../features/prescriptions/prescriptionSlice'; // Prescription upload for Rx items
+import CouponInput from '../../components/common/CouponInput'; // Coupon code field
+import AddressSelector, { NEW_ADDRESS, getEmptyAddress } from '../../components/checkout/AddressSelector'; // Saved or new shipping address
+import { addAddress } from '../../features/addresses/addressSlice'; // To save a new address to the address book
 
 // Get the backend API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
@@ -26,27 +31,51 @@ function CheckoutPage() {
   const { cartItems } = useSelector((state) => state.cart);
   const { isAuthenticated, isHydrated, user } = useSelector((state) => state.auth);
   // NEW: Get order creation state from orderSlice
-  const { isLoading: orderLoading, error: orderError, success: orderSuccess, singleOrder } = useSelector((state) => state.orders);
+  const { isLoading: orderLoading, error: orderError, success: orderSuccess, singleOrder, quote, quoteLoading, quoteError } = useSelector((state) => state.orders);
+  const { appliedCoupon } = useSelector((state) => state.coupons);
+  const couponCode = appliedCoupon?.code;
+  const { uploadedPrescription, isLoading: prescriptionLoading } = useSelector((state) => state.prescriptions);
 
-  // State for shipping information
-  const [address, setAddress] = useState(user?.address || ''); // Pre-fill if user has address
-  const [city, setCity] = useState('');
-  const [postalCode, setPostalCode] = useState('');
-  const [country, setCountry] = useState('India'); // Default country
+  // Prescription-only (Rx) items in the cart, according to the server quote
+  const rxItems = quote?.orderItems.filter(item => item.requiresPrescription) || [];
+
+  // State for shipping information: a saved address, or a new one (optionally saved to the address book)
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [newAddress, setNewAddress] = useState(() => getEmptyAddress(user));
+  const [saveNewAddress, setSaveNewAddress] = useState(true);
+  const { addresses } = useSelector((state) => state.addresses);
+
+  // PIN code of the chosen address: shipping is charged by the delivery zone that serves it
+  const shippingPinCode = selectedAddressId === NEW_ADDRESS
+    ? (/^[1-9][0-9]{5}$/.test(newAddress.pinCode) ? newAddress.pinCode : undefined)
+    : addresses.find(a => a._id === selectedAddressId)?.pinCode;
   const [paymentMethod, setPaymentMethod] = useState('COD'); // Default to Cash on Delivery
 
   // Local state for order placement (now primarily driven by Redux orderLoading/orderError)
   const [placeOrderLocalError, setPlaceOrderLocalError] = useState(null); // For validation errors before dispatch
 
-  // Calculate subtotal
-  const itemsPrice = cartItems.reduce((acc, item) => acc + item.quantity * item.price, 0);
+  // Prices, tax and shipping come from the server quote; the browser never calculates them
+  const itemsPrice = quote?.itemsPrice ?? 0;
+  const discountPrice = quote?.discountPrice ?? 0;
+  const shippingPrice = quote?.shippingPrice ?? 0;
+  const shippingDiscount = quote?.shippingDiscount ?? 0;
+  const taxPrice = quote?.taxPrice ?? 0;
+  const totalPrice = quote?.totalPrice ?? 0;
+  const taxPercent = quote ? Math.round(quote.taxRate * 100) : null;
 
-  // Define static shipping and tax prices for now
-  const shippingPrice = itemsPrice > 500 ? 0 : 40; // Free shipping over ₹500
-  const taxPrice = itemsPrice * 0.18; // 18% tax
-
-  // Calculate total price
-  const totalPrice = itemsPrice + shippingPrice + taxPrice;
+  // Fetch a fresh quote from the backend whenever the cart, the applied coupon or the shipping PIN code changes
+  useEffect(() => {
+    if (isHydrated && isAuthenticated && cartItems.length > 0) {
+      dispatch(fetchOrderQuote({
+        orderItems: cartItems.map(item => ({
+          medicine: item.medicine,
+          quantity: item.quantity,
+        })),
+        couponCode,
+        pinCode: shippingPinCode,
+      }));
+    }
+  }, [isHydrated, isAuthenticated, cartItems, couponCode, shippingPinCode, dispatch]);
 
   useEffect(() => {
     // Clear order errors and success messages on component mount/unmount
@@ -65,17 +94,21 @@ function CheckoutPage() {
       router.push('/medicines'); // Redirect to medicines if cart is empty
       return;
     }
-    // Pre-fill address if user data is available and hydrated
-    if (isHydrated && user && user.address && !address) {
-      setAddress(user.address);
-    }
-  }, [isAuthenticated, isHydrated, cartItems, router, user, address, dispatch]);
+  }, [isAuthenticated, isHydrated, cartItems, router, dispatch]);
 
   // Effect to handle successful order placement
   useEffect(() => {
     if (orderSuccess && singleOrder) {
-      toast.success('Order placed successfully!');
-      dispatch(clearCart()); // Clear cart after successful order
+      if (singleOrder.prescriptionStatus === 'pending') {
+        toast.success('Order placed! A pharmacist will verify your prescription shortly.');
+      } else {
+        toast.success(singleOrder.paymentMethod === 'COD'
+          ? 'Order placed successfully!'
+          : 'Order placed! Complete your payment on the order page.');
+      }
+      dispatch(emptyCart()); // Clear cart (local and server) after successful order
+      dispatch(removeCoupon()); // The coupon has been used by this order
+      dispatch(clearUploadedPrescription()); // The prescription is now attached to this order
       dispatch(clearOrderSuccess()); // Clear success flag
       router.push(`/orders/${singleOrder._id}`); // Redirect to order detail page
     }
@@ -86,6 +119,18 @@ function CheckoutPage() {
   }, [orderSuccess, orderError, singleOrder, dispatch, router]);
 
 
+  // Handle prescription file selection: upload it right away so the order can reference it
+  const handlePrescriptionChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const resultAction = await dispatch(uploadPrescription(file));
+    if (uploadPrescription.fulfilled.match(resultAction)) {
+      toast.success('Prescription uploaded.');
+    } else {
+      toast.error(resultAction.payload || 'Prescription upload failed.');
+    }
+  };
+
   // Handle order placement
   const handlePlaceOrder = async (e) => {
     e.preventDefault();
@@ -97,30 +142,80 @@ function CheckoutPage() {
       return;
     }
 
-    if (!address || !city || !postalCode || !country) {
-      setPlaceOrderLocalError('Please fill in all shipping information.');
-      toast.error('Please fill in all shipping information.');
+    if (!quote) {
+      setPlaceOrderLocalError('Unable to calculate order total. Please try again.');
+      toast.error('Unable to calculate order total. Please try again.');
+      return;
+    }
+
+    if (quote.requiresPrescription && !uploadedPrescription) {
+      setPlaceOrderLocalError('Please upload a prescription for the prescription-only medicines in your cart.');
+      toast.error('Please upload a prescription for the prescription-only medicines in your cart.');
+      return;
+    }
+
+    // Ship to a saved address (the server snapshots it), or to the new address entered here
+    let shipping;
+    if (selectedAddressId === NEW_ADDRESS) {
+      const { recipient, phone, addressLine, city, district, state, pinCode, label } = newAddress;
+      if (!recipient || !phone || !addressLine || !district || !pinCode) {
+        setPlaceOrderLocalError('Please fill in all shipping information.');
+        toast.error('Please fill in all shipping information.');
+        return;
+      }
+      if (!quote.delivery) {
+        setPlaceOrderLocalError('Please enter a valid 6-digit PIN code.');
+        toast.error('Please enter a valid 6-digit PIN code.');
+        return;
+      }
+      if (saveNewAddress) {
+        try {
+          const saved = await dispatch(addAddress(newAddress)).unwrap();
+          shipping = { addressId: saved.data._id };
+        } catch (err) {
+          setPlaceOrderLocalError(err);
+          toast.error(err);
+          return;
+        }
+      } else {
+        shipping = {
+          shippingAddress: {
+            address: addressLine,
+            city: city || district,
+            postalCode: pinCode,
+            country: 'India',
+            label,
+            recipient,
+            phone,
+            district,
+            state,
+          },
+        };
+      }
+    } else if (selectedAddressId) {
+      shipping = { addressId: selectedAddressId };
+    } else {
+      setPlaceOrderLocalError('Please choose a shipping address.');
+      toast.error('Please choose a shipping address.');
       return;
     }
 
     const orderData = {
-      orderItems: cartItems.map(item => ({
+      orderItems: quote.orderItems.map(item => ({
         name: item.name,
         quantity: item.quantity,
-        price: item.price,
         medicine: item.medicine, // Medicine ID
       })),
-      shippingAddress: {
-        address,
-        city,
-        postalCode,
-        country,
-      },
+      ...shipping,
       paymentMethod,
-      itemsPrice: parseFloat(itemsPrice.toFixed(2)), // Ensure numbers are passed correctly
-      shippingPrice: parseFloat(shippingPrice.toFixed(2)),
-      taxPrice: parseFloat(taxPrice.toFixed(2)),
-      totalPrice: parseFloat(totalPrice.toFixed(2)),
+      couponCode,
+      prescription: quote.requiresPrescription ? uploadedPrescription?._id : undefined,
+      // The server reprices the order and rejects it if these quoted totals are out of date
+      itemsPrice,
+      discountPrice,
+      shippingPrice,
+      taxPrice,
+      totalPrice,
     };
 
     // Dispatch the actual createOrder thunk
@@ -184,62 +279,43 @@ function CheckoutPage() {
             <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-6">
               Shipping Information
             </h3>
-            <form className="space-y-4">
-              <div>
-                <label htmlFor="address" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
-                  <MapPin className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Address
-                </label>
-                <input
-                  type="text"
-                  id="address"
-                  value={address}
-                  onChange={(e) => setAddress(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
-                  required
-                />
-              </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div>
-                  <label htmlFor="city" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
-                    <Building className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> City
-                  </label>
-                  <input
-                    type="text"
-                    id="city"
-                    value={city}
-                    onChange={(e) => setCity(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
-                    required
-                  />
-                </div>
-                <div>
-                  <label htmlFor="postalCode" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
-                    <Mail className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Postal Code
-                  </label>
-                  <input
-                    type="text"
-                    id="postalCode"
-                    value={postalCode}
-                    onChange={(e) => setPostalCode(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
-                    required
-                  />
-                </div>
-              </div>
-              <div>
-                <label htmlFor="country" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
-                  <Phone className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Country
-                </label>
+            <AddressSelector
+              selectedAddressId={selectedAddressId}
+              onSelect={setSelectedAddressId}
+              newAddress={newAddress}
+              onNewAddressChange={setNewAddress}
+              saveNewAddress={saveNewAddress}
+              onSaveNewAddressChange={setSaveNewAddress}
+            />
+
+            {/* Prescription Upload (only for carts with prescription-only medicines) */}
+            {rxItems.length > 0 && (
+              <div className="mt-8 p-4 border border-yellow-400 bg-yellow-50 rounded-md dark:bg-yellow-900 dark:border-yellow-700">
+                <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-2">
+                  <FileText className="inline-block w-5 h-5 mr-1 text-kashmir-gold" /> Prescription Required
+                </h3>
+                <p className="text-sm text-gray-700 dark:text-gray-200 mb-3">
+                  {rxItems.map(item => item.name).join(', ')} {rxItems.length === 1 ? 'is a' : 'are'} prescription-only
+                  {rxItems.length === 1 ? ' medicine' : ' medicines'}. Upload your prescription (image or PDF, max 5MB);
+                  a pharmacist will verify it before your order is processed.
+                </p>
                 <input
-                  type="text"
-                  id="country"
-                  value={country}
-                  onChange={(e) => setCountry(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
-                  required
+                  type="file"
+                  accept="image/jpeg,image/png,image/gif,application/pdf"
+                  onChange={handlePrescriptionChange}
+                  disabled={prescriptionLoading}
+                  className="block w-full text-sm text-gray-700 dark:text-gray-200"
                 />
+                {prescriptionLoading && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">Uploading prescription...</p>
+                )}
+                {uploadedPrescription && (
+                  <p className="text-sm text-green-700 dark:text-green-300 mt-2">
+                    Uploaded: {uploadedPrescription.fileName}
+                  </p>
+                )}
               </div>
-            </form>
+            )}
 
             {/* Payment Method */}
             <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mt-8 mb-6">
@@ -263,16 +339,15 @@ function CheckoutPage() {
               <div className="flex items-center">
                 <input
                   type="radio"
-                  id="card"
+                  id="online"
                   name="paymentMethod"
-                  value="Card"
-                  checked={paymentMethod === 'Card'}
+                  value="Online Payment"
+                  checked={paymentMethod === 'Online Payment'}
                   onChange={(e) => setPaymentMethod(e.target.value)}
                   className="h-4 w-4 text-kashmir-green focus:ring-kashmir-green border-gray-300 dark:border-gray-500 dark:bg-gray-600"
-                  disabled // Disable for now, as payment gateway integration is not yet done
                 />
-                <label htmlFor="card" className="ml-3 block text-base font-medium text-gray-700 dark:text-gray-200 opacity-50 cursor-not-allowed">
-                  <CreditCard className="inline-block w-5 h-5 mr-1 text-kashmir-gold" /> Card Payment (Coming Soon)
+                <label htmlFor="online" className="ml-3 block text-base font-medium text-gray-700 dark:text-gray-200">
+                  <CreditCard className="inline-block w-5 h-5 mr-1 text-kashmir-gold" /> Pay Online (Card / UPI)
                 </label>
               </div>
               {/* Add more payment options as needed */}
@@ -285,36 +360,70 @@ function CheckoutPage() {
               Order Summary
             </h3>
             <div className="space-y-4 mb-6 max-h-80 overflow-y-auto pr-2"> {/* Added max-height and overflow for scroll */}
-              {cartItems.map((item) => (
-                <div key={item.medicine} className="flex items-center space-x-3 border-b border-gray-200 dark:border-gray-600 pb-3">
-                  <div className="relative w-16 h-16 flex-shrink-0 rounded-md overflow-hidden">
-                    <Image
-                      src={item.imageUrl}
-                      alt={item.name}
-                      layout="fill"
-                      objectFit="cover"
-                    />
+              {cartItems.map((item) => {
+                // Use the live price from the server quote when available
+                const quotedItem = quote?.orderItems.find(quoteItem => quoteItem.medicine === item.medicine);
+                const unitPrice = quotedItem ? quotedItem.price : item.price;
+                return (
+                  <div key={item.medicine} className="flex items-center space-x-3 border-b border-gray-200 dark:border-gray-600 pb-3">
+                    <div className="relative w-16 h-16 flex-shrink-0 rounded-md overflow-hidden">
+                      <Image
+                        src={item.imageUrl}
+                        alt={item.name}
+                        layout="fill"
+                        objectFit="cover"
+                      />
+                    </div>
+                    <div className="flex-grow">
+                      <p className="font-medium text-gray-800 dark:text-gray-100">{item.name}</p>
+                      <p className="text-sm text-gray-600 dark:text-gray-300">{item.quantity} x ₹{unitPrice.toFixed(2)}</p>
+                    </div>
+                    <p className="font-semibold text-gray-900 dark:text-gray-50">₹{(item.quantity * unitPrice).toFixed(2)}</p>
                   </div>
-                  <div className="flex-grow">
-                    <p className="font-medium text-gray-800 dark:text-gray-100">{item.name}</p>
-                    <p className="text-sm text-gray-600 dark:text-gray-300">{item.quantity} x ₹{item.price.toFixed(2)}</p>
-                  </div>
-                  <p className="font-semibold text-gray-900 dark:text-gray-50">₹{(item.quantity * item.price).toFixed(2)}</p>
-                </div>
-              ))}
+                );
+              })}
             </div>
 
+            <CouponInput cartItems={cartItems} />
+
+            {quoteError && (
+              <p className="text-sm text-red-600 dark:text-red-400 mb-4">Could not calculate prices: {quoteError}</p>
+            )}
+
             <div className="space-y-2 text-lg text-gray-700 dark:text-gray-200 border-t pt-4 border-gray-200 dark:border-gray-600">
+              {quoteLoading && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Calculating prices...</p>
+              )}
               <div className="flex justify-between">
                 <span>Items Price:</span>
                 <span className="font-bold">₹{itemsPrice.toFixed(2)}</span>
               </div>
+              {discountPrice > 0 && (
+                <div className="flex justify-between text-green-700 dark:text-green-300">
+                  <span>Discount{couponCode ? ` (${couponCode})` : ''}:</span>
+                  <span className="font-bold">-₹{discountPrice.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between">
-                <span>Shipping:</span>
-                <span className="font-bold">₹{shippingPrice.toFixed(2)}</span>
+                <span>Shipping{quote && !quote.delivery ? ' (estimate)' : ''}:</span>
+                <span className="font-bold">
+                  {shippingDiscount > 0 && (
+                    <span className="line-through font-normal text-gray-500 dark:text-gray-400 mr-2">₹{shippingDiscount.toFixed(2)}</span>
+                  )}
+                  ₹{shippingPrice.toFixed(2)}
+                </span>
               </div>
+              {shippingDiscount > 0 && (
+                <p className="text-sm text-green-700 dark:text-green-300">Free shipping{couponCode ? ` with ${couponCode}` : ''}</p>
+              )}
+              {quote?.delivery && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Delivery to {quote.delivery.pinCode} ({quote.delivery.name}) in about {quote.delivery.estimatedDeliveryDays}{' '}
+                  {quote.delivery.estimatedDeliveryDays === 1 ? 'day' : 'days'}
+                </p>
+              )}
               <div className="flex justify-between">
-                <span>Tax (18%):</span>
+                <span>Tax{taxPercent !== null ? ` (${taxPercent}%)` : ''}:</span>
                 <span className="font-bold">₹{taxPrice.toFixed(2)}</span>
               </div>
               <div className="flex justify-between text-xl font-bold text-kashmir-dark-blue dark:text-kashmir-light pt-2 border-t border-gray-300 dark:border-gray-500">
@@ -325,9 +434,9 @@ function CheckoutPage() {
 
             <button
               onClick={handlePlaceOrder}
-              disabled={orderLoading || cartItems.length === 0} // Use orderLoading from Redux
+              disabled={orderLoading || quoteLoading || prescriptionLoading || !quote || cartItems.length === 0} // Use orderLoading from Redux
               className={`w-full py-3 px-4 mt-6 rounded-md font-semibold text-lg
-                         ${orderLoading || cartItems.length === 0
+                         ${orderLoading || quoteLoading || prescriptionLoading || !quote || cartItems.length === 0
                            ? 'bg-gray-400 cursor-not-allowed'
                            : 'bg-kashmir-green text-kashmir-light hover:bg-kashmir-gold hover:text-kashmir-dark-blue dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light'}
                          transition duration-300`}
@@ -0,0 +1,257 @@
+// src/app/deliveries/page.js
+// This component is the delivery dashboard.
+// Delivery agents see the orders assigned to them and can mark them picked up (delivery,
+// with proof, happens on the order page); admins see per-agent delivery stats.
+
+'use client'; // This component uses client-side hooks
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { toast } from 'react-toastify'; // For notifications
+import { MapPin, User, Phone, CalendarDays } from 'lucide-react'; // Import icons
+import {
+  fetchAssignedOrders,
+  fetchDeliveryStats,
+  markOrderPickedUp,
+  clearDispatchError,
+} from '../../features/dispatch/dispatchSlice';
+
+// Filters for the agent's order list
+const ORDER_FILTERS = [
+  { value: 'active', label: 'To deliver' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: '', label: 'All' },
+];
+
+function DeliveriesPage() {
+  const dispatch = useDispatch();
+  const router = useRouter();
+
+  const { isAuthenticated, isHydrated, user } = useSelector((state) => state.auth);
+  const { assignedOrders, agentStats, isLoading, error } = useSelector((state) => state.dispatch);
+  const isAgent = user?.role === 'delivery_agent';
+  const isAdmin = user?.role === 'admin';
+
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    if (!isHydrated) return;
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      toast.info('Please log in to view deliveries.');
+      return;
+    }
+    if (!isAgent && !isAdmin) {
+      toast.error('Only delivery agents and admins can view deliveries.');
+      router.push('/');
+      return;
+    }
+
+    return () => {
+      dispatch(clearDispatchError());
+    };
+  }, [dispatch, isAuthenticated, isHydrated, isAgent, isAdmin, router]);
+
+  // Agents: reload the list when the filter changes
+  useEffect(() => {
+    if (isHydrated && isAgent) {
+      dispatch(fetchAssignedOrders(statusFilter));
+    }
+  }, [dispatch, isHydrated, isAgent, statusFilter]);
+
+  // Admins: reload the stats when the date range changes
+  useEffect(() => {
+    if (isHydrated && isAdmin) {
+      const params = {};
+      if (from) params.from = from;
+      if (to) params.to = `${to}T23:59:59`;
+      dispatch(fetchDeliveryStats(params));
+    }
+  }, [dispatch, isHydrated, isAdmin, from, to]);
+
+  const handlePickup = async (orderId) => {
+    try {
+      await dispatch(markOrderPickedUp(orderId)).unwrap();
+      toast.success('Marked as picked up. The customer has been sent their delivery OTP.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  if (!isHydrated) {
+    return (
+      <div className="min-h-[calc(100vh-120px)] flex items-center justify-center
+                      bg-gradient-to-br from-kashmir-light to-blue-100
+                      dark:from-gray-800 dark:to-gray-900 dark:text-gray-100">
+        <p className="text-xl font-semibold dark:text-gray-300">Loading deliveries...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-120px)] flex flex-col items-center p-8
+                    bg-gradient-to-br from-kashmir-light to-blue-100
+                    dark:from-gray-800 dark:to-gray-900 dark:text-gray-100 transition-colors duration-300">
+      <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-5xl border border-gray-200 mb-8
+                      dark:bg-gray-700 dark:border-gray-600 dark:shadow-xl transition-colors duration-300">
+        <h2 className="text-3xl font-bold text-center text-kashmir-dark-blue mb-8
+                       dark:text-kashmir-light transition-colors duration-300">
+          {isAdmin ? 'Delivery Agents' : 'My Deliveries'}
+        </h2>
+
+        {error && (
+          <p className="text-center text-red-600 dark:text-red-400 mb-4">{error}</p>
+        )}
+
+        {/* Delivery agent: assigned orders */}
+        {isAgent && (
+          <>
+            <div className="flex justify-center gap-2 mb-6">
+              {ORDER_FILTERS.map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => setStatusFilter(filter.value)}
+                  className={`py-2 px-4 rounded-md font-semibold transition duration-300
+                              ${statusFilter === filter.value
+                                ? 'bg-kashmir-green text-kashmir-light dark:bg-kashmir-gold dark:text-kashmir-dark-blue'
+                                : 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200'}`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+
+            {isLoading && assignedOrders.length === 0 ? (
+              <p className="text-center text-gray-600 dark:text-gray-300 text-lg">Loading...</p>
+            ) : assignedOrders.length === 0 ? (
+              <p className="text-center text-gray-600 dark:text-gray-300 text-lg">No orders here.</p>
+            ) : (
+              <div className="space-y-6">
+                {assignedOrders.map((order) => (
+                  <div key={order._id} className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-sm">
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-2 mb-3">
+                      <Link href={`/orders/${order._id}`} className="font-semibold text-kashmir-dark-blue dark:text-kashmir-light hover:underline">
+                        Order #{order._id.slice(-8).toUpperCase()}
+                      </Link>
+                      <p className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                        <CalendarDays className="w-4 h-4 mr-1 text-kashmir-gold" />
+                        Assigned {new Date(order.dispatch.assignedAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <p className="flex items-center text-gray-700 dark:text-gray-200 mb-1">
+                      <User className="w-4 h-4 mr-2 text-kashmir-gold" />
+                      {order.shippingAddress.recipient || order.user?.name}
+                    </p>
+                    {(order.shippingAddress.phone || order.user?.phone) && (
+                      <p className="flex items-center text-gray-700 dark:text-gray-200 mb-1">
+                        <Phone className="w-4 h-4 mr-2 text-kashmir-gold" />
+                        {order.shippingAddress.phone || order.user.phone}
+                      </p>
+                    )}
+                    <p className="flex items-center text-gray-700 dark:text-gray-200 mb-3">
+                      <MapPin className="w-4 h-4 mr-2 text-kashmir-gold" />
+                      {order.shippingAddress.address}, {order.shippingAddress.city} - {order.shippingAddress.postalCode}
+                    </p>
+                    <p className="text-sm text-gray-700 dark:text-gray-200 mb-3">
+                      {order.paymentMethod === 'COD' && !order.isPaid
+                        ? `Collect ₹${order.totalPrice.toFixed(2)} (Cash on Delivery)`
+                        : 'Prepaid'}
+                    </p>
+                    {order.orderStatus === 'delivered' ? (
+                      <p className="text-green-700 dark:text-green-300 font-semibold">
+                        Delivered on {new Date(order.deliveredAt).toLocaleString()}
+                      </p>
+                    ) : order.dispatch.pickedUpAt ? (
+                      <Link
+                        href={`/orders/${order._id}`}
+                        className="inline-block py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                                   hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                                   dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+                      >
+                        Deliver
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handlePickup(order._id)}
+                        disabled={isLoading}
+                        className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                                   hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                                   dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+                      >
+                        Mark as Picked Up
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Admin: per-agent stats */}
+        {isAdmin && (
+          <>
+            <div className="flex flex-col sm:flex-row justify-center gap-4 mb-6 text-gray-700 dark:text-gray-200">
+              <label className="flex items-center gap-2">
+                Assigned from
+                <input type="date" value={from} onChange={(e) => setFrom(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500" />
+              </label>
+              <label className="flex items-center gap-2">
+                to
+                <input type="date" value={to} onChange={(e) => setTo(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500" />
+              </label>
+            </div>
+
+            {agentStats.length === 0 ? (
+              <p className="text-center text-gray-600 dark:text-gray-300 text-lg">
+                {isLoading ? 'Loading...' : 'No delivery agents yet.'}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm text-left text-gray-700 dark:text-gray-200">
+                  <thead className="bg-gray-100 dark:bg-gray-800">
+                    <tr>
+                      <th className="px-4 py-2">Agent</th>
+                      <th className="px-4 py-2 text-right">Assigned</th>
+                      <th className="px-4 py-2 text-right">Awaiting pickup</th>
+                      <th className="px-4 py-2 text-right">Out for delivery</th>
+                      <th className="px-4 py-2 text-right">Delivered</th>
+                      <th className="px-4 py-2 text-right">With OTP</th>
+                      <th className="px-4 py-2 text-right">With photo</th>
+                      <th className="px-4 py-2 text-right">Avg. time (h)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {agentStats.map((stats) => (
+                      <tr key={stats.agent._id} className="border-b border-gray-200 dark:border-gray-600">
+                        <td className="px-4 py-2">
+                          <p className="font-semibold">{stats.agent.name}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">{stats.agent.phone || stats.agent.email}</p>
+                        </td>
+                        <td className="px-4 py-2 text-right">{stats.assigned}</td>
+                        <td className="px-4 py-2 text-right">{stats.awaitingPickup}</td>
+                        <td className="px-4 py-2 text-right">{stats.outForDelivery}</td>
+                        <td className="px-4 py-2 text-right">{stats.delivered}</td>
+                        <td className="px-4 py-2 text-right">{stats.deliveredWithOtp}</td>
+                        <td className="px-4 py-2 text-right">{stats.deliveredWithPhoto}</td>
+                        <td className="px-4 py-2 text-right">{stats.averageDeliveryHours ?? '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DeliveriesPage;
@@ -1,7 +1,8 @@
 // src/app/doctors/[id]/page.js
 // This component displays the detailed information for a single doctor.
 // It fetches data from the backend using Redux Toolkit thunks.
-// Includes functionality to book an appointment with the doctor.
+// Includes functionality to book an appointment with the doctor in one of the free slots of
+// their weekly schedule, and lets admins or the doctor edit that schedule.
 
 'use client'; // This component uses client-side hooks
 
@@ -9,10 +10,11 @@ import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useParams, useRouter } from 'next/navigation'; // For Next.js dynamic routes and navigation
 import Image from 'next/image'; // For displaying doctor images
-import { fetchDoctorById, clearDoctorErrors, clearSingleDoctor } from '../../../features/doctors/doctorSlice';
+import { fetchDoctorById, fetchDoctorSlots, clearDoctorErrors, clearSingleDoctor, WEEKDAYS } from '../../../features/doctors/doctorSlice';
 import { createAppointment, clearAppointmentError, clearAppointmentSuccess } from '../../../features/appointments/appointmentSlice'; // Import appointment actions
 import { toast } from 'react-toastify'; // For notifications
 import { Calendar, Mail, Phone, MapPin, BriefcaseMedical, Clock, MessageSquare } from 'lucide-react'; // Import icons
+import DoctorScheduleEditor from '../../../components/doctors/DoctorScheduleEditor'; // Weekly schedule editing (admin/doctor)
 
 // Get the backend API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
@@ -25,7 +27,7 @@ function DoctorDetailPage() {
   const doctorId = params.id; // Extract the doctor ID from the URL
 
   // Get doctor states from Redux
-  const { doctor, isLoading, error } = useSelector((state) => state.doctors);
+  const { doctor, isLoading, error, slots, slotsLoading, slotsError } = useSelector((state) => state.doctors);
   // Get auth state for user info and authentication status
   const { isAuthenticated, user } = useSelector((state) => state.auth);
   // Get appointment creation states from Redux
@@ -75,6 +77,14 @@ function DoctorDetailPage() {
   }, [appointmentSuccess, appointmentError, singleAppointment, dispatch, router]);
 
 
+  // Load the free slots of the picked day
+  useEffect(() => {
+    if (doctorId && selectedDate) {
+      setSelectedTimeSlot('');
+      dispatch(fetchDoctorSlots({ doctorId, date: selectedDate }));
+    }
+  }, [dispatch, doctorId, selectedDate]);
+
   // Handle opening the booking modal
   const handleBookAppointment = () => {
     if (!isAuthenticated) {
@@ -98,11 +108,13 @@ function DoctorDetailPage() {
       return;
     }
 
+    const slot = slots.find(s => s.time === selectedTimeSlot);
     const appointmentData = {
       doctor: doctorId,
       user: user._id, // Assuming user._id is available from Redux auth state
       appointmentDate: selectedDate,
-      appointmentTime: selectedTimeSlot,
+      appointmentTime: selectedTimeSlot, // Start of the slot ("HH:mm")
+      type: slot?.type, // Online or at the clinic, as the slot says
       reason: reasonForVisit,
     };
 
@@ -144,16 +156,15 @@ function DoctorDetailPage() {
     );
   }
 
-  // Define some example time slots (replace with actual doctor's slots from backend if available)
-  const timeSlots = [
-    '09:00 AM - 09:30 AM',
-    '09:30 AM - 10:00 AM',
-    '10:00 AM - 10:30 AM',
-    '10:30 AM - 11:00 AM',
-    '02:00 PM - 02:30 PM',
-    '02:30 PM - 03:00 PM',
-    '03:00 PM - 03:30 PM',
-  ];
+  // Weekly schedule grouped by weekday, Monday first
+  const scheduleByDay = [1, 2, 3, 4, 5, 6, 0]
+    .map(weekday => ({
+      weekday,
+      entries: (doctor.schedule || [])
+        .filter(entry => entry.weekday === weekday)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime)),
+    }))
+    .filter(day => day.entries.length > 0);
 
   return (
     <div className="min-h-[calc(100vh-120px)] flex flex-col items-center p-8
@@ -240,16 +251,37 @@ function DoctorDetailPage() {
                   <span className="font-semibold mr-2">Qualifications:</span> {doctor.qualifications.join(', ')}
                 </p>
               )}
+              {scheduleByDay.length > 0 && (
+                <div className="flex items-start justify-center md:justify-start">
+                  <Calendar className="w-5 h-5 mr-2 mt-1 text-kashmir-gold flex-shrink-0" />
+                  <div>
+                    <span className="font-semibold">Consultation hours:</span>
+                    <ul className="text-base">
+                      {scheduleByDay.map(day => (
+                        <li key={day.weekday}>
+                          {WEEKDAYS[day.weekday]}:{' '}
+                          {day.entries.map(entry => (
+                            `${entry.startTime}-${entry.endTime} (${entry.locationType === 'online' ? 'online' : 'clinic'})`
+                          )).join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
               {doctor.availability && doctor.availability.length > 0 && (
                 <p className="flex items-center justify-center md:justify-start">
                   <Calendar className="w-5 h-5 mr-2 text-kashmir-gold" />
-                  Available: <span className="font-semibold ml-1">{doctor.availability.join(', ')}</span>
+                  Note: <span className="font-semibold ml-1">{doctor.availability.join(', ')}</span>
                 </p>
               )}
             </div>
 
             {/* Action Button */}
             <div className="mt-8">
+              {scheduleByDay.length === 0 && (
+                <p className="text-gray-600 dark:text-gray-300 mb-2">This doctor has not published consultation hours yet.</p>
+              )}
               <button
                 onClick={handleBookAppointment}
                 className="w-full py-3 px-6 bg-kashmir-green text-kashmir-light rounded-md font-semibold text-lg
@@ -261,6 +293,9 @@ function DoctorDetailPage() {
             </div>
           </div>
         </div>
+
+        {/* Weekly schedule editing (admin or the doctor) */}
+        <DoctorScheduleEditor doctor={doctor} user={user} />
       </div>
 
       {/* Appointment Booking Modal */}
@@ -297,12 +332,23 @@ function DoctorDetailPage() {
                   onChange={(e) => setSelectedTimeSlot(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100"
                   required
+                  disabled={!selectedDate || slotsLoading || slots.length === 0}
                 >
-                  <option value="">-- Select a Time Slot --</option>
-                  {timeSlots.map((slot, index) => (
-                    <option key={index} value={slot}>{slot}</option>
+                  <option value="">
+                    {!selectedDate ? '-- Select a date first --'
+                      : slotsLoading ? 'Loading free slots...'
+                        : slots.length === 0 ? '-- No free slots on this day --'
+                          : '-- Select a Time Slot --'}
+                  </option>
+                  {slots.map(slot => (
+                    <option key={slot.time} value={slot.time}>
+                      {slot.time} - {slot.endTime} ({slot.type === 'online' ? 'Online' : 'At the clinic'})
+                    </option>
                   ))}
                 </select>
+                {slotsError && (
+                  <p className="text-sm text-red-600 dark:text-red-400 mt-1">{slotsError}</p>
+                )}
               </div>
 
               <div>
@@ -4,6 +4,7 @@
 // UPDATED: Added router.push to the "Book a Test" button.
 // UPDATED: Enhanced UI with modern e-commerce trends, including larger text,
 //          more prominent buttons, and improved spacing/shadows.
+// Shows the lab's test catalogue with prices (managed here by admins and the lab's staff).
 
 'use client'; // This component uses client-side hooks
 
@@ -12,6 +13,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useParams, useRouter } from 'next/navigation'; // Import useRouter
 import { fetchLabById, clearLabErrors, clearSingleLab } from '../../../features/labs/labSlice';
 import { toast } from 'react-toastify'; // For notifications
+import LabTestCatalogue from '../../../components/labs/LabTestCatalogue';
 import { MapPin, Phone, Mail, Clock, FlaskConical, Stethoscope } from 'lucide-react'; // Added Stethoscope for a service icon
 
 // Get the backend API base URL from environment variables
@@ -26,6 +28,7 @@ function LabDetailPage() {
 
   // Get lab states from Redux
   const { lab, isLoading, error } = useSelector((state) => state.labs);
+  const { user } = useSelector((state) => state.auth);
 
   useEffect(() => {
     if (labId) {
@@ -142,6 +145,10 @@ function LabDetailPage() {
             )}
           </div>
 
+          <div className="w-full max-w-2xl">
+            <LabTestCatalogue lab={lab} user={user} />
+          </div>
+
           {/* Action Button */}
           <div className="mt-10 w-full max-w-sm">
             <button
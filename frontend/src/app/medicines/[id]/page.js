@@ -5,14 +5,17 @@
 import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useParams, useRouter } from 'next/navigation';
-import Image from 'next/image';
 import { fetchMedicineById, clearMedicineErrors, clearSingleMedicine } from '../../../features/medicines/medicineSlice';
-import { addToCart, updateCartItemQuantity } from '../../../features/cart/cartSlice';
+import { addItemToCart, updateCartItem } from '../../../features/cart/cartSlice';
 import { toast } from 'react-toastify';
 import { MinusCircle, PlusCircle } from 'lucide-react';
-
-const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
-const BACKEND_HOST_URL = API_BASE_URL.replace('/api/v1', '');
+import DeliveryCheck from '../../../components/common/DeliveryCheck'; // PIN code serviceability check
+import SubscribeRefill from '../../../components/subscriptions/SubscribeRefill'; // Recurring refill subscription form
+import MedicineSubstitutes, { formatIngredients } from '../../../components/medicines/MedicineSubstitutes'; // Generic substitutes
+import MedicineGallery from '../../../components/medicines/MedicineGallery'; // Image gallery viewer
+import MedicineGalleryManager from '../../../components/medicines/MedicineGalleryManager'; // Image gallery management (admin/lab staff)
+import MedicineReviews from '../../../components/medicines/MedicineReviews'; // Customer reviews and ratings
+import StarRating from '../../../components/common/StarRating';
 
 function MedicineDetailPage() {
   const dispatch = useDispatch();
@@ -22,13 +25,9 @@ function MedicineDetailPage() {
 
   const { medicine, isLoading, error } = useSelector((state) => state.medicines);
   const { cartItems } = useSelector((state) => state.cart);
-  const { isHydrated } = useSelector((state) => state.auth);
+  const { user, isHydrated } = useSelector((state) => state.auth);
+  const { rating: reviewRating } = useSelector((state) => state.reviews); // Updated by the user's own review
 
-  // State for the currently displayed main image
-  const [mainImage, setMainImage] = useState('');
-  // State for processed image URLs (now strictly an array, even if only one URL)
-  // This helps simplify the thumbnail logic later
-  const [processedImageUrls, setProcessedImageUrls] = useState([]);
   const [quantityToAdd, setQuantityToAdd] = useState(1);
 
   const itemInCart = isHydrated ? cartItems.find(item => item.medicine === medicineId) : null; // Ensure accurate only after hydration
@@ -46,33 +45,6 @@ function MedicineDetailPage() {
     };
   }, [dispatch, medicineId]);
 
-  // Effect to process image URLs and set the main image once medicine data is loaded
-  useEffect(() => {
-    if (medicine && medicine.imageUrl) {
-      let urls = [];
-      // --- FIX START: Adapt for medicine.imageUrl being a string or potentially an array ---
-      if (typeof medicine.imageUrl === 'string' && medicine.imageUrl.length > 0) {
-        urls = [medicine.imageUrl]; // Wrap the single URL string in an array
-      } else if (Array.isArray(medicine.imageUrl)) {
-        urls = medicine.imageUrl; // If it's already an array, use it directly
-      }
-      // --- FIX END ---
-
-      setProcessedImageUrls(urls);
-
-      if (urls.length > 0) {
-        setMainImage(urls[0]); // Now urls[0] will correctly be the full URL string
-      } else {
-        // Fallback for no image URL at all
-        setMainImage('https://placehold.co/800x600/E0F2F7/000000?text=Medicine');
-      }
-    } else {
-      // If medicine data or imageUrl is missing
-      setProcessedImageUrls([]);
-      setMainImage('https://placehold.co/800x600/E0F2F7/000000?text=Medicine');
-    }
-  }, [medicine]); // Depend on medicine object to re-run when data loads/changes
-
   const handleAddToCart = () => {
     console.log('Add to cart button clicked!');
 
@@ -89,7 +61,7 @@ function MedicineDetailPage() {
       return;
     }
 
-    dispatch(addToCart({
+    dispatch(addItemToCart({
       medicine: medicine._id,
       name: medicine.name,
       price: medicine.price,
@@ -98,8 +70,10 @@ function MedicineDetailPage() {
       // --- FIX END ---
       quantity: quantityToAdd,
       stock: medicine.stock
-    }));
-    toast.success(`${quantityToAdd} x ${medicine.name} added to cart!`);
+    }))
+      .unwrap()
+      .then(() => toast.success(`${quantityToAdd} x ${medicine.name} added to cart!`))
+      .catch((err) => toast.error(err));
   };
 
   const handleQuantityChange = (newQuantity) => {
@@ -107,7 +81,7 @@ function MedicineDetailPage() {
 
     if (newQuantity < 1) {
       // You might want a confirmation modal here before truly removing
-      dispatch(updateCartItemQuantity({ medicineId, quantity: 0 })); // Set to 0 to remove from cart
+      dispatch(updateCartItem({ medicineId, quantity: 0 })); // Set to 0 to remove from cart
       toast.info(`Removed ${medicine.name} from cart.`);
       return;
     }
@@ -115,8 +89,10 @@ function MedicineDetailPage() {
       toast.error(`Cannot add more than available stock (${medicine.stock}).`);
       return;
     }
-    dispatch(updateCartItemQuantity({ medicineId, quantity: newQuantity }));
-    toast.success(`Quantity for ${medicine.name} updated to ${newQuantity}.`);
+    dispatch(updateCartItem({ medicineId, quantity: newQuantity }))
+      .unwrap()
+      .then(() => toast.success(`Quantity for ${medicine.name} updated to ${newQuantity}.`))
+      .catch((err) => toast.error(err));
   };
 
   // --- Render Loading/Error/Not Found States (no changes needed here) ---
@@ -161,6 +137,9 @@ function MedicineDetailPage() {
     );
   }
 
+  // The user's own review changes the rating; until then use the medicine's
+  const ratingSummary = reviewRating || medicine;
+
   // --- Main Render Block ---
   return (
     <div className="min-h-[calc(100vh-120px)] flex flex-col items-center p-8
@@ -175,59 +154,21 @@ function MedicineDetailPage() {
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
           {/* Image Gallery */}
-          <div className="flex flex-col items-center">
-            {/* Main Image Display */}
-            <div className="relative w-full h-96 mb-4 rounded-lg overflow-hidden shadow-lg border border-gray-200 dark:border-gray-600">
-              {/* --- FIX START: Correct Main Image src logic --- */}
-              {mainImage && ( // Ensure mainImage is not empty
-                <Image
-                  // If mainImage is a placeholder, use it directly.
-                  // Otherwise, if it's a Cloudinary URL, use it directly.
-                  // Avoid prepending BACKEND_HOST_URL unless the URL is relative to your backend.
-                  // Your Cloudinary URL is absolute, so use it as is.
-                  src={mainImage.includes('placehold.co') || mainImage.includes('res.cloudinary.com') ? mainImage : `${BACKEND_HOST_URL}${mainImage}`}
-                  alt={medicine.name}
-                  layout="fill"
-                  objectFit="contain"
-                  className="rounded-lg"
-                />
-              )}
-              {/* --- FIX END --- */}
-            </div>
-            {/* Thumbnail Gallery */}
-            {processedImageUrls.length > 1 && (
-              <div className="flex flex-wrap justify-center gap-2 mt-4">
-                {processedImageUrls.map((imgUrl, index) => (
-                  <div
-                    key={index}
-                    className={`relative w-20 h-20 rounded-md overflow-hidden cursor-pointer border-2
-                                ${imgUrl === mainImage ? 'border-kashmir-green' : 'border-transparent'}
-                                hover:border-kashmir-gold transition-all duration-200`}
-                    onClick={() => setMainImage(imgUrl)}
-                  >
-                    {/* --- FIX START: Correct Thumbnail Image src logic --- */}
-                    {/* Similar logic as main image: if it's absolute, use it directly */}
-                    {imgUrl && (
-                        <Image
-                            src={imgUrl.includes('res.cloudinary.com') || imgUrl.includes('placehold.co') ? imgUrl : `${BACKEND_HOST_URL}${imgUrl}`}
-                            alt={`Thumbnail ${index + 1}`}
-                            layout="fill"
-                            objectFit="cover"
-                            className="rounded-md"
-                        />
-                    )}
-                    {/* --- FIX END --- */}
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+          <MedicineGallery medicine={medicine} />
 
           {/* Medicine Details (rest of your component, no changes needed here unless you spot other issues) */}
           <div className="flex flex-col justify-start">
             <p className="text-gray-800 dark:text-gray-200 text-lg mb-4 leading-relaxed">
               {medicine.description}
             </p>
+            {ratingSummary.numOfReviews > 0 && (
+              <p className="flex items-center gap-2 text-gray-700 dark:text-gray-300 mb-3">
+                <StarRating value={ratingSummary.averageRating} />
+                <span>
+                  {ratingSummary.averageRating.toFixed(1)} ({ratingSummary.numOfReviews} review{ratingSummary.numOfReviews === 1 ? '' : 's'})
+                </span>
+              </p>
+            )}
             <p className="text-2xl font-bold text-kashmir-green dark:text-kashmir-gold mb-3">
               Price: ₹{medicine.price.toFixed(2)}
             </p>
@@ -237,11 +178,24 @@ function MedicineDetailPage() {
             <p className="text-gray-700 dark:text-gray-300 text-lg mb-2">
               <span className="font-semibold">Category:</span> {medicine.category}
             </p>
+            {medicine.requiresPrescription && (
+              <p className="inline-block self-start bg-yellow-100 text-yellow-800 text-sm font-semibold px-3 py-1 rounded-full mb-2
+                            dark:bg-yellow-900 dark:text-yellow-200">
+                Rx: Prescription required at checkout
+              </p>
+            )}
             {medicine.manufacturer && (
               <p className="text-gray-700 dark:text-gray-300 text-lg mb-2">
                 <span className="font-semibold">Manufacturer:</span> {medicine.manufacturer}
               </p>
             )}
+            {medicine.composition?.activeIngredients?.length > 0 && (
+              <p className="text-gray-700 dark:text-gray-300 text-lg mb-2">
+                <span className="font-semibold">Composition:</span> {formatIngredients(medicine.composition)}
+                {medicine.composition.dosageForm ? ` (${medicine.composition.dosageForm})` : ''}
+                {medicine.composition.packSize ? `, pack of ${medicine.composition.packSize}` : ''}
+              </p>
+            )}
             {medicine.expirationDate && (
               <p className="text-gray-700 dark:text-gray-300 text-lg mb-4">
                 <span className="font-semibold">Expires On:</span> {new Date(medicine.expirationDate).toLocaleDateString()}
@@ -327,8 +281,23 @@ function MedicineDetailPage() {
                 Buy Now
               </button>
             </div>
+
+            {/* Regular refills of the medicine */}
+            <SubscribeRefill medicine={medicine} />
+
+            {/* Delivery availability for the customer's PIN code */}
+            <DeliveryCheck />
           </div>
         </div>
+
+        {/* Same-composition substitutes (cheaper ones, or any when out of stock) */}
+        <MedicineSubstitutes medicine={medicine} />
+
+        {/* Customer reviews (verified purchases) */}
+        <MedicineReviews medicine={medicine} user={user} />
+
+        {/* Upload, remove and reorder the images (admin/lab staff) */}
+        <MedicineGalleryManager medicine={medicine} user={user} />
       </div>
     </div>
   );
@@ -4,6 +4,7 @@
 // Now includes a search bar with debounced input to filter medicines by keyword.
 // FIX: Only sends 'keyword' query parameter if the search input is not empty.
 // IMPROVEMENT: Clears results immediately on typing and shows a "Searching..." message for smoother UX.
+// Medicines can be sorted (e.g., by customer rating) and show their average rating.
 
 'use client'; // This component uses client-side hooks
 
@@ -13,11 +14,21 @@ import { useRouter } from 'next/navigation'; // Import useRouter
 import Image from 'next/image'; // For displaying medicine images
 import { fetchMedicines, clearMedicineErrors } from '../../features/medicines/medicineSlice'; // Import the fetchMedicines thunk
 import { toast } from 'react-toastify'; // For notifications
+import StarRating from '../../components/common/StarRating';
 
 // Get the backend API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
 const BACKEND_HOST_URL = API_BASE_URL.replace('/api/v1', ''); // Extracts http://localhost:5000
 
+// Sort orders offered for the listing
+const MEDICINE_SORTS = [
+  { value: '-createdAt', label: 'Newest' },
+  { value: '-averageRating,-numOfReviews', label: 'Top rated' },
+  { value: '-numOfReviews,-averageRating', label: 'Most reviewed' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' },
+];
+
 function MedicineListPage() {
   const dispatch = useDispatch();
   const router = useRouter(); // Initialize useRouter
@@ -28,6 +39,8 @@ function MedicineListPage() {
   const [searchQuery, setSearchQuery] = useState('');
   // NEW: State to indicate if a search is actively being performed (typing + debounce)
   const [isSearching, setIsSearching] = useState(false);
+  // State for the sort order
+  const [sort, setSort] = useState(MEDICINE_SORTS[0].value);
 
   // Effect to fetch medicines based on search query (with debounce)
   useEffect(() => {
@@ -35,7 +48,7 @@ function MedicineListPage() {
     dispatch(clearMedicineErrors());
 
     const handler = setTimeout(() => {
-      const params = {};
+      const params = { sort };
       // Only add keyword to params if searchQuery is not empty
       if (searchQuery.trim() !== '') {
         params.keyword = searchQuery.trim();
@@ -53,7 +66,7 @@ function MedicineListPage() {
       clearTimeout(handler); // Clear timeout on unmount or re-render
       dispatch(clearMedicineErrors());
     };
-  }, [dispatch, searchQuery]); // Depend on dispatch and searchQuery
+  }, [dispatch, searchQuery, sort]); // Depend on dispatch, searchQuery and sort
 
   // Log the current state of medicines, loading, and error for debugging
   console.log("FRONTEND: Medicines state:", medicines, "Loading:", isLoading, "Error:", error);
@@ -100,8 +113,8 @@ function MedicineListPage() {
           Available Medicines
         </h2>
 
-        {/* Search Bar */}
-        <div className="mb-6 w-full max-w-md mx-auto">
+        {/* Search Bar and Sort */}
+        <div className="mb-6 w-full max-w-2xl mx-auto flex flex-col sm:flex-row gap-3">
           <input
             type="text"
             placeholder="Search medicines by name or description..."
@@ -110,6 +123,17 @@ function MedicineListPage() {
             className="w-full px-4 py-2 rounded-md border border-gray-300 focus:outline-none focus:ring-2 focus:ring-kashmir-green
                        bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
           />
+          <select
+            value={sort}
+            onChange={(e) => { setSort(e.target.value); setIsSearching(true); }}
+            aria-label="Sort medicines"
+            className="px-4 py-2 rounded-md border border-gray-300 focus:outline-none focus:ring-2 focus:ring-kashmir-green
+                       bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+          >
+            {MEDICINE_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </div>
 
         {/* Conditional rendering for search status */}
@@ -164,6 +188,12 @@ function MedicineListPage() {
                   <p className="text-gray-600 dark:text-gray-300 text-sm mb-2 line-clamp-2">
                     {medicine.description}
                   </p>
+                  {medicine.numOfReviews > 0 && (
+                    <p className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300 mb-1">
+                      <StarRating value={medicine.averageRating} size="w-4 h-4" />
+                      <span>({medicine.numOfReviews})</span>
+                    </p>
+                  )}
                   <p className="text-gray-700 dark:text-gray-200 font-medium text-lg mb-1">
                     ₹{medicine.price.toFixed(2)}
                   </p>
@@ -173,6 +203,9 @@ function MedicineListPage() {
                   <p className="text-gray-500 dark:text-gray-400 text-sm">
                     Category: {medicine.category}
                   </p>
+                  {medicine.requiresPrescription && (
+                    <p className="text-yellow-700 dark:text-yellow-300 text-sm font-semibold">Rx: Prescription required</p>
+                  )}
                 </div>
 
                 {/* Action Button (View Details) */}
@@ -9,9 +9,12 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useParams, useRouter } from 'next/navigation'; // For Next.js dynamic routes and navigation
 import Image from 'next/image'; // For displaying medicine images within order items
 // FIX: Changed clearOrderErrors to clearOrderError to match orderSlice export
-import { fetchOrderById, clearOrderError, clearSingleOrder } from '../../../features/orders/orderSlice';
+import { fetchOrderById, downloadOrderInvoice, clearOrderError, clearSingleOrder } from '../../../features/orders/orderSlice';
+import { createPaymentIntent, completeMockPayment, clearPaymentState } from '../../../features/payments/paymentSlice';
 import { toast } from 'react-toastify'; // For notifications
-import { Package, CalendarDays, DollarSign, Truck, User, MapPin, CreditCard, Mail } from 'lucide-react'; // Import icons (added Mail for user email)
+import OrderReturns from '../../../components/orders/OrderReturns'; // Return requests for delivered orders
+import OrderDispatch from '../../../components/orders/OrderDispatch'; // Delivery agent assignment and proof of delivery
+import { Package, CalendarDays, DollarSign, Truck, User, MapPin, CreditCard, Mail, Clock, FileText, Download } from 'lucide-react'; // Import icons (added Mail for user email)
 
 // Get the backend API base URL from environment variables
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
@@ -25,7 +28,8 @@ function OrderDetailPage() {
 
     // Get authentication and order states from Redux
     const { isAuthenticated, user } = useSelector((state) => state.auth); // Ensure 'user' is destructured here
-    const { singleOrder: order, isLoading, error } = useSelector((state) => state.orders); // Use singleOrder as aliased to order
+    const { singleOrder: order, isLoading, error, invoiceLoading } = useSelector((state) => state.orders); // Use singleOrder as aliased to order
+    const { paymentIntent, isLoading: paymentLoading } = useSelector((state) => state.payments);
 
     useEffect(() => {
         // Redirect if not authenticated
@@ -53,9 +57,40 @@ function OrderDetailPage() {
         return () => {
             dispatch(clearOrderError()); // FIX: Use clearOrderError
             dispatch(clearSingleOrder());
+            dispatch(clearPaymentState());
         };
     }, [dispatch, orderId, isAuthenticated, router, user]); // Depend on dispatch, orderId, isAuthenticated, router, and user
 
+    // Download the PDF invoice for this order
+    const handleDownloadInvoice = async () => {
+        try {
+            await dispatch(downloadOrderInvoice(order._id)).unwrap();
+        } catch (err) {
+            toast.error(err);
+        }
+    };
+
+    // Start an online payment for this order
+    const handlePayNow = async () => {
+        try {
+            await dispatch(createPaymentIntent(order._id)).unwrap();
+        } catch (err) {
+            toast.error(err);
+        }
+    };
+
+    // Settle the payment with the local mock provider (a real gateway would confirm it with its own SDK
+    // using paymentIntent.clientSecret and then call our webhook)
+    const handleMockPayment = async (outcome) => {
+        try {
+            await dispatch(completeMockPayment({ paymentId: paymentIntent.paymentId, outcome })).unwrap();
+            toast[outcome === 'succeeded' ? 'success' : 'error'](outcome === 'succeeded' ? 'Payment successful!' : 'Payment failed. Your order has been cancelled.');
+            dispatch(fetchOrderById(order._id));
+        } catch (err) {
+            toast.error(err);
+        }
+    };
+
     // Show loading state
     if (isLoading) {
         return (
@@ -133,8 +168,83 @@ function OrderDetailPage() {
                             <DollarSign className="w-6 h-6 mr-3 text-kashmir-gold" />
                             Total Price: <span className="font-bold ml-1">₹{order.totalPrice.toFixed(2)}</span>
                         </p>
+                        {order.orderStatus !== 'cancelled' && (
+                            <button
+                                onClick={handleDownloadInvoice}
+                                disabled={invoiceLoading}
+                                className={`mt-3 flex items-center py-2 px-4 rounded-md font-semibold transition duration-300
+                                    ${invoiceLoading
+                                        ? 'bg-gray-400 cursor-not-allowed'
+                                        : 'bg-kashmir-green text-kashmir-light hover:bg-kashmir-gold hover:text-kashmir-dark-blue dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light'}`}
+                            >
+                                <Download className="w-5 h-5 mr-2" />
+                                {invoiceLoading ? 'Preparing invoice...' : 'Download invoice'}
+                            </button>
+                        )}
                     </div>
 
+                    {/* Order Tracking Timeline */}
+                    {order.statusHistory && order.statusHistory.length > 0 && (
+                        <div className="border-b pb-4 mb-4 border-gray-200 dark:border-gray-600">
+                            <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3">Order Tracking</h3>
+                            <ol className="relative border-l-2 border-kashmir-gold ml-3">
+                                {order.statusHistory.map((entry, idx) => (
+                                    <li key={entry._id || idx} className="mb-4 ml-6">
+                                        <span className="absolute -left-[9px] flex items-center justify-center w-4 h-4 rounded-full bg-kashmir-green dark:bg-kashmir-gold" />
+                                        <div className="flex items-center gap-2">
+                                            <span className={`px-3 py-0.5 rounded-full text-sm font-medium ${getStatusColor(entry.status)}`}>
+                                                {entry.status.charAt(0).toUpperCase() + entry.status.slice(1)}
+                                            </span>
+                                            <span className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+                                                <Clock className="w-4 h-4 mr-1" />
+                                                {new Date(entry.changedAt).toLocaleString()}
+                                            </span>
+                                        </div>
+                                        {entry.changedBy && (
+                                            <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">
+                                                By {entry.changedBy.name}{entry.changedBy.role === 'admin' ? ' (Admin)' : entry.changedBy.role === 'pharmacist' ? ' (Pharmacist)' : ''}
+                                            </p>
+                                        )}
+                                        {entry.note && (
+                                            <p className="text-sm text-gray-600 dark:text-gray-300 italic">{entry.note}</p>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    )}
+
+                    {/* Prescription Verification (orders with prescription-only medicines) */}
+                    {order.prescriptionStatus && order.prescriptionStatus !== 'not_required' && (
+                        <div className="border-b pb-4 mb-4 border-gray-200 dark:border-gray-600">
+                            <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3">Prescription</h3>
+                            <p className="text-gray-700 dark:text-gray-200">
+                                Status: <span className={`font-semibold ml-1 ${
+                                    order.prescriptionStatus === 'approved' ? 'text-green-600'
+                                        : order.prescriptionStatus === 'rejected' ? 'text-red-600'
+                                        : 'text-yellow-600'}`}>
+                                    {order.prescriptionStatus === 'pending' ? 'Awaiting pharmacist verification'
+                                        : order.prescriptionStatus.charAt(0).toUpperCase() + order.prescriptionStatus.slice(1)}
+                                </span>
+                            </p>
+                            {order.prescriptionReview?.note && (
+                                <p className="text-sm text-gray-600 dark:text-gray-300 italic mt-1">
+                                    Pharmacist&apos;s note: {order.prescriptionReview.note}
+                                </p>
+                            )}
+                            {order.prescription?.fileUrl && (
+                                <a
+                                    href={order.prescription.fileUrl}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="inline-flex items-center mt-2 text-kashmir-green hover:text-kashmir-gold dark:text-kashmir-gold dark:hover:text-kashmir-green"
+                                >
+                                    <FileText className="w-4 h-4 mr-1" /> View uploaded prescription
+                                </a>
+                            )}
+                        </div>
+                    )}
+
                     {/* User Information */}
                     <div className="border-b pb-4 mb-4 border-gray-200 dark:border-gray-600">
                         <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3">Customer Information</h3>
@@ -161,8 +271,17 @@ function OrderDetailPage() {
                                 {order.isDelivered ? `Delivered on ${new Date(order.deliveredAt).toLocaleDateString()}` : 'Pending Delivery'}
                             </span>
                         </p>
+                        {!order.isDelivered && order.delivery?.estimatedDeliveryDays !== undefined && (
+                            <p className="text-sm text-gray-600 dark:text-gray-400 ml-7">
+                                Estimated delivery ({order.delivery.name}): about {order.delivery.estimatedDeliveryDays}{' '}
+                                {order.delivery.estimatedDeliveryDays === 1 ? 'day' : 'days'} from order
+                            </p>
+                        )}
                     </div>
 
+                    {/* Delivery dispatch (shipped and delivered orders) */}
+                    <OrderDispatch order={order} user={user} onChange={() => dispatch(fetchOrderById(order._id))} />
+
                     {/* Payment Information */}
                     <div className="border-b pb-4 mb-4 border-gray-200 dark:border-gray-600">
                         <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3">Payment Details</h3>
@@ -176,12 +295,62 @@ function OrderDetailPage() {
                                 {order.isPaid ? `Paid on ${new Date(order.paidAt).toLocaleDateString()}` : 'Not Paid'}
                             </span>
                         </p>
+                        {order.discountPrice > 0 && (
+                            <p className="text-green-700 dark:text-green-300">
+                                Discount{order.coupon?.code ? ` (${order.coupon.code})` : ''}: -₹{order.discountPrice.toFixed(2)}
+                            </p>
+                        )}
                         {order.taxPrice > 0 && (
                             <p className="text-gray-700 dark:text-gray-200">Tax Price: ₹{order.taxPrice.toFixed(2)}</p>
                         )}
                         {order.shippingPrice > 0 && (
                             <p className="text-gray-700 dark:text-gray-200">Shipping Price: ₹{order.shippingPrice.toFixed(2)}</p>
                         )}
+                        {order.shippingDiscount > 0 && (
+                            <p className="text-green-700 dark:text-green-300">
+                                Free shipping{order.coupon?.code ? ` (${order.coupon.code})` : ''}: ₹{order.shippingDiscount.toFixed(2)} waived
+                            </p>
+                        )}
+                        {order.isRefunded && (
+                            <p className="text-blue-600 dark:text-blue-400 font-semibold">
+                                Refunded on {new Date(order.refundedAt).toLocaleDateString()}
+                            </p>
+                        )}
+                        {!order.isPaid && order.paymentMethod !== 'COD' && order.orderStatus !== 'cancelled' && order.user._id === user?.id && (
+                            <div className="mt-3">
+                                {!paymentIntent ? (
+                                    <button
+                                        onClick={handlePayNow}
+                                        disabled={paymentLoading}
+                                        className="py-2 px-6 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                                      hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                                      dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+                                    >
+                                        {paymentLoading ? 'Starting payment...' : `Pay Now ₹${order.totalPrice.toFixed(2)}`}
+                                    </button>
+                                ) : paymentIntent.provider === 'mock' ? (
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <span className="text-sm text-gray-600 dark:text-gray-300">Test payment of ₹{paymentIntent.amount.toFixed(2)}:</span>
+                                        <button
+                                            onClick={() => handleMockPayment('succeeded')}
+                                            disabled={paymentLoading}
+                                            className="py-2 px-4 bg-green-600 text-white rounded-md font-semibold hover:bg-green-700 disabled:opacity-50"
+                                        >
+                                            Simulate Success
+                                        </button>
+                                        <button
+                                            onClick={() => handleMockPayment('failed')}
+                                            disabled={paymentLoading}
+                                            className="py-2 px-4 bg-red-600 text-white rounded-md font-semibold hover:bg-red-700 disabled:opacity-50"
+                                        >
+                                            Simulate Failure
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <p className="text-sm text-gray-600 dark:text-gray-300">Complete the payment in the payment window.</p>
+                                )}
+                            </div>
+                        )}
                         {order.paymentResult && order.isPaid && (
                             <div className="text-sm text-gray-500 dark:text-gray-400 mt-2">
                                 <p>Payment ID: {order.paymentResult.id}</p>
@@ -239,6 +408,9 @@ function OrderDetailPage() {
                         </ul>
                     </div>
 
+                    {/* Returns (only shown for delivered orders) */}
+                    <OrderReturns order={order} user={user} onChange={() => dispatch(fetchOrderById(order._id))} />
+
                     {/* Back Button */}
                     <div className="mt-8 text-center">
                         <button
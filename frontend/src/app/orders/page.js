@@ -4,7 +4,7 @@
 
 'use client'; // This component uses client-side hooks
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useRouter } from 'next/navigation'; // Import useRouter for navigation
 import Image from 'next/image'; // For displaying medicine images within order items
@@ -21,8 +21,9 @@ function OrderListPage() {
     const router = useRouter(); // Initialize useRouter
 
     // Get authentication and order states from Redux
-    const { isAuthenticated } = useSelector((state) => state.auth);
+    const { isAuthenticated, user } = useSelector((state) => state.auth);
     const { orders, isLoading, error } = useSelector((state) => state.orders);
+    const [returnFilter, setReturnFilter] = useState(''); // Admin filter on return status ('' = all orders)
 
     useEffect(() => {
         // Redirect if not authenticated
@@ -32,8 +33,8 @@ function OrderListPage() {
             return;
         }
 
-        // Dispatch the thunk to fetch orders when the component mounts
-        dispatch(fetchOrders());
+        // Dispatch the thunk to fetch orders when the component mounts (or the return filter changes)
+        dispatch(fetchOrders(returnFilter ? { returnStatus: returnFilter } : {}));
 
         // Clear any previous errors when component mounts
         dispatch(clearOrderError());
@@ -42,7 +43,7 @@ function OrderListPage() {
         return () => {
             dispatch(clearOrderError());
         };
-    }, [dispatch, isAuthenticated, router]); // Depend on dispatch, isAuthenticated, and router
+    }, [dispatch, isAuthenticated, router, returnFilter]); // Depend on dispatch, isAuthenticated, router, and the return filter
 
     // Show loading state
     if (isLoading) {
@@ -78,6 +79,24 @@ function OrderListPage() {
                     My Orders
                 </h2>
 
+                {/* Admins can narrow the list down to orders with returns */}
+                {user?.role === 'admin' && (
+                    <div className="flex justify-end mb-6">
+                        <label htmlFor="returnFilter" className="mr-2 self-center text-gray-700 dark:text-gray-200">Returns:</label>
+                        <select
+                            id="returnFilter"
+                            value={returnFilter}
+                            onChange={(e) => setReturnFilter(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+                        >
+                            <option value="">All orders</option>
+                            <option value="requested">Return requested</option>
+                            <option value="approved">Return approved</option>
+                            <option value="rejected">Return rejected</option>
+                        </select>
+                    </div>
+                )}
+
                 {orders.length === 0 ? (
                     <p className="text-center text-gray-600 dark:text-gray-300 text-lg">
                         You haven't placed any orders yet.
@@ -100,6 +119,11 @@ function OrderListPage() {
                                                 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'}`}>
                                         {order.orderStatus.charAt(0).toUpperCase() + order.orderStatus.slice(1)}
                                     </span>
+                                    {order.returnStatus && order.returnStatus !== 'none' && (
+                                        <span className="ml-2 px-3 py-1 rounded-full text-sm font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                                            Return {order.returnStatus}
+                                        </span>
+                                    )}
                                 </div>
 
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-gray-700 dark:text-gray-200 text-base mb-4">
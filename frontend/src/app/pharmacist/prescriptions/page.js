@@ -0,0 +1,166 @@
+// src/app/pharmacist/prescriptions/page.js
+// This component is the pharmacist's prescription verification queue.
+// It lists orders with prescription-only medicines that are waiting for review,
+// and lets the pharmacist approve (order moves to processing) or reject (order is cancelled) them.
+
+'use client'; // This component uses client-side hooks
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useRouter } from 'next/navigation';
+import { toast } from 'react-toastify'; // For notifications
+import { FileText, CalendarDays, User, CheckCircle, XCircle } from 'lucide-react'; // Import icons
+import {
+  fetchVerificationQueue,
+  reviewPrescription,
+  clearPrescriptionError,
+} from '../../../features/prescriptions/prescriptionSlice';
+
+function PrescriptionQueuePage() {
+  const dispatch = useDispatch();
+  const router = useRouter();
+
+  const { isAuthenticated, isHydrated, user } = useSelector((state) => state.auth);
+  const { queue, isLoading, error } = useSelector((state) => state.prescriptions);
+  const canReview = user && (user.role === 'pharmacist' || user.role === 'admin');
+
+  // Review notes, keyed by order ID
+  const [notes, setNotes] = useState({});
+
+  useEffect(() => {
+    if (!isHydrated) return;
+    if (!isAuthenticated) {
+      router.push('/auth/login');
+      toast.info('Please log in to view the verification queue.');
+      return;
+    }
+    if (!canReview) {
+      toast.error('Only pharmacists can review prescriptions.');
+      router.push('/');
+      return;
+    }
+    dispatch(fetchVerificationQueue());
+
+    return () => {
+      dispatch(clearPrescriptionError());
+    };
+  }, [dispatch, isAuthenticated, isHydrated, canReview, router]);
+
+  // Approve or reject an order's prescription
+  const handleReview = async (orderId, decision) => {
+    const note = (notes[orderId] || '').trim();
+    if (decision === 'rejected' && !note) {
+      toast.error('Please add a reason before rejecting a prescription.');
+      return;
+    }
+    const resultAction = await dispatch(reviewPrescription({ orderId, decision, note: note || undefined }));
+    if (reviewPrescription.fulfilled.match(resultAction)) {
+      toast.success(decision === 'approved' ? 'Prescription approved. The order is now processing.' : 'Prescription rejected. The order has been cancelled.');
+    } else {
+      toast.error(resultAction.payload || 'Could not review the prescription.');
+    }
+  };
+
+  if (!isHydrated || (isLoading && queue.length === 0)) {
+    return (
+      <div className="min-h-[calc(100vh-120px)] flex items-center justify-center
+                      bg-gradient-to-br from-kashmir-light to-blue-100
+                      dark:from-gray-800 dark:to-gray-900 dark:text-gray-100">
+        <p className="text-xl font-semibold dark:text-gray-300">Loading verification queue...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-120px)] flex flex-col items-center p-8
+                    bg-gradient-to-br from-kashmir-light to-blue-100
+                    dark:from-gray-800 dark:to-gray-900 dark:text-gray-100 transition-colors duration-300">
+      <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-5xl border border-gray-200 mb-8
+                      dark:bg-gray-700 dark:border-gray-600 dark:shadow-xl transition-colors duration-300">
+        <h2 className="text-3xl font-bold text-center text-kashmir-dark-blue mb-8
+                       dark:text-kashmir-light transition-colors duration-300">
+          Prescription Verification
+        </h2>
+
+        {error && (
+          <p className="text-center text-red-600 dark:text-red-400 mb-4">{error}</p>
+        )}
+
+        {queue.length === 0 ? (
+          <p className="text-center text-gray-600 dark:text-gray-300 text-lg">
+            No orders are waiting for prescription verification.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {queue.map((order) => (
+              <div key={order._id} className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-sm">
+                <div className="flex flex-col sm:flex-row sm:justify-between gap-2 mb-3">
+                  <p className="font-semibold text-kashmir-dark-blue dark:text-kashmir-light">
+                    Order #{order._id.slice(-8).toUpperCase()}
+                  </p>
+                  <p className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                    <CalendarDays className="w-4 h-4 mr-1 text-kashmir-gold" />
+                    {new Date(order.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <p className="flex items-center text-gray-700 dark:text-gray-200 mb-2">
+                  <User className="w-4 h-4 mr-2 text-kashmir-gold" />
+                  {order.user?.name} ({order.user?.email}{order.user?.phone ? `, ${order.user.phone}` : ''})
+                </p>
+                <ul className="text-sm text-gray-700 dark:text-gray-200 mb-3 list-disc ml-6">
+                  {order.orderItems.map((item) => (
+                    <li key={item._id}>
+                      {item.quantity} x {item.name}
+                      {item.requiresPrescription && (
+                        <span className="ml-2 text-yellow-700 dark:text-yellow-300 font-semibold">Rx</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {order.prescription?.fileUrl ? (
+                  <a
+                    href={order.prescription.fileUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center mb-3 text-kashmir-green hover:text-kashmir-gold dark:text-kashmir-gold dark:hover:text-kashmir-green"
+                  >
+                    <FileText className="w-4 h-4 mr-1" /> View prescription ({order.prescription.fileName || 'document'})
+                  </a>
+                ) : (
+                  <p className="text-sm text-red-600 dark:text-red-400 mb-3">Prescription file is missing.</p>
+                )}
+                <textarea
+                  value={notes[order._id] || ''}
+                  onChange={(e) => setNotes({ ...notes, [order._id]: e.target.value })}
+                  placeholder="Note for the patient (required when rejecting)"
+                  maxLength={500}
+                  rows={2}
+                  className="w-full px-3 py-2 mb-3 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green
+                             dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+                />
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => handleReview(order._id, 'approved')}
+                    disabled={isLoading}
+                    className="flex items-center py-2 px-4 bg-green-600 text-white rounded-md font-semibold hover:bg-green-700 transition duration-300 disabled:bg-gray-400"
+                  >
+                    <CheckCircle className="w-4 h-4 mr-1" /> Approve
+                  </button>
+                  <button
+                    onClick={() => handleReview(order._id, 'rejected')}
+                    disabled={isLoading}
+                    className="flex items-center py-2 px-4 bg-red-600 text-white rounded-md font-semibold hover:bg-red-700 transition duration-300 disabled:bg-gray-400"
+                  >
+                    <XCircle className="w-4 h-4 mr-1" /> Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PrescriptionQueuePage;
@@ -1,6 +1,6 @@
 // src/app/profile/page.js
 // This component displays the current user's profile information
-// and allows them to update their details and change their password.
+// and allows them to update their details, manage their refill subscriptions and change their password.
 // It is protected, meaning only authenticated users can access it.
 // This version integrates Redux Toolkit thunks for profile updates, password changes,
 // and now fetches the full user profile on component mount.
@@ -19,6 +19,7 @@ import {
   fetchUserProfile,
   clearAuthError,
 } from '../../features/auth/authSlice'; // Import new thunks and clearAuthError
+import RefillSubscriptions from '../../components/subscriptions/RefillSubscriptions'; // The user's refill subscriptions
 
 function ProfilePage() {
   const dispatch = useDispatch();
@@ -309,6 +310,9 @@ function ProfilePage() {
           </form>
         </section>
 
+        {/* Refill Subscriptions Section */}
+        <RefillSubscriptions />
+
         {/* Change Password Section */}
         <section className="mt-10">
           <h3 className="text-2xl font-semibold text-kashmir-dark-blue mb-6 border-b pb-2
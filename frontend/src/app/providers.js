@@ -2,15 +2,16 @@
 // This client component wraps the application with the Redux Provider.
 // It now handles re-hydrating the authentication state and cart state from localStorage on initial load.
 // FIX: Dispatches a global hydration flag after loading localStorage data.
+// Once a user is logged in, the guest cart is merged into their server-side cart.
 
 'use client'; // This directive marks the component as a Client Component
 
 import { Provider } from 'react-redux';
 import { store } from './store'; // Import your Redux store
 import { useEffect } from 'react'; // Import useEffect
-import { useDispatch } from 'react-redux'; // Import useDispatch
+import { useDispatch, useSelector } from 'react-redux'; // Import useDispatch and useSelector
 import { setUserFromStorage, setHydrated } from '../features/auth/authSlice'; // NEW: Import setHydrated
-import { initializeCart } from '../features/cart/cartSlice'; // Import the action to initialize cart
+import { initializeCart, mergeGuestCart } from '../features/cart/cartSlice'; // Import the cart initialization and merge actions
 
 /**
  * AuthAndCartInitializer component to re-hydrate auth and cart state from localStorage.
@@ -51,6 +52,15 @@ function AuthAndCartInitializer({ children }) {
 
   }, [dispatch]); // Dependency array: dispatch is stable, so this runs once on mount
 
+  // When a user is (or becomes) logged in, merge the guest cart into the server cart
+  // and load the server cart, which follows the user across devices
+  const { isAuthenticated, isHydrated } = useSelector((state) => state.auth);
+  useEffect(() => {
+    if (isHydrated && isAuthenticated) {
+      dispatch(mergeGuestCart());
+    }
+  }, [dispatch, isHydrated, isAuthenticated]);
+
   return <>{children}</>;
 }
 
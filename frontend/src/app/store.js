@@ -10,6 +10,16 @@ import orderReducer from '../features/orders/orderSlice'; // Import the orderSli
 import appointmentReducer from '../features/appointments/appointmentSlice'; // Import the appointmentSlice reducer
 import cartReducer from '../features/cart/cartSlice'; // Import the cartSlice reducer
 import globalSearchReducer from '../features/globalSearch/globalSearchSlice'; // Import the globalSearchSlice reducer
+import paymentReducer from '../features/payments/paymentSlice'; // Import the paymentSlice reducer
+import couponReducer from '../features/coupons/couponSlice'; // Import the couponSlice reducer
+import prescriptionReducer from '../features/prescriptions/prescriptionSlice'; // Import the prescriptionSlice reducer
+import returnReducer from '../features/returns/returnSlice'; // Import the returnSlice reducer
+import addressReducer from '../features/addresses/addressSlice'; // Import the addressSlice reducer
+import deliveryReducer from '../features/delivery/deliverySlice'; // Import the deliverySlice reducer
+import dispatchReducer from '../features/dispatch/dispatchSlice'; // Import the dispatchSlice reducer
+import subscriptionReducer from '../features/subscriptions/subscriptionSlice'; // Import the subscriptionSlice reducer
+import reviewReducer from '../features/reviews/reviewSlice'; // Import the reviewSlice reducer
+import labTestReducer from '../features/labTests/labTestSlice'; // Import the labTestSlice reducer
 
 
 
@@ -27,6 +37,16 @@ export const store = configureStore({
     appointments: appointmentReducer, // The appointment slice will manage appointment state
     cart: cartReducer, // The cart slice will manage cart state
     globalSearch: globalSearchReducer, // The global search slice will manage search state
+    payments: paymentReducer, // The payment slice will manage online payment state
+    coupons: couponReducer, // The coupon slice will manage the coupon applied to the cart
+    prescriptions: prescriptionReducer, // The prescription slice will manage prescription uploads and verification
+    returns: returnReducer, // The return slice will manage return requests for delivered orders
+    addresses: addressReducer, // The address slice will manage the user's saved delivery addresses
+    delivery: deliveryReducer, // The delivery slice will manage the PIN code serviceability check
+    dispatch: dispatchReducer, // The dispatch slice will manage delivery agent assignments and stats
+    subscriptions: subscriptionReducer, // The subscription slice will manage the user's refill subscriptions
+    reviews: reviewReducer, // The review slice will manage the reviews of the viewed medicine
+    labTests: labTestReducer, // The lab test slice will manage the test catalogue of the viewed lab
   },
   // Optional: Add middleware (e.g., for RTK Query, if we use it later)
   middleware: (getDefaultMiddleware) =>
@@ -0,0 +1,166 @@
+// src/components/appointments/RescheduleAppointment.js
+// This component lets the patient (or an admin) move a pending or confirmed appointment to another
+// slot from the appointment detail page. Doctor appointments pick from the doctor's free slots;
+// lab appointments from the lab's time slots. It also lists the times the appointment was moved from.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { CalendarClock, History } from 'lucide-react'; // Reschedule icons
+import { LAB_TIME_SLOTS, rescheduleAppointment } from '../../features/appointments/appointmentSlice';
+import { fetchDoctorSlots } from '../../features/doctors/doctorSlice';
+
+/**
+ * Renders the reschedule action and history of an appointment.
+ * @param {Object} props - Component props.
+ * @param {Object} props.appointment - The appointment being viewed (with populated user, doctor or lab).
+ * @param {Object} props.user - The authenticated user.
+ */
+function RescheduleAppointment({ appointment, user }) {
+  const dispatch = useDispatch();
+  const { slots, slotsLoading, slotsError } = useSelector((state) => state.doctors);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedDate, setSelectedDate] = useState('');
+  const [selectedTime, setSelectedTime] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const doctorId = appointment.doctor?._id;
+
+  // Load the doctor's free slots of the picked day
+  useEffect(() => {
+    setSelectedTime('');
+    if (isOpen && doctorId && selectedDate) {
+      dispatch(fetchDoctorSlots({ doctorId, date: selectedDate }));
+    }
+  }, [dispatch, isOpen, doctorId, selectedDate]);
+
+  const history = appointment.rescheduleHistory || [];
+  const canReschedule = ['pending', 'confirmed'].includes(appointment.status)
+    && (user?.role === 'admin' || appointment.user?._id === user?.id);
+
+  if (!canReschedule && history.length === 0) {
+    return null;
+  }
+
+  const timeOptions = doctorId
+    ? slots.map(slot => ({
+      value: slot.time,
+      label: `${slot.time} - ${slot.endTime} (${slot.type === 'online' ? 'Online' : 'At the clinic'})`,
+    }))
+    : LAB_TIME_SLOTS.map(slot => ({ value: slot, label: slot }));
+  const isLoadingSlots = Boolean(doctorId) && slotsLoading;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await dispatch(rescheduleAppointment({
+        id: appointment._id,
+        appointmentDate: selectedDate,
+        appointmentTime: selectedTime,
+      })).unwrap();
+      toast.success('Your appointment has been rescheduled.');
+      setIsOpen(false);
+      setSelectedDate('');
+    } catch (err) {
+      toast.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green
+                      dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100`;
+
+  return (
+    <div className="w-full max-w-md mt-6 text-left">
+      {canReschedule && !isOpen && (
+        <button
+          onClick={() => setIsOpen(true)}
+          className="w-full py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold flex items-center justify-center
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          <CalendarClock className="w-5 h-5 mr-2" /> Reschedule
+        </button>
+      )}
+
+      {canReschedule && isOpen && (
+        <form onSubmit={handleSubmit} className="p-4 bg-gray-50 dark:bg-gray-800 rounded-lg shadow-sm space-y-3">
+          <h3 className="text-lg font-semibold text-kashmir-dark-blue dark:text-kashmir-light">Pick a new time</h3>
+          <input
+            type="date"
+            value={selectedDate}
+            onChange={(e) => setSelectedDate(e.target.value)}
+            min={new Date().toISOString().split('T')[0]} // Prevent selecting past dates
+            className={inputClass}
+            aria-label="New date"
+            required
+          />
+          <select
+            value={selectedTime}
+            onChange={(e) => setSelectedTime(e.target.value)}
+            className={inputClass}
+            aria-label="New time slot"
+            required
+            disabled={!selectedDate || isLoadingSlots || timeOptions.length === 0}
+          >
+            <option value="">
+              {!selectedDate ? '-- Select a date first --'
+                : isLoadingSlots ? 'Loading free slots...'
+                  : timeOptions.length === 0 ? '-- No free slots on this day --'
+                    : '-- Select a Time Slot --'}
+            </option>
+            {timeOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {doctorId && slotsError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{slotsError}</p>
+          )}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={isSaving || !selectedTime}
+              className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold disabled:opacity-50
+                         hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                         dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+            >
+              {isSaving ? 'Rescheduling...' : 'Confirm new time'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="py-2 px-4 border border-gray-300 rounded-md text-gray-700 dark:text-gray-200 dark:border-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {history.length > 0 && (
+        <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg shadow-sm">
+          <h3 className="text-md font-semibold text-gray-800 dark:text-gray-100 flex items-center mb-2">
+            <History className="w-5 h-5 mr-2 text-kashmir-gold" /> Previous times
+          </h3>
+          <ul className="space-y-1 text-sm text-gray-600 dark:text-gray-300">
+            {history.map((entry, index) => (
+              <li key={index}>
+                <span className="line-through">
+                  {new Date(entry.appointmentDate).toLocaleDateString()} at {entry.appointmentTime}
+                </span>
+                {' '}· moved on {new Date(entry.rescheduledAt).toLocaleDateString()}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RescheduleAppointment;
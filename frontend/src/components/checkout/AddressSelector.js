@@ -0,0 +1,195 @@
+// src/components/checkout/AddressSelector.js
+// This component lets the user pick one of their saved addresses at checkout,
+// or enter a new address (optionally saving it to their address book).
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { MapPin, User, Phone, Building, Mail, Trash2, Home } from 'lucide-react'; // Icons for the address fields
+import { fetchAddresses, deleteAddress } from '../../features/addresses/addressSlice';
+
+// Value of selectedAddressId when the user enters a new address
+export const NEW_ADDRESS = 'new';
+
+// Empty new-address form, pre-filled from the user's profile where possible
+export const getEmptyAddress = (user) => ({
+  label: 'Home',
+  recipient: user?.name || '',
+  phone: user?.phone || '',
+  addressLine: user?.address || '',
+  city: '',
+  district: '',
+  state: 'Jammu and Kashmir',
+  pinCode: '',
+});
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500';
+const labelClassName = 'block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1';
+
+/**
+ * Address picker for checkout.
+ * @param {Object} props - Component props.
+ * @param {string} props.selectedAddressId - ID of the chosen saved address, or NEW_ADDRESS.
+ * @param {Function} props.onSelect - Called with an address ID or NEW_ADDRESS.
+ * @param {Object} props.newAddress - Values of the new-address form.
+ * @param {Function} props.onNewAddressChange - Called with the updated new-address values.
+ * @param {boolean} props.saveNewAddress - Whether the new address should be saved to the address book.
+ * @param {Function} props.onSaveNewAddressChange - Called with the new value of saveNewAddress.
+ */
+function AddressSelector({ selectedAddressId, onSelect, newAddress, onNewAddressChange, saveNewAddress, onSaveNewAddressChange }) {
+  const dispatch = useDispatch();
+  const { addresses } = useSelector((state) => state.addresses);
+  const [hasLoaded, setHasLoaded] = useState(false); // True once the address book has been fetched
+
+  useEffect(() => {
+    dispatch(fetchAddresses()).finally(() => setHasLoaded(true));
+  }, [dispatch]);
+
+  // Pick the default address once the address book has loaded (or the new-address form if there is none)
+  useEffect(() => {
+    if (!hasLoaded || selectedAddressId) return;
+    const defaultAddress = addresses.find(a => a.isDefault) || addresses[0];
+    onSelect(defaultAddress ? defaultAddress._id : NEW_ADDRESS);
+  }, [addresses, hasLoaded, selectedAddressId, onSelect]);
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Delete the address "${address.label}"?`)) return;
+    try {
+      await dispatch(deleteAddress(address._id)).unwrap();
+      if (selectedAddressId === address._id) onSelect(null); // Re-pick the default
+      toast.info('Address deleted.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleFieldChange = (e) => {
+    onNewAddressChange({ ...newAddress, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Saved addresses */}
+      {addresses.map((address) => (
+        <label
+          key={address._id}
+          className={`flex items-start p-4 rounded-md border cursor-pointer transition-colors duration-200
+                      ${selectedAddressId === address._id
+                        ? 'border-kashmir-green bg-green-50 dark:bg-gray-700 dark:border-kashmir-gold'
+                        : 'border-gray-300 dark:border-gray-600'}`}
+        >
+          <input
+            type="radio"
+            name="shippingAddress"
+            value={address._id}
+            checked={selectedAddressId === address._id}
+            onChange={() => onSelect(address._id)}
+            className="mt-1 mr-3 form-radio text-kashmir-green"
+          />
+          <div className="flex-grow text-gray-700 dark:text-gray-200">
+            <p className="font-semibold">
+              <Home className="inline-block w-4 h-4 mr-1 text-kashmir-gold" />
+              {address.label}
+              {address.isDefault && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-kashmir-green text-kashmir-light">Default</span>
+              )}
+            </p>
+            <p className="text-sm">{address.recipient}, {address.phone}</p>
+            <p className="text-sm">
+              {address.addressLine}, {address.city ? `${address.city}, ` : ''}{address.district} - {address.pinCode}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={(e) => { e.preventDefault(); handleDelete(address); }}
+            className="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-600 ml-2"
+            aria-label={`Delete address ${address.label}`}
+          >
+            <Trash2 className="w-5 h-5" />
+          </button>
+        </label>
+      ))}
+
+      {/* New address */}
+      <label className="flex items-center cursor-pointer text-gray-700 dark:text-gray-200">
+        <input
+          type="radio"
+          name="shippingAddress"
+          value={NEW_ADDRESS}
+          checked={selectedAddressId === NEW_ADDRESS}
+          onChange={() => onSelect(NEW_ADDRESS)}
+          className="mr-3 form-radio text-kashmir-green"
+        />
+        {addresses.length > 0 ? 'Deliver to a new address' : 'Enter your delivery address'}
+      </label>
+
+      {selectedAddressId === NEW_ADDRESS && (
+        <div className="space-y-4 pl-0 sm:pl-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="recipient" className={labelClassName}>
+                <User className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Recipient
+              </label>
+              <input type="text" id="recipient" name="recipient" value={newAddress.recipient} onChange={handleFieldChange} className={inputClassName} required />
+            </div>
+            <div>
+              <label htmlFor="phone" className={labelClassName}>
+                <Phone className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Phone
+              </label>
+              <input type="tel" id="phone" name="phone" value={newAddress.phone} onChange={handleFieldChange} className={inputClassName} required />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="addressLine" className={labelClassName}>
+              <MapPin className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Address (house, street, locality)
+            </label>
+            <input type="text" id="addressLine" name="addressLine" value={newAddress.addressLine} onChange={handleFieldChange} className={inputClassName} required />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="city" className={labelClassName}>
+                <Building className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> City / Town
+              </label>
+              <input type="text" id="city" name="city" value={newAddress.city} onChange={handleFieldChange} className={inputClassName} />
+            </div>
+            <div>
+              <label htmlFor="district" className={labelClassName}>
+                <Building className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> District
+              </label>
+              <input type="text" id="district" name="district" value={newAddress.district} onChange={handleFieldChange} className={inputClassName} required />
+            </div>
+            <div>
+              <label htmlFor="pinCode" className={labelClassName}>
+                <Mail className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> PIN Code
+              </label>
+              <input type="text" id="pinCode" name="pinCode" value={newAddress.pinCode} onChange={handleFieldChange} className={inputClassName} maxLength={6} required />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="state" className={labelClassName}>State</label>
+              <input type="text" id="state" name="state" value={newAddress.state} onChange={handleFieldChange} className={inputClassName} />
+            </div>
+            <div>
+              <label htmlFor="label" className={labelClassName}>Label (e.g., Home, Work)</label>
+              <input type="text" id="label" name="label" value={newAddress.label} onChange={handleFieldChange} className={inputClassName} maxLength={30} />
+            </div>
+          </div>
+          <label className="flex items-center text-gray-700 dark:text-gray-200">
+            <input
+              type="checkbox"
+              checked={saveNewAddress}
+              onChange={(e) => onSaveNewAddressChange(e.target.checked)}
+              className="mr-2"
+            />
+            Save this address to my address book
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddressSelector;
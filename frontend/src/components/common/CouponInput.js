@@ -0,0 +1,89 @@
+// src/components/common/CouponInput.js
+// This component lets the user apply or remove a coupon code for the current cart.
+// The code is validated by the backend; the result is kept in the coupon slice.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { Tag, X } from 'lucide-react'; // Icons for the coupon field
+import { validateCoupon, removeCoupon } from '../../features/coupons/couponSlice';
+
+/**
+ * Renders a coupon code field with Apply/Remove actions.
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.cartItems - Cart items ({ medicine, quantity }) to validate the coupon against.
+ */
+function CouponInput({ cartItems }) {
+  const dispatch = useDispatch();
+  const { appliedCoupon, isLoading, error } = useSelector((state) => state.coupons);
+  const [code, setCode] = useState('');
+
+  // Validate the entered code against the cart
+  const handleApply = async () => {
+    if (!code.trim()) {
+      toast.error('Please enter a coupon code.');
+      return;
+    }
+    const resultAction = await dispatch(validateCoupon({
+      code: code.trim(),
+      orderItems: cartItems.map(item => ({ medicine: item.medicine, quantity: item.quantity })),
+    }));
+    if (validateCoupon.fulfilled.match(resultAction)) {
+      toast.success(`Coupon ${resultAction.payload.data.coupon.code} applied!`);
+      setCode('');
+    }
+  };
+
+  if (appliedCoupon) {
+    return (
+      <div className="flex items-center justify-between bg-green-50 border border-green-300 rounded-md px-3 py-2 mb-4
+                      dark:bg-green-900 dark:border-green-700">
+        <div>
+          <p className="font-semibold text-green-800 dark:text-green-200">
+            <Tag className="inline-block w-4 h-4 mr-1" /> {appliedCoupon.code}
+          </p>
+          {appliedCoupon.description && (
+            <p className="text-xs text-green-700 dark:text-green-300">{appliedCoupon.description}</p>
+          )}
+        </div>
+        <button
+          onClick={() => dispatch(removeCoupon())}
+          className="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-600"
+          aria-label="Remove coupon"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          placeholder="Coupon code"
+          className="flex-grow min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green
+                     dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+        />
+        <button
+          onClick={handleApply}
+          disabled={isLoading}
+          className={`py-2 px-4 rounded-md font-semibold transition duration-300
+                     ${isLoading
+                       ? 'bg-gray-400 cursor-not-allowed'
+                       : 'bg-kashmir-green text-kashmir-light hover:bg-kashmir-gold hover:text-kashmir-dark-blue dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light'}`}
+        >
+          {isLoading ? 'Applying...' : 'Apply'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 dark:text-red-400 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default CouponInput;
@@ -0,0 +1,77 @@
+// src/components/common/DeliveryCheck.js
+// This component lets a customer check whether we deliver to their PIN code,
+// and shows the shipping fee and estimated delivery time there.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Truck } from 'lucide-react'; // Delivery icon
+import { checkDelivery } from '../../features/delivery/deliverySlice';
+
+function DeliveryCheck() {
+  const dispatch = useDispatch();
+  const { check, isLoading, error } = useSelector((state) => state.delivery);
+  const [pinCode, setPinCode] = useState(check?.pinCode || ''); // Remember the last checked PIN code
+
+  const handleCheck = (e) => {
+    e.preventDefault();
+    if (pinCode.trim()) {
+      dispatch(checkDelivery(pinCode.trim()));
+    }
+  };
+
+  const zone = check?.zone;
+
+  return (
+    <div className="mt-6 p-4 border border-gray-200 rounded-md dark:border-gray-600">
+      <form onSubmit={handleCheck} className="flex items-center gap-2">
+        <label htmlFor="deliveryPinCode" className="text-gray-700 dark:text-gray-200 font-semibold flex-shrink-0">
+          <Truck className="inline-block w-5 h-5 mr-1 text-kashmir-gold" /> Deliver to
+        </label>
+        <input
+          type="text"
+          id="deliveryPinCode"
+          value={pinCode}
+          onChange={(e) => setPinCode(e.target.value)}
+          placeholder="PIN code"
+          maxLength={6}
+          className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:ring-kashmir-green focus:border-kashmir-green
+                     bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+        />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          {isLoading ? 'Checking...' : 'Check'}
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      {check && !check.serviceable && (
+        <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+          Sorry, we do not deliver to {check.pinCode} yet.
+        </p>
+      )}
+      {zone && (
+        <div className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+          <p>
+            Delivery to {check.pinCode} ({zone.name}) in about {zone.estimatedDeliveryDays}{' '}
+            {zone.estimatedDeliveryDays === 1 ? 'day' : 'days'}.
+          </p>
+          <p>
+            Shipping: {zone.shippingFee === 0 ? 'Free' : `₹${zone.shippingFee.toFixed(2)}`}
+            {zone.shippingFee > 0 && zone.freeShippingThreshold !== null && (
+              <> (free on orders above ₹{zone.freeShippingThreshold.toFixed(2)})</>
+            )}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliveryCheck;
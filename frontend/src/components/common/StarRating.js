@@ -0,0 +1,45 @@
+// src/components/common/StarRating.js
+// This component shows a 1-5 star rating. With onChange it becomes an input for picking a rating.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React from 'react';
+import { Star } from 'lucide-react'; // Star icon
+
+/**
+ * Renders a row of five stars.
+ * @param {Object} props - Component props.
+ * @param {number} props.value - The rating (0-5; averages are rounded to the nearest star).
+ * @param {Function} [props.onChange] - Called with the picked rating; omit for a read-only rating.
+ * @param {string} [props.size] - Tailwind size classes of each star.
+ */
+function StarRating({ value, onChange, size = 'w-5 h-5' }) {
+  const filled = Math.round(value || 0);
+
+  return (
+    <span className="inline-flex items-center" aria-label={`Rated ${value || 0} out of 5`}>
+      {[1, 2, 3, 4, 5].map(star => {
+        const icon = (
+          <Star
+            className={`${size} ${star <= filled ? 'fill-kashmir-gold text-kashmir-gold' : 'text-gray-300 dark:text-gray-500'}`}
+          />
+        );
+        return onChange ? (
+          <button
+            type="button"
+            key={star}
+            onClick={() => onChange(star)}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+            className="p-0.5 hover:scale-110 transition-transform"
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </span>
+  );
+}
+
+export default StarRating;
@@ -0,0 +1,172 @@
+// src/components/doctors/DoctorScheduleEditor.js
+// This component lets an admin or the doctor themselves edit the doctor's weekly schedule on the
+// doctor detail page: time windows per weekday with a slot length, online or at the clinic.
+// Patients can then book the free slots these windows generate.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-toastify';
+import { CalendarClock, Plus, Trash2 } from 'lucide-react'; // Schedule icons
+import { WEEKDAYS, updateDoctorSchedule } from '../../features/doctors/doctorSlice';
+
+const EMPTY_ENTRY = { weekday: 1, startTime: '09:00', endTime: '13:00', slotMinutes: 30, locationType: 'clinic' };
+
+/**
+ * Renders the weekly schedule editor of a doctor.
+ * @param {Object} props - Component props.
+ * @param {Object} props.doctor - The doctor being viewed.
+ * @param {Object} props.user - The authenticated user.
+ */
+function DoctorScheduleEditor({ doctor, user }) {
+  const dispatch = useDispatch();
+  const [isEditing, setIsEditing] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canEdit = user?.role === 'admin' || (user?.role === 'doctor' && doctor.user === user?.id);
+  if (!canEdit) {
+    return null;
+  }
+
+  const startEditing = () => {
+    setEntries((doctor.schedule || []).map(entry => ({ ...entry })));
+    setIsEditing(true);
+  };
+
+  const updateEntry = (index, field, value) => {
+    setEntries(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const schedule = entries.map(entry => ({ ...entry, weekday: Number(entry.weekday), slotMinutes: Number(entry.slotMinutes) }));
+      await dispatch(updateDoctorSchedule({ doctorId: doctor._id, schedule })).unwrap();
+      toast.success('Schedule saved.');
+      setIsEditing(false);
+    } catch (err) {
+      toast.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = `px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900
+                      dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500`;
+
+  return (
+    <div className="mt-8 border-t pt-6 border-gray-200 dark:border-gray-600">
+      <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-4 flex items-center">
+        <CalendarClock className="w-6 h-6 mr-2 text-kashmir-gold" />
+        Manage weekly schedule
+      </h3>
+
+      {!isEditing ? (
+        <button
+          onClick={startEditing}
+          className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          Edit schedule
+        </button>
+      ) : (
+        <form onSubmit={handleSave} className="space-y-3">
+          {entries.length === 0 && (
+            <p className="text-gray-600 dark:text-gray-300">No time windows yet; patients can not book appointments.</p>
+          )}
+          {entries.map((entry, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 p-3 bg-gray-100 dark:bg-gray-800 rounded-lg">
+              <select
+                value={entry.weekday}
+                onChange={(e) => updateEntry(index, 'weekday', Number(e.target.value))}
+                className={inputClass}
+                aria-label="Weekday"
+              >
+                {WEEKDAYS.map((day, dayIndex) => (
+                  <option key={day} value={dayIndex}>{day}</option>
+                ))}
+              </select>
+              <input
+                type="time"
+                value={entry.startTime}
+                onChange={(e) => updateEntry(index, 'startTime', e.target.value)}
+                className={inputClass}
+                aria-label="Start time"
+                required
+              />
+              <span className="text-gray-600 dark:text-gray-300">to</span>
+              <input
+                type="time"
+                value={entry.endTime}
+                onChange={(e) => updateEntry(index, 'endTime', e.target.value)}
+                className={inputClass}
+                aria-label="End time"
+                required
+              />
+              <input
+                type="number"
+                min="5"
+                max="240"
+                value={entry.slotMinutes}
+                onChange={(e) => updateEntry(index, 'slotMinutes', e.target.value)}
+                className={`${inputClass} w-20`}
+                aria-label="Slot length in minutes"
+                required
+              />
+              <span className="text-gray-600 dark:text-gray-300">min slots</span>
+              <select
+                value={entry.locationType}
+                onChange={(e) => updateEntry(index, 'locationType', e.target.value)}
+                className={inputClass}
+                aria-label="Location"
+              >
+                <option value="clinic">At the clinic</option>
+                <option value="online">Online</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => setEntries(entries.filter((_, i) => i !== index))}
+                aria-label="Remove time window"
+                className="text-red-600 hover:text-red-800 dark:text-red-400"
+              >
+                <Trash2 className="w-5 h-5" />
+              </button>
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="button"
+              onClick={() => setEntries([...entries, { ...EMPTY_ENTRY }])}
+              className="py-2 px-4 border border-kashmir-green text-kashmir-green rounded-md font-semibold flex items-center
+                         hover:bg-kashmir-green hover:text-kashmir-light dark:border-kashmir-gold dark:text-kashmir-gold"
+            >
+              <Plus className="w-4 h-4 mr-1" /> Add time window
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold disabled:opacity-50
+                         hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                         dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+            >
+              {isSaving ? 'Saving...' : 'Save schedule'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="py-2 px-4 border border-gray-300 rounded-md text-gray-700 dark:text-gray-200 dark:border-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DoctorScheduleEditor;
@@ -0,0 +1,240 @@
+// src/components/labs/LabTestCatalogue.js
+// This component shows the test catalogue of a lab on its detail page: each test with its price,
+// sample type, turnaround time and preparation. Admins and the lab's own staff can add, edit
+// and delete tests here.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { ClipboardList, Pencil, Plus, Trash2 } from 'lucide-react'; // Catalogue icons
+import {
+  fetchLabTests,
+  addLabTest,
+  updateLabTest,
+  deleteLabTest,
+  clearLabTests,
+} from '../../features/labTests/labTestSlice';
+
+const EMPTY_FORM = { name: '', code: '', price: '', sampleType: '', turnaroundHours: '', preparation: '' };
+
+/**
+ * Renders the test catalogue of a lab.
+ * @param {Object} props - Component props.
+ * @param {Object} props.lab - The lab being viewed.
+ * @param {Object} props.user - The authenticated user (null when logged out).
+ */
+function LabTestCatalogue({ lab, user }) {
+  const dispatch = useDispatch();
+  const { labTests, isLoading, error } = useSelector((state) => state.labTests);
+
+  const [editingId, setEditingId] = useState(null); // Test being edited, or 'new'
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchLabTests(lab._id));
+    return () => {
+      dispatch(clearLabTests());
+    };
+  }, [dispatch, lab._id]);
+
+  const canManage = user?.role === 'admin' || (user?.role === 'lab_staff' && lab.user === user?.id);
+
+  const startEditing = (test) => {
+    setForm(test
+      ? {
+        name: test.name,
+        code: test.code,
+        price: test.price,
+        sampleType: test.sampleType || '',
+        turnaroundHours: test.turnaroundHours ?? '',
+        preparation: test.preparation || '',
+      }
+      : EMPTY_FORM);
+    setEditingId(test ? test._id : 'new');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const testData = {
+      name: form.name.trim(),
+      code: form.code.trim(),
+      price: Number(form.price),
+      sampleType: form.sampleType.trim(),
+      turnaroundHours: form.turnaroundHours === '' ? undefined : Number(form.turnaroundHours),
+      preparation: form.preparation.trim(),
+    };
+    setIsSaving(true);
+    try {
+      if (editingId === 'new') {
+        await dispatch(addLabTest({ labId: lab._id, testData })).unwrap();
+        toast.success('Test added.');
+      } else {
+        await dispatch(updateLabTest({ id: editingId, testData })).unwrap();
+        toast.success('Test updated.');
+      }
+      setEditingId(null);
+    } catch (err) {
+      toast.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (test) => {
+    if (!window.confirm(`Remove ${test.name} from the catalogue?`)) return;
+    try {
+      await dispatch(deleteLabTest(test._id)).unwrap();
+      toast.success('Test removed.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-900
+                      dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500`;
+
+  return (
+    <section className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-600 w-full text-left">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h3 className="text-2xl font-bold text-kashmir-dark-blue dark:text-kashmir-light flex items-center">
+          <ClipboardList className="w-6 h-6 mr-2 text-kashmir-green dark:text-kashmir-gold" />
+          Test catalogue
+        </h3>
+        {canManage && editingId === null && (
+          <button
+            onClick={() => startEditing(null)}
+            className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold flex items-center
+                       hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                       dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+          >
+            <Plus className="w-4 h-4 mr-1" /> Add test
+          </button>
+        )}
+      </div>
+
+      {canManage && editingId !== null && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="text"
+            placeholder="Test name"
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Code (e.g., CBC)"
+            maxLength={20}
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="number"
+            placeholder="Price (₹)"
+            min="0"
+            step="0.01"
+            value={form.price}
+            onChange={(e) => setForm({ ...form, price: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Sample type (e.g., Blood)"
+            maxLength={50}
+            value={form.sampleType}
+            onChange={(e) => setForm({ ...form, sampleType: e.target.value })}
+            className={inputClass}
+          />
+          <input
+            type="number"
+            placeholder="Report ready in (hours)"
+            min="0"
+            value={form.turnaroundHours}
+            onChange={(e) => setForm({ ...form, turnaroundHours: e.target.value })}
+            className={inputClass}
+          />
+          <textarea
+            placeholder="Preparation (e.g., Fast for 10-12 hours)"
+            maxLength={500}
+            rows={2}
+            value={form.preparation}
+            onChange={(e) => setForm({ ...form, preparation: e.target.value })}
+            className={`${inputClass} sm:col-span-2`}
+          />
+          <div className="flex gap-3 sm:col-span-2">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold disabled:opacity-50
+                         hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                         dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+            >
+              {isSaving ? 'Saving...' : editingId === 'new' ? 'Add test' : 'Save test'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="py-2 px-4 border border-gray-300 rounded-md text-gray-700 dark:text-gray-200 dark:border-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600 dark:text-gray-300">Loading tests...</p>
+      ) : error ? (
+        <p className="text-red-600 dark:text-red-400">{error}</p>
+      ) : labTests.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-300">This lab has not listed its tests yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {labTests.map(test => (
+            <li key={test._id} className="p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-sm">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <p className="font-semibold text-gray-800 dark:text-gray-100">
+                    {test.name} <span className="text-sm text-gray-500 dark:text-gray-400">({test.code})</span>
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    {test.sampleType ? `Sample: ${test.sampleType}` : 'No sample needed'}
+                    {test.turnaroundHours !== undefined && test.turnaroundHours !== null && ` · Report in ${test.turnaroundHours} hours`}
+                  </p>
+                  {test.preparation && (
+                    <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">Preparation: {test.preparation}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="font-semibold text-kashmir-dark-blue dark:text-kashmir-light whitespace-nowrap">
+                    ₹{test.price.toFixed(2)}
+                  </span>
+                  {canManage && (
+                    <>
+                      <button onClick={() => startEditing(test)} aria-label={`Edit ${test.name}`} className="text-gray-500 hover:text-kashmir-gold">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleDelete(test)} aria-label={`Delete ${test.name}`} className="text-gray-500 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default LabTestCatalogue;
@@ -316,6 +316,20 @@ function Header() {
                       Profile
                     </Link>
                   </li>
+                  {user && (user.role === 'pharmacist' || user.role === 'admin') && (
+                    <li>
+                      <Link href="/pharmacist/prescriptions" className="block py-1 hover:text-kashmir-gold transition duration-300">
+                        Prescriptions
+                      </Link>
+                    </li>
+                  )}
+                  {user && (user.role === 'delivery_agent' || user.role === 'admin') && (
+                    <li>
+                      <Link href="/deliveries" className="block py-1 hover:text-kashmir-gold transition duration-300">
+                        Deliveries
+                      </Link>
+                    </li>
+                  )}
                   <li>
                     <button
                       onClick={handleLogout}
@@ -385,6 +399,20 @@ function Header() {
                   Profile
                 </Link>
               </li>
+              {user && (user.role === 'pharmacist' || user.role === 'admin') && (
+                <li>
+                  <Link href="/pharmacist/prescriptions" className="block py-1 hover:text-kashmir-gold transition duration-300" onClick={closeMobileMenu}>
+                    Prescriptions
+                  </Link>
+                </li>
+              )}
+              {user && (user.role === 'delivery_agent' || user.role === 'admin') && (
+                <li>
+                  <Link href="/deliveries" className="block py-1 hover:text-kashmir-gold transition duration-300" onClick={closeMobileMenu}>
+                    Deliveries
+                  </Link>
+                </li>
+              )}
               {user && (user.role === 'admin' || user.role === 'doctor' || user.role === 'lab_staff') && (
                 <li>
                   <Link href="/dashboard" className="block py-1 hover:text-kashmir-gold transition duration-300" onClick={closeMobileMenu}>
@@ -0,0 +1,113 @@
+// src/components/medicines/MedicineGallery.js
+// This component shows a medicine's image gallery on its detail page: the selected image with
+// previous/next controls and a strip of thumbnails. The first image is the primary one.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import Image from 'next/image';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:5000/api/v1';
+const BACKEND_HOST_URL = API_BASE_URL.replace('/api/v1', '');
+
+const PLACEHOLDER_IMAGE = 'https://placehold.co/800x600/E0F2F7/000000?text=Medicine';
+
+/**
+ * Resolves an image URL for display: absolute URLs (Cloudinary, placeholders) are used as they are,
+ * relative paths are served by the backend.
+ * @param {string} url - The stored image URL.
+ * @returns {string} The URL to load.
+ */
+export const resolveImageUrl = (url) => (
+  url.startsWith('http://') || url.startsWith('https://') ? url : `${BACKEND_HOST_URL}${url}`
+);
+
+/**
+ * Renders the image gallery of a medicine.
+ * @param {Object} props - Component props.
+ * @param {Object} props.medicine - The medicine being viewed.
+ */
+function MedicineGallery({ medicine }) {
+  const images = (Array.isArray(medicine.imageUrl) ? medicine.imageUrl : [medicine.imageUrl])
+    .filter(url => typeof url === 'string' && url.trim() !== '');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  // Show the primary image again whenever the gallery changes (e.g., after reordering)
+  const galleryKey = images.join('|');
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [galleryKey]);
+
+  const mainImage = images[selectedIndex] || images[0] || PLACEHOLDER_IMAGE;
+
+  const showPrevious = () => setSelectedIndex((selectedIndex - 1 + images.length) % images.length);
+  const showNext = () => setSelectedIndex((selectedIndex + 1) % images.length);
+
+  return (
+    <div className="flex flex-col items-center">
+      {/* Main Image Display */}
+      <div className="relative w-full h-96 mb-4 rounded-lg overflow-hidden shadow-lg border border-gray-200 dark:border-gray-600">
+        <Image
+          src={resolveImageUrl(mainImage)}
+          alt={medicine.name}
+          layout="fill"
+          objectFit="contain"
+          className="rounded-lg"
+        />
+        {images.length > 1 && (
+          <>
+            <button
+              type="button"
+              onClick={showPrevious}
+              aria-label="Previous image"
+              className="absolute left-2 top-1/2 -translate-y-1/2 p-1 rounded-full bg-white/80 text-kashmir-dark-blue shadow
+                         hover:bg-kashmir-gold dark:bg-gray-800/80 dark:text-kashmir-light"
+            >
+              <ChevronLeft className="w-6 h-6" />
+            </button>
+            <button
+              type="button"
+              onClick={showNext}
+              aria-label="Next image"
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-full bg-white/80 text-kashmir-dark-blue shadow
+                         hover:bg-kashmir-gold dark:bg-gray-800/80 dark:text-kashmir-light"
+            >
+              <ChevronRight className="w-6 h-6" />
+            </button>
+            <span className="absolute bottom-2 right-2 text-xs px-2 py-1 rounded bg-black/50 text-white">
+              {selectedIndex + 1} / {images.length}
+            </span>
+          </>
+        )}
+      </div>
+
+      {/* Thumbnail Gallery */}
+      {images.length > 1 && (
+        <div className="flex flex-wrap justify-center gap-2 mt-4">
+          {images.map((imgUrl, index) => (
+            <button
+              type="button"
+              key={imgUrl}
+              onClick={() => setSelectedIndex(index)}
+              aria-label={`Show image ${index + 1}`}
+              className={`relative w-20 h-20 rounded-md overflow-hidden border-2
+                          ${index === selectedIndex ? 'border-kashmir-green' : 'border-transparent'}
+                          hover:border-kashmir-gold transition-all duration-200`}
+            >
+              <Image
+                src={resolveImageUrl(imgUrl)}
+                alt={`Thumbnail ${index + 1}`}
+                layout="fill"
+                objectFit="cover"
+                className="rounded-md"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MedicineGallery;
@@ -0,0 +1,174 @@
+// src/components/medicines/MedicineGalleryManager.js
+// This component lets admins (and the lab staff member who added the medicine) manage its image
+// gallery on the detail page: upload several images at once, remove an image, move images
+// left or right and pick the primary image shown in listings.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import Image from 'next/image';
+import { toast } from 'react-toastify';
+import { Images, ChevronLeft, ChevronRight, Star, Trash2 } from 'lucide-react'; // Gallery icons
+import {
+  addMedicineImages,
+  reorderMedicineImages,
+  setPrimaryMedicineImage,
+  deleteMedicineImage,
+} from '../../features/medicines/medicineSlice';
+import { resolveImageUrl } from './MedicineGallery';
+
+/**
+ * Renders the image gallery management panel of a medicine.
+ * @param {Object} props - Component props.
+ * @param {Object} props.medicine - The medicine being viewed.
+ * @param {Object} props.user - The authenticated user.
+ */
+function MedicineGalleryManager({ medicine, user }) {
+  const dispatch = useDispatch();
+  const [files, setFiles] = useState([]);
+  const [fileInputKey, setFileInputKey] = useState(0); // Changed to clear the file input after an upload
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canManage = user?.role === 'admin' || (user?.role === 'lab_staff' && medicine.user === user?.id);
+  if (!canManage) {
+    return null;
+  }
+
+  // The placeholder is replaced by the first upload, so it can not be managed itself
+  const images = (medicine.imageUrl || []).filter(url => !url.includes('placehold.co'));
+
+  // Run a gallery change, showing its outcome
+  const runChange = async (action, successMessage) => {
+    setIsSaving(true);
+    try {
+      await dispatch(action).unwrap();
+      toast.success(successMessage);
+      return true;
+    } catch (err) {
+      toast.error(err);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (files.length === 0) return;
+    const uploaded = await runChange(
+      addMedicineImages({ id: medicine._id, images: files }),
+      `${files.length} image${files.length === 1 ? '' : 's'} added.`
+    );
+    if (uploaded) {
+      setFiles([]);
+      setFileInputKey(fileInputKey + 1);
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const reordered = [...images];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    runChange(reorderMedicineImages({ id: medicine._id, images: reordered }), 'Images reordered.');
+  };
+
+  const handleMakePrimary = (url) => {
+    runChange(setPrimaryMedicineImage({ id: medicine._id, url }), 'Primary image updated.');
+  };
+
+  const handleRemove = (url) => {
+    if (!window.confirm('Remove this image? It will be deleted permanently.')) return;
+    runChange(deleteMedicineImage({ id: medicine._id, url }), 'Image removed.');
+  };
+
+  return (
+    <section className="mt-8 border-t pt-6 border-gray-200 dark:border-gray-600">
+      <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-2 flex items-center">
+        <Images className="w-6 h-6 mr-2 text-kashmir-gold" />
+        Manage images
+      </h3>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        The first image is the primary image shown in listings.
+      </p>
+
+      {images.length > 0 ? (
+        <div className="flex flex-wrap gap-4 mb-4">
+          {images.map((url, index) => (
+            <div key={url} className="w-36 bg-gray-100 dark:bg-gray-800 p-2 rounded-lg shadow-sm">
+              <div className="relative w-32 h-32 rounded-md overflow-hidden">
+                <Image src={resolveImageUrl(url)} alt={`Image ${index + 1}`} layout="fill" objectFit="cover" />
+                {index === 0 && (
+                  <span className="absolute top-1 left-1 text-xs font-semibold px-2 py-0.5 rounded bg-kashmir-green text-kashmir-light">
+                    Primary
+                  </span>
+                )}
+              </div>
+              <div className="flex justify-between mt-2 text-kashmir-dark-blue dark:text-kashmir-light">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={isSaving || index === 0}
+                  aria-label="Move left"
+                  className="disabled:opacity-30 hover:text-kashmir-gold"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMakePrimary(url)}
+                  disabled={isSaving || index === 0}
+                  aria-label="Make primary"
+                  className="disabled:opacity-30 hover:text-kashmir-gold"
+                >
+                  <Star className="w-5 h-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(url)}
+                  disabled={isSaving}
+                  aria-label="Remove image"
+                  className="disabled:opacity-30 text-red-600 hover:text-red-800 dark:text-red-400"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={isSaving || index === images.length - 1}
+                  aria-label="Move right"
+                  className="disabled:opacity-30 hover:text-kashmir-gold"
+                >
+                  <ChevronRight className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-600 dark:text-gray-300 mb-4">No images yet; a placeholder is shown.</p>
+      )}
+
+      <form onSubmit={handleUpload} className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <input
+          key={fileInputKey}
+          type="file"
+          accept="image/jpeg,image/png,image/gif"
+          multiple
+          onChange={(e) => setFiles(Array.from(e.target.files))}
+          className="text-sm text-gray-700 dark:text-gray-200"
+        />
+        <button
+          type="submit"
+          disabled={isSaving || files.length === 0}
+          className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          {isSaving ? 'Saving...' : 'Upload images'}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default MedicineGalleryManager;
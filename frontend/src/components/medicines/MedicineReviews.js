@@ -0,0 +1,233 @@
+// src/components/medicines/MedicineReviews.js
+// This component shows the customer reviews of a medicine on its detail page, with the average
+// rating. Customers who received the medicine in a delivered order can write one review and
+// edit or delete it later; admins can delete any review.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { MessageSquare, Pencil, Trash2 } from 'lucide-react'; // Review icons
+import StarRating from '../common/StarRating';
+import {
+  REVIEW_SORTS,
+  fetchReviews,
+  fetchMyReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  clearReviews,
+} from '../../features/reviews/reviewSlice';
+
+/**
+ * Renders the reviews section of a medicine.
+ * @param {Object} props - Component props.
+ * @param {Object} props.medicine - The medicine being viewed.
+ * @param {Object} props.user - The authenticated user (null when logged out).
+ */
+function MedicineReviews({ medicine, user }) {
+  const dispatch = useDispatch();
+  const { reviews, myReview, canReview, rating, isLoading } = useSelector((state) => state.reviews);
+
+  const [sort, setSort] = useState(REVIEW_SORTS[0].value);
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({ rating: 0, title: '', comment: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchReviews({ medicineId: medicine._id, sort }));
+  }, [dispatch, medicine._id, sort]);
+
+  const userId = user?.id;
+  useEffect(() => {
+    if (userId) {
+      dispatch(fetchMyReview(medicine._id));
+    }
+  }, [dispatch, medicine._id, userId]);
+
+  // Reset when leaving the medicine
+  useEffect(() => () => {
+    dispatch(clearReviews());
+  }, [dispatch, medicine._id]);
+
+  // The rating changes with the user's own review; until then use the medicine's
+  const averageRating = rating ? rating.averageRating : medicine.averageRating || 0;
+  const numOfReviews = rating ? rating.numOfReviews : medicine.numOfReviews || 0;
+
+  const startEditing = () => {
+    setForm(myReview
+      ? { rating: myReview.rating, title: myReview.title || '', comment: myReview.comment || '' }
+      : { rating: 0, title: '', comment: '' });
+    setIsEditing(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.rating < 1) {
+      toast.error('Please pick a rating.');
+      return;
+    }
+    const reviewData = { rating: form.rating, title: form.title.trim(), comment: form.comment.trim() };
+    setIsSaving(true);
+    try {
+      if (myReview) {
+        await dispatch(updateReview({ id: myReview._id, reviewData })).unwrap();
+        toast.success('Your review has been updated.');
+      } else {
+        await dispatch(createReview({ medicineId: medicine._id, reviewData })).unwrap();
+        toast.success('Thank you for your review!');
+        dispatch(fetchReviews({ medicineId: medicine._id, sort })); // Show it in the list
+      }
+      setIsEditing(false);
+    } catch (err) {
+      toast.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (reviewId) => {
+    if (!window.confirm('Delete this review?')) return;
+    try {
+      await dispatch(deleteReview(reviewId)).unwrap();
+      toast.success('Review deleted.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  return (
+    <section className="mt-8 border-t pt-6 border-gray-200 dark:border-gray-600">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light flex items-center">
+            <MessageSquare className="w-6 h-6 mr-2 text-kashmir-gold" />
+            Customer reviews
+          </h3>
+          <p className="flex items-center gap-2 mt-1 text-gray-700 dark:text-gray-300">
+            <StarRating value={averageRating} />
+            {numOfReviews > 0
+              ? <span>{averageRating.toFixed(1)} out of 5 ({numOfReviews} review{numOfReviews === 1 ? '' : 's'})</span>
+              : <span>No reviews yet</span>}
+          </p>
+        </div>
+        {reviews.length > 1 && (
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-900
+                       dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+            aria-label="Sort reviews"
+          >
+            {REVIEW_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Write or edit the user's own review */}
+      {user && (canReview || myReview) && !isEditing && (
+        <button
+          onClick={startEditing}
+          className="mb-4 py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          {myReview ? 'Edit your review' : 'Write a review'}
+        </button>
+      )}
+      {isEditing && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-3">
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-gray-700 dark:text-gray-200">Your rating:</span>
+            <StarRating value={form.rating} onChange={(value) => setForm({ ...form, rating: value })} size="w-7 h-7" />
+          </div>
+          <input
+            type="text"
+            placeholder="Title (optional)"
+            maxLength={100}
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            className="w-full px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-900
+                       dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+          />
+          <textarea
+            placeholder="How did this medicine work for you? (optional)"
+            maxLength={1000}
+            rows={4}
+            value={form.comment}
+            onChange={(e) => setForm({ ...form, comment: e.target.value })}
+            className="w-full px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-900
+                       dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold disabled:opacity-50
+                         hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                         dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+            >
+              {isSaving ? 'Saving...' : myReview ? 'Update review' : 'Submit review'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="py-2 px-4 border border-gray-300 rounded-md text-gray-700 dark:text-gray-200 dark:border-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Review list */}
+      {isLoading && reviews.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-300">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-300">Be the first to review {medicine.name} after your order is delivered.</p>
+      ) : (
+        <ul className="space-y-4">
+          {reviews.map(review => {
+            const isAuthor = user && review.user?._id === user.id;
+            return (
+              <li key={review._id} className="p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-sm">
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <StarRating value={review.rating} size="w-4 h-4" />
+                    {review.title && (
+                      <p className="font-semibold text-gray-800 dark:text-gray-100 mt-1">{review.title}</p>
+                    )}
+                  </div>
+                  <div className="flex gap-2 text-gray-500 dark:text-gray-400">
+                    {isAuthor && (
+                      <button onClick={startEditing} aria-label="Edit review" className="hover:text-kashmir-gold">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    )}
+                    {(isAuthor || user?.role === 'admin') && (
+                      <button onClick={() => handleDelete(review._id)} aria-label="Delete review" className="hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {review.comment && (
+                  <p className="mt-2 text-gray-700 dark:text-gray-300 whitespace-pre-line">{review.comment}</p>
+                )}
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {review.user?.name || 'Customer'} · Verified purchase · {new Date(review.createdAt).toLocaleDateString()}
+                  {review.updatedAt ? ' (edited)' : ''}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default MedicineReviews;
@@ -0,0 +1,136 @@
+// src/components/medicines/MedicineSubstitutes.js
+// This component shows generic substitutes of a medicine on its detail page: in-stock medicines
+// with the same active ingredients, strengths and dosage form. Normally only the cheaper ones are
+// shown ("Cheaper alternatives"); when the medicine is out of stock every substitute is offered.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Link from 'next/link';
+import { toast } from 'react-toastify';
+import { Repeat } from 'lucide-react'; // Substitutes icon
+import { fetchSubstitutes } from '../../features/medicines/medicineSlice';
+import { addItemToCart } from '../../features/cart/cartSlice';
+
+/**
+ * Formats a composition as e.g. "Metformin 500 mg + Glimepiride 1 mg".
+ * @param {Object} composition - The medicine's composition.
+ * @returns {string} The active ingredients and their strengths.
+ */
+export const formatIngredients = (composition) => (
+  (composition?.activeIngredients || [])
+    .map(ingredient => `${ingredient.name} ${ingredient.strength} ${ingredient.unit}`)
+    .join(' + ')
+);
+
+/**
+ * Price per unit of a pack, or null if the pack size is unknown.
+ * @param {Object} medicine - A medicine with price and composition.packSize.
+ * @returns {number|null} The unit price.
+ */
+const getUnitPrice = (medicine) => (
+  medicine.composition?.packSize ? medicine.price / medicine.composition.packSize : null
+);
+
+/**
+ * Renders the substitutes of a medicine.
+ * @param {Object} props - Component props.
+ * @param {Object} props.medicine - The medicine being viewed.
+ */
+function MedicineSubstitutes({ medicine }) {
+  const dispatch = useDispatch();
+  const { substitutes } = useSelector((state) => state.medicines);
+  const hasComposition = (medicine.composition?.activeIngredients || []).length > 0;
+
+  useEffect(() => {
+    if (hasComposition) {
+      dispatch(fetchSubstitutes(medicine._id));
+    }
+  }, [dispatch, medicine._id, hasComposition]);
+
+  const isOutOfStock = medicine.stock === 0;
+  const unitPrice = getUnitPrice(medicine);
+
+  // Compare per unit when pack sizes are known (pack sizes may differ), otherwise per pack
+  const shown = isOutOfStock
+    ? substitutes
+    : substitutes.filter(substitute => {
+      const substituteUnitPrice = getUnitPrice(substitute);
+      return unitPrice !== null && substituteUnitPrice !== null
+        ? substituteUnitPrice < unitPrice
+        : substitute.price < medicine.price;
+    });
+
+  if (shown.length === 0) {
+    return null;
+  }
+
+  const handleAddToCart = (substitute) => {
+    dispatch(addItemToCart({
+      medicine: substitute._id,
+      name: substitute.name,
+      price: substitute.price,
+      imageUrl: substitute.imageUrl || 'https://placehold.co/50x50/E0F2F7/000000?text=Med',
+      quantity: 1,
+      stock: substitute.stock,
+    }))
+      .unwrap()
+      .then(() => toast.success(`${substitute.name} added to cart!`))
+      .catch((err) => toast.error(err));
+  };
+
+  return (
+    <section className="mt-8 border-t pt-6 border-gray-200 dark:border-gray-600">
+      <h3 className="text-2xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-2 flex items-center">
+        <Repeat className="w-6 h-6 mr-2 text-kashmir-gold" />
+        {isOutOfStock ? 'Available substitutes' : 'Cheaper alternatives'}
+      </h3>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        {isOutOfStock ? `${medicine.name} is out of stock. ` : ''}
+        These medicines contain the same {formatIngredients(medicine.composition)} ({medicine.composition.dosageForm}).
+        Please check with your doctor or pharmacist before switching.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {shown.map(substitute => {
+          const substituteUnitPrice = getUnitPrice(substitute);
+          const savings = !isOutOfStock && unitPrice !== null && substituteUnitPrice !== null
+            ? Math.round((1 - substituteUnitPrice / unitPrice) * 100)
+            : null;
+
+          return (
+            <div key={substitute._id} className="bg-gray-100 dark:bg-gray-800 p-4 rounded-lg shadow-sm flex flex-col">
+              <Link href={`/medicines/${substitute._id}`} className="font-semibold text-kashmir-dark-blue dark:text-kashmir-light hover:underline">
+                {substitute.name}
+              </Link>
+              {substitute.manufacturer && (
+                <p className="text-sm text-gray-600 dark:text-gray-300">{substitute.manufacturer}</p>
+              )}
+              <p className="mt-2 text-gray-800 dark:text-gray-100">
+                <span className="font-bold text-kashmir-green dark:text-kashmir-gold">₹{substitute.price.toFixed(2)}</span>
+                {substitute.composition?.packSize && (
+                  <span className="text-sm text-gray-600 dark:text-gray-300">
+                    {' '}for {substitute.composition.packSize} (₹{substituteUnitPrice.toFixed(2)} each)
+                  </span>
+                )}
+              </p>
+              {savings > 0 && (
+                <p className="text-sm font-semibold text-green-700 dark:text-green-300">Save {savings}%</p>
+              )}
+              <button
+                onClick={() => handleAddToCart(substitute)}
+                className="mt-3 self-start py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                           hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                           dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+              >
+                Add to Cart
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+export default MedicineSubstitutes;
@@ -0,0 +1,233 @@
+// src/components/orders/OrderDispatch.js
+// This component shows the delivery dispatch of a shipped or delivered order on the order detail page.
+// Admins assign the order to a delivery agent; the assigned agent marks it picked up and then
+// delivered (with an optional photo and/or the OTP the customer gives them); the customer sees
+// their agent and delivery OTP.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { Bike, KeyRound, Camera } from 'lucide-react'; // Icons for the dispatch section
+import {
+  fetchDeliveryStats,
+  assignDeliveryAgent,
+  markOrderPickedUp,
+  deliverOrder,
+} from '../../features/dispatch/dispatchSlice';
+
+/**
+ * Renders the dispatch section of an order.
+ * @param {Object} props - Component props.
+ * @param {Object} props.order - The order being viewed.
+ * @param {Object} props.user - The authenticated user.
+ * @param {Function} props.onChange - Called after the dispatch changes the order (e.g., to refetch it).
+ */
+function OrderDispatch({ order, user, onChange }) {
+  const dispatch = useDispatch();
+  const { agentStats, isLoading } = useSelector((state) => state.dispatch);
+
+  const isOwner = order.user?._id === user?.id;
+  const isAdmin = user?.role === 'admin';
+  const agent = order.dispatch?.agent;
+  const isAssignedAgent = user?.role === 'delivery_agent' && agent?._id === user?.id;
+  const isShipped = order.orderStatus === 'shipped';
+
+  // Admin: agent to assign; agent: proof of delivery
+  const [agentId, setAgentId] = useState('');
+  const [otp, setOtp] = useState('');
+  const [note, setNote] = useState('');
+  const [photo, setPhoto] = useState(null);
+
+  // Admins pick from the delivery agents listed in the stats
+  useEffect(() => {
+    if (isAdmin && isShipped) {
+      dispatch(fetchDeliveryStats());
+    }
+  }, [dispatch, isAdmin, isShipped]);
+
+  if (!isShipped && !agent) {
+    return null;
+  }
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    if (!agentId) return;
+    try {
+      await dispatch(assignDeliveryAgent({ orderId: order._id, agentId })).unwrap();
+      toast.success('Delivery agent assigned.');
+      setAgentId('');
+      if (onChange) onChange();
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handlePickup = async () => {
+    try {
+      await dispatch(markOrderPickedUp(order._id)).unwrap();
+      toast.success('Marked as picked up. The customer has been sent their delivery OTP.');
+      if (onChange) onChange();
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleDeliver = async (e) => {
+    e.preventDefault();
+    try {
+      await dispatch(deliverOrder({ orderId: order._id, otp: otp.trim(), note: note.trim(), photo })).unwrap();
+      toast.success('Order marked as delivered.');
+      if (onChange) onChange();
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const proof = order.dispatch?.proofOfDelivery;
+
+  return (
+    <div className="border-b pb-4 mb-4 border-gray-200 dark:border-gray-600">
+      <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3 flex items-center">
+        <Bike className="w-5 h-5 mr-2 text-kashmir-gold" /> Delivery Dispatch
+      </h3>
+
+      {agent ? (
+        <div className="text-gray-700 dark:text-gray-200 space-y-1">
+          <p>
+            Delivery agent: <span className="font-semibold">{agent.name}</span>
+            {agent.phone ? ` (${agent.phone})` : ''}
+          </p>
+          <p className="text-sm">
+            {order.dispatch.pickedUpAt
+              ? `Picked up on ${new Date(order.dispatch.pickedUpAt).toLocaleString()}`
+              : 'Awaiting pickup'}
+          </p>
+        </div>
+      ) : (
+        <p className="text-gray-700 dark:text-gray-200">Not yet assigned to a delivery agent.</p>
+      )}
+
+      {/* Customer: the OTP to give the agent at the door */}
+      {isOwner && isShipped && order.dispatch?.deliveryOtp && (
+        <p className="mt-3 p-3 rounded-md bg-green-50 text-gray-800 dark:bg-gray-800 dark:text-gray-100">
+          <KeyRound className="inline-block w-4 h-4 mr-1 text-kashmir-gold" />
+          Your delivery OTP: <span className="font-bold tracking-widest">{order.dispatch.deliveryOtp}</span>
+          <span className="block text-sm text-gray-600 dark:text-gray-400">Share it with the delivery agent only when you receive your order.</span>
+        </p>
+      )}
+
+      {/* Proof of delivery */}
+      {order.orderStatus === 'delivered' && proof && (proof.otpVerified || proof.photoUrl || proof.note) && (
+        <div className="mt-3 text-sm text-gray-700 dark:text-gray-200 space-y-1">
+          {proof.otpVerified && <p>Delivery confirmed with the customer&apos;s OTP.</p>}
+          {proof.photoUrl && (
+            <p>
+              <a href={proof.photoUrl} target="_blank" rel="noopener noreferrer" className="text-kashmir-green dark:text-kashmir-gold underline">
+                View delivery photo
+              </a>
+            </p>
+          )}
+          {proof.note && <p>Note: {proof.note}</p>}
+        </div>
+      )}
+
+      {/* Admin: assign or reassign the shipped order */}
+      {isAdmin && isShipped && (
+        <form onSubmit={handleAssign} className="mt-4 flex flex-col sm:flex-row gap-2">
+          <select
+            value={agentId}
+            onChange={(e) => setAgentId(e.target.value)}
+            className="flex-grow px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+          >
+            <option value="">Select a delivery agent</option>
+            {agentStats.map(({ agent: option, awaitingPickup, outForDelivery }) => (
+              <option key={option._id} value={option._id}>
+                {option.name} ({awaitingPickup + outForDelivery} active)
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={isLoading || !agentId}
+            className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                       hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                       dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+          >
+            {agent ? 'Reassign' : 'Assign'}
+          </button>
+        </form>
+      )}
+
+      {/* Assigned agent: pick up, then deliver */}
+      {isAssignedAgent && isShipped && !order.dispatch.pickedUpAt && (
+        <button
+          onClick={handlePickup}
+          disabled={isLoading}
+          className="mt-4 py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          Mark as Picked Up
+        </button>
+      )}
+      {isAssignedAgent && isShipped && order.dispatch.pickedUpAt && (
+        <form onSubmit={handleDeliver} className="mt-4 space-y-3">
+          <div>
+            <label htmlFor="deliveryOtp" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
+              <KeyRound className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Customer&apos;s OTP (optional)
+            </label>
+            <input
+              type="text"
+              id="deliveryOtp"
+              value={otp}
+              onChange={(e) => setOtp(e.target.value)}
+              maxLength={4}
+              inputMode="numeric"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="deliveryPhoto" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
+              <Camera className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Delivery photo (optional)
+            </label>
+            <input
+              type="file"
+              id="deliveryPhoto"
+              accept="image/jpeg,image/png,image/gif"
+              capture="environment"
+              onChange={(e) => setPhoto(e.target.files[0] || null)}
+              className="block text-sm text-gray-700 dark:text-gray-200"
+            />
+          </div>
+          <div>
+            <label htmlFor="deliveryNote" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">
+              Note (optional)
+            </label>
+            <input
+              type="text"
+              id="deliveryNote"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={200}
+              placeholder="e.g., Handed to a family member"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                       hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                       dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+          >
+            {isLoading ? 'Saving...' : 'Mark as Delivered'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default OrderDispatch;
@@ -0,0 +1,281 @@
+// src/components/orders/OrderReturns.js
+// This component shows the returns of a delivered order on the order detail page.
+// Customers can request a return (items, quantities and a reason) within the return window;
+// admins can approve or reject requests and settle manual (cash on delivery) refunds.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { RotateCcw } from 'lucide-react'; // Icon for returns
+import {
+  fetchReturnEligibility,
+  fetchReturnRequests,
+  createReturnRequest,
+  reviewReturnRequest,
+  completeManualRefund,
+  clearReturnState,
+} from '../../features/returns/returnSlice';
+
+// Reasons a customer can pick (must match the backend ReturnRequest model)
+const RETURN_REASONS = [
+  { value: 'damaged', label: 'Item arrived damaged' },
+  { value: 'wrong_item', label: 'Wrong item delivered' },
+  { value: 'expired', label: 'Item expired or close to expiry' },
+  { value: 'not_needed', label: 'No longer needed' },
+  { value: 'other', label: 'Other' },
+];
+
+// Tailwind classes for each return status
+const getReturnStatusColor = (status) => {
+  switch (status) {
+    case 'approved': return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+    case 'rejected': return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+    default: return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200';
+  }
+};
+
+/**
+ * Renders the returns section of an order.
+ * @param {Object} props - Component props.
+ * @param {Object} props.order - The order being viewed.
+ * @param {Object} props.user - The authenticated user.
+ * @param {Function} props.onChange - Called after a return changes the order (e.g., to refetch it).
+ */
+function OrderReturns({ order, user, onChange }) {
+  const dispatch = useDispatch();
+  const { returnRequests, eligibility, isLoading } = useSelector((state) => state.returns);
+
+  const isOwner = order.user?._id === user?.id;
+  const isAdmin = user?.role === 'admin';
+
+  // Return form state
+  const [showForm, setShowForm] = useState(false);
+  const [quantities, setQuantities] = useState({}); // orderItem ID -> quantity to return
+  const [reason, setReason] = useState('damaged');
+  const [comment, setComment] = useState('');
+
+  useEffect(() => {
+    if (order.orderStatus !== 'delivered') return;
+    dispatch(fetchReturnRequests({ order: order._id }));
+    dispatch(fetchReturnEligibility(order._id));
+
+    return () => {
+      dispatch(clearReturnState());
+    };
+  }, [dispatch, order._id, order.orderStatus]);
+
+  if (order.orderStatus !== 'delivered') {
+    return null;
+  }
+
+  // Refresh the returns, eligibility and order after any change
+  const refresh = () => {
+    dispatch(fetchReturnRequests({ order: order._id }));
+    dispatch(fetchReturnEligibility(order._id));
+    if (onChange) onChange();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItem, quantity]) => ({ orderItem, quantity }));
+
+    if (items.length === 0) {
+      toast.error('Please select at least one item to return.');
+      return;
+    }
+
+    try {
+      await dispatch(createReturnRequest({ orderId: order._id, items, reason, comment })).unwrap();
+      toast.success('Return requested. We will review it shortly.');
+      setShowForm(false);
+      setQuantities({});
+      setComment('');
+      refresh();
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleReview = async (id, decision) => {
+    try {
+      await dispatch(reviewReturnRequest({ id, decision })).unwrap();
+      toast.success(decision === 'approved' ? 'Return approved.' : 'Return rejected.');
+      refresh();
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleCompleteRefund = async (id) => {
+    const reference = window.prompt('Payout reference (e.g., bank transfer ID):');
+    if (!reference) return;
+    try {
+      await dispatch(completeManualRefund({ id, reference })).unwrap();
+      toast.success('Refund marked as paid.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4 mt-4 border-gray-200 dark:border-gray-600">
+      <h3 className="text-xl font-semibold text-kashmir-dark-blue dark:text-kashmir-light mb-3">
+        <RotateCcw className="inline-block w-5 h-5 mr-2 text-kashmir-gold" /> Returns
+      </h3>
+
+      {returnRequests.length === 0 && (
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">No returns for this order.</p>
+      )}
+
+      <ul className="space-y-3 mb-4">
+        {returnRequests.map((request) => (
+          <li key={request._id} className="bg-gray-100 dark:bg-gray-700 p-3 rounded-md">
+            <div className="flex justify-between items-center mb-1">
+              <span className="text-sm text-gray-600 dark:text-gray-300">
+                Requested on {new Date(request.createdAt).toLocaleDateString()}
+              </span>
+              <span className={`px-3 py-0.5 rounded-full text-sm font-medium ${getReturnStatusColor(request.status)}`}>
+                {request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+              </span>
+            </div>
+            <ul className="text-sm text-gray-700 dark:text-gray-200 list-disc ml-5">
+              {request.items.map((item) => (
+                <li key={item._id}>
+                  {item.quantity} x {item.name}
+                  {request.status === 'approved' && (item.restock ? ' (restocked)' : ' (not restocked)')}
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">
+              Reason: {RETURN_REASONS.find(r => r.value === request.reason)?.label || request.reason}
+              {request.comment ? ` – ${request.comment}` : ''}
+            </p>
+            {request.adminNote && (
+              <p className="text-sm text-gray-600 dark:text-gray-300 italic">Note: {request.adminNote}</p>
+            )}
+            {request.refund?.amount > 0 && (
+              <p className="text-sm text-gray-700 dark:text-gray-200 mt-1">
+                Refund: ₹{request.refund.amount.toFixed(2)}
+                {request.refund.method === 'manual' ? ' (manual)' : ' (to original payment)'} – {request.refund.status}
+              </p>
+            )}
+            {isAdmin && request.status === 'requested' && (
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => handleReview(request._id, 'approved')}
+                  disabled={isLoading}
+                  className="py-1 px-3 bg-green-600 text-white rounded-md text-sm font-semibold hover:bg-green-700 disabled:bg-gray-400"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => handleReview(request._id, 'rejected')}
+                  disabled={isLoading}
+                  className="py-1 px-3 bg-red-600 text-white rounded-md text-sm font-semibold hover:bg-red-700 disabled:bg-gray-400"
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+            {isAdmin && request.refund?.method === 'manual' && request.refund?.status === 'pending' && (
+              <button
+                onClick={() => handleCompleteRefund(request._id)}
+                className="mt-2 py-1 px-3 bg-kashmir-green text-kashmir-light rounded-md text-sm font-semibold hover:bg-kashmir-gold hover:text-kashmir-dark-blue"
+              >
+                Mark refund as paid
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && eligibility && !eligibility.eligible && eligibility.reason && returnRequests.length > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{eligibility.reason}</p>
+      )}
+
+      {isOwner && eligibility?.eligible && !showForm && (
+        <div>
+          <button
+            onClick={() => setShowForm(true)}
+            className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                       hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300
+                       dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+          >
+            Request a Return
+          </button>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Returns are accepted until {new Date(eligibility.windowEndsAt).toLocaleDateString()}.
+          </p>
+        </div>
+      )}
+
+      {isOwner && eligibility?.eligible && showForm && (
+        <form onSubmit={handleSubmit} className="space-y-3 bg-gray-50 dark:bg-gray-800 p-4 rounded-md">
+          {eligibility.items.filter(item => item.returnableQuantity > 0).map((item) => (
+            <div key={item.orderItem} className="flex items-center justify-between">
+              <label htmlFor={`return-${item.orderItem}`} className="text-gray-700 dark:text-gray-200">
+                {item.name} <span className="text-sm text-gray-500">(up to {item.returnableQuantity})</span>
+              </label>
+              <input
+                id={`return-${item.orderItem}`}
+                type="number"
+                min="0"
+                max={item.returnableQuantity}
+                value={quantities[item.orderItem] || 0}
+                onChange={(e) => setQuantities({
+                  ...quantities,
+                  [item.orderItem]: Math.min(Math.max(parseInt(e.target.value) || 0, 0), item.returnableQuantity),
+                })}
+                className="w-20 px-2 py-1 text-center border border-gray-300 rounded-md
+                           bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+              />
+            </div>
+          ))}
+          <div>
+            <label htmlFor="returnReason" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Reason</label>
+            <select
+              id="returnReason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+            >
+              {RETURN_REASONS.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Additional details (optional)"
+            maxLength={500}
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold hover:bg-kashmir-gold hover:text-kashmir-dark-blue disabled:bg-gray-400"
+            >
+              {isLoading ? 'Submitting...' : 'Submit Return Request'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="py-2 px-4 bg-gray-300 text-gray-800 rounded-md font-semibold hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default OrderReturns;
@@ -0,0 +1,286 @@
+// src/components/subscriptions/RefillSubscriptions.js
+// This component lists the user's refill subscriptions on the profile page.
+// Users can change quantities, the interval and the address, skip the next refill,
+// pause or resume a subscription, or cancel it.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Link from 'next/link';
+import { toast } from 'react-toastify';
+import { RefreshCw, CalendarDays, AlertTriangle } from 'lucide-react'; // Icons for the subscriptions section
+import {
+  fetchSubscriptions,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRefill,
+  cancelSubscription,
+  REFILL_INTERVALS,
+} from '../../features/subscriptions/subscriptionSlice';
+import { fetchAddresses } from '../../features/addresses/addressSlice';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  paused: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  cancelled: 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200',
+};
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-md bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500';
+const buttonClassName = 'py-2 px-4 rounded-md font-semibold transition duration-300 disabled:opacity-50';
+
+/**
+ * Renders one subscription with its edit form and actions.
+ * @param {Object} props - Component props.
+ * @param {Object} props.subscription - The subscription.
+ * @param {Array<Object>} props.addresses - The user's saved addresses.
+ * @param {boolean} props.isLoading - Whether a subscription request is in flight.
+ */
+function SubscriptionCard({ subscription, addresses, isLoading }) {
+  const dispatch = useDispatch();
+  const isCancelled = subscription.status === 'cancelled';
+
+  // Editable copy of the subscription
+  const [quantities, setQuantities] = useState({});
+  const [intervalDays, setIntervalDays] = useState(subscription.intervalDays);
+  const [addressId, setAddressId] = useState(subscription.address);
+
+  useEffect(() => {
+    setQuantities(Object.fromEntries(subscription.items.map(item => [item._id, item.quantity])));
+    setIntervalDays(subscription.intervalDays);
+    setAddressId(subscription.address);
+  }, [subscription]);
+
+  const isEdited = intervalDays !== subscription.intervalDays
+    || addressId !== subscription.address
+    || subscription.items.some(item => quantities[item._id] !== item.quantity);
+
+  const runAction = async (thunk, successMessage) => {
+    try {
+      await dispatch(thunk(subscription._id)).unwrap();
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const items = subscription.items
+      .map(item => ({ medicine: item.medicine?._id || item.medicine, quantity: quantities[item._id] }))
+      .filter(item => item.quantity > 0); // A quantity of 0 removes the medicine
+    if (items.length === 0) {
+      toast.error('Keep at least one medicine, or cancel the subscription.');
+      return;
+    }
+
+    try {
+      await dispatch(updateSubscription({
+        id: subscription._id,
+        subscriptionData: { items, intervalDays, address: addressId },
+      })).unwrap();
+      toast.success('Subscription updated.');
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this refill subscription? No further refills will be placed.')) return;
+    runAction(cancelSubscription, 'Subscription cancelled.');
+  };
+
+  const address = addresses.find(a => a._id === subscription.address);
+  const lastOrderId = subscription.lastOrder?._id || subscription.lastOrder;
+
+  return (
+    <form onSubmit={handleSave} className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-sm">
+      <div className="flex flex-col sm:flex-row sm:justify-between gap-2 mb-4">
+        <p className="flex items-center text-gray-700 dark:text-gray-200">
+          <CalendarDays className="w-4 h-4 mr-2 text-kashmir-gold" />
+          {isCancelled
+            ? `Cancelled on ${new Date(subscription.cancelledAt).toLocaleDateString()}`
+            : subscription.status === 'paused'
+              ? 'Paused'
+              : `Next refill on ${new Date(subscription.nextRunAt).toLocaleDateString()}`}
+        </p>
+        <span className={`self-start px-3 py-1 rounded-full text-sm font-semibold capitalize ${STATUS_STYLES[subscription.status]}`}>
+          {subscription.status}
+        </span>
+      </div>
+
+      {/* Medicines and quantities */}
+      <ul className="space-y-2 mb-4">
+        {subscription.items.map(item => (
+          <li key={item._id} className="flex items-center justify-between gap-4 text-gray-700 dark:text-gray-200">
+            <Link href={`/medicines/${item.medicine?._id || item.medicine}`} className="hover:underline">
+              {item.name}
+            </Link>
+            {isCancelled ? (
+              <span>x {item.quantity}</span>
+            ) : (
+              <input
+                type="number"
+                min="0"
+                aria-label={`Quantity of ${item.name}`}
+                value={quantities[item._id] ?? item.quantity}
+                onChange={(e) => setQuantities({ ...quantities, [item._id]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className={`w-20 text-center ${inputClassName}`}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Interval and address */}
+      {isCancelled ? (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Every {subscription.intervalDays} days{address ? ` to ${address.label}` : ''}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <select
+            value={intervalDays}
+            onChange={(e) => setIntervalDays(Number(e.target.value))}
+            aria-label="Refill interval"
+            className={inputClassName}
+          >
+            {!REFILL_INTERVALS.some(option => option.days === subscription.intervalDays) && (
+              <option value={subscription.intervalDays}>Every {subscription.intervalDays} days</option>
+            )}
+            {REFILL_INTERVALS.map(option => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={addressId}
+            onChange={(e) => setAddressId(e.target.value)}
+            aria-label="Delivery address"
+            className={inputClassName}
+          >
+            {!address && <option value={subscription.address}>Deleted address</option>}
+            {addresses.map(a => (
+              <option key={a._id} value={a._id}>{a.label} - {a.pinCode}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Last refill */}
+      {subscription.lastError && !isCancelled && (
+        <p className="flex items-start text-sm text-red-600 dark:text-red-400 mb-3">
+          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          Last refill could not be placed: {subscription.lastError}
+        </p>
+      )}
+      {lastOrderId && (
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+          Last refill:{' '}
+          <Link href={`/orders/${lastOrderId}`} className="text-kashmir-green dark:text-kashmir-gold underline">
+            Order #{lastOrderId.slice(-8).toUpperCase()}
+          </Link>
+        </p>
+      )}
+
+      {/* Actions */}
+      {!isCancelled && (
+        <div className="flex flex-wrap gap-2">
+          {isEdited && (
+            <button
+              type="submit"
+              disabled={isLoading}
+              className={`${buttonClassName} bg-kashmir-green text-kashmir-light hover:bg-kashmir-gold hover:text-kashmir-dark-blue
+                          dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light`}
+            >
+              Save Changes
+            </button>
+          )}
+          {subscription.status === 'active' && (
+            <button
+              type="button"
+              onClick={() => runAction(skipNextRefill, 'Next refill skipped.')}
+              disabled={isLoading}
+              className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200`}
+            >
+              Skip Next Refill
+            </button>
+          )}
+          {subscription.status === 'active' ? (
+            <button
+              type="button"
+              onClick={() => runAction(pauseSubscription, 'Subscription paused.')}
+              disabled={isLoading}
+              className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200`}
+            >
+              Pause
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => runAction(resumeSubscription, 'Subscription resumed.')}
+              disabled={isLoading}
+              className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200`}
+            >
+              Resume
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleCancel}
+            disabled={isLoading}
+            className={`${buttonClassName} bg-red-600 text-white hover:bg-red-700`}
+          >
+            Cancel Subscription
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+/**
+ * Renders the refill subscriptions section of the profile page.
+ */
+function RefillSubscriptions() {
+  const dispatch = useDispatch();
+  const { subscriptions, isLoading, error } = useSelector((state) => state.subscriptions);
+  const { addresses } = useSelector((state) => state.addresses);
+
+  useEffect(() => {
+    dispatch(fetchSubscriptions());
+    dispatch(fetchAddresses());
+  }, [dispatch]);
+
+  return (
+    <section className="mt-10">
+      <h3 className="text-2xl font-semibold text-kashmir-dark-blue mb-6 border-b pb-2 flex items-center
+                     dark:text-kashmir-light dark:border-gray-600">
+        <RefreshCw className="w-6 h-6 mr-2 text-kashmir-gold" /> Refill Subscriptions
+      </h3>
+      {error && (
+        <p className="text-red-600 dark:text-red-400 mb-4">{error}</p>
+      )}
+      {subscriptions.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-300">
+          {isLoading
+            ? 'Loading...'
+            : 'You have no refill subscriptions. Choose "Refill automatically" on a medicine page to get your regular medicines delivered on schedule.'}
+        </p>
+      ) : (
+        <div className="space-y-6">
+          {subscriptions.map(subscription => (
+            <SubscriptionCard
+              key={subscription._id}
+              subscription={subscription}
+              addresses={addresses}
+              isLoading={isLoading}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RefillSubscriptions;
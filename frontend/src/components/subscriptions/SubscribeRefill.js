@@ -0,0 +1,259 @@
+// src/components/subscriptions/SubscribeRefill.js
+// This component lets a logged-in customer get a medicine refilled automatically:
+// they choose a quantity, how often and where to deliver, and either start a new
+// refill subscription or add the medicine to one they already have.
+
+'use client'; // This directive marks the component as a Client Component
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Link from 'next/link';
+import { toast } from 'react-toastify';
+import { RefreshCw, FileText } from 'lucide-react'; // Icons for the refill form
+import {
+  fetchSubscriptions,
+  createSubscription,
+  updateSubscription,
+  REFILL_INTERVALS,
+} from '../../features/subscriptions/subscriptionSlice';
+import { fetchAddresses } from '../../features/addresses/addressSlice';
+import { uploadPrescription } from '../../features/prescriptions/prescriptionSlice';
+
+const NEW_SUBSCRIPTION = 'new';
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-gray-900 dark:bg-gray-600 dark:text-gray-100 dark:border-gray-500';
+const labelClassName = 'block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1';
+
+/**
+ * Renders the "Refill automatically" form of a medicine.
+ * @param {Object} props - Component props.
+ * @param {Object} props.medicine - The medicine being viewed.
+ */
+function SubscribeRefill({ medicine }) {
+  const dispatch = useDispatch();
+  const { isAuthenticated, isHydrated } = useSelector((state) => state.auth);
+  const { subscriptions, isLoading } = useSelector((state) => state.subscriptions);
+  const { addresses } = useSelector((state) => state.addresses);
+  const { isLoading: prescriptionLoading } = useSelector((state) => state.prescriptions);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [quantity, setQuantity] = useState(1);
+  const [intervalDays, setIntervalDays] = useState(30);
+  const [addressId, setAddressId] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('COD');
+  const [target, setTarget] = useState(NEW_SUBSCRIPTION); // A new subscription, or the ID of one to add to
+  const [prescription, setPrescription] = useState(null); // Uploaded prescription for prescription-only medicines
+
+  // Load the address book and existing subscriptions when the form is opened
+  useEffect(() => {
+    if (isOpen) {
+      dispatch(fetchAddresses());
+      dispatch(fetchSubscriptions());
+    }
+  }, [dispatch, isOpen]);
+
+  // Default to the default address
+  useEffect(() => {
+    if (!addressId && addresses.length > 0) {
+      setAddressId((addresses.find(a => a.isDefault) || addresses[0])._id);
+    }
+  }, [addresses, addressId]);
+
+  if (!isHydrated) return null;
+
+  if (!isAuthenticated) {
+    return (
+      <p className="mt-4 text-sm text-gray-600 dark:text-gray-300">
+        <RefreshCw className="inline-block w-4 h-4 mr-1 text-kashmir-gold" />
+        <Link href="/auth/login" className="text-kashmir-green dark:text-kashmir-gold underline">Log in</Link> to get this medicine refilled automatically.
+      </p>
+    );
+  }
+
+  const openSubscriptions = subscriptions.filter(s => s.status !== 'cancelled');
+  const targetSubscription = openSubscriptions.find(s => s._id === target);
+
+  const handlePrescriptionChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const result = await dispatch(uploadPrescription(file)).unwrap();
+      setPrescription(result.data);
+      toast.success('Prescription uploaded.');
+    } catch (err) {
+      toast.error(err || 'Prescription upload failed.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (targetSubscription) {
+        // Add the medicine to the subscription, or change its quantity if it is already in it
+        const items = targetSubscription.items.map(item => ({
+          medicine: item.medicine?._id || item.medicine,
+          quantity: item.quantity,
+        }));
+        const existing = items.find(item => item.medicine === medicine._id);
+        if (existing) {
+          existing.quantity = quantity;
+        } else {
+          items.push({ medicine: medicine._id, quantity });
+        }
+
+        const subscriptionData = { items };
+        if (prescription) subscriptionData.prescription = prescription._id;
+        await dispatch(updateSubscription({ id: targetSubscription._id, subscriptionData })).unwrap();
+        toast.success(`${medicine.name} added to your refill subscription.`);
+      } else {
+        if (!addressId) {
+          toast.error('Please add a delivery address to your address book first.');
+          return;
+        }
+        await dispatch(createSubscription({
+          items: [{ medicine: medicine._id, quantity }],
+          intervalDays,
+          address: addressId,
+          paymentMethod,
+          prescription: prescription?._id,
+        })).unwrap();
+        toast.success('Refill subscription started. Manage it from your profile.');
+      }
+      setIsOpen(false);
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="mt-4 w-full py-3 px-6 border-2 border-gray-300 text-gray-700 rounded-md font-semibold
+                   hover:border-kashmir-green hover:text-kashmir-green transition duration-300
+                   dark:border-gray-500 dark:text-gray-200 dark:hover:border-kashmir-gold dark:hover:text-kashmir-gold"
+      >
+        <RefreshCw className="inline-block w-5 h-5 mr-2" /> Refill automatically
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 border border-gray-200 rounded-md space-y-4 dark:border-gray-600">
+      <h3 className="text-lg font-semibold text-kashmir-dark-blue dark:text-kashmir-light flex items-center">
+        <RefreshCw className="w-5 h-5 mr-2 text-kashmir-gold" /> Refill {medicine.name} automatically
+      </h3>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="refillQuantity" className={labelClassName}>Quantity per refill</label>
+          <input
+            type="number"
+            id="refillQuantity"
+            min="1"
+            value={quantity}
+            onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            className={inputClassName}
+          />
+        </div>
+        {openSubscriptions.length > 0 && (
+          <div>
+            <label htmlFor="refillTarget" className={labelClassName}>Subscription</label>
+            <select id="refillTarget" value={target} onChange={(e) => setTarget(e.target.value)} className={inputClassName}>
+              <option value={NEW_SUBSCRIPTION}>Start a new subscription</option>
+              {openSubscriptions.map(s => (
+                <option key={s._id} value={s._id}>
+                  Add to: {s.items.map(item => item.name).join(', ')} (every {s.intervalDays} days)
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Schedule, address and payment (a new subscription only) */}
+      {!targetSubscription && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="refillInterval" className={labelClassName}>How often</label>
+            <select id="refillInterval" value={intervalDays} onChange={(e) => setIntervalDays(Number(e.target.value))} className={inputClassName}>
+              {REFILL_INTERVALS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="refillPayment" className={labelClassName}>Payment</label>
+            <select id="refillPayment" value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} className={inputClassName}>
+              <option value="COD">Cash on Delivery</option>
+              <option value="Online Payment">Pay online for each refill</option>
+            </select>
+          </div>
+          <div className="sm:col-span-2">
+            <label htmlFor="refillAddress" className={labelClassName}>Deliver to</label>
+            {addresses.length === 0 ? (
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                You have no saved addresses yet. Save one at checkout to subscribe.
+              </p>
+            ) : (
+              <select id="refillAddress" value={addressId} onChange={(e) => setAddressId(e.target.value)} className={inputClassName}>
+                {addresses.map(a => (
+                  <option key={a._id} value={a._id}>
+                    {a.label}: {a.addressLine}, {a.district} - {a.pinCode}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Prescription-only medicines need a prescription (each refill is still verified by a pharmacist) */}
+      {medicine.requiresPrescription && (
+        <div>
+          <label htmlFor="refillPrescription" className={labelClassName}>
+            <FileText className="inline-block w-4 h-4 mr-1 text-kashmir-gold" /> Prescription
+            {targetSubscription?.prescription ? ' (optional: the subscription already has one)' : ''}
+          </label>
+          <input
+            type="file"
+            id="refillPrescription"
+            accept="image/jpeg,image/png,image/gif,application/pdf"
+            onChange={handlePrescriptionChange}
+            disabled={prescriptionLoading}
+            className="block w-full text-sm text-gray-700 dark:text-gray-200"
+          />
+          {prescription && (
+            <p className="text-sm text-green-700 dark:text-green-300 mt-1">Uploaded: {prescription.fileName}</p>
+          )}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        We email you a reminder before each refill, so you can skip or pause it from your profile.
+      </p>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isLoading || prescriptionLoading}
+          className="flex-1 py-2 px-4 bg-kashmir-green text-kashmir-light rounded-md font-semibold
+                     hover:bg-kashmir-gold hover:text-kashmir-dark-blue transition duration-300 disabled:opacity-50
+                     dark:bg-kashmir-gold dark:text-kashmir-dark-blue dark:hover:bg-kashmir-green dark:hover:text-kashmir-light"
+        >
+          {targetSubscription ? 'Add to Subscription' : 'Subscribe'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="py-2 px-4 rounded-md font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SubscribeRefill;
@@ -0,0 +1,149 @@
+// src/features/addresses/addressSlice.js
+// This Redux Toolkit slice manages the user's address book (saved delivery addresses),
+// which checkout uses to pick or save the shipping address.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the address slice
+const initialState = {
+  addresses: [], // Saved addresses (default address first)
+  isLoading: false, // Loading state for address operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for fetching the saved addresses
+export const fetchAddresses = createAsyncThunk(
+  'addresses/fetchAddresses',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/users/me/addresses'); // GET request to /api/v1/users/me/addresses
+      return response.data; // Should contain { success, count, data: addresses[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for saving a new address
+export const addAddress = createAsyncThunk(
+  'addresses/addAddress',
+  async (addressData, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post('/users/me/addresses', addressData);
+      return response.data; // Should contain { success, data: address }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for updating a saved address
+export const updateAddress = createAsyncThunk(
+  'addresses/updateAddress',
+  async ({ id, addressData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/users/me/addresses/${id}`, addressData);
+      return response.data; // Should contain { success, data: address }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for deleting a saved address
+export const deleteAddress = createAsyncThunk(
+  'addresses/deleteAddress',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/users/me/addresses/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the address slice
+const addressSlice = createSlice({
+  name: 'addresses',
+  initialState,
+  reducers: {
+    clearAddressError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Addresses
+      .addCase(fetchAddresses.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchAddresses.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.addresses = action.payload.data;
+      })
+      .addCase(fetchAddresses.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Add Address
+      .addCase(addAddress.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(addAddress.fulfilled, (state, action) => {
+        state.isLoading = false;
+        const address = action.payload.data;
+        if (address.isDefault) {
+          state.addresses = state.addresses.map(a => ({ ...a, isDefault: false }));
+        }
+        state.addresses.push(address);
+      })
+      .addCase(addAddress.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Update Address
+      .addCase(updateAddress.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(updateAddress.fulfilled, (state, action) => {
+        state.isLoading = false;
+        const updated = action.payload.data;
+        state.addresses = state.addresses.map(a => {
+          if (a._id === updated._id) return updated;
+          return updated.isDefault ? { ...a, isDefault: false } : a;
+        });
+      })
+      .addCase(updateAddress.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Delete Address (the server makes the oldest remaining address the default if needed)
+      .addCase(deleteAddress.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(deleteAddress.fulfilled, (state, action) => {
+        state.isLoading = false;
+        const removed = state.addresses.find(a => a._id === action.payload);
+        state.addresses = state.addresses.filter(a => a._id !== action.payload);
+        if (removed?.isDefault && state.addresses.length > 0 && !state.addresses.some(a => a.isDefault)) {
+          state.addresses[0].isDefault = true;
+        }
+      })
+      .addCase(deleteAddress.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export actions
+export const { clearAddressError } = addressSlice.actions;
+
+// Export the reducer
+export default addressSlice.reducer;
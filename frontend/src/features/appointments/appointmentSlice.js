@@ -6,6 +6,17 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
 
+// Time slots offered for lab appointments
+export const LAB_TIME_SLOTS = [
+  '09:00 AM - 09:30 AM',
+  '09:30 AM - 10:00 AM',
+  '10:00 AM - 10:30 AM',
+  '10:30 AM - 11:00 AM',
+  '02:00 PM - 02:30 PM',
+  '02:30 PM - 03:00 PM',
+  '03:00 PM - 03:30 PM',
+];
+
 // Define the initial state for the appointment slice
 const initialState = {
   appointments: [], // Array to store fetched appointments
@@ -72,6 +83,32 @@ export const updateAppointment = createAsyncThunk(
   }
 );
 
+// Async Thunk for Moving an Appointment to Another Slot
+export const rescheduleAppointment = createAsyncThunk(
+  'appointments/rescheduleAppointment',
+  async ({ id, appointmentDate, appointmentTime }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/appointments/${id}/reschedule`, { appointmentDate, appointmentTime });
+      return response.data; // Should contain { success, data: rescheduledAppointment }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for Cancelling an Appointment (e.g., from the link in a reminder email)
+export const cancelAppointment = createAsyncThunk(
+  'appointments/cancelAppointment',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/appointments/${id}`, { status: 'cancelled' });
+      return response.data; // Should contain { success, data: cancelledAppointment }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
 // Async Thunk for Deleting an Appointment
 export const deleteAppointment = createAsyncThunk(
   'appointments/deleteAppointment',
@@ -85,6 +122,18 @@ export const deleteAppointment = createAsyncThunk(
   }
 );
 
+// Apply an updated appointment to the stored copies, keeping their populated user, doctor and lab
+const mergeAppointment = (state, updated) => {
+  const { user, doctor, lab, ...changes } = updated;
+  if (state.singleAppointment?._id === changes._id) {
+    Object.assign(state.singleAppointment, changes);
+  }
+  const index = state.appointments.findIndex(app => app._id === changes._id);
+  if (index !== -1) {
+    Object.assign(state.appointments[index], changes);
+  }
+};
+
 // Create the appointment slice
 const appointmentSlice = createSlice({
   name: 'appointments',
@@ -178,6 +227,13 @@ const appointmentSlice = createSlice({
         state.error = action.payload;
         state.success = false;
       })
+      // Reschedule and Cancel Appointment (errors are shown by the page, keeping the details on screen)
+      .addCase(rescheduleAppointment.fulfilled, (state, action) => {
+        mergeAppointment(state, action.payload.data);
+      })
+      .addCase(cancelAppointment.fulfilled, (state, action) => {
+        mergeAppointment(state, action.payload.data);
+      })
       // Delete Appointment
       .addCase(deleteAppointment.pending, (state) => {
         state.isLoading = true;
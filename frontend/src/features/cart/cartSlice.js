@@ -1,9 +1,12 @@
 // src/features/cart/cartSlice.js
 // This Redux Toolkit slice manages the state of the shopping cart.
-// It handles adding items, removing items, updating quantities,
-// and now provides an explicit action for initializing the cart from external storage (like localStorage).
+// Guests keep their cart in localStorage; logged-in users have a server-side cart
+// (/api/v1/cart) that follows them across devices. The thunks below pick the right one,
+// and the guest cart is merged into the server cart when the user logs in.
 
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+import { logoutUser } from '../auth/authSlice'; // The cart is cleared from the browser on logout
 
 // Helper function to save cart items to local storage
 // This function will still be used by the reducers to persist changes.
@@ -21,6 +24,119 @@ const saveCartToLocalStorage = (cartItems) => {
 // The actual loading from localStorage will happen in a useEffect on the client.
 const initialState = {
   cartItems: [],
+  removedItems: [], // Lines the server dropped because the medicine no longer exists
+  hasChanges: false, // True if the server flagged price or stock changes in the cart
+  isSyncing: false, // Loading state for server cart requests
+  error: null, // Stores any server cart errors
+};
+
+// Async Thunk for fetching the server cart (re-checks live prices and stock)
+export const fetchCart = createAsyncThunk(
+  'cart/fetchCart',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/cart'); // GET request to /api/v1/cart
+      return response.data; // Should contain { success, data: { items, itemsPrice, hasChanges, removedItems } }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for merging the guest (localStorage) cart into the server cart after login
+export const mergeGuestCart = createAsyncThunk(
+  'cart/mergeGuestCart',
+  async (_, { rejectWithValue }) => {
+    try {
+      const guestItems = JSON.parse(localStorage.getItem('cartItems') || '[]');
+      const response = await axiosInstance.post('/cart/merge', {
+        items: guestItems.map(item => ({ medicine: item.medicine, quantity: item.quantity })),
+      });
+      localStorage.removeItem('cartItems'); // The guest cart now lives on the server
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for adding an item (or setting its quantity if it is already in the cart)
+// Guests update the localStorage cart; the thunk then resolves with null.
+export const addItemToCart = createAsyncThunk(
+  'cart/addItemToCart',
+  async (item, { getState, dispatch, rejectWithValue }) => {
+    if (!getState().auth.isAuthenticated) {
+      dispatch(addToCart(item));
+      return null;
+    }
+    try {
+      const response = await axiosInstance.post('/cart/items', { medicine: item.medicine, quantity: item.quantity });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for changing the quantity of a cart line (a quantity below 1 removes it)
+export const updateCartItem = createAsyncThunk(
+  'cart/updateCartItem',
+  async ({ medicineId, quantity }, { getState, dispatch, rejectWithValue }) => {
+    if (!getState().auth.isAuthenticated) {
+      dispatch(quantity < 1 ? removeFromCart(medicineId) : updateCartItemQuantity({ medicineId, quantity }));
+      return null;
+    }
+    try {
+      const response = await axiosInstance.put(`/cart/items/${medicineId}`, { quantity: Math.max(quantity, 0) });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for removing a line from the cart
+export const removeCartItem = createAsyncThunk(
+  'cart/removeCartItem',
+  async (medicineId, { getState, dispatch, rejectWithValue }) => {
+    if (!getState().auth.isAuthenticated) {
+      dispatch(removeFromCart(medicineId));
+      return null;
+    }
+    try {
+      const response = await axiosInstance.delete(`/cart/items/${medicineId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for emptying the cart (e.g., after a successful order)
+export const emptyCart = createAsyncThunk(
+  'cart/emptyCart',
+  async (_, { getState, dispatch, rejectWithValue }) => {
+    dispatch(clearCart()); // Always clear the local copy right away
+    if (!getState().auth.isAuthenticated) {
+      return null;
+    }
+    try {
+      const response = await axiosInstance.delete('/cart');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Replace the cart with the server's copy
+const applyServerCart = (state, action) => {
+  state.isSyncing = false;
+  if (!action.payload) return; // Guest cart: the local reducers already updated the state
+  const cart = action.payload.data;
+  state.cartItems = cart.items;
+  state.removedItems = cart.removedItems || [];
+  state.hasChanges = cart.hasChanges;
 };
 
 const cartSlice = createSlice({
@@ -54,6 +170,8 @@ const cartSlice = createSlice({
     // Action to clear the entire cart (e.g., after successful order)
     clearCart: (state) => {
       state.cartItems = [];
+      state.removedItems = [];
+      state.hasChanges = false;
       saveCartToLocalStorage(state.cartItems); // Clear cart from local storage
     },
     // Action to update the quantity of an item in the cart
@@ -64,12 +182,39 @@ const cartSlice = createSlice({
         itemToUpdate.quantity = quantity;
         saveCartToLocalStorage(state.cartItems);
       }
-    }
+    },
+    // Action to clear cart errors
+    clearCartError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Every server cart request returns the whole cart
+    [fetchCart, mergeGuestCart, addItemToCart, updateCartItem, removeCartItem, emptyCart].forEach((thunk) => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.isSyncing = true;
+          state.error = null;
+        })
+        .addCase(thunk.fulfilled, applyServerCart)
+        .addCase(thunk.rejected, (state, action) => {
+          state.isSyncing = false;
+          state.error = action.payload;
+        });
+    });
+
+    // The server cart stays on the server; only the browser copy is cleared on logout
+    builder
+      .addCase(logoutUser.fulfilled, (state) => {
+        state.cartItems = [];
+        state.removedItems = [];
+        state.hasChanges = false;
+      });
   },
 });
 
 // Export actions
-export const { initializeCart, addToCart, removeFromCart, clearCart, updateCartItemQuantity } = cartSlice.actions;
+export const { initializeCart, addToCart, removeFromCart, clearCart, updateCartItemQuantity, clearCartError } = cartSlice.actions;
 
 // Export the reducer
 export default cartSlice.reducer;
@@ -0,0 +1,68 @@
+// src/features/coupons/couponSlice.js
+// This Redux Toolkit slice manages the coupon applied to the cart.
+// The coupon is validated by the backend, which also returns the discounted price quote.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the coupon slice
+const initialState = {
+  appliedCoupon: null, // The applied coupon ({ code, description, discountType, discountValue })
+  couponQuote: null, // The discounted quote returned when the coupon was validated
+  isLoading: false, // Loading state for coupon validation
+  error: null, // Stores any errors
+};
+
+// Async Thunk for validating a coupon against the cart
+export const validateCoupon = createAsyncThunk(
+  'coupons/validateCoupon',
+  async ({ code, orderItems }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post('/coupons/validate', { code, orderItems }); // POST request to /api/v1/coupons/validate
+      return response.data; // Should contain { success, data: quote }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the coupon slice
+const couponSlice = createSlice({
+  name: 'coupons',
+  initialState,
+  reducers: {
+    removeCoupon: (state) => {
+      state.appliedCoupon = null;
+      state.couponQuote = null;
+      state.error = null;
+    },
+    clearCouponError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Validate Coupon
+      .addCase(validateCoupon.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(validateCoupon.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.appliedCoupon = action.payload.data.coupon;
+        state.couponQuote = action.payload.data;
+      })
+      .addCase(validateCoupon.rejected, (state, action) => {
+        state.isLoading = false;
+        state.appliedCoupon = null;
+        state.couponQuote = null;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export synchronous actions
+export const { removeCoupon, clearCouponError } = couponSlice.actions;
+
+// Export the reducer
+export default couponSlice.reducer;
@@ -0,0 +1,61 @@
+// src/features/delivery/deliverySlice.js
+// This Redux Toolkit slice manages the PIN code serviceability check.
+// The result is kept in the store so the last checked PIN code is remembered across medicine pages.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the delivery slice
+const initialState = {
+  check: null, // Result of the last check ({ pinCode, serviceable, zone })
+  isLoading: false, // Loading state for the check
+  error: null, // Stores any errors (e.g., an invalid PIN code)
+};
+
+// Async Thunk for checking whether we deliver to a PIN code
+export const checkDelivery = createAsyncThunk(
+  'delivery/checkDelivery',
+  async (pinCode, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/delivery/check', { params: { pin: pinCode } }); // GET request to /api/v1/delivery/check?pin=
+      return response.data; // Should contain { success, data: { pinCode, serviceable, zone } }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the delivery slice
+const deliverySlice = createSlice({
+  name: 'delivery',
+  initialState,
+  reducers: {
+    clearDeliveryCheck: (state) => {
+      state.check = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Check Delivery
+      .addCase(checkDelivery.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(checkDelivery.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.check = action.payload.data;
+      })
+      .addCase(checkDelivery.rejected, (state, action) => {
+        state.isLoading = false;
+        state.check = null;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export actions
+export const { clearDeliveryCheck } = deliverySlice.actions;
+
+// Export the reducer
+export default deliverySlice.reducer;
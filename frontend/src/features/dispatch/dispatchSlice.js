@@ -0,0 +1,144 @@
+// src/features/dispatch/dispatchSlice.js
+// This Redux Toolkit slice manages order dispatch: admins assign shipped orders to delivery agents
+// and see per-agent stats; agents list their assigned orders and mark them picked up or delivered.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the dispatch slice
+const initialState = {
+  assignedOrders: [], // Orders assigned to the logged-in delivery agent
+  agentStats: [], // Per-agent delivery stats (admin); also used to pick an agent for an order
+  isLoading: false, // Loading state for dispatch operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for fetching the logged-in agent's assigned orders (status: 'active' | 'delivered' | '')
+export const fetchAssignedOrders = createAsyncThunk(
+  'dispatch/fetchAssignedOrders',
+  async (status = '', { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/orders/assigned', { params: status ? { status } : {} });
+      return response.data; // Should contain { success, count, data: orders[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for fetching per-agent delivery stats (admin)
+export const fetchDeliveryStats = createAsyncThunk(
+  'dispatch/fetchDeliveryStats',
+  async (queryParams = {}, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/orders/delivery-stats', { params: queryParams });
+      return response.data; // Should contain { success, count, data: stats[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for assigning a shipped order to a delivery agent (admin)
+export const assignDeliveryAgent = createAsyncThunk(
+  'dispatch/assignDeliveryAgent',
+  async ({ orderId, agentId }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/orders/${orderId}/assign`, { agentId });
+      return response.data; // Should contain { success, data: order }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for marking an assigned order as picked up (delivery agent)
+export const markOrderPickedUp = createAsyncThunk(
+  'dispatch/markOrderPickedUp',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/orders/${orderId}/pickup`);
+      return response.data; // Should contain { success, data: order }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for marking an order as delivered, with an optional photo and/or the customer's OTP
+export const deliverOrder = createAsyncThunk(
+  'dispatch/deliverOrder',
+  async ({ orderId, otp, note, photo }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      if (otp) formData.append('otp', otp);
+      if (note) formData.append('note', note);
+      if (photo) formData.append('photo', photo);
+
+      const response = await axiosInstance.put(`/orders/${orderId}/deliver`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      return response.data; // Should contain { success, data: order }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Replace an assigned order in the list with its updated version (keeping the populated customer)
+const replaceAssignedOrder = (state, action) => {
+  state.isLoading = false;
+  const updated = action.payload.data;
+  state.assignedOrders = state.assignedOrders.map(order =>
+    order._id === updated._id ? { ...order, ...updated, user: order.user } : order
+  );
+};
+
+// Create the dispatch slice
+const dispatchSlice = createSlice({
+  name: 'dispatch',
+  initialState,
+  reducers: {
+    clearDispatchError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Assigned Orders
+      .addCase(fetchAssignedOrders.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.assignedOrders = action.payload.data;
+      })
+      // Fetch Delivery Stats
+      .addCase(fetchDeliveryStats.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.agentStats = action.payload.data;
+      })
+      // Assign, pick up and deliver return the updated order
+      .addCase(assignDeliveryAgent.fulfilled, (state) => {
+        state.isLoading = false;
+      })
+      .addCase(markOrderPickedUp.fulfilled, replaceAssignedOrder)
+      .addCase(deliverOrder.fulfilled, replaceAssignedOrder);
+
+    // Shared loading and error handling
+    [fetchAssignedOrders, fetchDeliveryStats, assignDeliveryAgent, markOrderPickedUp, deliverOrder].forEach((thunk) => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.isLoading = true;
+          state.error = null;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.isLoading = false;
+          state.error = action.payload;
+        });
+    });
+  },
+});
+
+// Export actions
+export const { clearDispatchError } = dispatchSlice.actions;
+
+// Export the reducer
+export default dispatchSlice.reducer;
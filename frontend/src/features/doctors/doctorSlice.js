@@ -1,10 +1,14 @@
 // src/features/doctors/doctorSlice.js
 // This Redux Toolkit slice manages the state related to doctors,
-// including fetching doctors and a single doctor's details.
+// including fetching doctors and a single doctor's details,
+// the doctor's free appointment slots on a day and editing their weekly schedule.
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
 
+// Weekdays of the weekly schedule (index = weekday number used by the server, 0 = Sunday)
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 // Define the initial state for the doctor slice
 const initialState = {
   doctors: [], // Array to store fetched doctors
@@ -12,6 +16,10 @@ const initialState = {
   count: 0, // Total count of doctors (for pagination)
   isLoading: false, // General loading state for doctor operations
   error: null, // Stores any errors
+  slots: [], // Free appointment slots of the viewed doctor on slotsDate
+  slotsDate: null, // Day ("YYYY-MM-DD") the slots are for
+  slotsLoading: false, // Loading state for slots
+  slotsError: null,
 };
 
 // Async Thunk for Fetching All Doctors
@@ -42,6 +50,32 @@ export const fetchDoctorById = createAsyncThunk(
   }
 );
 
+// Async Thunk for Fetching a Doctor's Free Slots on a Day
+export const fetchDoctorSlots = createAsyncThunk(
+  'doctors/fetchDoctorSlots',
+  async ({ doctorId, date }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/doctors/${doctorId}/slots?date=${encodeURIComponent(date)}`);
+      return response.data; // Should contain { success, date, count, data: slots[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for Replacing a Doctor's Weekly Schedule
+export const updateDoctorSchedule = createAsyncThunk(
+  'doctors/updateDoctorSchedule',
+  async ({ doctorId, schedule }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/doctors/${doctorId}/schedule`, { schedule });
+      return response.data; // Should contain { success, data: doctor }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
 // Create the doctor slice
 const doctorSlice = createSlice({
   name: 'doctors',
@@ -53,6 +87,8 @@ const doctorSlice = createSlice({
     },
     clearSingleDoctor: (state) => {
       state.doctor = null;
+      state.slots = [];
+      state.slotsDate = null;
     },
   },
   extraReducers: (builder) => {
@@ -87,6 +123,27 @@ const doctorSlice = createSlice({
         state.isLoading = false;
         state.error = action.payload;
         state.doctor = null;
+      })
+      // Fetch Doctor Slots
+      .addCase(fetchDoctorSlots.pending, (state, action) => {
+        state.slotsLoading = true;
+        state.slotsError = null;
+        state.slots = [];
+        state.slotsDate = action.meta.arg.date;
+      })
+      .addCase(fetchDoctorSlots.fulfilled, (state, action) => {
+        // Ignore answers for a day the user has since moved away from
+        if (action.payload.date !== state.slotsDate) return;
+        state.slotsLoading = false;
+        state.slots = action.payload.data;
+      })
+      .addCase(fetchDoctorSlots.rejected, (state, action) => {
+        state.slotsLoading = false;
+        state.slotsError = action.payload;
+      })
+      // Update Doctor Schedule (errors are shown by the schedule editor)
+      .addCase(updateDoctorSchedule.fulfilled, (state, action) => {
+        state.doctor = action.payload.data;
       });
   },
 });
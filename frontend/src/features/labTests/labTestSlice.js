@@ -0,0 +1,116 @@
+// src/features/labTests/labTestSlice.js
+// This Redux Toolkit slice manages the test catalogue of the lab being viewed or booked:
+// listing its tests with prices and, for admins and the lab's staff, adding, editing or deleting them.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the lab test slice
+const initialState = {
+  labTests: [], // Tests of the viewed lab
+  labId: null, // The lab the tests belong to
+  isLoading: false, // Loading state for fetching the catalogue
+  error: null, // Stores any errors
+};
+
+// Async Thunk for fetching the tests of a lab
+export const fetchLabTests = createAsyncThunk(
+  'labTests/fetchLabTests',
+  async (labId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/labs/${labId}/tests?limit=200`);
+      return response.data; // Should contain { success, count, data: labTests[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for adding a test to a lab's catalogue
+export const addLabTest = createAsyncThunk(
+  'labTests/addLabTest',
+  async ({ labId, testData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(`/labs/${labId}/tests`, testData);
+      return response.data; // Should contain { success, data: labTest }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for editing a lab test
+export const updateLabTest = createAsyncThunk(
+  'labTests/updateLabTest',
+  async ({ id, testData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/lab-tests/${id}`, testData);
+      return response.data; // Should contain { success, data: labTest }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for deleting a lab test
+export const deleteLabTest = createAsyncThunk(
+  'labTests/deleteLabTest',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/lab-tests/${id}`);
+      return id; // Return the ID of the deleted test for state update
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Keep the catalogue sorted by name, like the backend lists it
+const sortByName = (labTests) => [...labTests].sort((a, b) => a.name.localeCompare(b.name));
+
+// Create the lab test slice
+const labTestSlice = createSlice({
+  name: 'labTests',
+  initialState,
+  reducers: {
+    // Reset when leaving the lab
+    clearLabTests: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Lab Tests
+      .addCase(fetchLabTests.pending, (state, action) => {
+        state.isLoading = true;
+        state.error = null;
+        state.labId = action.meta.arg;
+      })
+      .addCase(fetchLabTests.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.labTests = action.payload.data;
+      })
+      .addCase(fetchLabTests.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+        state.labTests = [];
+      })
+      // Add Lab Test (errors are shown by the catalogue manager)
+      .addCase(addLabTest.fulfilled, (state, action) => {
+        state.labTests = sortByName([...state.labTests, action.payload.data]);
+      })
+      // Update Lab Test
+      .addCase(updateLabTest.fulfilled, (state, action) => {
+        const updated = action.payload.data;
+        state.labTests = sortByName(state.labTests.map(test => (test._id === updated._id ? updated : test)));
+      })
+      // Delete Lab Test
+      .addCase(deleteLabTest.fulfilled, (state, action) => {
+        state.labTests = state.labTests.filter(test => test._id !== action.payload);
+      });
+  },
+});
+
+// Export actions
+export const { clearLabTests } = labTestSlice.actions;
+
+// Export the reducer
+export default labTestSlice.reducer;
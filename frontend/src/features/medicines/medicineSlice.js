@@ -10,6 +10,8 @@ import axiosInstance from '../../utils/api/axiosInstance'; // Import the configu
 const initialState = {
   medicines: [], // Array to store fetched medicines
   medicine: null, // Stores a single medicine (e.g., for detail view)
+  substitutes: [], // In-stock medicines with the same composition as the viewed one, cheapest first
+  substitutesLoading: false, // Loading state for substitutes
   count: 0, // Total count of medicines (for pagination)
   isLoading: false, // General loading state for medicine operations
   error: null, // Stores any errors
@@ -49,6 +51,19 @@ export const fetchMedicineById = createAsyncThunk(
   }
 );
 
+// Async Thunk for Fetching the substitutes (same composition) of a medicine
+export const fetchSubstitutes = createAsyncThunk(
+  'medicines/fetchSubstitutes',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/medicines/${id}/substitutes`);
+      return response.data; // Should contain { success, count, data: substitutes[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
 // Async Thunk for Adding a New Medicine (with multiple image support)
 export const addMedicine = createAsyncThunk(
   'medicines/addMedicine',
@@ -98,6 +113,76 @@ export const deleteMedicine = createAsyncThunk(
   }
 );
 
+// Async Thunk for Adding Images to a Medicine's Gallery
+export const addMedicineImages = createAsyncThunk(
+  'medicines/addMedicineImages',
+  async ({ id, images }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      images.forEach(image => formData.append('images', image)); // 'images' matches the upload field name
+      const response = await axiosInstance.post(`/medicines/${id}/images`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data', // Important for file uploads
+        },
+      });
+      return response.data; // Should contain { success, data: updatedMedicine }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for Reordering a Medicine's Gallery (the first image is the primary one)
+export const reorderMedicineImages = createAsyncThunk(
+  'medicines/reorderMedicineImages',
+  async ({ id, images }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/medicines/${id}/images`, { images });
+      return response.data; // Should contain { success, data: updatedMedicine }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for Making an Image the Primary Image of a Medicine
+export const setPrimaryMedicineImage = createAsyncThunk(
+  'medicines/setPrimaryMedicineImage',
+  async ({ id, url }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/medicines/${id}/images/primary`, { url });
+      return response.data; // Should contain { success, data: updatedMedicine }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for Removing an Image from a Medicine's Gallery
+export const deleteMedicineImage = createAsyncThunk(
+  'medicines/deleteMedicineImage',
+  async ({ id, url }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.delete(`/medicines/${id}/images`, { data: { url } });
+      return response.data; // Should contain { success, data: updatedMedicine }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Gallery changes return the updated medicine; keep the viewed medicine and the list in sync
+const applyGalleryUpdate = (state, action) => {
+  const updated = action.payload.data;
+  const index = state.medicines.findIndex(med => med._id === updated._id);
+  if (index !== -1) {
+    state.medicines[index] = updated;
+  }
+  if (state.medicine && state.medicine._id === updated._id) {
+    state.medicine = updated;
+  }
+};
+
 // Create the medicine slice
 const medicineSlice = createSlice({
   name: 'medicines',
@@ -112,6 +197,7 @@ const medicineSlice = createSlice({
     },
     clearSingleMedicine: (state) => {
       state.medicine = null;
+      state.substitutes = [];
     },
   },
   extraReducers: (builder) => {
@@ -147,6 +233,18 @@ const medicineSlice = createSlice({
         state.error = action.payload;
         state.medicine = null;
       })
+      // Fetch Substitutes (a failure just means no suggestions)
+      .addCase(fetchSubstitutes.pending, (state) => {
+        state.substitutesLoading = true;
+        state.substitutes = [];
+      })
+      .addCase(fetchSubstitutes.fulfilled, (state, action) => {
+        state.substitutesLoading = false;
+        state.substitutes = action.payload.data;
+      })
+      .addCase(fetchSubstitutes.rejected, (state) => {
+        state.substitutesLoading = false;
+      })
       // Add Medicine
       .addCase(addMedicine.pending, (state) => {
         state.addMedicineLoading = true;
@@ -196,7 +294,12 @@ const medicineSlice = createSlice({
       .addCase(deleteMedicine.rejected, (state, action) => {
         state.deleteMedicineLoading = false;
         state.deleteMedicineError = action.payload;
-      });
+      })
+      // Image gallery (errors are shown by the gallery manager)
+      .addCase(addMedicineImages.fulfilled, applyGalleryUpdate)
+      .addCase(reorderMedicineImages.fulfilled, applyGalleryUpdate)
+      .addCase(setPrimaryMedicineImage.fulfilled, applyGalleryUpdate)
+      .addCase(deleteMedicineImage.fulfilled, applyGalleryUpdate);
   },
 });
 
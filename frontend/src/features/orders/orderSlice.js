@@ -13,6 +13,10 @@ const initialState = {
   isLoading: false, // General loading state for order operations
   error: null, // Stores any errors
   success: false, // NEW: Flag for successful order creation/update
+  quote: null, // Server-calculated price quote for the current cart
+  quoteLoading: false, // Loading state for fetching a quote
+  quoteError: null, // Stores any quote errors
+  invoiceLoading: false, // Loading state for downloading an invoice
 };
 
 // Async Thunk for creating a new order
@@ -29,6 +33,20 @@ export const createOrder = createAsyncThunk(
   }
 );
 
+// Async Thunk for fetching a server-side price quote for the cart
+export const fetchOrderQuote = createAsyncThunk(
+  'orders/fetchOrderQuote',
+  async ({ orderItems, couponCode, pinCode }, { rejectWithValue }) => {
+    try {
+      // With a pinCode, shipping is charged by the delivery zone (and undeliverable PIN codes are rejected)
+      const response = await axiosInstance.post('/orders/quote', { orderItems, couponCode, pinCode }); // POST request to /api/v1/orders/quote
+      return response.data; // Should contain { success, data: quote }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
 // Async Thunk for Fetching All Orders (for the authenticated user)
 export const fetchOrders = createAsyncThunk(
   'orders/fetchOrders',
@@ -57,6 +75,44 @@ export const fetchOrderById = createAsyncThunk(
   }
 );
 
+// Async Thunk for downloading the PDF invoice of an order
+// The file is saved by the browser; only the file name is returned (blobs do not belong in the store).
+export const downloadOrderInvoice = createAsyncThunk(
+  'orders/downloadOrderInvoice',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/orders/${id}/invoice`, { responseType: 'blob' });
+
+      // Use the invoice number from the Content-Disposition header as the file name
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="?([^"]+)"?/);
+      const fileName = match ? match[1] : `invoice-${id}.pdf`;
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      return fileName;
+    } catch (error) {
+      // With responseType 'blob', the JSON error body arrives as a Blob
+      if (error.response?.data instanceof Blob) {
+        try {
+          const body = JSON.parse(await error.response.data.text());
+          return rejectWithValue(body.error || error.message);
+        } catch {
+          return rejectWithValue(error.message);
+        }
+      }
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
 // Create the order slice
 const orderSlice = createSlice({
   name: 'orders',
@@ -92,6 +148,20 @@ const orderSlice = createSlice({
         state.error = action.payload;
         state.success = false; // Reset success on rejection
       })
+      // Fetch Order Quote
+      .addCase(fetchOrderQuote.pending, (state) => {
+        state.quoteLoading = true;
+        state.quoteError = null;
+      })
+      .addCase(fetchOrderQuote.fulfilled, (state, action) => {
+        state.quoteLoading = false;
+        state.quote = action.payload.data;
+      })
+      .addCase(fetchOrderQuote.rejected, (state, action) => {
+        state.quoteLoading = false;
+        state.quoteError = action.payload;
+        state.quote = null;
+      })
       // Fetch Orders
       .addCase(fetchOrders.pending, (state) => {
         state.isLoading = true;
@@ -122,6 +192,16 @@ const orderSlice = createSlice({
         state.isLoading = false;
         state.error = action.payload;
         state.singleOrder = null; // Use singleOrder
+      })
+      // Download Order Invoice
+      .addCase(downloadOrderInvoice.pending, (state) => {
+        state.invoiceLoading = true;
+      })
+      .addCase(downloadOrderInvoice.fulfilled, (state) => {
+        state.invoiceLoading = false;
+      })
+      .addCase(downloadOrderInvoice.rejected, (state) => {
+        state.invoiceLoading = false;
       });
   },
 });
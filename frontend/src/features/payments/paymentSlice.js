@@ -0,0 +1,87 @@
+// src/features/payments/paymentSlice.js
+// This Redux Toolkit slice manages the state of online payments for orders,
+// including creating a payment intent and (with the local mock provider) settling it.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the payment slice
+const initialState = {
+  paymentIntent: null, // The current payment intent ({ paymentId, amount, clientSecret, provider, ... })
+  isLoading: false, // Loading state for payment operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for creating a payment intent for an order
+export const createPaymentIntent = createAsyncThunk(
+  'payments/createPaymentIntent',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post('/payments/intent', { orderId }); // POST request to /api/v1/payments/intent
+      return response.data; // Should contain { success, data: paymentIntent }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for settling a mock payment (local testing without a real gateway)
+export const completeMockPayment = createAsyncThunk(
+  'payments/completeMockPayment',
+  async ({ paymentId, outcome = 'succeeded' }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(`/payments/${paymentId}/mock-complete`, { outcome });
+      return response.data; // Should contain { success, data: payment }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the payment slice
+const paymentSlice = createSlice({
+  name: 'payments',
+  initialState,
+  reducers: {
+    clearPaymentState: (state) => {
+      state.paymentIntent = null;
+      state.isLoading = false;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Create Payment Intent
+      .addCase(createPaymentIntent.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createPaymentIntent.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.paymentIntent = action.payload.data;
+      })
+      .addCase(createPaymentIntent.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Complete Mock Payment
+      .addCase(completeMockPayment.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(completeMockPayment.fulfilled, (state) => {
+        state.isLoading = false;
+        state.paymentIntent = null; // The intent is settled
+      })
+      .addCase(completeMockPayment.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export synchronous actions
+export const { clearPaymentState } = paymentSlice.actions;
+
+// Export the reducer
+export default paymentSlice.reducer;
@@ -0,0 +1,122 @@
+// src/features/prescriptions/prescriptionSlice.js
+// This Redux Toolkit slice manages prescriptions: uploading a prescription at checkout,
+// and the pharmacist verification queue (fetching pending orders and reviewing them).
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the prescription slice
+const initialState = {
+  uploadedPrescription: null, // Prescription uploaded for the current checkout
+  queue: [], // Orders waiting for prescription verification (pharmacist view)
+  isLoading: false, // Loading state for prescription operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for uploading a prescription document (image or PDF)
+export const uploadPrescription = createAsyncThunk(
+  'prescriptions/uploadPrescription',
+  async (file, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('prescription', file);
+      const response = await axiosInstance.post('/prescriptions', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data', // Important for file uploads
+        },
+      });
+      return response.data; // Should contain { success, data: prescription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for fetching the verification queue (pharmacist/admin)
+export const fetchVerificationQueue = createAsyncThunk(
+  'prescriptions/fetchVerificationQueue',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get('/prescriptions/queue'); // GET request to /api/v1/prescriptions/queue
+      return response.data; // Should contain { success, count, data: orders }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for approving or rejecting an order's prescription (pharmacist/admin)
+export const reviewPrescription = createAsyncThunk(
+  'prescriptions/reviewPrescription',
+  async ({ orderId, decision, note }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/prescriptions/orders/${orderId}/review`, { decision, note });
+      return response.data; // Should contain { success, data: order }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the prescription slice
+const prescriptionSlice = createSlice({
+  name: 'prescriptions',
+  initialState,
+  reducers: {
+    clearUploadedPrescription: (state) => {
+      state.uploadedPrescription = null;
+    },
+    clearPrescriptionError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Upload Prescription
+      .addCase(uploadPrescription.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(uploadPrescription.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.uploadedPrescription = action.payload.data;
+      })
+      .addCase(uploadPrescription.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Fetch Verification Queue
+      .addCase(fetchVerificationQueue.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchVerificationQueue.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.queue = action.payload.data;
+      })
+      .addCase(fetchVerificationQueue.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Review Prescription
+      .addCase(reviewPrescription.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(reviewPrescription.fulfilled, (state, action) => {
+        state.isLoading = false;
+        // The reviewed order leaves the queue
+        state.queue = state.queue.filter(order => order._id !== action.payload.data._id);
+      })
+      .addCase(reviewPrescription.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export synchronous actions
+export const { clearUploadedPrescription, clearPrescriptionError } = prescriptionSlice.actions;
+
+// Export the reducer
+export default prescriptionSlice.reducer;
@@ -0,0 +1,162 @@
+// src/features/returns/returnSlice.js
+// This Redux Toolkit slice manages returns of delivered orders:
+// checking which items can be returned, requesting a return, and (for admins) reviewing returns.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Define the initial state for the return slice
+const initialState = {
+  returnRequests: [], // Return requests (for one order on the order page, or all for admins)
+  eligibility: null, // { eligible, reason, windowEndsAt, items } for the current order
+  isLoading: false, // Loading state for return operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for checking which items of an order can be returned
+export const fetchReturnEligibility = createAsyncThunk(
+  'returns/fetchReturnEligibility',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/returns/orders/${orderId}/eligibility`);
+      return response.data; // Should contain { success, data: eligibility }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for fetching return requests (optionally filtered by order or status)
+export const fetchReturnRequests = createAsyncThunk(
+  'returns/fetchReturnRequests',
+  async (queryParams = {}, { rejectWithValue }) => {
+    try {
+      const queryString = new URLSearchParams(queryParams).toString();
+      const response = await axiosInstance.get(`/returns?${queryString}`);
+      return response.data; // Should contain { success, count, data: returnRequests[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for requesting a return
+export const createReturnRequest = createAsyncThunk(
+  'returns/createReturnRequest',
+  async (returnData, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post('/returns', returnData); // POST request to /api/v1/returns
+      return response.data; // Should contain { success, data: returnRequest }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for approving or rejecting a return (admin)
+export const reviewReturnRequest = createAsyncThunk(
+  'returns/reviewReturnRequest',
+  async ({ id, decision, note }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/returns/${id}/review`, { decision, note });
+      return response.data; // Should contain { success, data: returnRequest }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for marking a manual (COD) refund as paid out (admin)
+export const completeManualRefund = createAsyncThunk(
+  'returns/completeManualRefund',
+  async ({ id, reference }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/returns/${id}/refund-complete`, { reference });
+      return response.data; // Should contain { success, data: returnRequest }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Replace a return request in the list with its updated version
+const replaceReturnRequest = (state, updated) => {
+  state.returnRequests = state.returnRequests.map(request =>
+    request._id === updated._id ? { ...request, ...updated, user: request.user, order: request.order } : request
+  );
+};
+
+// Create the return slice
+const returnSlice = createSlice({
+  name: 'returns',
+  initialState,
+  reducers: {
+    clearReturnState: (state) => {
+      state.returnRequests = [];
+      state.eligibility = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Return Eligibility
+      .addCase(fetchReturnEligibility.fulfilled, (state, action) => {
+        state.eligibility = action.payload.data;
+      })
+      .addCase(fetchReturnEligibility.rejected, (state) => {
+        state.eligibility = null;
+      })
+      // Fetch Return Requests
+      .addCase(fetchReturnRequests.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchReturnRequests.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.returnRequests = action.payload.data;
+      })
+      .addCase(fetchReturnRequests.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Create Return Request
+      .addCase(createReturnRequest.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createReturnRequest.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.returnRequests = [action.payload.data, ...state.returnRequests];
+      })
+      .addCase(createReturnRequest.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Review Return Request
+      .addCase(reviewReturnRequest.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(reviewReturnRequest.fulfilled, (state, action) => {
+        state.isLoading = false;
+        replaceReturnRequest(state, action.payload.data);
+      })
+      .addCase(reviewReturnRequest.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Complete Manual Refund
+      .addCase(completeManualRefund.fulfilled, (state, action) => {
+        replaceReturnRequest(state, action.payload.data);
+      })
+      .addCase(completeManualRefund.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export synchronous actions
+export const { clearReturnState } = returnSlice.actions;
+
+// Export the reducer
+export default returnSlice.reducer;
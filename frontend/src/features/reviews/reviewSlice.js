@@ -0,0 +1,148 @@
+// src/features/reviews/reviewSlice.js
+// This Redux Toolkit slice manages the reviews of the medicine being viewed: listing them,
+// the user's own review (and whether they may write one), and writing, editing or deleting it.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Sort orders offered for the reviews of a medicine
+export const REVIEW_SORTS = [
+  { value: '-createdAt', label: 'Newest' },
+  { value: '-rating,-createdAt', label: 'Highest rated' },
+  { value: 'rating,-createdAt', label: 'Lowest rated' },
+];
+
+// Define the initial state for the review slice
+const initialState = {
+  reviews: [], // Reviews of the viewed medicine
+  myReview: null, // The user's own review of the viewed medicine
+  canReview: false, // Whether the user has received the medicine and not reviewed it yet
+  rating: null, // The medicine's { averageRating, numOfReviews } after the user's last change
+  isLoading: false, // Loading state for review operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for fetching the reviews of a medicine
+export const fetchReviews = createAsyncThunk(
+  'reviews/fetchReviews',
+  async ({ medicineId, sort = '-createdAt', limit = 50 }, { rejectWithValue }) => {
+    try {
+      const queryString = new URLSearchParams({ sort, limit }).toString();
+      const response = await axiosInstance.get(`/medicines/${medicineId}/reviews?${queryString}`);
+      return response.data; // Should contain { success, count, data: reviews[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for fetching the user's own review of a medicine
+export const fetchMyReview = createAsyncThunk(
+  'reviews/fetchMyReview',
+  async (medicineId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(`/medicines/${medicineId}/reviews/mine`);
+      return response.data; // Should contain { success, canReview, data: review | null }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for reviewing a medicine
+export const createReview = createAsyncThunk(
+  'reviews/createReview',
+  async ({ medicineId, reviewData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(`/medicines/${medicineId}/reviews`, reviewData);
+      return response.data; // Should contain { success, rating, data: review }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for editing a review
+export const updateReview = createAsyncThunk(
+  'reviews/updateReview',
+  async ({ id, reviewData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/reviews/${id}`, reviewData);
+      return response.data; // Should contain { success, rating, data: review }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for deleting a review
+export const deleteReview = createAsyncThunk(
+  'reviews/deleteReview',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.delete(`/reviews/${id}`);
+      return { ...response.data, id }; // Return the ID of the deleted review for state update
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Create the review slice
+const reviewSlice = createSlice({
+  name: 'reviews',
+  initialState,
+  reducers: {
+    // Reset when leaving the medicine
+    clearReviews: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Reviews
+      .addCase(fetchReviews.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchReviews.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.reviews = action.payload.data;
+      })
+      .addCase(fetchReviews.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Fetch My Review
+      .addCase(fetchMyReview.fulfilled, (state, action) => {
+        state.myReview = action.payload.data;
+        state.canReview = action.payload.canReview;
+      })
+      // Create Review
+      .addCase(createReview.fulfilled, (state, action) => {
+        state.myReview = action.payload.data;
+        state.canReview = false;
+        state.rating = action.payload.rating;
+      })
+      // Update Review (the listed copy keeps its populated author)
+      .addCase(updateReview.fulfilled, (state, action) => {
+        const updated = action.payload.data;
+        state.myReview = updated;
+        state.rating = action.payload.rating;
+        state.reviews = state.reviews.map(r => (r._id === updated._id ? { ...r, ...updated, user: r.user } : r));
+      })
+      // Delete Review (the author may write a new one)
+      .addCase(deleteReview.fulfilled, (state, action) => {
+        state.rating = action.payload.rating;
+        state.reviews = state.reviews.filter(r => r._id !== action.payload.id);
+        if (state.myReview && state.myReview._id === action.payload.id) {
+          state.myReview = null;
+          state.canReview = true;
+        }
+      });
+  },
+});
+
+// Export actions
+export const { clearReviews } = reviewSlice.actions;
+
+// Export the reducer
+export default reviewSlice.reducer;
@@ -0,0 +1,184 @@
+// src/features/subscriptions/subscriptionSlice.js
+// This Redux Toolkit slice manages the user's refill subscriptions: subscribing to regular
+// refills of medicines and pausing, resuming, skipping, editing or cancelling them.
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/api/axiosInstance'; // Import the configured axios instance
+
+// Refill intervals offered to the user (the server allows 7 to 90 days)
+export const REFILL_INTERVALS = [
+  { days: 7, label: 'Every week' },
+  { days: 15, label: 'Every 15 days' },
+  { days: 30, label: 'Every month' },
+  { days: 60, label: 'Every 2 months' },
+  { days: 90, label: 'Every 3 months' },
+];
+
+// Define the initial state for the subscription slice
+const initialState = {
+  subscriptions: [], // The user's refill subscriptions (newest first)
+  isLoading: false, // Loading state for subscription operations
+  error: null, // Stores any errors
+};
+
+// Async Thunk for fetching the refill subscriptions
+export const fetchSubscriptions = createAsyncThunk(
+  'subscriptions/fetchSubscriptions',
+  async (queryParams = {}, { rejectWithValue }) => {
+    try {
+      const queryString = new URLSearchParams(queryParams).toString();
+      const response = await axiosInstance.get(`/subscriptions?${queryString}`);
+      return response.data; // Should contain { success, count, data: subscriptions[] }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for subscribing to regular refills
+export const createSubscription = createAsyncThunk(
+  'subscriptions/createSubscription',
+  async (subscriptionData, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post('/subscriptions', subscriptionData);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for editing the medicines, interval, address or payment method of a subscription
+export const updateSubscription = createAsyncThunk(
+  'subscriptions/updateSubscription',
+  async ({ id, subscriptionData }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/subscriptions/${id}`, subscriptionData);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for pausing a subscription
+export const pauseSubscription = createAsyncThunk(
+  'subscriptions/pauseSubscription',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/subscriptions/${id}/pause`);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for resuming a paused subscription
+export const resumeSubscription = createAsyncThunk(
+  'subscriptions/resumeSubscription',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/subscriptions/${id}/resume`);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for skipping the next refill
+export const skipNextRefill = createAsyncThunk(
+  'subscriptions/skipNextRefill',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.put(`/subscriptions/${id}/skip`);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Async Thunk for cancelling a subscription
+export const cancelSubscription = createAsyncThunk(
+  'subscriptions/cancelSubscription',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.delete(`/subscriptions/${id}`);
+      return response.data; // Should contain { success, data: subscription }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || error.message);
+    }
+  }
+);
+
+// Thunks that return one changed subscription, which replaces the listed one
+const subscriptionChanges = [updateSubscription, pauseSubscription, resumeSubscription, skipNextRefill, cancelSubscription];
+
+// Create the subscription slice
+const subscriptionSlice = createSlice({
+  name: 'subscriptions',
+  initialState,
+  reducers: {
+    clearSubscriptionError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Subscriptions
+      .addCase(fetchSubscriptions.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSubscriptions.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.subscriptions = action.payload.data;
+      })
+      .addCase(fetchSubscriptions.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Create Subscription
+      .addCase(createSubscription.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createSubscription.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.subscriptions.unshift(action.payload.data);
+      })
+      .addCase(createSubscription.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Update, Pause, Resume, Skip and Cancel Subscription
+    subscriptionChanges.forEach((thunk) => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.isLoading = true;
+          state.error = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.isLoading = false;
+          const updated = action.payload.data;
+          // Keep the populated last order, which the change responses do not include
+          state.subscriptions = state.subscriptions.map(s => (
+            s._id === updated._id ? { ...updated, lastOrder: s.lastOrder } : s
+          ));
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.isLoading = false;
+          state.error = action.payload;
+        });
+    });
+  },
+});
+
+// Export actions
+export const { clearSubscriptionError } = subscriptionSlice.actions;
+
+// Export the reducer
+export default subscriptionSlice.reducer;